@@ -1,23 +1,26 @@
 import Phaser from "phaser";
 import { io } from "socket.io-client";
 import "./style.css";
+import townMapData from "../../shared/maps/town.json";
+import { TILED_GID_MASK, parseTiledMap } from "../../shared/tiled-map.js";
 
 const SERVER_URL = import.meta.env.VITE_SERVER_URL || "http://localhost:3002";
-const WORLD_WIDTH = 1600;
-const WORLD_HEIGHT = 1200;
-const TILE = 32;
+const TOWN_MAP = parseTiledMap(townMapData);
+const WORLD_WIDTH = TOWN_MAP.width;
+const WORLD_HEIGHT = TOWN_MAP.height;
+const TILE = TOWN_MAP.tileSize;
 const DIALOGUE_BUBBLE_MS = 5000;
-const CROP_GROW_MINUTES = {
-  turnip: 180,
-  carrot: 240,
-  pumpkin: 360
-};
-const HOME_FIELD_CENTER = { x: 675, y: 280 };
-const HOME_FIELD_SIZE = { w: 340, h: 280 };
+const CHAT_LOG_MAX_LINES = 40;
+const TRADE_CLOSE_DELAY_MS = 4000;
+const SHOP_CLOSE_DISTANCE = 140;
+const FIRST_LOT = TOWN_MAP.farmLots[0] || { x: 651, y: 246, w: 170, h: 160 };
+const PLAYER_SPAWN = { x: FIRST_LOT.x + FIRST_LOT.w / 2, y: FIRST_LOT.y + FIRST_LOT.h / 2 };
+const DECOR_DEPTH = { tile_lamp: 7 };
 const FARM_TOOL_DISTANCE = 170;
 const VIEW_MODE_STORAGE_KEY = "townsim_view_mode";
 const MOBILE_BREAKPOINT = 900;
 let ACTIVE_PROFILE = { playerId: "", name: "Traveler", gender: "unspecified" };
+let ACTIVE_SESSION = { accessToken: "", refreshToken: "", expiresAt: 0 };
 
 function savedViewModePreference() {
   const stored = String(localStorage.getItem(VIEW_MODE_STORAGE_KEY) || "auto").trim().toLowerCase();
@@ -25,6 +28,23 @@ function savedViewModePreference() {
   return "auto";
 }
 
+function tradeStatusText(view) {
+  const them = view.them?.name || "someone";
+  if (view.status === "pending") return view.incoming ? `${them} wants to trade.` : `Waiting for ${them} to accept...`;
+  if (view.status === "open") {
+    const state = (confirmed) => (confirmed ? "confirmed" : "choosing");
+    return `You: ${state(view.you?.confirmed)} · ${them}: ${state(view.them?.confirmed)}`;
+  }
+  if (view.status === "completed") return "Trade complete.";
+  return view.reason || "Trade cancelled.";
+}
+
+function describeTradeOffer(offer) {
+  const parts = Object.entries(offer?.items || {}).map(([key, qty]) => `${qty} ${key.replace(/_/g, " ")}`);
+  if (offer?.coins > 0) parts.push(`${offer.coins} coins`);
+  return parts.length > 0 ? parts.join(", ") : "nothing";
+}
+
 function detectMobileEnvironment() {
   const ua = String(navigator.userAgent || "").toLowerCase();
   const uaMobile = /android|iphone|ipad|ipod|mobile|silk|kindle/.test(ua);
@@ -145,9 +165,10 @@ async function submitAuth(payload, mode) {
     body: JSON.stringify(payload)
   });
   const data = await response.json().catch(() => ({}));
-  if (!response.ok || !data?.ok || !data?.profile) {
+  if (!response.ok || !data?.ok || !data?.profile || !data?.session?.accessToken) {
     throw new Error(data?.error || "Authentication failed.");
   }
+  ACTIVE_SESSION = normalizeSession(data.session);
   return {
     playerId: String(data.profile.playerId || "").trim(),
     name: String(data.profile.name || "").trim().slice(0, 24),
@@ -155,6 +176,28 @@ async function submitAuth(payload, mode) {
   };
 }
 
+function normalizeSession(session) {
+  return {
+    accessToken: String(session?.accessToken || ""),
+    refreshToken: String(session?.refreshToken || ""),
+    expiresAt: Number(session?.expiresAt) || 0
+  };
+}
+
+async function refreshActiveSession() {
+  const response = await fetch(`${SERVER_URL}/auth/refresh`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ refreshToken: ACTIVE_SESSION.refreshToken })
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || !data?.ok || !data?.session?.accessToken) {
+    throw new Error(data?.error || "Session expired.");
+  }
+  ACTIVE_SESSION = normalizeSession(data.session);
+  return ACTIVE_SESSION;
+}
+
 function collectProfile() {
   const startScreen = document.getElementById("start-screen");
   const form = document.getElementById("start-form");
@@ -237,14 +280,7 @@ function collectProfile() {
   });
 }
 
-const AREAS = [
-  { name: "Town Square", x: 560, y: 460, w: 480, h: 280, color: 0x5f7f58 },
-  { name: "Market Street", x: 220, y: 240, w: 280, h: 420, color: 0x867148 },
-  { name: "Dock", x: 1180, y: 760, w: 340, h: 300, color: 0x4f748c },
-  { name: "Sanctum", x: 1060, y: 160, w: 280, h: 220, color: 0x6f616c },
-  { name: "Forest", x: 120, y: 760, w: 360, h: 320, color: 0x3f6a47 },
-  { name: "Housing", x: 470, y: 80, w: 530, h: 330, color: 0x6f5f4e }
-];
+const AREAS = TOWN_MAP.areas.map((area) => ({ ...area, color: area.color ?? 0x6f5f4e }));
 
 class TownScene extends Phaser.Scene {
   constructor() {
@@ -253,12 +289,22 @@ class TownScene extends Phaser.Scene {
     this.bubbles = new Map();
     this.farmPlotSprites = new Map();
     this.farmData = null;
+    this.homeFieldParts = [];
+    this.homeFieldKey = "";
     this.selectedPlotId = null;
     this.isSleeping = false;
     this.isInDialogue = false;
     this.isDialogueHardLocked = false;
     this.activeDialogueNpcId = null;
     this.activeDialogueNpcName = "";
+    this.groupConversation = null;
+    this.chatChannel = "local";
+    this.trade = null;
+    this.shop = null;
+    this.recipes = [];
+    this.forageItems = [];
+    this.relationships = [];
+    this.relationshipsKey = "";
     this.isReadingNews = false;
     this.lightOverlay = null;
     this.lastTimePhase = "";
@@ -282,11 +328,7 @@ class TownScene extends Phaser.Scene {
   create() {
     this.socket = io(SERVER_URL, {
       transports: ["websocket"],
-      auth: {
-        playerId: this.playerProfile.playerId,
-        playerName: this.playerProfile.name,
-        gender: this.playerProfile.gender
-      }
+      auth: (cb) => cb({ token: ACTIVE_SESSION.accessToken })
     });
     this.cursors = this.input.keyboard.createCursorKeys();
 
@@ -296,7 +338,7 @@ class TownScene extends Phaser.Scene {
     this.createLightingLayer();
     this.applyDayNightVisuals({ timeMinutes: 8 * 60 });
 
-    this.player = this.physics.add.image(680, 220, "spr_player");
+    this.player = this.physics.add.image(PLAYER_SPAWN.x, PLAYER_SPAWN.y, "spr_player");
     this.player.setDepth(24);
     this.player.body.setSize(14, 16);
     this.player.body.setCollideWorldBounds(true);
@@ -316,6 +358,11 @@ class TownScene extends Phaser.Scene {
     this.setupMissionDrawer();
     this.setupTouchControls();
     this.setupChatControls();
+    this.setupTradeControls();
+    this.setupShopControls();
+    this.setupKitchenControls();
+    this.setupGiftControls();
+    this.setupFriendsControls();
     this.setupFarmControls();
     this.setupDialogueKeyboardControls();
     this.updateChatTarget();
@@ -541,107 +588,33 @@ class TownScene extends Phaser.Scene {
   }
 
   drawMap() {
-    const cols = WORLD_WIDTH / TILE;
-    const rows = WORLD_HEIGHT / TILE;
-    const grassKeys = ["tile_grass_a", "tile_grass_b", "tile_grass_c"];
-    for (let y = 0; y < rows; y += 1) {
-      for (let x = 0; x < cols; x += 1) {
-        const grassKey = grassKeys[(x * 17 + y * 31) % grassKeys.length];
-        this.add.image(x * TILE + TILE / 2, y * TILE + TILE / 2, grassKey).setOrigin(0.5);
-      }
-    }
-
-    const riverStartCol = Math.floor(1180 / TILE);
-    const riverStartRow = Math.floor(760 / TILE);
-    for (let y = riverStartRow; y < rows; y += 1) {
-      for (let x = riverStartCol; x < cols; x += 1) {
-        this.add.image(x * TILE + TILE / 2, y * TILE + TILE / 2, "tile_water").setOrigin(0.5);
-      }
+    for (const layer of TOWN_MAP.tileLayers) {
+      if (!layer.visible) continue;
+      layer.data.forEach((rawGid, i) => {
+        const texture = TOWN_MAP.tiles.get(rawGid & TILED_GID_MASK)?.texture;
+        if (!texture) return;
+        const x = (i % TOWN_MAP.cols) * TILE + TILE / 2;
+        const y = Math.floor(i / TOWN_MAP.cols) * TILE + TILE / 2;
+        this.add.image(x, y, texture).setOrigin(0.5).setAlpha(layer.opacity);
+      });
     }
 
-    const paintPath = (x, y, w, h) => {
-      const sx = Math.floor(x / TILE);
-      const sy = Math.floor(y / TILE);
-      const ex = Math.floor((x + w) / TILE);
-      const ey = Math.floor((y + h) / TILE);
-      for (let iy = sy; iy <= ey; iy += 1) {
-        for (let ix = sx; ix <= ex; ix += 1) {
-          const pathKey = (ix + iy) % 2 === 0 ? "tile_path_a" : "tile_path_b";
-          this.add.image(ix * TILE + TILE / 2, iy * TILE + TILE / 2, pathKey).setOrigin(0.5);
-        }
-      }
-    };
-
-    paintPath(220, 240, 280, 420);
-    paintPath(560, 460, 480, 280);
-    paintPath(470, 80, 530, 330);
-    paintPath(1060, 160, 280, 220);
-
-    const buildings = [
-      { x: 260, y: 280 },
-      { x: 300, y: 470 },
-      { x: 620, y: 160 },
-      { x: 760, y: 200 },
-      { x: 1120, y: 210 },
-      { x: 900, y: 540 },
-      { x: 540, y: 610 },
-      { x: 1040, y: 570 }
-    ];
-    for (const [idx, b] of buildings.entries()) {
+    for (const [idx, b] of TOWN_MAP.buildings.entries()) {
+      const cx = b.x + b.w / 2;
+      const cy = b.y + b.h / 2;
       const colorShift = [0xffffff, 0xf8f4e6, 0xf1e7d2][idx % 3];
-      this.add.image(b.x + 3, b.y + 3, "tile_house").setOrigin(0.5).setTint(0x000000).setAlpha(0.2);
-      this.add.image(b.x, b.y, "tile_house").setOrigin(0.5).setTint(colorShift);
-      this.add.rectangle(b.x, b.y + 30, 36, 4, 0x6f553a, 0.92).setDepth(6);
-      this.add.rectangle(b.x - 14, b.y + 33, 6, 7, 0x876c4a, 0.9).setDepth(6);
-      this.add.rectangle(b.x + 14, b.y + 33, 6, 7, 0x876c4a, 0.9).setDepth(6);
-    }
-
-    const treePoints = [
-      [160, 810],
-      [210, 860],
-      [280, 940],
-      [350, 1030],
-      [450, 940],
-      [500, 860],
-      [1120, 1000],
-      [1180, 960],
-      [1240, 910],
-      [120, 190],
-      [170, 150],
-      [1240, 150],
-      [1300, 210],
-      [1410, 350],
-      [1450, 780],
-      [1420, 1040],
-      [860, 920],
-      [960, 980],
-      [640, 990],
-      [260, 600],
-      [220, 690],
-      [420, 720]
-    ];
-    treePoints.forEach(([x, y], i) => {
-      const tex = i % 3 === 0 ? "tile_shrub" : "tile_tree";
-      this.add.image(x, y, tex).setDepth(6);
-    });
+      this.add.image(cx + 3, cy + 3, "tile_house").setOrigin(0.5).setTint(0x000000).setAlpha(0.2);
+      this.add.image(cx, cy, "tile_house").setOrigin(0.5).setTint(colorShift);
+      this.add.rectangle(cx, cy + 30, 36, 4, 0x6f553a, 0.92).setDepth(6);
+      this.add.rectangle(cx - 14, cy + 33, 6, 7, 0x876c4a, 0.9).setDepth(6);
+      this.add.rectangle(cx + 14, cy + 33, 6, 7, 0x876c4a, 0.9).setDepth(6);
+    }
 
-    const shrubPoints = [
-      [240, 330],
-      [360, 230],
-      [510, 330],
-      [820, 120],
-      [970, 140],
-      [1150, 340],
-      [1000, 720],
-      [820, 810],
-      [690, 710],
-      [540, 820],
-      [380, 880],
-      [1270, 860]
-    ];
-    shrubPoints.forEach(([x, y]) => {
-      this.add.image(x, y, "tile_shrub").setDepth(6);
-    });
+    for (const item of TOWN_MAP.decor) {
+      if (item.type === "dock_post") continue;
+      if (!this.textures.exists(item.type)) continue;
+      this.add.image(item.x, item.y, item.type).setDepth(DECOR_DEPTH[item.type] || 6);
+    }
 
     const forestArea = AREAS.find((a) => a.name === "Forest");
     if (forestArea) {
@@ -694,17 +667,6 @@ class TownScene extends Phaser.Scene {
       }
     }
 
-    const lampPoints = [
-      [600, 500],
-      [720, 500],
-      [840, 500],
-      [300, 260],
-      [300, 420]
-    ];
-    lampPoints.forEach(([x, y]) => {
-      this.add.image(x, y, "tile_lamp").setDepth(7);
-    });
-
     const dockDeck = this.add.graphics();
     const drawDockPlanks = (x, y, w, h) => {
       dockDeck.fillStyle(0x6e4f34, 0.95);
@@ -718,48 +680,21 @@ class TownScene extends Phaser.Scene {
         dockDeck.lineBetween(px, y + 3, px, y + h - 3);
       }
     };
-    drawDockPlanks(1202, 792, 190, 46);
-    drawDockPlanks(1238, 838, 42, 155);
-    for (const post of [
-      [1212, 784],
-      [1268, 784],
-      [1324, 784],
-      [1380, 784],
-      [1246, 838],
-      [1246, 908],
-      [1246, 980],
-      [1280, 980]
-    ]) {
-      const [x, y] = post;
+    for (const walkway of TOWN_MAP.walkable) {
+      drawDockPlanks(walkway.x, walkway.y, walkway.w, walkway.h);
+    }
+    for (const post of TOWN_MAP.decor.filter((item) => item.type === "dock_post")) {
+      const { x, y } = post;
       this.add.rectangle(x, y, 6, 12, 0x4f3624, 0.98).setDepth(6);
       this.add.rectangle(x, y - 4, 8, 4, 0x8c6947, 0.95).setDepth(6);
     }
     dockDeck.setDepth(5);
 
-    const homeField = this.add.rectangle(HOME_FIELD_CENTER.x, HOME_FIELD_CENTER.y, HOME_FIELD_SIZE.w, HOME_FIELD_SIZE.h, 0x6b5432, 0.34);
-    homeField.setStrokeStyle(2, 0xc1a572, 0.7);
-    this.add
-      .rectangle(HOME_FIELD_CENTER.x, HOME_FIELD_CENTER.y, HOME_FIELD_SIZE.w + 20, HOME_FIELD_SIZE.h + 20, 0x2d2317, 0)
-      .setStrokeStyle(1, 0xdcc38c, 0.65)
-      .setDepth(3);
-    this.add.text(HOME_FIELD_CENTER.x - 132, HOME_FIELD_CENTER.y - 148, "Your Home Field", {
-      fontSize: "11px",
-      color: "#f6e8bb",
-      stroke: "#1a1a1a",
-      strokeThickness: 2
-    });
-    for (let fx = HOME_FIELD_CENTER.x - 158; fx <= HOME_FIELD_CENTER.x + 158; fx += 20) {
-      this.add.rectangle(fx, HOME_FIELD_CENTER.y + 145, 4, 14, 0x8b6b44, 0.9).setDepth(4);
-      this.add.rectangle(fx, HOME_FIELD_CENTER.y - 145, 4, 14, 0x8b6b44, 0.9).setDepth(4);
-    }
-    for (let fy = HOME_FIELD_CENTER.y - 145; fy <= HOME_FIELD_CENTER.y + 145; fy += 20) {
-      this.add.rectangle(HOME_FIELD_CENTER.x - 170, fy, 4, 14, 0x8b6b44, 0.9).setDepth(4);
-      this.add.rectangle(HOME_FIELD_CENTER.x + 170, fy, 4, 14, 0x8b6b44, 0.9).setDepth(4);
+    for (const lot of TOWN_MAP.farmLots) {
+      this.add
+        .rectangle(lot.x + lot.w / 2, lot.y + lot.h / 2, lot.w, lot.h, 0x6b5432, 0.14)
+        .setStrokeStyle(1, 0xc1a572, 0.35);
     }
-    this.add.rectangle(HOME_FIELD_CENTER.x, HOME_FIELD_CENTER.y + 145, 52, 4, 0x8b6b44, 0.95).setDepth(4);
-    this.add.rectangle(HOME_FIELD_CENTER.x, HOME_FIELD_CENTER.y - 145, 52, 4, 0x8b6b44, 0.95).setDepth(4);
-    this.add.rectangle(HOME_FIELD_CENTER.x + 120, HOME_FIELD_CENTER.y + 105, 44, 36, 0x7b5b37, 0.95).setDepth(5);
-    this.add.rectangle(HOME_FIELD_CENTER.x + 120, HOME_FIELD_CENTER.y + 86, 48, 8, 0x5f4330, 0.96).setDepth(5);
 
     AREAS.forEach((a) => {
       this.add
@@ -777,10 +712,45 @@ class TownScene extends Phaser.Scene {
   }
 
   setupSocket() {
+    this.socket.on("connect_error", (err) => this.handleSocketAuthError(err));
+    this.socket.on("session_revoked", () => window.location.reload());
+    this.socket.on("player_state_reset", () => window.location.reload());
     this.socket.on("world_snapshot", (world) => this.applyWorld(world));
     this.socket.on("world_tick", (world) => this.applyWorld(world));
     this.socket.on("dialogue_event", (evt) => this.addDialogue(evt));
+    this.socket.on("dialogue_stream", (evt) => {
+      if (!evt?.cancelled) {
+        this.addDialogue(evt);
+        return;
+      }
+      const bubble = this.bubbles.get(evt.speakerId);
+      if (bubble?.streamId === evt.streamId) {
+        bubble.text.destroy();
+        this.bubbles.delete(evt.speakerId);
+      }
+    });
     this.socket.on("morning_news", (news) => this.showMorningNews(news));
+    this.socket.on("chat_message", (msg) => this.addChatMessage(msg));
+    this.socket.on("shop_state", (view) => this.applyShop(view));
+    this.socket.on("heart_event", (evt) => {
+      this.cameras.main.flash(600, 255, 190, 210);
+      this.addChatMessage({ channel: "system", text: `\u2764 ${evt?.npcName}: ${evt?.title}` });
+    });
+    this.socket.on("shop_feedback", (evt) => {
+      document.getElementById("shop-feedback").textContent = evt?.message || "";
+    });
+    this.socket.on("trade_update", (view) => this.applyTrade(view));
+    this.socket.on("trade_feedback", (evt) => {
+      if (this.trade) {
+        document.getElementById("trade-feedback").textContent = evt?.message || "";
+        return;
+      }
+      this.addChatMessage({ channel: "system", text: evt?.message });
+    });
+    this.socket.on("group_conversation", (evt) => {
+      this.groupConversation = evt?.status === "active" ? evt : null;
+      this.updateChatTarget();
+    });
     this.socket.on("dialogue_waiting_reply", (evt) => {
       this.isInDialogue = true;
       this.isDialogueHardLocked = false;
@@ -799,9 +769,31 @@ class TownScene extends Phaser.Scene {
       const feedbackEl = document.getElementById("farm-feedback");
       feedbackEl.textContent = evt?.message || "Farm updated.";
       feedbackEl.style.color = evt?.ok ? "#c2f0c8" : "#ffd7a8";
+      if (this.isKitchenOpen()) {
+        const kitchenEl = document.getElementById("kitchen-feedback");
+        kitchenEl.textContent = evt?.message || "";
+        kitchenEl.style.color = evt?.ok ? "#c2f0c8" : "#ffd7a8";
+      } else if (!this.farmPanelVisible && evt?.message) {
+        this.addChatMessage({ channel: "system", text: evt.message });
+      }
     });
   }
 
+  handleSocketAuthError(err) {
+    if (this.socket.active) return;
+    if (err?.message === "auth_unavailable") {
+      this.time.delayedCall(3000, () => this.socket.connect());
+      return;
+    }
+    if (err?.message === "token_expired") {
+      refreshActiveSession()
+        .then(() => this.socket.connect())
+        .catch(() => window.location.reload());
+      return;
+    }
+    window.location.reload();
+  }
+
   effectiveViewMode(pref = this.viewModePreference) {
     const normalized = String(pref || "auto").toLowerCase();
     if (normalized === "desktop" || normalized === "mobile") return normalized;
@@ -998,10 +990,20 @@ class TownScene extends Phaser.Scene {
     };
     applySleepUi();
 
+    const chatChannel = document.getElementById("chat-channel");
+    const whisperTo = document.getElementById("chat-whisper-to");
+    chatChannel.addEventListener("change", () => {
+      this.chatChannel = chatChannel.value;
+      whisperTo.classList.toggle("hidden", this.chatChannel !== "whisper");
+      this.updateChatTarget();
+    });
+    whisperTo.addEventListener("keydown", (evt) => evt.stopPropagation());
+    whisperTo.addEventListener("input", () => this.updateChatTarget());
+
     const sendChat = () => {
       const text = chatInput.value.trim();
       if (!text || !this.socket?.connected || this.isSleeping || this.isDialogueHardLocked) return;
-      this.socket.emit("player_chat", { text });
+      this.socket.emit("player_chat", { text, channel: this.chatChannel, to: whisperTo.value.trim() });
       chatInput.value = "";
       chatInput.blur();
       this.setMobileChatMenuOpen(false);
@@ -1033,16 +1035,31 @@ class TownScene extends Phaser.Scene {
     const cropSelect = document.getElementById("farm-crop");
     const sowBtn = document.getElementById("farm-sow");
     const waterBtn = document.getElementById("farm-water");
+    const fertilizeBtn = document.getElementById("farm-fertilize");
     const harvestBtn = document.getElementById("farm-harvest");
+    const tillBtn = document.getElementById("farm-till");
+    const refillBtn = document.getElementById("farm-refill");
+    const placeBtn = document.getElementById("farm-place");
     const farmUnselect = document.getElementById("farm-unselect");
     cropSelect.addEventListener("change", () => this.updateFarmHud());
+    tillBtn?.addEventListener("click", () => this.sendFarmAction("till"));
+    refillBtn?.addEventListener("click", () => this.sendFarmAction("refill"));
+    placeBtn?.addEventListener("click", () => this.sendFarmAction(this.selectedPlot()?.object ? "pickup" : "place"));
+    document.getElementById("farm-upgrades")?.addEventListener("click", (event) => {
+      const item = event.target.closest("button[data-upgrade]")?.dataset.upgrade;
+      if (item && this.socket?.connected) this.socket.emit("farm_upgrade", { item });
+    });
     sowBtn?.addEventListener("click", () => this.sendFarmAction("sow"));
     waterBtn?.addEventListener("click", () => this.sendFarmAction("water"));
+    fertilizeBtn?.addEventListener("click", () => this.sendFarmAction("fertilize"));
     harvestBtn?.addEventListener("click", () => this.sendFarmAction("harvest"));
     farmUnselect?.addEventListener("click", () => this.clearSelectedPlot());
     this.input.keyboard.on("keydown-ONE", () => this.sendFarmAction("sow"));
     this.input.keyboard.on("keydown-TWO", () => this.sendFarmAction("water"));
     this.input.keyboard.on("keydown-THREE", () => this.sendFarmAction("harvest"));
+    this.input.keyboard.on("keydown-FOUR", () => this.sendFarmAction("fertilize"));
+    this.input.keyboard.on("keydown-FIVE", () => this.sendFarmAction("till"));
+    this.input.keyboard.on("keydown-SIX", () => this.sendFarmAction("refill"));
     this.input.keyboard.on("keydown-Q", () => this.shiftFarmCrop(-1));
     this.input.keyboard.on("keydown-E", () => this.shiftFarmCrop(1));
   }
@@ -1087,7 +1104,11 @@ class TownScene extends Phaser.Scene {
     const cropSelect = document.getElementById("farm-crop");
     if (!cropSelect || !cropSelect.options?.length) return;
     const len = cropSelect.options.length;
-    const next = (cropSelect.selectedIndex + direction + len) % len;
+    let next = cropSelect.selectedIndex;
+    for (let step = 0; step < len; step += 1) {
+      next = (next + direction + len) % len;
+      if (!cropSelect.options[next].disabled) break;
+    }
     cropSelect.selectedIndex = next;
     this.updateFarmHud();
   }
@@ -1098,7 +1119,8 @@ class TownScene extends Phaser.Scene {
     this.socket.emit("farm_action", {
       action,
       plotId: this.selectedPlotId,
-      cropType: cropSelect?.value || "turnip"
+      cropType: cropSelect?.value || "turnip",
+      objectType: document.getElementById("farm-object")?.value || ""
     });
   }
 
@@ -1139,7 +1161,7 @@ class TownScene extends Phaser.Scene {
     const hintEl = document.getElementById("farm-hint");
     if (hintEl) {
       hintEl.textContent = this.isNearFarm
-        ? "Select a plot, then use tools or keys 1/2/3. Change crop with Q/E."
+        ? "Select a plot. Keys: 5 till, 1 sow, 2 water, 3 harvest, 4 fertilize, 6 refill can. Q/E change crop."
         : "Move near your home field to access farming tools.";
     }
 
@@ -1154,11 +1176,17 @@ class TownScene extends Phaser.Scene {
     const cropSelect = document.getElementById("farm-crop");
     const sowBtn = document.getElementById("farm-sow");
     const waterBtn = document.getElementById("farm-water");
+    const fertilizeBtn = document.getElementById("farm-fertilize");
     const harvestBtn = document.getElementById("farm-harvest");
+    const extraButtons = ["farm-till", "farm-refill", "farm-place", "farm-object"].map((id) => document.getElementById(id));
     const unselectBtn = document.getElementById("farm-unselect");
     if (cropSelect) cropSelect.disabled = !enabled;
     if (sowBtn) sowBtn.disabled = !enabled;
     if (waterBtn) waterBtn.disabled = !enabled;
+    if (fertilizeBtn) fertilizeBtn.disabled = !enabled;
+    for (const el of extraButtons) {
+      if (el) el.disabled = !enabled;
+    }
     if (harvestBtn) harvestBtn.disabled = !enabled;
     if (unselectBtn) unselectBtn.disabled = !selected;
 
@@ -1234,17 +1262,23 @@ class TownScene extends Phaser.Scene {
       world.timeMinutes,
       world.dayNumber
     )}`;
-    document.getElementById("weather").textContent = world.weather;
+    document.getElementById("weather").textContent = world.season
+      ? `${world.weather} · ${world.season} day ${world.seasonDay}`
+      : world.weather;
+    if (Array.isArray(world.crops)) this.syncCropOptions(world.crops, world.season);
+    if (Array.isArray(world.recipes)) this.recipes = world.recipes;
+    if (Array.isArray(world.forage)) this.forageItems = world.forage;
+    if (Array.isArray(world.you?.relationships)) this.applyRelationships(world.you.relationships);
     document.body.dataset.weather = String(world.weather || "clear")
       .toLowerCase()
       .replace(/[^a-z]+/g, "-")
       .replace(/^-|-$/g, "") || "clear";
     const econ = world.economy;
     if (econ?.cropPrices) {
-      const t = econ.cropPrices.turnip ?? "-";
-      const c = econ.cropPrices.carrot ?? "-";
-      const p = econ.cropPrices.pumpkin ?? "-";
-      document.getElementById("economy").textContent = `Market ${econ.mood || "steady"}: T${t} C${c} P${p}`;
+      const prices = Object.entries(econ.cropPrices)
+        .map(([cropType, price]) => `${cropType.charAt(0).toUpperCase()}${price}`)
+        .join(" ");
+      document.getElementById("economy").textContent = `Market ${econ.mood || "steady"}: ${prices}`;
     } else {
       document.getElementById("economy").textContent = "Market: ...";
     }
@@ -1305,6 +1339,8 @@ class TownScene extends Phaser.Scene {
     this.syncFarmPlots();
     this.updateFarmHud();
     this.updateFarmToolbeltState();
+    if (this.isKitchenOpen()) this.renderKitchen();
+    this.updateGiftControls();
 
     const activeIds = new Set();
     for (const npc of world.npcs) {
@@ -1388,7 +1424,43 @@ class TownScene extends Phaser.Scene {
     }
   }
 
+  drawHomeField(lot) {
+    const key = lot ? `${lot.id}:${lot.x}:${lot.y}:${lot.w}:${lot.h}` : "";
+    if (key === this.homeFieldKey) return;
+    this.homeFieldKey = key;
+    for (const part of this.homeFieldParts) part.destroy();
+    this.homeFieldParts = [];
+    if (!lot) return;
+
+    const cx = lot.x + lot.w / 2;
+    const cy = lot.y + lot.h / 2;
+    const halfW = lot.w / 2;
+    const halfH = lot.h / 2;
+    const parts = this.homeFieldParts;
+    parts.push(this.add.rectangle(cx, cy, lot.w, lot.h, 0x6b5432, 0.34).setStrokeStyle(2, 0xc1a572, 0.7));
+    parts.push(
+      this.add.rectangle(cx, cy, lot.w + 20, lot.h + 20, 0x2d2317, 0).setStrokeStyle(1, 0xdcc38c, 0.65).setDepth(3)
+    );
+    parts.push(
+      this.add.text(lot.x + 4, lot.y - 18, "Your Home Field", {
+        fontSize: "11px",
+        color: "#f6e8bb",
+        stroke: "#1a1a1a",
+        strokeThickness: 2
+      })
+    );
+    for (let fx = cx - halfW + 2; fx <= cx + halfW - 2; fx += 20) {
+      parts.push(this.add.rectangle(fx, cy + halfH + 5, 4, 14, 0x8b6b44, 0.9).setDepth(4));
+      parts.push(this.add.rectangle(fx, cy - halfH - 5, 4, 14, 0x8b6b44, 0.9).setDepth(4));
+    }
+    for (let fy = cy - halfH - 5; fy <= cy + halfH + 5; fy += 20) {
+      parts.push(this.add.rectangle(cx - halfW - 10, fy, 4, 14, 0x8b6b44, 0.9).setDepth(4));
+      parts.push(this.add.rectangle(cx + halfW + 10, fy, 4, 14, 0x8b6b44, 0.9).setDepth(4));
+    }
+  }
+
   syncFarmPlots() {
+    this.drawHomeField(this.farmData?.lot || null);
     const liveIds = new Set();
     for (const plot of this.farmData?.plots || []) {
       liveIds.add(plot.id);
@@ -1398,7 +1470,7 @@ class TownScene extends Phaser.Scene {
         const bed = this.add.graphics().setDepth(8);
         const crop = this.add.graphics().setDepth(9);
         const moisture = this.add.rectangle(plot.x, plot.y + 15, 0, 3, 0x4fa4cb, 0.95).setDepth(10);
-        const selection = this.add.rectangle(plot.x, plot.y, 38, 38, 0x000000, 0).setDepth(11);
+        const selection = this.add.rectangle(plot.x, plot.y, 34, 34, 0x000000, 0).setDepth(11);
         selection.setStrokeStyle(1, 0x2c2117, 0.95);
         selection.setInteractive({ useHandCursor: true });
         const label = this.add.text(plot.x - 16, plot.y - 8, `#${plot.id}`, {
@@ -1417,22 +1489,27 @@ class TownScene extends Phaser.Scene {
           this.syncFarmPlots();
         });
 
-        sprite = { bed, crop, moisture, selection, label };
+        const object = this.add.graphics().setDepth(9);
+        sprite = { bed, crop, moisture, selection, label, object };
         this.farmPlotSprites.set(plot.id, sprite);
       }
 
       const selected = this.selectedPlotId === plot.id;
       const baseByState = {
         empty: 0x7c5e39,
+        tilled: 0x5c4127,
         seeded: 0x6f5433,
         growing: 0x5f482b,
-        ready: 0x72502d
+        ready: 0x72502d,
+        withered: 0x5a4a3a
       };
       const accentByState = {
         empty: 0x9b7a4d,
+        tilled: 0x7a5733,
         seeded: 0x8d6c43,
         growing: 0x8f6a3c,
-        ready: 0xae8d4d
+        ready: 0xae8d4d,
+        withered: 0x74644f
       };
       const base = baseByState[plot.state] || 0x7c5e39;
       const accent = accentByState[plot.state] || 0x9b7a4d;
@@ -1453,7 +1530,7 @@ class TownScene extends Phaser.Scene {
       sprite.moisture.setFillStyle(waterPct > 0.65 ? 0x66b8d8 : waterPct > 0.25 ? 0x4d99be : 0x35647f, 0.95);
 
       sprite.crop.clear();
-      const maxGrowth = CROP_GROW_MINUTES[plot.cropType] || 360;
+      const maxGrowth = this.cropConfig?.[plot.cropType]?.growMinutes || 360;
       const growthPct = clamp01((plot.growth || 0) / maxGrowth);
       if (plot.state === "seeded") {
         sprite.crop.fillStyle(0xcbb28a, 0.95);
@@ -1475,6 +1552,27 @@ class TownScene extends Phaser.Scene {
         sprite.crop.fillStyle(0xf2cb5d, 0.96);
         sprite.crop.fillCircle(plot.x - 4, plot.y - 3, 2.4);
         sprite.crop.fillCircle(plot.x + 4, plot.y - 5, 2.4);
+      } else if (plot.state === "withered") {
+        sprite.crop.lineStyle(2, 0x7a6244, 1);
+        sprite.crop.lineBetween(plot.x - 4, plot.y + 5, plot.x - 7, plot.y - 1);
+        sprite.crop.lineBetween(plot.x + 2, plot.y + 6, plot.x + 6, plot.y + 1);
+        sprite.crop.fillStyle(0x8a6d45, 0.9);
+        sprite.crop.fillCircle(plot.x - 7, plot.y - 1, 1.8);
+        sprite.crop.fillCircle(plot.x + 6, plot.y + 1, 1.8);
+      }
+
+      sprite.object.clear();
+      if (plot.object === "sprinkler") {
+        sprite.object.fillStyle(0x9aa4ad, 1);
+        sprite.object.fillRect(plot.x - 2, plot.y - 8, 4, 12);
+        sprite.object.fillStyle(0x66b8d8, 0.9);
+        sprite.object.fillCircle(plot.x, plot.y - 9, 4);
+      } else if (plot.object === "scarecrow") {
+        sprite.object.lineStyle(2, 0x6b4a2b, 1);
+        sprite.object.lineBetween(plot.x, plot.y + 8, plot.x, plot.y - 10);
+        sprite.object.lineBetween(plot.x - 8, plot.y - 4, plot.x + 8, plot.y - 4);
+        sprite.object.fillStyle(0xe2c46a, 1);
+        sprite.object.fillCircle(plot.x, plot.y - 11, 3.5);
       }
 
       sprite.selection.setPosition(plot.x, plot.y);
@@ -1490,6 +1588,7 @@ class TownScene extends Phaser.Scene {
       sprite.moisture.destroy();
       sprite.selection.destroy();
       sprite.label.destroy();
+      sprite.object.destroy();
       this.farmPlotSprites.delete(plotId);
     }
 
@@ -1522,23 +1621,79 @@ class TownScene extends Phaser.Scene {
       selectedEl.textContent = "Plot: none";
     } else {
       const moisture = Math.round(plot.water || 0);
-      selectedEl.textContent = `Plot ${plot.id}: ${plot.state}${plot.cropType ? ` (${plot.cropType})` : ""}, water ${moisture}%`;
+      const soil = Number.isFinite(plot.soil) ? `, soil ${plot.soil}` : "";
+      selectedEl.textContent =
+        `Plot ${plot.id}: ${plot.state}${plot.cropType ? ` (${plot.cropType})` : ""}, water ${moisture}%${soil}`;
     }
 
     coinsEl.textContent = `Coins: ${this.farmData.coins}`;
     const i = this.farmData.inventory || {};
     const selectedCrop = cropEl?.value || "turnip";
     const seeds = Number(i[`${selectedCrop}_seed`] || 0);
+    const cropTypes = Object.keys(this.cropConfig || {});
+    const crops = cropTypes.map((cropType) => `${cropType} ${i[cropType] || 0}`).join(", ");
+    const seedCounts = cropTypes
+      .map((cropType) => `${cropType.charAt(0).toUpperCase()}:${i[`${cropType}_seed`] || 0}`)
+      .join(" ");
+    const tools = this.farmData.tools;
+    const canText = tools ? ` | can ${tools.water}/${tools.capacity}` : "";
     invEl.textContent =
-      `Inventory: turnip ${i.turnip || 0}, carrot ${i.carrot || 0}, pumpkin ${i.pumpkin || 0}` +
-      ` | seeds T:${i.turnip_seed || 0} C:${i.carrot_seed || 0} P:${i.pumpkin_seed || 0} | selected ${selectedCrop} seeds ${seeds}`;
+      `Inventory: ${crops || "-"} | seeds ${seedCounts} | fertilizer ${i.fertilizer || 0}` +
+      ` | sprinklers ${i.sprinkler || 0}, scarecrows ${i.scarecrow || 0}${canText}` +
+      ` | selected ${selectedCrop} seeds ${seeds}`;
+
+    const placeBtn = document.getElementById("farm-place");
+    if (placeBtn) placeBtn.title = plot?.object ? "Pick up" : "Place object";
+    this.renderFarmUpgrades(this.farmData.upgrades || []);
+  }
+
+  renderFarmUpgrades(upgrades) {
+    const list = document.getElementById("farm-upgrades");
+    if (!list) return;
+    const key = upgrades.map((offer) => `${offer.item}:${offer.price}:${offer.label}`).join("|");
+    if (list.dataset.key === key) return;
+    list.dataset.key = key;
+    list.replaceChildren(
+      ...upgrades.map((offer) => {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.dataset.upgrade = offer.item;
+        button.textContent = `${offer.label} (${offer.price})`;
+        return button;
+      })
+    );
+  }
+
+  syncCropOptions(crops, season) {
+    this.cropConfig = Object.fromEntries(crops.map((crop) => [crop.id, crop]));
+    const cropSelect = document.getElementById("farm-crop");
+    if (!cropSelect) return;
+    const key = `${season}|${crops.map((crop) => crop.id).join(",")}`;
+    if (cropSelect.dataset.cropKey === key) return;
+    const current = cropSelect.value;
+    cropSelect.replaceChildren(
+      ...crops.map((crop) => {
+        const inSeason = !season || !Array.isArray(crop.seasons) || crop.seasons.includes(season);
+        const option = new Option(inSeason ? crop.label : `${crop.label} (out of season)`, crop.id);
+        option.disabled = !inSeason;
+        return option;
+      })
+    );
+    const firstOpen = [...cropSelect.options].find((option) => !option.disabled);
+    const keep = [...cropSelect.options].find((option) => option.value === current && !option.disabled);
+    cropSelect.value = (keep || firstOpen || cropSelect.options[0])?.value || "";
+    cropSelect.dataset.cropKey = key;
   }
 
   addDialogue(evt) {
-    for (const bubble of this.bubbles.values()) {
-      bubble.text.destroy();
+    const streamed = evt.streamId ? this.bubbles.get(evt.speakerId) : null;
+    const existing = streamed?.streamId === evt.streamId ? streamed : null;
+    if (!existing) {
+      for (const bubble of this.bubbles.values()) {
+        bubble.text.destroy();
+      }
+      this.bubbles.clear();
     }
-    this.bubbles.clear();
 
     let bubbleText = evt.text;
     if (
@@ -1563,14 +1718,16 @@ class TownScene extends Phaser.Scene {
     const isHighlighted =
       (evt.type === "npc_to_player" && evt.targetId === this.socket?.id) ||
       (evt.type === "player_chat" && evt.speakerId === this.socket?.id);
-    const bubble = this.add.text(evt.x, evt.y - 24, bubbleText, {
-      fontSize: "9px",
-      color: "#151515",
-      backgroundColor: isHighlighted ? "#ffedbf" : "#f5f3e6",
-      padding: { x: 5, y: 3 },
-      wordWrap: { width: 120 },
-      align: "center"
-    });
+    const bubble =
+      existing?.text.setText(bubbleText) ||
+      this.add.text(evt.x, evt.y - 24, bubbleText, {
+        fontSize: "9px",
+        color: "#151515",
+        backgroundColor: isHighlighted ? "#ffedbf" : "#f5f3e6",
+        padding: { x: 5, y: 3 },
+        wordWrap: { width: 120 },
+        align: "center"
+      });
     bubble.setOrigin(0.5, 1);
     bubble.setDepth(99);
     if (evt.type === "npc_to_player" && evt.targetId === this.socket?.id && evt.needsContinue) {
@@ -1580,7 +1737,11 @@ class TownScene extends Phaser.Scene {
         this.socket.emit("player_interact_npc", { npcId: this.activeDialogueNpcId });
       });
     }
-    this.bubbles.set(evt.speakerId, { text: bubble, expiresAt: this.time.now + DIALOGUE_BUBBLE_MS });
+    this.bubbles.set(evt.speakerId, {
+      text: bubble,
+      streamId: evt.streamId || null,
+      expiresAt: this.time.now + DIALOGUE_BUBBLE_MS
+    });
   }
 
   updateDialogueBubbles() {
@@ -1610,11 +1771,350 @@ class TownScene extends Phaser.Scene {
     return active && (active.id === "chat-input" || active.id === "player-name");
   }
 
+  setupTradeControls() {
+    document.getElementById("trade-accept").addEventListener("click", () => {
+      if (this.trade) this.socket.emit("trade_request", { username: this.trade.them.name });
+    });
+    document.getElementById("trade-confirm").addEventListener("click", () => {
+      if (this.trade) this.socket.emit("trade_confirm", { tradeId: this.trade.id, version: this.trade.version });
+    });
+    document.getElementById("trade-cancel").addEventListener("click", () => {
+      if (this.trade) this.socket.emit("trade_cancel", { tradeId: this.trade.id });
+    });
+    const offerEl = document.getElementById("trade-your-offer");
+    offerEl.addEventListener("change", () => this.sendTradeOffer());
+    offerEl.addEventListener("keydown", (evt) => evt.stopPropagation());
+  }
+
+  setupShopControls() {
+    document.getElementById("shop-close").addEventListener("click", () => this.closeShop());
+    const panel = document.getElementById("shop-panel");
+    panel.addEventListener("keydown", (evt) => evt.stopPropagation());
+    panel.addEventListener("click", (evt) => {
+      const button = evt.target.closest("button[data-kind]");
+      if (!button || !this.shop || !this.socket?.connected) return;
+      const input = button.parentElement.querySelector("input");
+      this.socket.emit(`shop_${button.dataset.kind}`, {
+        npcId: this.shop.npcId,
+        item: button.dataset.item,
+        qty: Math.max(1, Math.floor(Number(input?.value) || 1))
+      });
+    });
+  }
+
+  setupKitchenControls() {
+    const panel = document.getElementById("kitchen-panel");
+    const forage = () => {
+      if (this.socket?.connected && !this.isTypingInChat()) this.socket.emit("forage");
+    };
+    document.getElementById("kitchen-close").addEventListener("click", () => this.toggleKitchen(false));
+    document.getElementById("kitchen-forage").addEventListener("click", forage);
+    panel.addEventListener("keydown", (evt) => evt.stopPropagation());
+    panel.addEventListener("click", (evt) => {
+      const button = evt.target.closest("button[data-recipe]");
+      if (!button || !this.socket?.connected) return;
+      const input = button.parentElement.querySelector("input");
+      this.socket.emit("craft_item", {
+        recipeId: button.dataset.recipe,
+        qty: Math.max(1, Math.floor(Number(input?.value) || 1))
+      });
+    });
+    this.input.keyboard.on("keydown-C", () => {
+      if (!this.isTypingInChat()) this.toggleKitchen(!this.isKitchenOpen());
+    });
+    this.input.keyboard.on("keydown-F", forage);
+  }
+
+  isKitchenOpen() {
+    return !document.getElementById("kitchen-panel").classList.contains("hidden");
+  }
+
+  toggleKitchen(open) {
+    document.getElementById("kitchen-panel").classList.toggle("hidden", !open);
+    if (open) this.renderKitchen();
+  }
+
+  renderKitchen() {
+    const owned = this.farmData?.inventory || {};
+    const goods = [...this.forageItems, ...this.recipes]
+      .filter((entry) => (owned[entry.id] || 0) > 0)
+      .map((entry) => `${entry.label} ${owned[entry.id]}`);
+    document.getElementById("kitchen-pantry").textContent = `Pantry: ${goods.join(", ") || "empty"}`;
+
+    const container = document.getElementById("kitchen-recipes");
+    const key = JSON.stringify([this.recipes.map((recipe) => recipe.id), owned]);
+    if (container.dataset.key === key) return;
+    container.dataset.key = key;
+    container.replaceChildren(
+      ...this.recipes.map((recipe) => {
+        const short = recipe.inputs.some((input) => (owned[input.item] || 0) < input.qty);
+        const needs = recipe.inputs.map((input) => `${input.qty} ${input.label}`).join(", ");
+        const where = recipe.station === "home" ? "at home" : `in ${recipe.station}`;
+        const row = document.createElement("div");
+        row.className = `trade-row kitchen-row${short ? " is-short" : ""}`;
+        row.title = `Needs ${needs}, made ${where}.`;
+        const label = `${recipe.label}${recipe.makes > 1 ? ` x${recipe.makes}` : ""}`;
+        const station = recipe.station === "home" ? "" : ` (${recipe.station})`;
+        row.append(document.createTextNode(`${label}: ${needs}${station}`));
+        const input = document.createElement("input");
+        input.type = "number";
+        input.min = "1";
+        input.max = "10";
+        input.value = "1";
+        const button = document.createElement("button");
+        button.type = "button";
+        button.textContent = "Cook";
+        button.dataset.recipe = recipe.id;
+        button.disabled = short;
+        row.append(input, button);
+        return row;
+      })
+    );
+  }
+
+  setupFriendsControls() {
+    document.getElementById("friends-close").addEventListener("click", () => this.toggleFriends(false));
+    this.input.keyboard.on("keydown-R", () => {
+      if (!this.isTypingInChat()) this.toggleFriends(!this.isFriendsOpen());
+    });
+  }
+
+  isFriendsOpen() {
+    return !document.getElementById("friends-panel").classList.contains("hidden");
+  }
+
+  toggleFriends(open) {
+    document.getElementById("friends-panel").classList.toggle("hidden", !open);
+    if (open) this.renderFriends();
+  }
+
+  applyRelationships(relationships) {
+    const key = JSON.stringify(relationships);
+    if (key === this.relationshipsKey) return;
+    this.relationshipsKey = key;
+    this.relationships = relationships;
+    if (this.isFriendsOpen()) this.renderFriends();
+  }
+
+  renderFriends() {
+    const list = document.getElementById("friends-list");
+    list.replaceChildren(
+      ...this.relationships.map((friend) => {
+        const row = document.createElement("div");
+        row.className = "friend-row";
+        const hearts = document.createElement("span");
+        hearts.className = "friend-hearts";
+        hearts.textContent = `${"\u2665".repeat(friend.hearts)}${"\u2661".repeat(Math.max(0, 4 - friend.hearts))} `;
+        const next = friend.nextAt === null ? "" : ` (${friend.score}/${friend.nextAt})`;
+        const text = `${friend.name}, ${friend.role}: ${friend.label}${next} · ${friend.warmth}, ${friend.trust}`;
+        row.append(hearts, document.createTextNode(text));
+        row.title = `Heart events seen: ${friend.eventsSeen}/${friend.eventsTotal}`;
+        if (friend.favor) {
+          const favor = document.createElement("div");
+          favor.className = "friend-favor";
+          favor.textContent = `${friend.favor.title}: bring ${friend.favor.qty} ${friend.favor.label}`;
+          row.append(favor);
+        }
+        return row;
+      })
+    );
+  }
+
+  setupGiftControls() {
+    const select = document.getElementById("gift-item");
+    select.addEventListener("keydown", (evt) => evt.stopPropagation());
+    document.getElementById("gift-give").addEventListener("click", () => {
+      if (!this.socket?.connected || !this.activeDialogueNpcId || !select.value) return;
+      this.socket.emit("give_item", { npcId: this.activeDialogueNpcId, item: select.value });
+    });
+  }
+
+  itemLabel(item) {
+    const goods = [...this.recipes, ...this.forageItems].find((entry) => entry.id === item);
+    if (goods) return goods.label;
+    const cropType = item.endsWith("_seed") ? item.slice(0, -5) : item;
+    const crop = this.cropConfig?.[cropType];
+    if (crop) return cropType === item ? crop.label : `${crop.label} seed`;
+    return item.replace(/_/g, " ");
+  }
+
+  updateGiftControls() {
+    const controls = document.getElementById("gift-controls");
+    const select = document.getElementById("gift-item");
+    if (!controls || !select) return;
+    const owned = Object.entries(this.farmData?.inventory || {}).filter(([, qty]) => qty > 0);
+    const npcTarget = this.chatChannel === "local" && this.npcSprites.has(this.activeDialogueNpcId);
+    controls.classList.toggle("hidden", !npcTarget || owned.length === 0);
+    const key = owned.map(([item, qty]) => `${item}:${qty}`).join("|");
+    if (select.dataset.key === key) return;
+    select.dataset.key = key;
+    const current = select.value;
+    select.replaceChildren(...owned.map(([item, qty]) => new Option(`${this.itemLabel(item)} (${qty})`, item)));
+    if (owned.some(([item]) => item === current)) select.value = current;
+  }
+
+  applyShop(view) {
+    if (!view?.npcId) return;
+    const reopened = this.shop?.npcId !== view.npcId;
+    this.shop = view;
+    document.getElementById("shop-panel").classList.remove("hidden");
+    document.getElementById("shop-title").textContent = `${view.npcName}'s stall`;
+    if (reopened) document.getElementById("shop-feedback").textContent = "";
+    const owned = this.farmData?.inventory || {};
+    this.renderShopRows("shop-sells", view.sells, "buy", (entry) => `${entry.stock} left`);
+    this.renderShopRows("shop-buys", view.buys, "sell", (entry) => `have ${owned[entry.item] || 0}, wants ${entry.wanted}`);
+  }
+
+  renderShopRows(containerId, entries, kind, detail) {
+    const container = document.getElementById(containerId);
+    container.replaceChildren();
+    for (const entry of entries || []) {
+      const limit = kind === "buy" ? entry.stock : entry.wanted;
+      const row = document.createElement("div");
+      row.className = `trade-row shop-row${limit > 0 ? "" : " is-empty"}`;
+      row.append(document.createTextNode(`${entry.label} ${entry.price}c (${detail(entry)})`));
+      const input = document.createElement("input");
+      input.type = "number";
+      input.min = "1";
+      input.max = String(Math.max(1, limit));
+      input.value = "1";
+      const button = document.createElement("button");
+      button.type = "button";
+      button.textContent = kind === "buy" ? "Buy" : "Sell";
+      button.dataset.kind = kind;
+      button.dataset.item = entry.item;
+      button.disabled = limit <= 0;
+      row.append(input, button);
+      container.append(row);
+    }
+  }
+
+  closeShop() {
+    this.shop = null;
+    document.getElementById("shop-panel").classList.add("hidden");
+  }
+
+  updateShopDistance() {
+    if (!this.shop) return;
+    const sprite = this.npcSprites.get(this.shop.npcId);
+    if (!sprite || Math.hypot(sprite.body.x - this.player.x, sprite.body.y - this.player.y) > SHOP_CLOSE_DISTANCE) {
+      this.closeShop();
+    }
+  }
+
+  sendTradeOffer() {
+    if (!this.trade || this.trade.status !== "open" || !this.socket?.connected) return;
+    const items = {};
+    let coins = 0;
+    for (const input of document.querySelectorAll("#trade-your-offer input")) {
+      const qty = Math.max(0, Math.floor(Number(input.value) || 0));
+      if (input.dataset.item === "coins") coins = qty;
+      else if (qty > 0) items[input.dataset.item] = qty;
+    }
+    this.socket.emit("trade_offer_update", { tradeId: this.trade.id, items, coins });
+  }
+
+  applyTrade(view) {
+    if (!view?.id) return;
+    const panel = document.getElementById("trade-panel");
+    const closed = view.status === "completed" || view.status === "cancelled";
+    const them = view.them?.name || "someone";
+    this.trade = closed ? null : view;
+    panel.classList.remove("hidden");
+
+    document.getElementById("trade-title").textContent = `Trade with ${them}`;
+    document.getElementById("trade-status").textContent = tradeStatusText(view);
+    document.getElementById("trade-their-title").textContent = `${them}'s offer`;
+    document.getElementById("trade-their-offer").textContent = describeTradeOffer(view.them?.offer);
+    document.getElementById("trade-feedback").textContent = view.message || "";
+    document.getElementById("trade-accept").classList.toggle("hidden", !view.incoming);
+    document.getElementById("trade-confirm").classList.toggle("hidden", view.status !== "open");
+    document.getElementById("trade-confirm").disabled = Boolean(view.you?.confirmed);
+    document.getElementById("trade-cancel").classList.toggle("hidden", closed);
+    this.renderTradeOffer(view);
+
+    if (closed) {
+      this.time.delayedCall(TRADE_CLOSE_DELAY_MS, () => {
+        if (!this.trade) panel.classList.add("hidden");
+      });
+    }
+  }
+
+  renderTradeOffer(view) {
+    const offerEl = document.getElementById("trade-your-offer");
+    if (offerEl.contains(document.activeElement)) return;
+    offerEl.replaceChildren();
+    const editable = view.status === "open";
+    const owned = { ...(this.farmData?.inventory || {}), coins: this.farmData?.coins || 0 };
+    const offered = { ...(view.you?.offer?.items || {}), coins: view.you?.offer?.coins || 0 };
+    const keys = Object.keys(owned).filter((key) => Number(owned[key]) > 0 || Number(offered[key]) > 0);
+    if (!editable) {
+      offerEl.textContent = describeTradeOffer(view.you?.offer);
+      return;
+    }
+    for (const key of keys) {
+      const row = document.createElement("label");
+      row.className = "trade-row";
+      row.append(document.createTextNode(`${key.replace(/_/g, " ")} (${owned[key] || 0})`));
+      const input = document.createElement("input");
+      input.type = "number";
+      input.min = "0";
+      input.max = String(owned[key] || 0);
+      input.value = String(offered[key] || 0);
+      input.dataset.item = key;
+      row.append(input);
+      offerEl.append(row);
+    }
+  }
+
+  addChatMessage(msg) {
+    const logEl = document.getElementById("chat-log");
+    if (!logEl || !msg?.text) return;
+    const line = document.createElement("div");
+    line.className = `chat-line chat-line--${msg.channel || "local"}`;
+    if (msg.channel !== "system") {
+      const from = document.createElement("span");
+      from.className = "chat-from";
+      const mine = msg.fromId === this.socket?.id;
+      if (msg.channel === "whisper") {
+        from.textContent = mine ? `To ${msg.toName}:` : `${msg.fromName} whispers:`;
+      } else {
+        from.textContent = `${msg.channel === "global" ? "[Global] " : ""}${mine ? "You" : msg.fromName}:`;
+      }
+      line.append(from);
+    }
+    line.append(document.createTextNode(msg.text));
+    logEl.append(line);
+    while (logEl.childElementCount > CHAT_LOG_MAX_LINES) {
+      logEl.firstElementChild.remove();
+    }
+    logEl.scrollTop = logEl.scrollHeight;
+  }
+
   updateChatTarget() {
     const targetEl = document.getElementById("chat-target");
     const inputEl = document.getElementById("chat-input");
     const hasTarget = Boolean(this.activeDialogueNpcId);
-    this.setChatUiVisible(hasTarget);
+    const group = this.groupConversation;
+    this.setChatUiVisible(true);
+    this.updateGiftControls();
+    if (this.chatChannel === "global") {
+      targetEl.textContent = "Channel: Global";
+      inputEl.placeholder = "Say something to everyone in town...";
+      return;
+    }
+    if (this.chatChannel === "whisper") {
+      const to = document.getElementById("chat-whisper-to")?.value.trim();
+      targetEl.textContent = `Whisper to: ${to || "..."}`;
+      inputEl.placeholder = to ? `Whisper to ${to}...` : "Type a username first...";
+      return;
+    }
+    if (!hasTarget && group) {
+      const names = (group.participants || []).filter((p) => p.kind === "npc").map((p) => p.name);
+      targetEl.textContent = `Talking with: ${names.join(", ") || "the group"}`;
+      inputEl.placeholder = "Say something to the group...";
+      return;
+    }
     if (hasTarget) {
       const targetName = this.activeDialogueNpcName || this.npcSprites.get(this.activeDialogueNpcId)?.name || "someone";
       targetEl.textContent = `Talking to: ${targetName}`;
@@ -1622,8 +2122,8 @@ class TownScene extends Phaser.Scene {
       return;
     }
     this.setMobileChatMenuOpen(false);
-    targetEl.textContent = "Talking to: nobody";
-    inputEl.placeholder = "Say something...";
+    targetEl.textContent = "Channel: Local";
+    inputEl.placeholder = "Say something to people nearby...";
   }
 
   updateMovement() {
@@ -1649,6 +2149,7 @@ class TownScene extends Phaser.Scene {
     this.updateDialogueBubbles();
     this.updateFarmToolbeltState();
     this.positionFarmToolbelt();
+    this.updateShopDistance();
 
     this.playerLabel.x = this.player.x - 10;
     this.playerLabel.y = this.player.y - 26;
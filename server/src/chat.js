@@ -0,0 +1,107 @@
+export const CHAT_CHANNELS = ["local", "global", "whisper"];
+export const CHAT_BLOCK_KINDS = ["mute", "block"];
+
+const DEFAULT_BLOCKED_WORDS = ["fuck", "shit", "bitch", "cunt", "asshole", "bastard", "dick", "slut", "whore"];
+const BLOCK_COMMANDS = new Set(["mute", "unmute", "block", "unblock"]);
+
+function escapeRegExp(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+export function normalizeChatChannel(value) {
+  const channel = String(value || "").trim().toLowerCase();
+  return CHAT_CHANNELS.includes(channel) ? channel : "local";
+}
+
+export function parseChatCommand(text) {
+  const raw = String(text || "").trim();
+  const match = raw.match(/^\/(\w+)\s*([\s\S]*)$/);
+  if (!match) return null;
+  const name = match[1].toLowerCase();
+  const rest = match[2].trim();
+  if (name === "w" || name === "whisper" || name === "msg") {
+    const [to = "", ...words] = rest.split(/\s+/);
+    return { command: "whisper", to, text: words.join(" ") };
+  }
+  if (name === "g" || name === "global") return { command: "global", text: rest };
+  if (name === "l" || name === "local") return { command: "local", text: rest };
+  if (BLOCK_COMMANDS.has(name) || name === "trade") return { command: name, username: rest.split(/\s+/)[0] || "" };
+  if (name === "blocked" || name === "muted") return { command: "list_blocks" };
+  return null;
+}
+
+export function createChatRateLimiter({ limit = 5, windowMs = 10_000 } = {}) {
+  const history = new Map();
+  return {
+    allow(key, now = Date.now()) {
+      const recent = (history.get(key) || []).filter((at) => now - at < windowMs);
+      if (recent.length >= limit) {
+        history.set(key, recent);
+        return { ok: false, retryInMs: windowMs - (now - recent[0]) };
+      }
+      recent.push(now);
+      history.set(key, recent);
+      return { ok: true, retryInMs: 0 };
+    },
+    forget(key) {
+      history.delete(key);
+    }
+  };
+}
+
+export function createChatFilter({ blockedWords = DEFAULT_BLOCKED_WORDS, hooks = [] } = {}) {
+  const words = [...new Set(blockedWords.map((w) => String(w).trim().toLowerCase()).filter(Boolean))];
+  const pattern =
+    words.length > 0
+      ? new RegExp(`\\b(?:${words.map(escapeRegExp).join("|")})(?:s|es|ed|er|ers|ing)?\\b`, "gi")
+      : null;
+  const chain = [...hooks];
+
+  return {
+    use(hook) {
+      if (typeof hook === "function") chain.push(hook);
+    },
+    async check(text, context = {}) {
+      let clean = String(text || "");
+      if (pattern) clean = clean.replace(pattern, (word) => "*".repeat(word.length));
+      for (const hook of chain) {
+        const verdict = await hook(clean, context);
+        if (!verdict) continue;
+        if (verdict.block) return { ok: false, text: "", reason: String(verdict.block) };
+        if (typeof verdict.text === "string") clean = verdict.text;
+      }
+      clean = clean.trim();
+      return clean ? { ok: true, text: clean, reason: "" } : { ok: false, text: "", reason: "Message is empty." };
+    }
+  };
+}
+
+export function chatBlocksFromRows(rows) {
+  const blocks = new Map();
+  for (const row of Array.isArray(rows) ? rows : []) {
+    if (!row?.target_id || !CHAT_BLOCK_KINDS.includes(row.kind)) continue;
+    blocks.set(row.target_id, { kind: row.kind, username: row.username || "" });
+  }
+  return blocks;
+}
+
+export function isChatHidden(recipient, sender) {
+  return Boolean(recipient?.chatBlocks?.has(sender?.playerId));
+}
+
+export function canWhisper(sender, target) {
+  if (!sender || !target || sender.playerId === target.playerId) return false;
+  return (
+    target.chatBlocks?.get(sender.playerId)?.kind !== "block" &&
+    sender.chatBlocks?.get(target.playerId)?.kind !== "block"
+  );
+}
+
+export function chatRecipients({ sender, channel, players, radius = Infinity }) {
+  return [...players].filter((player) => {
+    if (player.id === sender.id) return true;
+    if (isChatHidden(player, sender)) return false;
+    if (channel === "global") return true;
+    return Math.hypot(player.x - sender.x, player.y - sender.y) <= radius;
+  });
+}
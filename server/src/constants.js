@@ -1,105 +1,48 @@
-export const WORLD_WIDTH = 1600;
-export const WORLD_HEIGHT = 1200;
-export const TILE_SIZE = 32;
+import { readFileSync } from "node:fs";
+import { TiledMapError, parseTiledMap, requireMarker } from "../../shared/tiled-map.js";
+import { loadContentPacks } from "./content-packs.js";
 
-export const AREAS = [
-  { name: "Town Square", x: 560, y: 460, w: 480, h: 280 },
-  { name: "Market Street", x: 220, y: 240, w: 280, h: 420 },
-  { name: "Dock", x: 1180, y: 760, w: 340, h: 300 },
-  { name: "Sanctum", x: 1060, y: 160, w: 280, h: 220 },
-  { name: "Forest", x: 120, y: 760, w: 360, h: 320 },
-  { name: "Housing", x: 470, y: 80, w: 530, h: 330 }
-];
+export const TOWN_MAP = parseTiledMap(readFileSync(new URL("../../shared/maps/town.json", import.meta.url), "utf-8"));
 
-export const NPC_SEEDS = [
-  {
-    id: "npc_businessman",
-    name: "Alden",
-    role: "Businessman",
-    traits: ["greedy", "charming", "calculating"],
-    x: 320,
-    y: 350,
-    area: "Market Street"
-  },
-  {
-    id: "npc_politician",
-    name: "Maris",
-    role: "Politician",
-    traits: ["ambitious", "eloquent", "paranoid"],
-    x: 700,
-    y: 510,
-    area: "Town Square"
-  },
-  {
-    id: "npc_fisherman",
-    name: "Bram",
-    role: "Fisherman",
-    traits: ["practical", "superstitious", "kind"],
-    x: 1310,
-    y: 910,
-    area: "Dock"
-  },
-  {
-    id: "npc_shop_owner",
-    name: "Tessa",
-    role: "Shop Owner",
-    traits: ["funny", "frugal", "observant"],
-    x: 370,
-    y: 500,
-    area: "Market Street"
-  },
-  {
-    id: "npc_artist",
-    name: "Ivo",
-    role: "Artist",
-    traits: ["dramatic", "sensitive", "curious"],
-    x: 650,
-    y: 240,
-    area: "Housing"
-  },
-  {
-    id: "npc_devotee",
-    name: "Sister Elen",
-    role: "Religious Devotee",
-    traits: ["calm", "moral", "strict"],
-    x: 1170,
-    y: 240,
-    area: "Sanctum"
-  },
-  {
-    id: "npc_cultist",
-    name: "Crow",
-    role: "Cultist",
-    traits: ["cryptic", "intense", "secretive"],
-    x: 260,
-    y: 980,
-    area: "Forest"
-  },
-  {
-    id: "npc_guard",
-    name: "Rook",
-    role: "Town Guard",
-    traits: ["stern", "loyal", "vigilant"],
-    x: 840,
-    y: 560,
-    area: "Town Square"
-  },
-  {
-    id: "npc_herbalist",
-    name: "Mira",
-    role: "Herbalist",
-    traits: ["gentle", "wise", "cautious"],
-    x: 210,
-    y: 860,
-    area: "Forest"
-  },
-  {
-    id: "npc_blacksmith",
-    name: "Doran",
-    role: "Blacksmith",
-    traits: ["gruff", "honest", "hardworking"],
-    x: 560,
-    y: 300,
-    area: "Housing"
-  }
-];
+export const WORLD_WIDTH = TOWN_MAP.width;
+export const WORLD_HEIGHT = TOWN_MAP.height;
+export const TILE_SIZE = TOWN_MAP.tileSize;
+
+export const AREAS = TOWN_MAP.areas.map(({ name, x, y, w, h }) => ({ name, x, y, w, h }));
+
+export const NAV_BLOCKED_ZONES = TOWN_MAP.blocked;
+export const NAV_WALKWAYS = TOWN_MAP.walkable;
+
+const shrineMarker = requireMarker(TOWN_MAP, "forest_shrine");
+
+if (TOWN_MAP.farmLots.length === 0) {
+  throw new TiledMapError('Map needs an object layer named "farm_lots" with at least one named rectangle.');
+}
+export const FARM_LOTS = TOWN_MAP.farmLots;
+export const FOREST_SHRINE = {
+  x: shrineMarker.x,
+  y: shrineMarker.y,
+  radius: Number(shrineMarker.properties.radius) || 90
+};
+
+function spawnFor(id, areaName) {
+  const spawn = TOWN_MAP.spawns[id];
+  if (spawn) return spawn;
+  const area = AREAS.find((a) => a.name === areaName) || AREAS[0];
+  return { x: area.x + area.w / 2, y: area.y + area.h / 2 };
+}
+
+export const CONTENT = loadContentPacks(process.env.CONTENT_PACKS, { areaNames: AREAS.map((area) => area.name) });
+
+export const NPC_SEEDS = CONTENT.npcs.map((npc) => ({ ...npc, ...spawnFor(npc.id, npc.area) }));
+export const NPC_HOME_AREA = CONTENT.homeArea;
+export const DEFAULT_ROUTINE_TEMPLATE = CONTENT.defaultRoutine;
+export const ROLE_ROUTINE_TEMPLATES = CONTENT.routines;
+export const FACTION_DEFINITIONS = CONTENT.factions;
+export const FALLBACK_LINES = CONTENT.fallbackLines;
+export const DEFAULT_FALLBACK_LINE = CONTENT.defaultFallbackLine;
+export const CROP_CONFIG = Object.fromEntries(CONTENT.crops.map(({ id, ...crop }) => [id, crop]));
+export const FORAGE_CONFIG = Object.fromEntries(CONTENT.forage.map(({ id, ...item }) => [id, item]));
+export const RECIPE_CONFIG = Object.fromEntries(CONTENT.recipes.map(({ id, ...recipe }) => [id, recipe]));
+export const GIFT_TASTES = CONTENT.gifts;
+export const HEART_EVENTS = CONTENT.heartEvents;
@@ -0,0 +1,695 @@
+import { existsSync, readFileSync, statSync } from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+export const BUILTIN_CONTENT_DIR = fileURLToPath(new URL("../content/", import.meta.url));
+export const WORK_STYLES = ["trade", "patrol", "roam"];
+export const SEASONS = ["spring", "summer", "autumn", "winter"];
+export const GIFT_TASTE_TIERS = ["loved", "liked", "disliked"];
+export const FRIENDSHIP_TIERS = [
+  { id: "estranged", label: "Estranged", min: -Infinity },
+  { id: "stranger", label: "Stranger", min: -10 },
+  { id: "acquaintance", label: "Acquaintance", min: 5 },
+  { id: "friend", label: "Friend", min: 15 },
+  { id: "close_friend", label: "Close Friend", min: 30 },
+  { id: "confidant", label: "Confidant", min: 50 }
+];
+export const HEART_EVENT_KINDS = ["scene", "visit", "favor"];
+
+const ITEM_ID_PATTERN = /^[a-z][a-z0-9_]{0,25}$/;
+const CROP_NUMBER_FIELDS = [
+  "growMinutes",
+  "seedCost",
+  "minYield",
+  "maxYield",
+  "sellPrice",
+  "soilUse",
+  "witherMinutes",
+  "dailyDemand"
+];
+const FORAGE_NUMBER_FIELDS = ["sellPrice"];
+const RECIPE_NUMBER_FIELDS = ["makes", "sellPrice"];
+
+const PACK_FILES = {
+  npcs: "npcs.json",
+  routines: "routines.json",
+  factions: "factions.json",
+  dialogue: "dialogue.json",
+  crops: "crops.json",
+  forage: "forage.json",
+  recipes: "recipes.json",
+  gifts: "gifts.json",
+  heartEvents: "heart-events.json"
+};
+
+export class ContentPackError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ContentPackError";
+  }
+}
+
+function fail(where, message) {
+  throw new ContentPackError(`${where}: ${message}`);
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function requireString(value, where, field) {
+  if (typeof value !== "string" || !value.trim()) fail(where, `"${field}" must be a non-empty string.`);
+  return value.trim();
+}
+
+function optionalString(value, where, field) {
+  if (value === undefined) return undefined;
+  return requireString(value, where, field);
+}
+
+function optionalStringList(value, where, field) {
+  if (value === undefined) return undefined;
+  if (!Array.isArray(value) || value.some((item) => typeof item !== "string" || !item.trim())) {
+    fail(where, `"${field}" must be a list of non-empty strings.`);
+  }
+  return value.map((item) => item.trim());
+}
+
+export function parseClockTime(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value ?? ""));
+  if (!match) return null;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null;
+  return hours * 60 + minutes;
+}
+
+function readJsonFile(file, label) {
+  let text;
+  try {
+    text = readFileSync(file, "utf-8");
+  } catch (err) {
+    fail(label, `cannot read file (${err.message}).`);
+  }
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    fail(label, `invalid JSON (${err.message}).`);
+  }
+}
+
+function readNpcs(raw, label) {
+  if (!Array.isArray(raw)) fail(label, "expected a list of NPCs.");
+  return raw.map((entry, i) => {
+    const where = `${label} [${i}]`;
+    if (!isPlainObject(entry)) fail(where, "expected an object.");
+    const id = requireString(entry.id, where, "id");
+    if (entry.remove === true) return { id, remove: true, source: where };
+    return {
+      id,
+      name: optionalString(entry.name, where, "name"),
+      role: optionalString(entry.role, where, "role"),
+      traits: optionalStringList(entry.traits, where, "traits"),
+      area: optionalString(entry.area, where, "area"),
+      source: where
+    };
+  });
+}
+
+function readRoutine(entry, where) {
+  if (!isPlainObject(entry)) fail(where, "expected an object.");
+  const routine = {
+    workArea: optionalString(entry.workArea, where, "workArea"),
+    workStyle: optionalString(entry.workStyle, where, "workStyle"),
+    source: where
+  };
+  for (const field of ["workStart", "workEnd"]) {
+    if (entry[field] === undefined) continue;
+    const minutes = parseClockTime(entry[field]);
+    if (minutes === null) fail(where, `"${field}" must be a time like "09:30".`);
+    routine[field] = minutes;
+  }
+  if (routine.workStyle && !WORK_STYLES.includes(routine.workStyle)) {
+    fail(where, `"workStyle" must be one of ${WORK_STYLES.join(", ")}.`);
+  }
+  if (entry.afterWorkVenues !== undefined) {
+    if (!Array.isArray(entry.afterWorkVenues) || entry.afterWorkVenues.length === 0) {
+      fail(where, '"afterWorkVenues" must be a non-empty list.');
+    }
+    routine.afterWorkVenues = entry.afterWorkVenues.map((venue, i) => {
+      const venueWhere = `${where} afterWorkVenues[${i}]`;
+      if (!isPlainObject(venue)) fail(venueWhere, "expected an object.");
+      const weight = venue.weight === undefined ? 1 : Number(venue.weight);
+      if (!Number.isFinite(weight) || weight <= 0) fail(venueWhere, '"weight" must be a positive number.');
+      return {
+        type: requireString(venue.type, venueWhere, "type"),
+        areaName: requireString(venue.areaName, venueWhere, "areaName"),
+        weight
+      };
+    });
+  }
+  for (const key of Object.keys(routine)) {
+    if (routine[key] === undefined) delete routine[key];
+  }
+  return routine;
+}
+
+function readRoutines(raw, label) {
+  if (!isPlainObject(raw)) fail(label, "expected an object.");
+  const roles = {};
+  if (raw.roles !== undefined) {
+    if (!isPlainObject(raw.roles)) fail(label, '"roles" must map role names to routines.');
+    for (const [role, entry] of Object.entries(raw.roles)) {
+      roles[role] = readRoutine(entry, `${label} roles["${role}"]`);
+    }
+  }
+  return {
+    homeArea: optionalString(raw.homeArea, label, "homeArea"),
+    homeAreaSource: label,
+    default: raw.default === undefined ? undefined : readRoutine(raw.default, `${label} default`),
+    roles
+  };
+}
+
+function readFactions(raw, label) {
+  if (!Array.isArray(raw)) fail(label, "expected a list of factions.");
+  return raw.map((entry, i) => {
+    const where = `${label} [${i}]`;
+    if (!isPlainObject(entry)) fail(where, "expected an object.");
+    const id = requireString(entry.id, where, "id");
+    if (entry.remove === true) return { id, remove: true, source: where };
+    if (entry.influence !== undefined && !Number.isFinite(entry.influence)) {
+      fail(where, '"influence" must be a number.');
+    }
+    return {
+      id,
+      name: optionalString(entry.name, where, "name"),
+      goal: optionalString(entry.goal, where, "goal"),
+      roles: optionalStringList(entry.roles, where, "roles"),
+      members: optionalStringList(entry.members, where, "members"),
+      influence: entry.influence,
+      source: where
+    };
+  });
+}
+
+function readDialogue(raw, label) {
+  if (!isPlainObject(raw)) fail(label, "expected an object.");
+  const fallbackLines = {};
+  if (raw.fallbackLines !== undefined) {
+    if (!isPlainObject(raw.fallbackLines)) fail(label, '"fallbackLines" must map role names to lines.');
+    for (const [role, line] of Object.entries(raw.fallbackLines)) {
+      fallbackLines[role] = requireString(line, label, `fallbackLines["${role}"]`);
+    }
+  }
+  return {
+    defaultFallbackLine: optionalString(raw.defaultFallbackLine, label, "defaultFallbackLine"),
+    fallbackLines
+  };
+}
+
+function readItemId(entry, where, kind) {
+  const id = requireString(entry.id, where, "id");
+  if (!ITEM_ID_PATTERN.test(id) || id.endsWith("_seed")) {
+    fail(where, `${kind} id "${id}" must be lowercase letters, digits or _ and must not end in "_seed".`);
+  }
+  return id;
+}
+
+function readPositiveNumbers(entry, fields, where, target) {
+  for (const field of fields) {
+    if (entry[field] === undefined) continue;
+    if (!Number.isFinite(entry[field]) || entry[field] <= 0) fail(where, `"${field}" must be a positive number.`);
+    target[field] = entry[field];
+  }
+  return target;
+}
+
+function readSeasons(entry, where) {
+  const seasons = optionalStringList(entry.seasons, where, "seasons");
+  if (!seasons) return undefined;
+  const unknown = seasons.find((season) => !SEASONS.includes(season));
+  if (unknown) fail(where, `"seasons" names unknown season "${unknown}" (use ${SEASONS.join(", ")}).`);
+  return seasons;
+}
+
+function readCrops(raw, label) {
+  if (!Array.isArray(raw)) fail(label, "expected a list of crops.");
+  return raw.map((entry, i) => {
+    const where = `${label} [${i}]`;
+    if (!isPlainObject(entry)) fail(where, "expected an object.");
+    const id = readItemId(entry, where, "crop");
+    if (entry.remove === true) return { id, remove: true, source: where };
+    const crop = { id, label: optionalString(entry.label, where, "label"), source: where };
+    readPositiveNumbers(entry, CROP_NUMBER_FIELDS, where, crop);
+    crop.seasons = readSeasons(entry, where);
+    return crop;
+  });
+}
+
+function readForage(raw, label) {
+  if (!Array.isArray(raw)) fail(label, "expected a list of forage items.");
+  return raw.map((entry, i) => {
+    const where = `${label} [${i}]`;
+    if (!isPlainObject(entry)) fail(where, "expected an object.");
+    const id = readItemId(entry, where, "forage");
+    if (entry.remove === true) return { id, remove: true, source: where };
+    const item = {
+      id,
+      label: optionalString(entry.label, where, "label"),
+      areas: optionalStringList(entry.areas, where, "areas"),
+      seasons: readSeasons(entry, where),
+      source: where
+    };
+    return readPositiveNumbers(entry, FORAGE_NUMBER_FIELDS, where, item);
+  });
+}
+
+function readRecipes(raw, label) {
+  if (!Array.isArray(raw)) fail(label, "expected a list of recipes.");
+  return raw.map((entry, i) => {
+    const where = `${label} [${i}]`;
+    if (!isPlainObject(entry)) fail(where, "expected an object.");
+    const id = readItemId(entry, where, "recipe");
+    if (entry.remove === true) return { id, remove: true, source: where };
+    const recipe = {
+      id,
+      label: optionalString(entry.label, where, "label"),
+      station: optionalString(entry.station, where, "station"),
+      source: where
+    };
+    if (entry.inputs !== undefined) {
+      if (!isPlainObject(entry.inputs) || Object.keys(entry.inputs).length === 0) {
+        fail(where, '"inputs" must map item ids to amounts.');
+      }
+      for (const [item, qty] of Object.entries(entry.inputs)) {
+        if (!Number.isInteger(qty) || qty <= 0) fail(where, `"inputs" needs a whole amount for "${item}".`);
+      }
+      recipe.inputs = { ...entry.inputs };
+    }
+    return readPositiveNumbers(entry, RECIPE_NUMBER_FIELDS, where, recipe);
+  });
+}
+
+function readGiftTastes(raw, where) {
+  if (!isPlainObject(raw)) fail(where, "expected an object of loved, liked and disliked items.");
+  const tastes = {};
+  for (const tier of GIFT_TASTE_TIERS) {
+    const items = optionalStringList(raw[tier], where, tier);
+    if (items) tastes[tier] = items;
+  }
+  return tastes;
+}
+
+function readGifts(raw, label) {
+  if (!isPlainObject(raw)) fail(label, "expected an object.");
+  const gifts = { roles: {}, traits: {} };
+  for (const section of ["roles", "traits"]) {
+    if (raw[section] === undefined) continue;
+    if (!isPlainObject(raw[section])) fail(label, `"${section}" must map names to gift tastes.`);
+    for (const [key, entry] of Object.entries(raw[section])) {
+      const where = `${label} ${section}["${key}"]`;
+      gifts[section][key] = { ...readGiftTastes(entry, where), source: where };
+    }
+  }
+  return gifts;
+}
+
+function readFavor(raw, where) {
+  if (raw === undefined) return undefined;
+  const favorWhere = `${where} favor`;
+  if (!isPlainObject(raw)) fail(favorWhere, "expected an object.");
+  const favor = {
+    item: requireString(raw.item, favorWhere, "item"),
+    qty: raw.qty ?? 1,
+    rewardCoins: raw.rewardCoins ?? 0
+  };
+  if (!Number.isInteger(favor.qty) || favor.qty <= 0) fail(favorWhere, '"qty" must be a whole number above 0.');
+  if (!Number.isInteger(favor.rewardCoins) || favor.rewardCoins < 0) {
+    fail(favorWhere, '"rewardCoins" must be a whole number of coins.');
+  }
+  return favor;
+}
+
+function readHeartEvents(raw, label) {
+  if (!Array.isArray(raw)) fail(label, "expected a list of heart events.");
+  return raw.map((entry, i) => {
+    const where = `${label} [${i}]`;
+    if (!isPlainObject(entry)) fail(where, "expected an object.");
+    const id = requireString(entry.id, where, "id");
+    if (entry.remove === true) return { id, remove: true, source: where };
+    const event = {
+      id,
+      title: optionalString(entry.title, where, "title"),
+      tier: optionalString(entry.tier, where, "tier"),
+      kind: optionalString(entry.kind, where, "kind"),
+      npc: optionalString(entry.npc, where, "npc"),
+      roles: optionalStringList(entry.roles, where, "roles"),
+      lines: optionalStringList(entry.lines, where, "lines"),
+      seed: optionalString(entry.seed, where, "seed"),
+      favor: readFavor(entry.favor, where),
+      source: where
+    };
+    if (event.tier && !FRIENDSHIP_TIERS.some((tier) => tier.id === event.tier)) {
+      fail(where, `"tier" must be one of ${FRIENDSHIP_TIERS.map((tier) => tier.id).join(", ")}.`);
+    }
+    if (event.kind && !HEART_EVENT_KINDS.includes(event.kind)) {
+      fail(where, `"kind" must be one of ${HEART_EVENT_KINDS.join(", ")}.`);
+    }
+    return event;
+  });
+}
+
+export function readContentPack(dir) {
+  const packDir = path.resolve(dir);
+  if (!existsSync(packDir) || !statSync(packDir).isDirectory()) {
+    throw new ContentPackError(`Content pack directory not found: ${packDir}`);
+  }
+  const manifestLabel = path.join(packDir, "pack.json");
+  if (!existsSync(manifestLabel)) fail(packDir, "missing pack.json.");
+  const manifest = readJsonFile(manifestLabel, manifestLabel);
+  if (!isPlainObject(manifest)) fail(manifestLabel, "expected an object.");
+  const id = requireString(manifest.id, manifestLabel, "id");
+  const pack = { id, name: optionalString(manifest.name, manifestLabel, "name") || id, dir: packDir };
+
+  const readers = {
+    npcs: readNpcs,
+    routines: readRoutines,
+    factions: readFactions,
+    dialogue: readDialogue,
+    crops: readCrops,
+    forage: readForage,
+    recipes: readRecipes,
+    gifts: readGifts,
+    heartEvents: readHeartEvents
+  };
+  for (const [key, fileName] of Object.entries(PACK_FILES)) {
+    const file = path.join(packDir, fileName);
+    if (!existsSync(file)) continue;
+    const label = `${id}/${fileName}`;
+    pack[key] = readers[key](readJsonFile(file, label), label);
+  }
+  return pack;
+}
+
+function mergeById(target, entries) {
+  for (const entry of entries || []) {
+    if (entry.remove) {
+      target.delete(entry.id);
+      continue;
+    }
+    const merged = { ...(target.get(entry.id) || {}) };
+    for (const [key, value] of Object.entries(entry)) {
+      if (value !== undefined) merged[key] = value;
+    }
+    target.set(entry.id, merged);
+  }
+}
+
+function mergeRoutine(base, patch) {
+  const merged = { ...(base || {}) };
+  for (const [key, value] of Object.entries(patch)) {
+    if (value !== undefined) merged[key] = value;
+  }
+  return merged;
+}
+
+export function mergeContentPacks(packs) {
+  const npcs = new Map();
+  const factions = new Map();
+  const crops = new Map();
+  const forage = new Map();
+  const recipes = new Map();
+  const heartEvents = new Map();
+  const gifts = { roles: {}, traits: {} };
+  const roles = {};
+  const fallbackLines = {};
+  let defaultRoutine = null;
+  let homeArea = null;
+  let homeAreaSource = "";
+  let defaultFallbackLine = "";
+
+  for (const pack of packs) {
+    mergeById(npcs, pack.npcs);
+    mergeById(factions, pack.factions);
+    mergeById(crops, pack.crops);
+    mergeById(forage, pack.forage);
+    mergeById(recipes, pack.recipes);
+    mergeById(heartEvents, pack.heartEvents);
+    for (const section of ["roles", "traits"]) {
+      for (const [key, tastes] of Object.entries(pack.gifts?.[section] || {})) {
+        gifts[section][key] = mergeRoutine(gifts[section][key], tastes);
+      }
+    }
+    if (pack.routines) {
+      if (pack.routines.homeArea) {
+        homeArea = pack.routines.homeArea;
+        homeAreaSource = pack.routines.homeAreaSource;
+      }
+      if (pack.routines.default) defaultRoutine = mergeRoutine(defaultRoutine, pack.routines.default);
+      for (const [role, routine] of Object.entries(pack.routines.roles)) {
+        roles[role] = mergeRoutine(roles[role], routine);
+      }
+    }
+    if (pack.dialogue) {
+      Object.assign(fallbackLines, pack.dialogue.fallbackLines);
+      if (pack.dialogue.defaultFallbackLine) defaultFallbackLine = pack.dialogue.defaultFallbackLine;
+    }
+  }
+
+  return {
+    packs: packs.map((pack) => ({ id: pack.id, name: pack.name })),
+    npcs: [...npcs.values()],
+    homeArea,
+    homeAreaSource,
+    defaultRoutine,
+    routines: roles,
+    factions: [...factions.values()],
+    crops: [...crops.values()],
+    forage: [...forage.values()],
+    recipes: [...recipes.values()],
+    gifts,
+    heartEvents: [...heartEvents.values()],
+    fallbackLines,
+    defaultFallbackLine
+  };
+}
+
+function requireArea(areaNames, name, where, field) {
+  if (!areaNames.has(name)) {
+    fail(where, `"${field}" names unknown area "${name}" (map areas: ${[...areaNames].join(", ")}).`);
+  }
+}
+
+function finishRoutine(routine, areaNames, where) {
+  for (const field of ["workArea", "workStart", "workEnd", "workStyle", "afterWorkVenues"]) {
+    if (routine[field] === undefined) fail(where, `routine is missing "${field}".`);
+  }
+  requireArea(areaNames, routine.workArea, where, "workArea");
+  routine.afterWorkVenues.forEach((venue, i) => {
+    requireArea(areaNames, venue.areaName, `${where} afterWorkVenues[${i}]`, "areaName");
+  });
+  return {
+    workArea: routine.workArea,
+    workStart: routine.workStart,
+    workEnd: routine.workEnd,
+    workStyle: routine.workStyle,
+    afterWorkVenues: routine.afterWorkVenues.map((venue) => ({ ...venue }))
+  };
+}
+
+export function validateContent(merged, { areaNames = [] } = {}) {
+  const areas = new Set(areaNames);
+  const packList = merged.packs.map((pack) => pack.id).join(", ") || "(none)";
+  if (merged.npcs.length === 0) throw new ContentPackError(`Content packs [${packList}] define no NPCs.`);
+
+  const npcs = merged.npcs.map((npc) => {
+    for (const field of ["name", "role", "area"]) {
+      if (!npc[field]) fail(npc.source, `NPC "${npc.id}" is missing "${field}".`);
+    }
+    requireArea(areas, npc.area, npc.source, "area");
+    return { id: npc.id, name: npc.name, role: npc.role, traits: npc.traits || [], area: npc.area };
+  });
+  const npcIds = new Set(npcs.map((npc) => npc.id));
+  const npcRoles = new Set(npcs.map((npc) => npc.role));
+
+  if (!merged.homeArea) throw new ContentPackError(`Content packs [${packList}] set no "homeArea" in routines.json.`);
+  requireArea(areas, merged.homeArea, merged.homeAreaSource, "homeArea");
+  if (!merged.defaultRoutine) {
+    throw new ContentPackError(`Content packs [${packList}] set no "default" routine in routines.json.`);
+  }
+  const defaultRoutine = finishRoutine(merged.defaultRoutine, areas, merged.defaultRoutine.source);
+  const routines = {};
+  for (const [role, routine] of Object.entries(merged.routines)) {
+    routines[role] = finishRoutine(routine, areas, routine.source);
+  }
+
+  const factions = merged.factions.map((faction) => {
+    for (const field of ["name", "goal"]) {
+      if (!faction[field]) fail(faction.source, `faction "${faction.id}" is missing "${field}".`);
+    }
+    const roles = faction.roles || [];
+    const members = faction.members || [];
+    for (const role of roles) {
+      if (!npcRoles.has(role)) fail(faction.source, `faction "${faction.id}" lists role "${role}" that no NPC has.`);
+    }
+    for (const member of members) {
+      if (!npcIds.has(member)) fail(faction.source, `faction "${faction.id}" lists unknown NPC "${member}".`);
+    }
+    return {
+      id: faction.id,
+      name: faction.name,
+      goal: faction.goal,
+      roles,
+      members,
+      influence: Number.isFinite(faction.influence) ? faction.influence : 50
+    };
+  });
+
+  if (merged.crops.length === 0) throw new ContentPackError(`Content packs [${packList}] define no crops.`);
+  const crops = merged.crops.map((crop) => {
+    for (const field of ["label", "growMinutes", "seedCost", "minYield", "maxYield", "sellPrice", "seasons"]) {
+      if (crop[field] === undefined) fail(crop.source, `crop "${crop.id}" is missing "${field}".`);
+    }
+    if (crop.minYield > crop.maxYield) fail(crop.source, `crop "${crop.id}" has "minYield" above "maxYield".`);
+    return {
+      id: crop.id,
+      label: crop.label,
+      growMinutes: crop.growMinutes,
+      seedCost: crop.seedCost,
+      minYield: Math.round(crop.minYield),
+      maxYield: Math.round(crop.maxYield),
+      sellPrice: crop.sellPrice,
+      seasons: crop.seasons,
+      soilUse: crop.soilUse ?? 12,
+      witherMinutes: crop.witherMinutes ?? 240,
+      ...(crop.dailyDemand ? { dailyDemand: crop.dailyDemand } : {})
+    };
+  });
+
+  const itemIds = new Set(crops.map((crop) => crop.id));
+  const claimItemId = (id, source) => {
+    if (itemIds.has(id)) fail(source, `item id "${id}" is already used by another crop, forage item or recipe.`);
+    itemIds.add(id);
+  };
+
+  const forage = merged.forage.map((item) => {
+    for (const field of ["label", "areas", "sellPrice"]) {
+      if (item[field] === undefined) fail(item.source, `forage item "${item.id}" is missing "${field}".`);
+    }
+    claimItemId(item.id, item.source);
+    for (const area of item.areas) requireArea(areas, area, item.source, "areas");
+    return {
+      id: item.id,
+      label: item.label,
+      areas: item.areas,
+      seasons: item.seasons || [...SEASONS],
+      sellPrice: item.sellPrice
+    };
+  });
+
+  for (const recipe of merged.recipes) claimItemId(recipe.id, recipe.source);
+  const recipes = merged.recipes.map((recipe) => {
+    for (const field of ["label", "station", "inputs", "sellPrice"]) {
+      if (recipe[field] === undefined) fail(recipe.source, `recipe "${recipe.id}" is missing "${field}".`);
+    }
+    if (recipe.station !== "home") requireArea(areas, recipe.station, recipe.source, "station");
+    for (const item of Object.keys(recipe.inputs)) {
+      if (item === recipe.id || !itemIds.has(item)) {
+        fail(recipe.source, `recipe "${recipe.id}" uses unknown item "${item}".`);
+      }
+    }
+    return {
+      id: recipe.id,
+      label: recipe.label,
+      station: recipe.station,
+      inputs: { ...recipe.inputs },
+      makes: Math.round(recipe.makes ?? 1),
+      sellPrice: recipe.sellPrice
+    };
+  });
+
+  const giftItemIds = new Set([...itemIds, ...crops.map((crop) => `${crop.id}_seed`)]);
+  const gifts = { roles: {}, traits: {} };
+  for (const section of ["roles", "traits"]) {
+    for (const [key, tastes] of Object.entries(merged.gifts[section])) {
+      gifts[section][key] = {};
+      for (const tier of GIFT_TASTE_TIERS) {
+        const unknown = (tastes[tier] || []).find((item) => !giftItemIds.has(item));
+        if (unknown) fail(tastes.source, `"${tier}" names unknown item "${unknown}".`);
+        gifts[section][key][tier] = tastes[tier] || [];
+      }
+    }
+  }
+
+  const heartEvents = merged.heartEvents.map((event) => {
+    for (const field of ["title", "tier", "kind", "lines"]) {
+      if (event[field] === undefined) fail(event.source, `heart event "${event.id}" is missing "${field}".`);
+    }
+    if (event.lines.length === 0) fail(event.source, `heart event "${event.id}" needs at least one line.`);
+    if (event.tier === "estranged" || event.tier === "stranger") {
+      fail(event.source, `heart event "${event.id}" must unlock at "acquaintance" or above.`);
+    }
+    if (event.npc && !npcIds.has(event.npc)) {
+      fail(event.source, `heart event "${event.id}" names unknown NPC "${event.npc}".`);
+    }
+    for (const role of event.roles || []) {
+      if (!npcRoles.has(role)) fail(event.source, `heart event "${event.id}" lists role "${role}" that no NPC has.`);
+    }
+    if ((event.kind === "favor") !== Boolean(event.favor)) {
+      fail(event.source, `heart event "${event.id}" needs a "favor" exactly when its kind is "favor".`);
+    }
+    if (event.favor && !giftItemIds.has(event.favor.item)) {
+      fail(event.source, `heart event "${event.id}" asks for unknown item "${event.favor.item}".`);
+    }
+    return {
+      id: event.id,
+      title: event.title,
+      tier: event.tier,
+      kind: event.kind,
+      npc: event.npc || null,
+      roles: event.roles || [],
+      lines: event.lines,
+      seed: event.seed || "",
+      ...(event.favor ? { favor: { ...event.favor } } : {})
+    };
+  });
+
+  return {
+    packs: merged.packs,
+    npcs,
+    homeArea: merged.homeArea,
+    defaultRoutine,
+    routines,
+    factions,
+    crops,
+    forage,
+    recipes,
+    gifts,
+    heartEvents,
+    fallbackLines: { ...merged.fallbackLines },
+    defaultFallbackLine: merged.defaultFallbackLine || "It's an ordinary day."
+  };
+}
+
+export function resolveContentPackDirs(spec, cwd = process.cwd()) {
+  const entries = String(spec || "default")
+    .split(",")
+    .map((value) => value.trim())
+    .filter(Boolean);
+  return (entries.length > 0 ? entries : ["default"]).map((entry) =>
+    /^[a-z0-9_-]+$/i.test(entry) && existsSync(path.join(BUILTIN_CONTENT_DIR, entry))
+      ? path.join(BUILTIN_CONTENT_DIR, entry)
+      : path.resolve(cwd, entry)
+  );
+}
+
+export function loadContentPacks(spec, { areaNames = [], cwd = process.cwd() } = {}) {
+  const packs = resolveContentPackDirs(spec, cwd).map(readContentPack);
+  const seen = new Set();
+  for (const pack of packs) {
+    if (seen.has(pack.id)) throw new ContentPackError(`Content pack "${pack.id}" is listed twice (${pack.dir}).`);
+    seen.add(pack.id);
+  }
+  return validateContent(mergeContentPacks(packs), { areaNames });
+}
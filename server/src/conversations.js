@@ -0,0 +1,277 @@
+const CHATTY_TRAITS = new Set([
+  "charming",
+  "eloquent",
+  "funny",
+  "dramatic",
+  "ambitious",
+  "curious",
+  "intense",
+  "greedy",
+  "kind"
+]);
+const QUIET_TRAITS = new Set(["secretive", "cautious", "gruff", "calm", "stern", "cryptic", "sensitive", "frugal"]);
+const BASE_PATIENCE_TURNS = 2;
+
+function clamp(val, min, max) {
+  return Math.max(min, Math.min(max, val));
+}
+
+function weightedIndex(weights, random) {
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  if (total <= 0) return 0;
+  let pick = random() * total;
+  for (let i = 0; i < weights.length; i += 1) {
+    pick -= weights[i];
+    if (pick < 0) return i;
+  }
+  return weights.length - 1;
+}
+
+function mentions(text, name) {
+  const word = String(name || "").trim().split(/\s+/).pop();
+  if (!word || word.length < 3) return false;
+  return new RegExp(`\\b${word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}\\b`, "i").test(String(text || ""));
+}
+
+function joinNames(names) {
+  if (names.length <= 1) return names.join("");
+  return `${names.slice(0, -1).join(", ")} and ${names[names.length - 1]}`;
+}
+
+export function talkativeness(traits = []) {
+  let score = 1;
+  for (const trait of Array.isArray(traits) ? traits : []) {
+    const key = String(trait).toLowerCase();
+    if (CHATTY_TRAITS.has(key)) score += 0.25;
+    if (QUIET_TRAITS.has(key)) score -= 0.2;
+  }
+  return clamp(score, 0.4, 1.8);
+}
+
+export function patienceTurns(traits = []) {
+  return BASE_PATIENCE_TURNS + Math.round(talkativeness(traits) * 2);
+}
+
+export function findConversationGroups(npcs, { radius, maxSize = 5, isAvailable = () => true } = {}) {
+  const pool = (Array.isArray(npcs) ? npcs : []).filter(isAvailable);
+  const parent = pool.map((_, i) => i);
+  const root = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+  const neighbors = pool.map(() => 0);
+  for (let i = 0; i < pool.length; i += 1) {
+    for (let j = i + 1; j < pool.length; j += 1) {
+      if (Math.hypot(pool[i].x - pool[j].x, pool[i].y - pool[j].y) > radius) continue;
+      neighbors[i] += 1;
+      neighbors[j] += 1;
+      parent[root(i)] = root(j);
+    }
+  }
+
+  const clusters = new Map();
+  pool.forEach((npc, i) => {
+    const key = root(i);
+    if (!clusters.has(key)) clusters.set(key, []);
+    clusters.get(key).push(i);
+  });
+
+  const groups = [];
+  for (const indexes of clusters.values()) {
+    if (indexes.length < 2) continue;
+    const seed = indexes.reduce((best, i) => (neighbors[i] > neighbors[best] ? i : best), indexes[0]);
+    const members = indexes
+      .map((i) => pool[i])
+      .sort(
+        (a, b) =>
+          Math.hypot(a.x - pool[seed].x, a.y - pool[seed].y) - Math.hypot(b.x - pool[seed].x, b.y - pool[seed].y)
+      )
+      .slice(0, maxSize);
+    const center = {
+      x: members.reduce((sum, n) => sum + n.x, 0) / members.length,
+      y: members.reduce((sum, n) => sum + n.y, 0) / members.length
+    };
+    const spread = members.reduce((sum, n) => sum + Math.hypot(n.x - center.x, n.y - center.y), 0) / members.length;
+    groups.push({ members, center, spread });
+  }
+  return groups.sort((a, b) => b.members.length - a.members.length || a.spread - b.spread);
+}
+
+function participantFrom(entity, kind, turn, now) {
+  return {
+    id: entity.id,
+    kind,
+    name: entity.name,
+    role: kind === "npc" ? entity.role : "Visitor",
+    joinedTurn: turn,
+    joinedAt: now,
+    leftTurn: null,
+    leftAt: null,
+    leaveReason: null
+  };
+}
+
+export function createGroupConversation({ id, npcs, players = [], area = "", topic = "", maxTurns = 6, now = Date.now() }) {
+  const convo = {
+    id,
+    area,
+    topic,
+    center: {
+      x: npcs.reduce((sum, npc) => sum + npc.x, 0) / Math.max(1, npcs.length),
+      y: npcs.reduce((sum, npc) => sum + npc.y, 0) / Math.max(1, npcs.length)
+    },
+    maxTurns,
+    startedAt: now,
+    endedAt: null,
+    participants: [],
+    lines: [],
+    events: []
+  };
+  for (const npc of npcs) convo.participants.push(participantFrom(npc, "npc", 0, now));
+  for (const player of players) convo.participants.push(participantFrom(player, "player", 0, now));
+  return convo;
+}
+
+export function activeParticipants(convo, kind = null) {
+  return convo.participants.filter((p) => p.leftTurn === null && (!kind || p.kind === kind));
+}
+
+export function findParticipant(convo, id) {
+  return activeParticipants(convo).find((p) => p.id === id) || null;
+}
+
+export function joinConversation(convo, entity, kind, now = Date.now()) {
+  if (!entity?.id || findParticipant(convo, entity.id)) return null;
+  const participant = participantFrom(entity, kind, convo.lines.length, now);
+  convo.participants.push(participant);
+  convo.events.push({ turn: convo.lines.length, type: "joined", id: participant.id, name: participant.name });
+  return participant;
+}
+
+export function leaveConversation(convo, id, reason = "left", now = Date.now()) {
+  const participant = findParticipant(convo, id);
+  if (!participant) return null;
+  participant.leftTurn = convo.lines.length;
+  participant.leftAt = now;
+  participant.leaveReason = reason;
+  convo.events.push({ turn: convo.lines.length, type: "left", id, name: participant.name, reason });
+  return participant;
+}
+
+export function recordConversationLine(convo, { speakerId, targetId = null, text, emotion = "neutral", at = Date.now() }) {
+  const speaker = findParticipant(convo, speakerId);
+  if (!speaker || !text) return null;
+  const target = targetId ? findParticipant(convo, targetId) : null;
+  const line = {
+    turn: convo.lines.length,
+    speakerId,
+    speakerName: speaker.name,
+    speakerKind: speaker.kind,
+    targetId: target?.id || null,
+    targetName: target?.name || "",
+    text: String(text),
+    emotion,
+    at
+  };
+  convo.lines.push(line);
+  return line;
+}
+
+export function npcTurnsTaken(convo) {
+  return convo.lines.filter((line) => line.speakerKind === "npc").length;
+}
+
+function turnsSpoken(convo, id) {
+  return convo.lines.filter((line) => line.speakerId === id).length;
+}
+
+export function pickNextSpeaker(convo, { npcsById, relationScore = () => 0, random = Math.random }) {
+  const last = convo.lines.at(-1) || null;
+  const candidates = activeParticipants(convo, "npc").filter((p) => p.id !== last?.speakerId);
+  if (candidates.length === 0) return null;
+  const weights = candidates.map((p) => {
+    let weight = talkativeness(npcsById.get(p.id)?.traits);
+    if (last) {
+      if (last.targetId === p.id) weight *= 3;
+      else if (mentions(last.text, p.name)) weight *= 2;
+      const rel = Math.abs(Number(relationScore(p.id, last.speakerId)) || 0);
+      weight *= 1 + (Math.min(10, rel) / 10) * 0.8;
+    }
+    return weight / (1 + turnsSpoken(convo, p.id) * 0.6);
+  });
+  return candidates[weightedIndex(weights, random)];
+}
+
+export function pickAddressee(convo, speakerId, { relationScore = () => 0, random = Math.random }) {
+  const others = activeParticipants(convo).filter((p) => p.id !== speakerId);
+  if (others.length === 0) return null;
+  const last = convo.lines.at(-1) || null;
+  const lastSpeaker = last && others.find((p) => p.id === last.speakerId);
+  if (lastSpeaker && (lastSpeaker.kind === "player" || random() < 0.65)) return lastSpeaker;
+  const weights = others.map((p) => {
+    const rel = Math.abs(Number(relationScore(speakerId, p.id)) || 0);
+    return (1 + rel / 5) * (p.kind === "player" ? 1.5 : 1);
+  });
+  return others[weightedIndex(weights, random)];
+}
+
+export function updateConversationMembership(
+  convo,
+  { npcs = [], players = [], joinRadius, leaveRadius, maxParticipants = 6, canJoinNpc = () => true, canJoinPlayer = () => true, now = Date.now() }
+) {
+  const npcsById = new Map(npcs.map((npc) => [npc.id, npc]));
+  const playersById = new Map(players.map((player) => [player.id, player]));
+  const joined = [];
+  const left = [];
+  const center = convo.center;
+  const distance = (entity) => Math.hypot(entity.x - center.x, entity.y - center.y);
+
+  for (const p of activeParticipants(convo)) {
+    const entity = p.kind === "npc" ? npcsById.get(p.id) : playersById.get(p.id);
+    let reason = null;
+    if (!entity) reason = "gone";
+    else if (distance(entity) > leaveRadius) reason = "walked_away";
+    else if (p.kind === "npc" && convo.lines.length - p.joinedTurn >= patienceTurns(entity.traits)) reason = "lost_interest";
+    if (reason) left.push(leaveConversation(convo, p.id, reason, now));
+  }
+
+  const candidates = [
+    ...npcs.filter((npc) => canJoinNpc(npc)).map((npc) => ({ entity: npc, kind: "npc" })),
+    ...players.filter((player) => canJoinPlayer(player)).map((player) => ({ entity: player, kind: "player" }))
+  ]
+    .filter(({ entity }) => !findParticipant(convo, entity.id) && distance(entity) <= joinRadius)
+    .filter(({ entity }) => !left.some((p) => p.id === entity.id))
+    .filter(({ entity }) => !convo.participants.some((p) => p.id === entity.id && p.leaveReason === "lost_interest"))
+    .sort((a, b) => distance(a.entity) - distance(b.entity));
+  for (const { entity, kind } of candidates) {
+    if (activeParticipants(convo).length >= maxParticipants) break;
+    joined.push(joinConversation(convo, entity, kind, now));
+  }
+  return { joined, left };
+}
+
+export function summarizeConversation(convo, participantId, { maxLength = 480 } = {}) {
+  const stints = convo.participants.filter((p) => p.id === participantId);
+  if (stints.length === 0) return "";
+  const present = (turn) => stints.some((p) => turn >= p.joinedTurn && (p.leftTurn === null || turn < p.leftTurn));
+  const others = [...new Set(convo.participants.filter((p) => p.id !== participantId).map((p) => p.name))];
+  const heard = convo.lines.filter((line) => present(line.turn));
+  const changes = convo.events
+    .filter((event) => event.id !== participantId && present(event.turn))
+    .map((event) => `${event.name} ${event.type === "joined" ? "joined" : "left"}`);
+
+  let text = `Group talk${convo.area ? ` near ${convo.area}` : ""} with ${joinNames(others) || "nobody"}.`;
+  if (changes.length > 0) text += ` ${changes.join(", ")}.`;
+  for (const line of heard) {
+    const next = ` ${line.speakerName}: "${line.text}"`;
+    if (text.length + next.length > maxLength) {
+      text += " ...";
+      break;
+    }
+    text += next;
+  }
+  return text;
+}
@@ -0,0 +1,92 @@
+import { CROP_CONFIG, FORAGE_CONFIG, RECIPE_CONFIG } from "./constants.js";
+import { isCropInSeason } from "./farming.js";
+
+export const FORAGE_PER_DAY = 6;
+export const MAX_CRAFT_BATCHES = 10;
+
+export function goodsLabel(item) {
+  const key = String(item || "");
+  const entry = RECIPE_CONFIG[key] || FORAGE_CONFIG[key] || CROP_CONFIG[key];
+  return entry?.label || key.replace(/_/g, " ");
+}
+
+export function isGoods(item) {
+  return Object.hasOwn(RECIPE_CONFIG, item) || Object.hasOwn(FORAGE_CONFIG, item);
+}
+
+export function goodsSellPrice(item) {
+  return (RECIPE_CONFIG[item] || FORAGE_CONFIG[item])?.sellPrice || 0;
+}
+
+export function forageablesIn(areaName, season) {
+  return Object.keys(FORAGE_CONFIG).filter((id) => {
+    const item = FORAGE_CONFIG[id];
+    return item.areas.includes(areaName) && isCropInSeason(item, season);
+  });
+}
+
+function foragedToday(farm, dayNumber) {
+  return farm.foraged?.dayNumber === dayNumber ? Number(farm.foraged.count) || 0 : 0;
+}
+
+export function forageItem({ farm, areaName, season, dayNumber, random = Math.random }) {
+  const found = forageablesIn(areaName, season);
+  if (found.length === 0) return { ok: false, message: "Nothing to forage here right now." };
+  const count = foragedToday(farm, dayNumber);
+  if (count >= FORAGE_PER_DAY) return { ok: false, message: "You've foraged all you can today. Try again tomorrow." };
+
+  const item = found[Math.min(found.length - 1, Math.floor(random() * found.length))];
+  farm.inventory[item] = (Number(farm.inventory[item]) || 0) + 1;
+  farm.foraged = { dayNumber, count: count + 1 };
+  const left = FORAGE_PER_DAY - count - 1;
+  const message = `Found ${goodsLabel(item)}. ${left} forage${left === 1 ? "" : "s"} left today.`;
+  return { ok: true, message, item, qty: 1 };
+}
+
+function stationText(station) {
+  return station === "home" ? "at home" : `in ${station}`;
+}
+
+export function craftRecipe({ farm, recipeId, station, batches = 1 }) {
+  const id = String(recipeId || "");
+  const recipe = RECIPE_CONFIG[id];
+  if (!recipe) return { ok: false, message: "Unknown recipe." };
+  const count = Math.floor(Number(batches));
+  if (!Number.isFinite(count) || count <= 0) return { ok: false, message: "Pick how many to make." };
+  if (station !== recipe.station) {
+    return { ok: false, message: `${recipe.label} can only be made ${stationText(recipe.station)}.` };
+  }
+  const runs = Math.min(MAX_CRAFT_BATCHES, count);
+  for (const [item, need] of Object.entries(recipe.inputs)) {
+    const owned = Number(farm.inventory[item]) || 0;
+    if (owned < need * runs) {
+      return { ok: false, message: `You need ${need * runs} ${goodsLabel(item)} for that and have ${owned}.` };
+    }
+  }
+
+  for (const [item, need] of Object.entries(recipe.inputs)) {
+    farm.inventory[item] -= need * runs;
+  }
+  const made = recipe.makes * runs;
+  farm.inventory[id] = (Number(farm.inventory[id]) || 0) + made;
+  return { ok: true, message: `Made ${made} ${recipe.label}.`, item: id, qty: made };
+}
+
+export function recipeList() {
+  return Object.entries(RECIPE_CONFIG).map(([id, recipe]) => ({
+    id,
+    label: recipe.label,
+    station: recipe.station,
+    makes: recipe.makes,
+    inputs: Object.entries(recipe.inputs).map(([item, qty]) => ({ item, label: goodsLabel(item), qty }))
+  }));
+}
+
+export function forageList() {
+  return Object.entries(FORAGE_CONFIG).map(([id, item]) => ({
+    id,
+    label: item.label,
+    areas: item.areas,
+    seasons: item.seasons
+  }));
+}
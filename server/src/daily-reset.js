@@ -8,6 +8,7 @@ export function runDailyRefreshPipeline({
   refreshWorldEvents,
   refreshFactionPulse,
   refreshReactiveMissions,
+  consolidateMemories,
   onStepDone
 }) {
   if (typeof clearCaches === "function") clearCaches();
@@ -33,6 +34,7 @@ export function runDailyRefreshPipeline({
   runStep(refreshWorldEvents);
   runStep(refreshFactionPulse);
   runStep(refreshReactiveMissions);
+  runStep(consolidateMemories);
 
   return Promise.allSettled(queue);
 }
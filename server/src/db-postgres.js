@@ -0,0 +1,603 @@
+import { Pool } from "pg";
+import dns from "node:dns";
+import { canonicalMemoryTag, memoryTagLikePatterns } from "./memory-ranking.js";
+
+function buildSslConfig(connectionString) {
+  const forceSsl = process.env.PG_SSL === "true";
+  const disableSsl = process.env.PG_SSL === "false";
+  const supabaseHost = connectionString?.includes(".supabase.co");
+
+  if (disableSsl) return false;
+  if (forceSsl || supabaseHost) {
+    return { rejectUnauthorized: false };
+  }
+  return false;
+}
+
+function createPool(connectionString) {
+  // Prefer IPv4 when both A and AAAA records are present to avoid ENETUNREACH
+  // on platforms without outbound IPv6 routing.
+  dns.setDefaultResultOrder("ipv4first");
+
+  const forceIpv4 = process.env.PG_FORCE_IPV4 !== "false";
+
+  const pool = new Pool({
+    connectionString,
+    ssl: buildSslConfig(connectionString),
+    ...(forceIpv4
+      ? {
+          family: 4,
+          lookup: (hostname, options, callback) =>
+            dns.lookup(hostname, { ...options, family: 4, all: false }, callback)
+        }
+      : {})
+  });
+
+  return pool;
+}
+
+async function ensureSchema(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS players (
+      id TEXT PRIMARY KEY,
+      username TEXT NOT NULL UNIQUE,
+      gender TEXT NOT NULL DEFAULT 'unspecified',
+      password_salt TEXT NOT NULL,
+      password_hash TEXT NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      last_login_at TIMESTAMPTZ
+    );
+
+    CREATE TABLE IF NOT EXISTS memories (
+      id BIGSERIAL PRIMARY KEY,
+      npc_id TEXT NOT NULL,
+      memory_type TEXT NOT NULL,
+      content TEXT NOT NULL,
+      importance INTEGER NOT NULL DEFAULT 3,
+      tags TEXT NOT NULL DEFAULT '',
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    ALTER TABLE memories ADD COLUMN IF NOT EXISTS embedding TEXT;
+    ALTER TABLE memories ADD COLUMN IF NOT EXISTS consolidated_at TIMESTAMPTZ;
+    ALTER TABLE memories ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ;
+    ALTER TABLE player_state ADD COLUMN IF NOT EXISTS friendship TEXT;
+    ALTER TABLE relationships ADD COLUMN IF NOT EXISTS last_interaction_day INTEGER;
+
+    CREATE INDEX IF NOT EXISTS idx_memories_npc_id_id ON memories (npc_id, id DESC);
+
+    CREATE TABLE IF NOT EXISTS relationships (
+      npc_id TEXT NOT NULL,
+      player_id TEXT NOT NULL,
+      score INTEGER NOT NULL DEFAULT 0,
+      last_interaction_at TIMESTAMPTZ,
+      PRIMARY KEY (npc_id, player_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS player_sessions (
+      id TEXT PRIMARY KEY,
+      player_id TEXT NOT NULL,
+      refresh_hash TEXT NOT NULL,
+      expires_at TIMESTAMPTZ NOT NULL,
+      revoked_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      last_used_at TIMESTAMPTZ
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_player_sessions_player_id ON player_sessions (player_id);
+
+    CREATE TABLE IF NOT EXISTS world_snapshots (
+      id BIGSERIAL PRIMARY KEY,
+      version INTEGER NOT NULL,
+      day_number INTEGER NOT NULL DEFAULT 1,
+      reason TEXT NOT NULL DEFAULT 'autosave',
+      payload TEXT NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS player_state (
+      player_id TEXT PRIMARY KEY,
+      farm TEXT,
+      inventory TEXT NOT NULL DEFAULT '{}',
+      coins INTEGER NOT NULL DEFAULT 0,
+      mission_progress TEXT,
+      reputation TEXT,
+      friendship TEXT,
+      position_x DOUBLE PRECISION,
+      position_y DOUBLE PRECISION,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS player_chat_blocks (
+      player_id TEXT NOT NULL,
+      target_id TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      PRIMARY KEY (player_id, target_id)
+    );
+  `);
+}
+
+async function createPlayerAccount(db, account) {
+  const result = await db.query(
+    `
+      INSERT INTO players (id, username, gender, password_salt, password_hash, last_login_at)
+      VALUES ($1, $2, $3, $4, $5, NOW())
+      RETURNING id, username, gender
+    `,
+    [account.id, account.username, account.gender, account.passwordSalt, account.passwordHash]
+  );
+  return result.rows[0];
+}
+
+async function getPlayerByUsername(db, username) {
+  const result = await db.query(
+    `
+      SELECT id, username, gender, password_salt, password_hash
+      FROM players
+      WHERE username = $1
+      LIMIT 1
+    `,
+    [username]
+  );
+  return result.rows[0] || null;
+}
+
+async function getPlayerById(db, id) {
+  const result = await db.query(
+    `
+      SELECT id, username, gender
+      FROM players
+      WHERE id = $1
+      LIMIT 1
+    `,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+async function touchPlayerLogin(db, id) {
+  await db.query(
+    `
+      UPDATE players
+      SET last_login_at = NOW()
+      WHERE id = $1
+    `,
+    [id]
+  );
+}
+
+async function createPlayerSession(db, session) {
+  await db.query(
+    `
+      INSERT INTO player_sessions (id, player_id, refresh_hash, expires_at, last_used_at)
+      VALUES ($1, $2, $3, $4, NOW())
+    `,
+    [session.id, session.playerId, session.refreshHash, new Date(session.expiresAt)]
+  );
+}
+
+async function getPlayerSession(db, id) {
+  const result = await db.query(
+    `
+      SELECT id, player_id, refresh_hash, expires_at, revoked_at
+      FROM player_sessions
+      WHERE id = $1
+      LIMIT 1
+    `,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+async function rotatePlayerSession(db, id, refreshHash, expiresAt) {
+  const result = await db.query(
+    `
+      UPDATE player_sessions
+      SET refresh_hash = $2, expires_at = $3, last_used_at = NOW()
+      WHERE id = $1
+        AND revoked_at IS NULL
+    `,
+    [id, refreshHash, new Date(expiresAt)]
+  );
+  return result.rowCount > 0;
+}
+
+async function revokePlayerSession(db, id) {
+  await db.query(
+    `
+      UPDATE player_sessions
+      SET revoked_at = NOW()
+      WHERE id = $1
+        AND revoked_at IS NULL
+    `,
+    [id]
+  );
+}
+
+async function revokePlayerSessions(db, playerId) {
+  await db.query(
+    `
+      UPDATE player_sessions
+      SET revoked_at = NOW()
+      WHERE player_id = $1
+        AND revoked_at IS NULL
+    `,
+    [playerId]
+  );
+}
+
+async function writeMemory(db, memory) {
+  const result = await db.query(
+    `
+      INSERT INTO memories (npc_id, memory_type, content, importance, tags, created_at, embedding)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING id
+    `,
+    [
+      memory.npcId,
+      memory.type,
+      memory.content,
+      memory.importance,
+      memory.tags,
+      memory.createdAt,
+      Array.isArray(memory.embedding) ? JSON.stringify(memory.embedding) : null
+    ]
+  );
+  return Number(result.rows[0].id);
+}
+
+async function getRecentMemories(db, npcId, limit = 6) {
+  const result = await db.query(
+    `
+      SELECT id, npc_id, memory_type, content, importance, tags, created_at, embedding
+      FROM memories
+      WHERE npc_id = $1
+        AND archived_at IS NULL
+      ORDER BY id DESC
+      LIMIT $2
+    `,
+    [npcId, limit]
+  );
+  return result.rows;
+}
+
+async function getRecentMemoriesByTag(db, npcId, tag, limit = 6) {
+  if (!canonicalMemoryTag(tag)) return [];
+  const [exact, playerScoped] = memoryTagLikePatterns(tag);
+  const result = await db.query(
+    `
+      SELECT id, npc_id, memory_type, content, importance, tags, created_at, embedding
+      FROM memories
+      WHERE npc_id = $1
+        AND archived_at IS NULL
+        AND (LOWER(',' || tags || ',') LIKE $2 ESCAPE '\\' OR LOWER(',' || tags || ',') LIKE $3 ESCAPE '\\')
+      ORDER BY id DESC
+      LIMIT $4
+    `,
+    [npcId, exact, playerScoped, limit]
+  );
+  return result.rows;
+}
+
+async function getUnconsolidatedMemories(db, npcId, types, before, limit = 200) {
+  const result = await db.query(
+    `
+      SELECT id, npc_id, memory_type, content, importance, tags, created_at
+      FROM memories
+      WHERE npc_id = $1
+        AND memory_type = ANY($2)
+        AND consolidated_at IS NULL
+        AND archived_at IS NULL
+        AND created_at < $3
+      ORDER BY id ASC
+      LIMIT $4
+    `,
+    [npcId, types, new Date(before), limit]
+  );
+  return result.rows;
+}
+
+async function markMemoriesConsolidated(db, ids, archiveMaxImportance) {
+  if (!Array.isArray(ids) || ids.length === 0) return;
+  await db.query(
+    `
+      UPDATE memories
+      SET consolidated_at = NOW(),
+        archived_at = CASE WHEN importance <= $2 THEN NOW() ELSE archived_at END
+      WHERE id = ANY($1)
+    `,
+    [ids, archiveMaxImportance]
+  );
+}
+
+async function archiveExcessMemories(db, npcId, type, keep) {
+  await db.query(
+    `
+      UPDATE memories
+      SET archived_at = NOW()
+      WHERE id IN (
+        SELECT id
+        FROM memories
+        WHERE npc_id = $1
+          AND memory_type = $2
+          AND archived_at IS NULL
+        ORDER BY importance DESC, id DESC
+        OFFSET $3
+      )
+    `,
+    [npcId, type, keep]
+  );
+}
+
+async function decayConsolidatedMemories(db, { decayBefore, archiveMaxImportance, purgeBefore }) {
+  await db.query(
+    `
+      UPDATE memories
+      SET importance = importance - 1,
+        archived_at = CASE WHEN importance - 1 <= $2 THEN NOW() ELSE archived_at END
+      WHERE consolidated_at IS NOT NULL
+        AND archived_at IS NULL
+        AND consolidated_at < $1
+    `,
+    [new Date(decayBefore), archiveMaxImportance]
+  );
+  const purged = await db.query(
+    `
+      DELETE FROM memories
+      WHERE archived_at IS NOT NULL
+        AND archived_at < $1
+    `,
+    [new Date(purgeBefore)]
+  );
+  return purged.rowCount;
+}
+
+async function upsertRelationshipDelta(db, npcId, playerId, delta, dayNumber = null) {
+  const result = await db.query(
+    `
+      INSERT INTO relationships (npc_id, player_id, score, last_interaction_at, last_interaction_day)
+      VALUES ($1, $2, $3, NOW(), $4)
+      ON CONFLICT (npc_id, player_id)
+      DO UPDATE SET
+        score = relationships.score + EXCLUDED.score,
+        last_interaction_at = EXCLUDED.last_interaction_at,
+        last_interaction_day = COALESCE(EXCLUDED.last_interaction_day, relationships.last_interaction_day)
+      RETURNING score
+    `,
+    [npcId, playerId, delta, dayNumber]
+  );
+  return result.rows[0].score;
+}
+
+async function getPlayerRelationships(db, playerId) {
+  const result = await db.query(
+    `
+      SELECT npc_id, score, last_interaction_at, last_interaction_day
+      FROM relationships
+      WHERE player_id = $1
+      ORDER BY npc_id
+    `,
+    [playerId]
+  );
+  return result.rows;
+}
+
+async function decayRelationships(db, { dayNumber, idleDays, amount }) {
+  await db.query(
+    `
+      UPDATE relationships
+      SET last_interaction_day = $1
+      WHERE last_interaction_day IS NULL OR last_interaction_day > $1
+    `,
+    [dayNumber]
+  );
+  const result = await db.query(
+    `
+      UPDATE relationships
+      SET score = CASE WHEN score > 0 THEN GREATEST(score - $1, 0) ELSE LEAST(score + $1, 0) END
+      WHERE score <> 0 AND last_interaction_day < $2
+      RETURNING player_id, npc_id, score
+    `,
+    [amount, dayNumber - idleDays]
+  );
+  return result.rows;
+}
+
+async function hasNpcIntroducedToPlayer(db, npcId, playerId) {
+  const result = await db.query(
+    `
+      SELECT 1
+      FROM memories
+      WHERE npc_id = $1
+        AND memory_type = 'player_intro'
+        AND (LOWER(',' || tags || ',') LIKE $2 ESCAPE '\\' OR LOWER(',' || tags || ',') LIKE $3 ESCAPE '\\')
+      LIMIT 1
+    `,
+    [npcId, ...memoryTagLikePatterns(playerId)]
+  );
+  return result.rowCount > 0;
+}
+
+async function saveWorldSnapshot(db, snapshot) {
+  const result = await db.query(
+    `
+      INSERT INTO world_snapshots (version, day_number, reason, payload)
+      VALUES ($1, $2, $3, $4)
+      RETURNING id
+    `,
+    [snapshot.version, snapshot.dayNumber, snapshot.reason, snapshot.payload]
+  );
+  return Number(result.rows[0].id);
+}
+
+async function listWorldSnapshots(db, limit = 20) {
+  const result = await db.query(
+    `
+      SELECT id, version, day_number, reason, LENGTH(payload) AS size, created_at
+      FROM world_snapshots
+      ORDER BY id DESC
+      LIMIT $1
+    `,
+    [limit]
+  );
+  return result.rows.map((row) => ({ ...row, id: Number(row.id), size: Number(row.size) }));
+}
+
+async function getWorldSnapshot(db, id) {
+  const result = await db.query(
+    `
+      SELECT id, version, day_number, reason, payload, created_at
+      FROM world_snapshots
+      WHERE id = $1
+      LIMIT 1
+    `,
+    [id]
+  );
+  const row = result.rows[0];
+  return row ? { ...row, id: Number(row.id) } : null;
+}
+
+async function pruneWorldSnapshots(db, keep) {
+  const result = await db.query(
+    `
+      DELETE FROM world_snapshots
+      WHERE id NOT IN (
+        SELECT id
+        FROM world_snapshots
+        ORDER BY id DESC
+        LIMIT $1
+      )
+    `,
+    [keep]
+  );
+  return result.rowCount;
+}
+
+async function savePlayerState(db, state) {
+  await db.query(
+    `
+      INSERT INTO player_state (
+        player_id, farm, inventory, coins, mission_progress, reputation, friendship, position_x, position_y, updated_at
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+      ON CONFLICT (player_id)
+      DO UPDATE SET
+        farm = EXCLUDED.farm,
+        inventory = EXCLUDED.inventory,
+        coins = EXCLUDED.coins,
+        mission_progress = EXCLUDED.mission_progress,
+        reputation = EXCLUDED.reputation,
+        friendship = EXCLUDED.friendship,
+        position_x = EXCLUDED.position_x,
+        position_y = EXCLUDED.position_y,
+        updated_at = EXCLUDED.updated_at
+    `,
+    [
+      state.playerId,
+      state.farm,
+      state.inventory,
+      state.coins,
+      state.missionProgress,
+      state.reputation,
+      state.friendship,
+      state.x,
+      state.y
+    ]
+  );
+}
+
+async function getPlayerState(db, playerId) {
+  const result = await db.query(
+    `
+      SELECT player_id, farm, inventory, coins, mission_progress, reputation, friendship, position_x, position_y, updated_at
+      FROM player_state
+      WHERE player_id = $1
+      LIMIT 1
+    `,
+    [playerId]
+  );
+  return result.rows[0] || null;
+}
+
+async function deletePlayerState(db, playerId) {
+  const result = await db.query("DELETE FROM player_state WHERE player_id = $1", [playerId]);
+  return result.rowCount > 0;
+}
+
+async function savePlayerChatBlock(db, playerId, targetId, kind) {
+  await db.query(
+    `
+      INSERT INTO player_chat_blocks (player_id, target_id, kind, created_at)
+      VALUES ($1, $2, $3, NOW())
+      ON CONFLICT (player_id, target_id)
+      DO UPDATE SET kind = EXCLUDED.kind
+    `,
+    [playerId, targetId, kind]
+  );
+}
+
+async function deletePlayerChatBlock(db, playerId, targetId) {
+  const result = await db.query("DELETE FROM player_chat_blocks WHERE player_id = $1 AND target_id = $2", [
+    playerId,
+    targetId
+  ]);
+  return result.rowCount > 0;
+}
+
+async function listPlayerChatBlocks(db, playerId) {
+  const result = await db.query(
+    `
+      SELECT b.target_id, b.kind, b.created_at, p.username
+      FROM player_chat_blocks b
+      LEFT JOIN players p ON p.id = b.target_id
+      WHERE b.player_id = $1
+      ORDER BY b.created_at ASC, b.target_id ASC
+    `,
+    [playerId]
+  );
+  return result.rows;
+}
+
+export function createPostgresStorage({ connectionString }) {
+  if (!connectionString) {
+    throw new Error("DATABASE_URL is required for the postgres storage driver. Set it in server/.env.");
+  }
+  const pool = createPool(connectionString);
+  const bind = (fn) => (...args) => fn(pool, ...args);
+  return {
+    driver: "postgres",
+    ensureSchema: bind(ensureSchema),
+    createPlayerAccount: bind(createPlayerAccount),
+    getPlayerByUsername: bind(getPlayerByUsername),
+    getPlayerById: bind(getPlayerById),
+    touchPlayerLogin: bind(touchPlayerLogin),
+    createPlayerSession: bind(createPlayerSession),
+    getPlayerSession: bind(getPlayerSession),
+    rotatePlayerSession: bind(rotatePlayerSession),
+    revokePlayerSession: bind(revokePlayerSession),
+    revokePlayerSessions: bind(revokePlayerSessions),
+    writeMemory: bind(writeMemory),
+    getRecentMemories: bind(getRecentMemories),
+    getRecentMemoriesByTag: bind(getRecentMemoriesByTag),
+    getUnconsolidatedMemories: bind(getUnconsolidatedMemories),
+    markMemoriesConsolidated: bind(markMemoriesConsolidated),
+    archiveExcessMemories: bind(archiveExcessMemories),
+    decayConsolidatedMemories: bind(decayConsolidatedMemories),
+    upsertRelationshipDelta: bind(upsertRelationshipDelta),
+    getPlayerRelationships: bind(getPlayerRelationships),
+    decayRelationships: bind(decayRelationships),
+    hasNpcIntroducedToPlayer: bind(hasNpcIntroducedToPlayer),
+    saveWorldSnapshot: bind(saveWorldSnapshot),
+    listWorldSnapshots: bind(listWorldSnapshots),
+    getWorldSnapshot: bind(getWorldSnapshot),
+    pruneWorldSnapshots: bind(pruneWorldSnapshots),
+    savePlayerState: bind(savePlayerState),
+    getPlayerState: bind(getPlayerState),
+    deletePlayerState: bind(deletePlayerState),
+    savePlayerChatBlock: bind(savePlayerChatBlock),
+    deletePlayerChatBlock: bind(deletePlayerChatBlock),
+    listPlayerChatBlocks: bind(listPlayerChatBlocks),
+    close: () => pool.end()
+  };
+}
@@ -0,0 +1,540 @@
+import { mkdirSync } from "node:fs";
+import path from "node:path";
+import Database from "better-sqlite3";
+import { canonicalMemoryTag, memoryTagLikePatterns } from "./memory-ranking.js";
+
+const NOW_SQL = "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')";
+
+function toIso(value) {
+  return new Date(value).toISOString();
+}
+
+function placeholders(list) {
+  return list.map(() => "?").join(", ");
+}
+
+function ensureColumns(sqlite, table, columns) {
+  const existing = new Set(sqlite.prepare(`PRAGMA table_info(${table})`).all().map((col) => col.name));
+  for (const [name, definition] of Object.entries(columns)) {
+    if (!existing.has(name)) {
+      sqlite.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+    }
+  }
+}
+
+export function createSqliteStorage({ filename }) {
+  const target = String(filename || "").trim();
+  if (!target) {
+    throw new Error("SQLITE_PATH is required for the sqlite storage driver.");
+  }
+  if (target !== ":memory:") {
+    mkdirSync(path.dirname(path.resolve(target)), { recursive: true });
+  }
+  const sqlite = new Database(target);
+  sqlite.pragma("journal_mode = WAL");
+
+  return {
+    driver: "sqlite",
+
+    async ensureSchema() {
+      sqlite.exec(`
+        CREATE TABLE IF NOT EXISTS players (
+          id TEXT PRIMARY KEY,
+          username TEXT NOT NULL UNIQUE,
+          gender TEXT NOT NULL DEFAULT 'unspecified',
+          password_salt TEXT NOT NULL,
+          password_hash TEXT NOT NULL,
+          created_at TEXT NOT NULL DEFAULT (${NOW_SQL}),
+          last_login_at TEXT
+        );
+
+        CREATE TABLE IF NOT EXISTS memories (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          npc_id TEXT NOT NULL,
+          memory_type TEXT NOT NULL,
+          content TEXT NOT NULL,
+          importance INTEGER NOT NULL DEFAULT 3,
+          tags TEXT NOT NULL DEFAULT '',
+          created_at TEXT NOT NULL DEFAULT (${NOW_SQL})
+        );
+
+        CREATE TABLE IF NOT EXISTS relationships (
+          npc_id TEXT NOT NULL,
+          player_id TEXT NOT NULL,
+          score INTEGER NOT NULL DEFAULT 0,
+          last_interaction_at TEXT,
+          PRIMARY KEY (npc_id, player_id)
+        );
+
+        CREATE TABLE IF NOT EXISTS player_sessions (
+          id TEXT PRIMARY KEY,
+          player_id TEXT NOT NULL,
+          refresh_hash TEXT NOT NULL,
+          expires_at TEXT NOT NULL,
+          revoked_at TEXT,
+          created_at TEXT NOT NULL DEFAULT (${NOW_SQL}),
+          last_used_at TEXT
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_player_sessions_player_id ON player_sessions (player_id);
+
+        CREATE TABLE IF NOT EXISTS world_snapshots (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          version INTEGER NOT NULL,
+          day_number INTEGER NOT NULL DEFAULT 1,
+          reason TEXT NOT NULL DEFAULT 'autosave',
+          payload TEXT NOT NULL,
+          created_at TEXT NOT NULL DEFAULT (${NOW_SQL})
+        );
+
+        CREATE TABLE IF NOT EXISTS player_state (
+          player_id TEXT PRIMARY KEY,
+          farm TEXT,
+          inventory TEXT NOT NULL DEFAULT '{}',
+          coins INTEGER NOT NULL DEFAULT 0,
+          mission_progress TEXT,
+          reputation TEXT,
+          friendship TEXT,
+          position_x REAL,
+          position_y REAL,
+          updated_at TEXT NOT NULL DEFAULT (${NOW_SQL})
+        );
+
+        CREATE TABLE IF NOT EXISTS player_chat_blocks (
+          player_id TEXT NOT NULL,
+          target_id TEXT NOT NULL,
+          kind TEXT NOT NULL,
+          created_at TEXT NOT NULL DEFAULT (${NOW_SQL}),
+          PRIMARY KEY (player_id, target_id)
+        );
+      `);
+      ensureColumns(sqlite, "memories", {
+        embedding: "TEXT",
+        consolidated_at: "TEXT",
+        archived_at: "TEXT"
+      });
+      ensureColumns(sqlite, "player_state", { friendship: "TEXT" });
+      ensureColumns(sqlite, "relationships", { last_interaction_day: "INTEGER" });
+      sqlite.exec("CREATE INDEX IF NOT EXISTS idx_memories_npc_id_id ON memories (npc_id, id DESC);");
+    },
+
+    async createPlayerAccount(account) {
+      sqlite
+        .prepare(
+          `
+            INSERT INTO players (id, username, gender, password_salt, password_hash, last_login_at)
+            VALUES (?, ?, ?, ?, ?, ${NOW_SQL})
+          `
+        )
+        .run(account.id, account.username, account.gender, account.passwordSalt, account.passwordHash);
+      return { id: account.id, username: account.username, gender: account.gender };
+    },
+
+    async getPlayerByUsername(username) {
+      return (
+        sqlite
+          .prepare(
+            `
+              SELECT id, username, gender, password_salt, password_hash
+              FROM players
+              WHERE username = ?
+              LIMIT 1
+            `
+          )
+          .get(username) || null
+      );
+    },
+
+    async getPlayerById(id) {
+      return sqlite.prepare("SELECT id, username, gender FROM players WHERE id = ? LIMIT 1").get(id) || null;
+    },
+
+    async touchPlayerLogin(id) {
+      sqlite.prepare(`UPDATE players SET last_login_at = ${NOW_SQL} WHERE id = ?`).run(id);
+    },
+
+    async createPlayerSession(session) {
+      sqlite
+        .prepare(
+          `
+            INSERT INTO player_sessions (id, player_id, refresh_hash, expires_at, last_used_at)
+            VALUES (?, ?, ?, ?, ${NOW_SQL})
+          `
+        )
+        .run(session.id, session.playerId, session.refreshHash, toIso(session.expiresAt));
+    },
+
+    async getPlayerSession(id) {
+      return (
+        sqlite
+          .prepare(
+            `
+              SELECT id, player_id, refresh_hash, expires_at, revoked_at
+              FROM player_sessions
+              WHERE id = ?
+              LIMIT 1
+            `
+          )
+          .get(id) || null
+      );
+    },
+
+    async rotatePlayerSession(id, refreshHash, expiresAt) {
+      const info = sqlite
+        .prepare(
+          `
+            UPDATE player_sessions
+            SET refresh_hash = ?, expires_at = ?, last_used_at = ${NOW_SQL}
+            WHERE id = ?
+              AND revoked_at IS NULL
+          `
+        )
+        .run(refreshHash, toIso(expiresAt), id);
+      return info.changes > 0;
+    },
+
+    async revokePlayerSession(id) {
+      sqlite
+        .prepare(`UPDATE player_sessions SET revoked_at = ${NOW_SQL} WHERE id = ? AND revoked_at IS NULL`)
+        .run(id);
+    },
+
+    async revokePlayerSessions(playerId) {
+      sqlite
+        .prepare(`UPDATE player_sessions SET revoked_at = ${NOW_SQL} WHERE player_id = ? AND revoked_at IS NULL`)
+        .run(playerId);
+    },
+
+    async writeMemory(memory) {
+      const result = sqlite
+        .prepare(
+          `
+            INSERT INTO memories (npc_id, memory_type, content, importance, tags, created_at, embedding)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+          `
+        )
+        .run(
+          memory.npcId,
+          memory.type,
+          memory.content,
+          memory.importance,
+          memory.tags,
+          toIso(memory.createdAt || Date.now()),
+          Array.isArray(memory.embedding) ? JSON.stringify(memory.embedding) : null
+        );
+      return Number(result.lastInsertRowid);
+    },
+
+    async getRecentMemories(npcId, limit = 6) {
+      return sqlite
+        .prepare(
+          `
+            SELECT id, npc_id, memory_type, content, importance, tags, created_at, embedding
+            FROM memories
+            WHERE npc_id = ?
+              AND archived_at IS NULL
+            ORDER BY id DESC
+            LIMIT ?
+          `
+        )
+        .all(npcId, limit);
+    },
+
+    async getRecentMemoriesByTag(npcId, tag, limit = 6) {
+      if (!canonicalMemoryTag(tag)) return [];
+      const [exact, playerScoped] = memoryTagLikePatterns(tag);
+      return sqlite
+        .prepare(
+          `
+            SELECT id, npc_id, memory_type, content, importance, tags, created_at, embedding
+            FROM memories
+            WHERE npc_id = ?
+              AND archived_at IS NULL
+              AND (LOWER(',' || tags || ',') LIKE ? ESCAPE '\\' OR LOWER(',' || tags || ',') LIKE ? ESCAPE '\\')
+            ORDER BY id DESC
+            LIMIT ?
+          `
+        )
+        .all(npcId, exact, playerScoped, limit);
+    },
+
+    async getUnconsolidatedMemories(npcId, types, before, limit = 200) {
+      const list = Array.isArray(types) && types.length > 0 ? types : [""];
+      return sqlite
+        .prepare(
+          `
+            SELECT id, npc_id, memory_type, content, importance, tags, created_at
+            FROM memories
+            WHERE npc_id = ?
+              AND memory_type IN (${placeholders(list)})
+              AND consolidated_at IS NULL
+              AND archived_at IS NULL
+              AND created_at < ?
+            ORDER BY id ASC
+            LIMIT ?
+          `
+        )
+        .all(npcId, ...list, toIso(before), limit);
+    },
+
+    async markMemoriesConsolidated(ids, archiveMaxImportance) {
+      if (!Array.isArray(ids) || ids.length === 0) return;
+      sqlite
+        .prepare(
+          `
+            UPDATE memories
+            SET consolidated_at = ${NOW_SQL},
+              archived_at = CASE WHEN importance <= ? THEN ${NOW_SQL} ELSE archived_at END
+            WHERE id IN (${placeholders(ids)})
+          `
+        )
+        .run(archiveMaxImportance, ...ids);
+    },
+
+    async archiveExcessMemories(npcId, type, keep) {
+      sqlite
+        .prepare(
+          `
+            UPDATE memories
+            SET archived_at = ${NOW_SQL}
+            WHERE id IN (
+              SELECT id
+              FROM memories
+              WHERE npc_id = ?
+                AND memory_type = ?
+                AND archived_at IS NULL
+              ORDER BY importance DESC, id DESC
+              LIMIT -1 OFFSET ?
+            )
+          `
+        )
+        .run(npcId, type, keep);
+    },
+
+    async decayConsolidatedMemories({ decayBefore, archiveMaxImportance, purgeBefore }) {
+      sqlite
+        .prepare(
+          `
+            UPDATE memories
+            SET importance = importance - 1,
+              archived_at = CASE WHEN importance - 1 <= ? THEN ${NOW_SQL} ELSE archived_at END
+            WHERE consolidated_at IS NOT NULL
+              AND archived_at IS NULL
+              AND consolidated_at < ?
+          `
+        )
+        .run(archiveMaxImportance, toIso(decayBefore));
+      const purged = sqlite
+        .prepare("DELETE FROM memories WHERE archived_at IS NOT NULL AND archived_at < ?")
+        .run(toIso(purgeBefore));
+      return purged.changes;
+    },
+
+    async upsertRelationshipDelta(npcId, playerId, delta, dayNumber = null) {
+      const row = sqlite
+        .prepare(
+          `
+            INSERT INTO relationships (npc_id, player_id, score, last_interaction_at, last_interaction_day)
+            VALUES (?, ?, ?, ${NOW_SQL}, ?)
+            ON CONFLICT (npc_id, player_id)
+            DO UPDATE SET
+              score = relationships.score + excluded.score,
+              last_interaction_at = excluded.last_interaction_at,
+              last_interaction_day = COALESCE(excluded.last_interaction_day, relationships.last_interaction_day)
+            RETURNING score
+          `
+        )
+        .get(npcId, playerId, delta, dayNumber);
+      return row.score;
+    },
+
+    async getPlayerRelationships(playerId) {
+      return sqlite
+        .prepare(
+          `
+            SELECT npc_id, score, last_interaction_at, last_interaction_day
+            FROM relationships
+            WHERE player_id = ?
+            ORDER BY npc_id
+          `
+        )
+        .all(playerId);
+    },
+
+    async decayRelationships({ dayNumber, idleDays, amount }) {
+      sqlite
+        .prepare(
+          `
+            UPDATE relationships
+            SET last_interaction_day = ?
+            WHERE last_interaction_day IS NULL OR last_interaction_day > ?
+          `
+        )
+        .run(dayNumber, dayNumber);
+      return sqlite
+        .prepare(
+          `
+            UPDATE relationships
+            SET score = CASE WHEN score > 0 THEN MAX(score - ?, 0) ELSE MIN(score + ?, 0) END
+            WHERE score <> 0 AND last_interaction_day < ?
+            RETURNING player_id, npc_id, score
+          `
+        )
+        .all(amount, amount, dayNumber - idleDays);
+    },
+
+    async hasNpcIntroducedToPlayer(npcId, playerId) {
+      const [exact, playerScoped] = memoryTagLikePatterns(playerId);
+      const row = sqlite
+        .prepare(
+          `
+            SELECT 1
+            FROM memories
+            WHERE npc_id = ?
+              AND memory_type = 'player_intro'
+              AND (LOWER(',' || tags || ',') LIKE ? ESCAPE '\\' OR LOWER(',' || tags || ',') LIKE ? ESCAPE '\\')
+            LIMIT 1
+          `
+        )
+        .get(npcId, exact, playerScoped);
+      return Boolean(row);
+    },
+
+    async saveWorldSnapshot(snapshot) {
+      const info = sqlite
+        .prepare("INSERT INTO world_snapshots (version, day_number, reason, payload) VALUES (?, ?, ?, ?)")
+        .run(snapshot.version, snapshot.dayNumber, snapshot.reason, snapshot.payload);
+      return Number(info.lastInsertRowid);
+    },
+
+    async listWorldSnapshots(limit = 20) {
+      return sqlite
+        .prepare(
+          `
+            SELECT id, version, day_number, reason, LENGTH(payload) AS size, created_at
+            FROM world_snapshots
+            ORDER BY id DESC
+            LIMIT ?
+          `
+        )
+        .all(limit);
+    },
+
+    async getWorldSnapshot(id) {
+      return (
+        sqlite
+          .prepare("SELECT id, version, day_number, reason, payload, created_at FROM world_snapshots WHERE id = ? LIMIT 1")
+          .get(id) || null
+      );
+    },
+
+    async pruneWorldSnapshots(keep) {
+      const info = sqlite
+        .prepare(
+          `
+            DELETE FROM world_snapshots
+            WHERE id NOT IN (
+              SELECT id
+              FROM world_snapshots
+              ORDER BY id DESC
+              LIMIT ?
+            )
+          `
+        )
+        .run(keep);
+      return info.changes;
+    },
+
+    async savePlayerState(state) {
+      sqlite
+        .prepare(
+          `
+            INSERT INTO player_state (
+              player_id, farm, inventory, coins, mission_progress, reputation, friendship, position_x, position_y, updated_at
+            )
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ${NOW_SQL})
+            ON CONFLICT (player_id)
+            DO UPDATE SET
+              farm = excluded.farm,
+              inventory = excluded.inventory,
+              coins = excluded.coins,
+              mission_progress = excluded.mission_progress,
+              reputation = excluded.reputation,
+              friendship = excluded.friendship,
+              position_x = excluded.position_x,
+              position_y = excluded.position_y,
+              updated_at = excluded.updated_at
+          `
+        )
+        .run(
+          state.playerId,
+          state.farm,
+          state.inventory,
+          state.coins,
+          state.missionProgress,
+          state.reputation,
+          state.friendship,
+          state.x,
+          state.y
+        );
+    },
+
+    async getPlayerState(playerId) {
+      return (
+        sqlite
+          .prepare(
+            `
+              SELECT player_id, farm, inventory, coins, mission_progress, reputation, friendship, position_x, position_y,
+                updated_at
+              FROM player_state
+              WHERE player_id = ?
+              LIMIT 1
+            `
+          )
+          .get(playerId) || null
+      );
+    },
+
+    async deletePlayerState(playerId) {
+      return sqlite.prepare("DELETE FROM player_state WHERE player_id = ?").run(playerId).changes > 0;
+    },
+
+    async savePlayerChatBlock(playerId, targetId, kind) {
+      sqlite
+        .prepare(
+          `
+            INSERT INTO player_chat_blocks (player_id, target_id, kind, created_at)
+            VALUES (?, ?, ?, ${NOW_SQL})
+            ON CONFLICT (player_id, target_id)
+            DO UPDATE SET kind = excluded.kind
+          `
+        )
+        .run(playerId, targetId, kind);
+    },
+
+    async deletePlayerChatBlock(playerId, targetId) {
+      return (
+        sqlite.prepare("DELETE FROM player_chat_blocks WHERE player_id = ? AND target_id = ?").run(playerId, targetId)
+          .changes > 0
+      );
+    },
+
+    async listPlayerChatBlocks(playerId) {
+      return sqlite
+        .prepare(
+          `
+            SELECT b.target_id, b.kind, b.created_at, p.username
+            FROM player_chat_blocks b
+            LEFT JOIN players p ON p.id = b.target_id
+            WHERE b.player_id = ?
+            ORDER BY b.created_at ASC, b.target_id ASC
+          `
+        )
+        .all(playerId);
+    },
+
+    async close() {
+      sqlite.close();
+    }
+  };
+}
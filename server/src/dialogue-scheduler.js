@@ -0,0 +1,88 @@
+export function createNpcLocks() {
+  const owners = new Map();
+  return {
+    acquire(npcIds, owner) {
+      const ids = [...new Set((npcIds || []).filter(Boolean))];
+      if (ids.length === 0 || !owner) return false;
+      if (ids.some((id) => owners.has(id) && owners.get(id) !== owner)) return false;
+      for (const id of ids) owners.set(id, owner);
+      return true;
+    },
+    release(npcIds, owner) {
+      for (const id of npcIds || []) {
+        if (owners.get(id) === owner) owners.delete(id);
+      }
+    },
+    releaseAll(owner) {
+      const released = [];
+      for (const [id, holder] of owners) {
+        if (holder !== owner) continue;
+        owners.delete(id);
+        released.push(id);
+      }
+      return released;
+    },
+    ownerOf(npcId) {
+      return owners.get(npcId) || null;
+    },
+    isFree(npcId, owner = null) {
+      return !owners.has(npcId) || (owner !== null && owners.get(npcId) === owner);
+    },
+    heldIds() {
+      return new Set(owners.keys());
+    }
+  };
+}
+
+export function createDialogueScheduler({ locks, maxConcurrent = 4, onError = () => {} }) {
+  const jobs = new Map();
+
+  return {
+    get size() {
+      return jobs.size;
+    },
+    hasCapacity() {
+      return jobs.size < maxConcurrent;
+    },
+    get(id) {
+      return jobs.get(id) || null;
+    },
+    list(kind = null) {
+      return [...jobs.values()].filter((job) => !kind || job.kind === kind);
+    },
+    run(id, { kind = "dialogue", npcIds = [] } = {}, task) {
+      if (!id || jobs.has(id) || jobs.size >= maxConcurrent) return null;
+      if (!locks.acquire(npcIds, id)) return null;
+      const job = {
+        id,
+        kind,
+        cancelled: false,
+        startedAt: Date.now(),
+        lock: (npcId) => locks.acquire([npcId], id),
+        unlock: (npcId) => locks.release([npcId], id),
+        promise: null
+      };
+      jobs.set(id, job);
+      job.promise = Promise.resolve()
+        .then(() => task(job))
+        .catch((err) => onError(err, job))
+        .finally(() => {
+          locks.releaseAll(id);
+          jobs.delete(id);
+        });
+      return job;
+    },
+    cancel(id) {
+      const job = jobs.get(id);
+      if (!job) return false;
+      job.cancelled = true;
+      return true;
+    },
+    cancelAll() {
+      for (const job of jobs.values()) job.cancelled = true;
+    },
+    async drain() {
+      await Promise.allSettled([...jobs.values()].map((job) => job.promise));
+    }
+  };
+}
@@ -1,4 +1,5 @@
-import OpenAI from "openai";
+import { DEFAULT_FALLBACK_LINE, FALLBACK_LINES } from "./constants.js";
+import { createLlmRouter } from "./llm.js";
 
 const IMMERSION_RULE =
   "You are writing in-world medieval/cozy town dialogue for a pixel-art fantasy town. Avoid references to modern technology, internet, smartphones, or LLMs.";
@@ -44,6 +45,34 @@ function cleanLineText(text) {
     .trim();
 }
 
+export function streamedLineText(output) {
+  const text = String(output || "");
+  const key = text.match(/"line"\s*:\s*"/);
+  if (!key) return /^\s*(`|\{|json\b)/i.test(text) ? "" : text.trim();
+  const escapes = { n: " ", t: " ", r: "", b: "", f: "" };
+  let line = "";
+  for (let i = key.index + key[0].length; i < text.length; i += 1) {
+    const ch = text[i];
+    if (ch === '"') break;
+    if (ch !== "\\") {
+      line += ch;
+      continue;
+    }
+    const next = text[i + 1];
+    if (next === undefined) break;
+    if (next === "u") {
+      const hex = text.slice(i + 2, i + 6);
+      if (!/^[0-9a-f]{4}$/i.test(hex)) break;
+      line += String.fromCharCode(parseInt(hex, 16));
+      i += 5;
+      continue;
+    }
+    line += Object.hasOwn(escapes, next) ? escapes[next] : next;
+    i += 1;
+  }
+  return line;
+}
+
 function shortenLine(text, maxWords = 14) {
   if (!text) return "";
   const words = text.trim().split(/\s+/).filter(Boolean);
@@ -71,26 +100,42 @@ function sanitizeDynamicObjectiveType(value) {
     "visit_area",
     "harvest_count",
     "talk_unique_npcs",
-    "visit_unique_areas"
+    "visit_unique_areas",
+    "craft_item",
+    "deliver_item"
   ]);
   return allowed.has(v) ? v : "talk_unique_npcs";
 }
 
-function fallbackLine(speaker, target, worldContext) {
-  const roleLineByRole = {
-    Businessman: "I smile at customers, then panic over rent and cart fees.",
-    Politician: "People think I love speeches; I mostly lose sleep over everyone.",
-    Fisherman: "Some mornings I hum to nets; it keeps my hands steady.",
-    "Shop Owner": "I remember who buys sweets when they're sad. It's never random.",
-    Artist: "I keep chasing light on walls. It changes faster than people.",
-    "Religious Devotee": "Most days I listen more than I preach. Folks carry heavy hearts.",
-    Cultist: "Even I need normal days: soup, silence, and no omens.",
-    "Town Guard": "I act stern, but I check doors softly so children sleep.",
-    Herbalist: "I dry herbs at dawn; the scent makes hard days gentler.",
-    Blacksmith: "Hammering calms me more than talking ever has."
+function rumorMissionFallback(questSignals) {
+  const rumor = questSignals?.rumors?.[0];
+  const subject = questSignals?.rumorSubject;
+  if (!rumor || !subject || !["npc", "area"].includes(subject.kind)) return {};
+  const base = {
+    title: "Chasing a Rumor",
+    targetCount: 1,
+    urgency: Math.max(1, Math.min(3, Number(questSignals.urgency) || 1)),
+    whyNow: `Folks keep saying ${rumor.claim}.`.slice(0, 140),
+    gossip: rumor.claim
+  };
+  if (subject.kind === "npc") {
+    return {
+      ...base,
+      description: `Ask ${subject.name} about what people are saying.`,
+      objectiveType: "talk_npc",
+      targetNpcName: subject.name
+    };
+  }
+  return {
+    ...base,
+    description: `Go to ${subject.name} and see whether the talk holds up.`,
+    objectiveType: "visit_area",
+    targetArea: subject.name
   };
+}
 
-  const base = roleLineByRole[speaker.role] || "It's an ordinary day, and that's a blessing.";
+function fallbackLine(speaker, target, worldContext) {
+  const base = FALLBACK_LINES[speaker.role] || DEFAULT_FALLBACK_LINE;
   const phase = speaker?.routineState?.phase ? `, ${speaker.routineState.phase}` : "";
   return `${base} (${worldContext.timeLabel}, ${speaker.area}${phase})`;
 }
@@ -155,8 +200,8 @@ function heuristicMemoryEvent(playerText) {
 }
 
 export class DialogueService {
-  constructor(apiKey) {
-    this.client = apiKey ? new OpenAI({ apiKey }) : null;
+  constructor({ llm } = {}) {
+    this.llm = llm || createLlmRouter();
     this.relationshipShiftCache = new Map();
     this.followupHintCache = new Map();
   }
@@ -177,15 +222,26 @@ export class DialogueService {
     }
   }
 
-  async generateNpcLine({ speaker, target, worldContext, memories, topicHint }) {
-    if (!this.client) {
-      return {
-        line: shortenLine(fallbackLine(speaker, target, worldContext)),
-        emotion: "neutral",
-        memoryWrite: `${speaker.name} discussed ${topicHint || "daily worries"} with ${target.name}.`
-      };
+  async embedText(text) {
+    const input = String(text || "").trim().slice(0, 2000);
+    if (!input || !this.llm.embeddingsAvailable?.()) return null;
+    try {
+      const embedding = await this.llm.embed(input);
+      return Array.isArray(embedding) && embedding.length > 0 ? embedding : null;
+    } catch {
+      return null;
     }
+  }
+
+  npcLineFallback(speaker, target, worldContext, topicHint, scriptedLine = "") {
+    return {
+      line: scriptedLine || shortenLine(fallbackLine(speaker, target, worldContext)),
+      emotion: "neutral",
+      memoryWrite: `${speaker.name} discussed ${topicHint || "daily worries"} with ${target.name}.`
+    };
+  }
 
+  npcLineMessages({ speaker, target, worldContext, memories, topicHint, relationship }) {
     const prompt = [
       `Speaker: ${speaker.name}, role=${speaker.role}, traits=${speaker.traits.join(", ")}`,
       `Speaker routine now: ${
@@ -210,6 +266,7 @@ export class DialogueService {
           : "none"
       }`,
       `Target: ${target.name}, role=${target.role}`,
+      `Relationship with target: ${relationship || "unknown"}`,
       `Time: ${worldContext.timeLabel}, Area: ${speaker.area}, Weather: ${worldContext.weather}`,
       `Town rumor (optional context, not required): ${worldContext.rumorOfTheDay}`,
       `Topic hint: ${topicHint || "local town matters"}`,
@@ -217,29 +274,29 @@ export class DialogueService {
       `Recent memories: ${memories.map((m) => m.content).join(" | ") || "none"}`
     ].join("\n");
 
-    const response = await this.client.responses.create({
-      model: "gpt-4.1-mini",
-      input: [
-        {
-          role: "system",
-          content: `${IMMERSION_RULE}
+    return [
+      {
+        role: "system",
+        content: `${IMMERSION_RULE}
 Keep each line under 14 words.
 Write like a real person with personality, not an NPC mission bot.
 Prioritize daily-life talk: feelings, work, neighbors, food, weather, little observations.
 Use the speaker's routine/profile naturally (work shift, day off, favorite hangouts) when relevant.
+Let the relationship with the target set how warm and how open the speaker is.
 Only occasionally mention rumors/duties/quests, and only when natural (rare).
 When replying to a player's message, usually respond to their topic/tone directly, but sometimes pivot naturally.`
-        },
-        {
-          role: "developer",
-          content:
-            "Output JSON with keys line, emotion, memoryWrite. Return only raw JSON, no markdown/code fences. Keep tone in-character and context-aware. memoryWrite should summarize human-like social content briefly."
-        },
-        { role: "user", content: prompt }
-      ]
-    });
+      },
+      {
+        role: "developer",
+        content:
+          "Output JSON with keys line, emotion, memoryWrite, in that order. Return only raw JSON, no markdown/code fences. Keep tone in-character and context-aware. memoryWrite should summarize human-like social content briefly."
+      },
+      { role: "user", content: prompt }
+    ];
+  }
 
-    const text = response.output_text?.trim();
+  parseNpcLine(output, { speaker, target, worldContext }) {
+    const text = String(output || "").trim();
     try {
       const parsed = JSON.parse(extractJsonString(text));
       return {
@@ -256,6 +313,41 @@ When replying to a player's message, usually respond to their topic/tone directl
     }
   }
 
+  async generateNpcLine(request) {
+    if (!this.llm.available("generateNpcLine")) {
+      const { speaker, target, worldContext, topicHint, scriptedLine } = request;
+      return this.npcLineFallback(speaker, target, worldContext, topicHint, scriptedLine);
+    }
+    const output = await this.llm.complete("generateNpcLine", this.npcLineMessages(request));
+    return this.parseNpcLine(output, request);
+  }
+
+  async streamNpcLine(request, { signal, onText = () => {} } = {}) {
+    if (!this.llm.available("generateNpcLine")) {
+      const { speaker, target, worldContext, topicHint, scriptedLine } = request;
+      const line = this.npcLineFallback(speaker, target, worldContext, topicHint, scriptedLine);
+      onText(line.line);
+      return line;
+    }
+    let output = "";
+    let shown = "";
+    try {
+      for await (const delta of this.llm.stream("generateNpcLine", this.npcLineMessages(request), { signal })) {
+        output += delta;
+        const text = shortenLine(streamedLineText(output));
+        if (text && text !== shown) {
+          shown = text;
+          onText(text);
+        }
+      }
+    } catch (err) {
+      if (signal?.aborted) return null;
+      throw err;
+    }
+    if (signal?.aborted) return null;
+    return this.parseNpcLine(output, request);
+  }
+
   async analyzeRelationshipShift({ speaker, target, line, contextHint }) {
     const fallbackDelta = heuristicRelationshipDelta(line);
     const cacheKey = [
@@ -269,7 +361,7 @@ When replying to a player's message, usually respond to their topic/tone directl
     if (cached && Number(cached.expiresAt) > now) {
       return cached.value;
     }
-    if (!this.client) {
+    if (!this.llm.available("analyzeRelationshipShift")) {
       const out = {
         delta: fallbackDelta,
         rationale: "heuristic-only"
@@ -286,24 +378,21 @@ When replying to a player's message, usually respond to their topic/tone directl
     ].join("\n");
 
     try {
-      const response = await this.client.responses.create({
-        model: "gpt-4.1-mini",
-        input: [
-          {
-            role: "system",
-            content: `${IMMERSION_RULE}
+      const output = await this.llm.complete("analyzeRelationshipShift", [
+        {
+          role: "system",
+          content: `${IMMERSION_RULE}
 Assess how this line would affect relationship tone between speaker and target.
 Return small change only.`
-          },
-          {
-            role: "developer",
-            content:
-              "Return raw JSON only with keys: delta, rationale. delta must be one of -2,-1,0,1,2."
-          },
-          { role: "user", content: prompt }
-        ]
-      });
-      const text = response.output_text?.trim();
+        },
+        {
+          role: "developer",
+          content:
+            "Return raw JSON only with keys: delta, rationale. delta must be one of -2,-1,0,1,2."
+        },
+        { role: "user", content: prompt }
+      ]);
+      const text = output.trim();
       const parsed = JSON.parse(extractJsonString(text));
       const rawDelta = Number(parsed?.delta);
       const clamped = [-2, -1, 0, 1, 2].includes(rawDelta) ? rawDelta : fallbackDelta;
@@ -333,7 +422,7 @@ Return small change only.`
       gossip: worldContext?.rumorOfTheDay || "People are talking all over town."
     };
 
-    if (!this.client) {
+    if (!this.llm.available("generateTownMission")) {
       return fallback;
     }
 
@@ -345,27 +434,24 @@ Return small change only.`
       `Roles: ${(roleNames || []).join(", ")}`
     ].join("\n");
 
-    const response = await this.client.responses.create({
-      model: "gpt-4.1-mini",
-      input: [
-        {
-          role: "system",
-          content: `${IMMERSION_RULE}
+    const output = await this.llm.complete("generateTownMission", [
+      {
+        role: "system",
+        content: `${IMMERSION_RULE}
 Design one short, doable, situational town mission based on current gossip/events.
 Mission must be grounded in what people are discussing.
 Objective must be one of: visit_area, talk_to_any_npc, talk_to_role, harvest_any.
 Keep it simple and completable within a short play session.`
-        },
-        {
-          role: "developer",
-          content:
-            "Return raw JSON only with keys: title, description, objectiveType, targetArea, targetRole, targetCount, gossip."
-        },
-        { role: "user", content: prompt }
-      ]
-    });
+      },
+      {
+        role: "developer",
+        content:
+          "Return raw JSON only with keys: title, description, objectiveType, targetArea, targetRole, targetCount, gossip."
+      },
+      { role: "user", content: prompt }
+    ]);
 
-    const text = response.output_text?.trim();
+    const text = output.trim();
     try {
       const parsed = JSON.parse(extractJsonString(text));
       return {
@@ -382,7 +468,7 @@ Keep it simple and completable within a short play session.`
     }
   }
 
-  async generateStoryMission({ worldContext, townLog, npcs, areaNames, roleNames, questSignals }) {
+  async generateStoryMission({ worldContext, townLog, npcs, areaNames, roleNames, recipeNames, questSignals }) {
     const fallback = {
       title: "Town Threads",
       description: "Talk with 2 different townsfolk to follow today's chatter.",
@@ -391,12 +477,14 @@ Keep it simple and completable within a short play session.`
       targetArea: null,
       targetRole: null,
       targetNpcName: null,
+      targetItem: null,
       urgency: 2,
       whyNow: "People are actively discussing this today.",
-      gossip: worldContext?.rumorOfTheDay || "Town chatter shifts by the hour."
+      gossip: worldContext?.rumorOfTheDay || "Town chatter shifts by the hour.",
+      ...rumorMissionFallback(questSignals)
     };
 
-    if (!this.client) {
+    if (!this.llm.available("generateStoryMission")) {
       return fallback;
     }
 
@@ -407,32 +495,33 @@ Keep it simple and completable within a short play session.`
       `NPCs: ${(npcs || []).map((n) => `${n.name} (${n.role}) @ ${n.area}`).join(" | ") || "none"}`,
       `Areas: ${(areaNames || []).join(", ") || "none"}`,
       `Roles: ${(roleNames || []).join(", ") || "none"}`,
+      `Dishes players can cook: ${(recipeNames || []).join(", ") || "none"}`,
       `Quest signals: ${
         questSignals && typeof questSignals === "object" ? JSON.stringify(questSignals) : "none"
       }`
     ].join("\n");
 
-    const response = await this.client.responses.create({
-      model: "gpt-4.1-mini",
-      input: [
-        {
-          role: "system",
-          content: `${IMMERSION_RULE}
+    const output = await this.llm.complete("generateStoryMission", [
+      {
+        role: "system",
+        content: `${IMMERSION_RULE}
 Create one dynamic player mission from recent NPC talk and town events.
 Mission must be short and completable in one session.
 Ground it in the recent log and current NPC social activity.
-Allowed objectiveType values only: talk_npc, talk_role, visit_area, harvest_count, talk_unique_npcs, visit_unique_areas.`
-        },
-        {
-          role: "developer",
-          content:
-            "Return raw JSON only with keys: title, description, objectiveType, targetNpcName, targetRole, targetArea, targetCount, urgency, whyNow, gossip."
-        },
-        { role: "user", content: prompt }
-      ]
-    });
+When quest signals list rumors, build the mission around checking the hottest one.
+Allowed objectiveType values only: talk_npc, talk_role, visit_area, harvest_count, talk_unique_npcs, visit_unique_areas,
+craft_item, deliver_item. craft_item and deliver_item name a dish in targetItem; deliver_item also names targetNpcName.`
+      },
+      {
+        role: "developer",
+        content:
+          "Return raw JSON only with keys: title, description, objectiveType, targetNpcName, targetRole, targetArea, " +
+          "targetItem, targetCount, urgency, whyNow, gossip."
+      },
+      { role: "user", content: prompt }
+    ]);
 
-    const text = response.output_text?.trim();
+    const text = output.trim();
     try {
       const parsed = JSON.parse(extractJsonString(text));
       return {
@@ -442,6 +531,7 @@ Allowed objectiveType values only: talk_npc, talk_role, visit_area, harvest_coun
         targetNpcName: parsed.targetNpcName ? String(parsed.targetNpcName).slice(0, 40) : null,
         targetRole: parsed.targetRole ? String(parsed.targetRole).slice(0, 40) : null,
         targetArea: parsed.targetArea ? String(parsed.targetArea).slice(0, 40) : null,
+        targetItem: parsed.targetItem ? String(parsed.targetItem).slice(0, 40) : null,
         targetCount: Math.max(1, Math.min(5, Number(parsed.targetCount) || fallback.targetCount)),
         urgency: Math.max(1, Math.min(3, Number(parsed.urgency) || fallback.urgency)),
         whyNow: String(parsed.whyNow || fallback.whyNow).slice(0, 140),
@@ -465,7 +555,7 @@ Allowed objectiveType values only: talk_npc, talk_role, visit_area, harvest_coun
       branchB: "If reports confirm danger, guards tighten patrols."
     };
 
-    if (!this.client) return fallback;
+    if (!this.llm.available("generateStoryArc")) return fallback;
 
     const prompt = [
       `Day: ${worldContext?.dayNumber || 1}, Time: ${worldContext?.timeLabel || "morning"}, Weather: ${worldContext?.weather || "clear"}`,
@@ -476,24 +566,21 @@ Allowed objectiveType values only: talk_npc, talk_role, visit_area, harvest_coun
     ].join("\n");
 
     try {
-      const response = await this.client.responses.create({
-        model: "gpt-4.1-mini",
-        input: [
-          {
-            role: "system",
-            content: `${IMMERSION_RULE}
+      const output = await this.llm.complete("generateStoryArc", [
+        {
+          role: "system",
+          content: `${IMMERSION_RULE}
 Create a short multi-day town story arc grounded in recent social chatter.
 Arc should be practical for gameplay and include 3 concise stages.`
-          },
-          {
-            role: "developer",
-            content:
-              "Return raw JSON only with keys: title, summary, stages, branchA, branchB. stages must be an array of 3 short strings."
-          },
-          { role: "user", content: prompt }
-        ]
-      });
-      const parsed = JSON.parse(extractJsonString(response.output_text || ""));
+        },
+        {
+          role: "developer",
+          content:
+            "Return raw JSON only with keys: title, summary, stages, branchA, branchB. stages must be an array of 3 short strings."
+        },
+        { role: "user", content: prompt }
+      ]);
+      const parsed = JSON.parse(extractJsonString(output || ""));
       const rawStages = Array.isArray(parsed?.stages) ? parsed.stages : [];
       const stages = rawStages
         .map((s) => String(s || "").trim())
@@ -516,7 +603,7 @@ Arc should be practical for gameplay and include 3 concise stages.`
 
   async generateRoutineNudges({ worldContext, townLog, roleNames, areaNames }) {
     const fallback = [];
-    if (!this.client) return fallback;
+    if (!this.llm.available("generateRoutineNudges")) return fallback;
 
     const prompt = [
       `Day: ${worldContext?.dayNumber || 1}, Weather: ${worldContext?.weather || "clear"}, Time: ${worldContext?.timeLabel || "morning"}`,
@@ -527,24 +614,21 @@ Arc should be practical for gameplay and include 3 concise stages.`
     ].join("\n");
 
     try {
-      const response = await this.client.responses.create({
-        model: "gpt-4.1-mini",
-        input: [
-          {
-            role: "system",
-            content: `${IMMERSION_RULE}
+      const output = await this.llm.complete("generateRoutineNudges", [
+        {
+          role: "system",
+          content: `${IMMERSION_RULE}
 Suggest small same-day routine adjustments by role from social mood and weather.
 Keep changes modest and practical.`
-          },
-          {
-            role: "developer",
-            content:
-              "Return raw JSON only as an array of up to 5 objects with keys: role, shiftMinutes, afterWorkArea, reason."
-          },
-          { role: "user", content: prompt }
-        ]
-      });
-      const parsed = JSON.parse(extractJsonString(response.output_text || "[]"));
+        },
+        {
+          role: "developer",
+          content:
+            "Return raw JSON only as an array of up to 5 objects with keys: role, shiftMinutes, afterWorkArea, reason."
+        },
+        { role: "user", content: prompt }
+      ]);
+      const parsed = JSON.parse(extractJsonString(output || "[]"));
       if (!Array.isArray(parsed)) return fallback;
       return parsed.slice(0, 5).map((n) => ({
         role: String(n?.role || "").slice(0, 40),
@@ -557,64 +641,49 @@ Keep changes modest and practical.`
     }
   }
 
-  async generateEconomyPlan({ worldContext, townLog, cropTypes }) {
-    const fallback = {
-      mood: "steady",
-      cropPrices: {
-        turnip: 8,
-        carrot: 10,
-        pumpkin: 18
-      },
-      demand: {
-        turnip: "normal",
-        carrot: "normal",
-        pumpkin: "normal"
-      },
-      missionRewardMultiplier: 1,
-      note: "Market is steady."
-    };
-    if (!this.client) return fallback;
+  async generateEconomyPlan({ worldContext, townLog, cropTypes, market }) {
+    const fallback = { mood: "", note: "", missionRewardMultiplier: 1, shocks: {} };
+    if (!this.llm.available("generateEconomyPlan")) return fallback;
 
+    const yesterday = market?.history?.[market.history.length - 1] || null;
+    const marketLines = (cropTypes || []).map((cropType) => {
+      const sold = yesterday?.sold?.[cropType] ?? 0;
+      const bought = yesterday?.bought?.[cropType] ?? 0;
+      return `${cropType}: price ${market?.prices?.[cropType] ?? "?"}, yesterday ${sold} sold, ${bought} seeds bought`;
+    });
     const prompt = [
       `Day: ${worldContext?.dayNumber || 1}, Weather: ${worldContext?.weather || "clear"}, Time: ${worldContext?.timeLabel || "morning"}`,
       `Rumor: ${worldContext?.rumorOfTheDay || "none"}`,
       `Recent town log: ${(townLog || []).slice(-24).join(" | ") || "none"}`,
-      `Crop types: ${(cropTypes || []).join(", ") || "turnip, carrot, pumpkin"}`
+      `Market: ${marketLines.join("; ") || "no crops"}`
     ].join("\n");
 
     try {
-      const response = await this.client.responses.create({
-        model: "gpt-4.1-mini",
-        input: [
-          {
-            role: "system",
-            content: `${IMMERSION_RULE}
-Design one day market conditions from social chatter.
-Return practical prices and demand only.`
-          },
-          {
-            role: "developer",
-            content:
-              "Return raw JSON with keys: mood, cropPrices, demand, missionRewardMultiplier, note. cropPrices should map each crop to integer price. demand values: high|normal|low."
-          },
-          { role: "user", content: prompt }
-        ]
-      });
-      const parsed = JSON.parse(extractJsonString(response.output_text || "{}"));
-      const cropPrices = {};
-      const demand = {};
+      const output = await this.llm.complete("generateEconomyPlan", [
+        {
+          role: "system",
+          content: `${IMMERSION_RULE}
+Prices are set by what players sell and buy. Describe today's market mood from social chatter and the numbers.
+Only nudge a crop when town events give a clear reason.`
+        },
+        {
+          role: "developer",
+          content:
+            "Return raw JSON with keys: mood, note, missionRewardMultiplier, shocks. shocks maps a crop to a price nudge between -0.15 and 0.15; leave out crops with no reason to move."
+        },
+        { role: "user", content: prompt }
+      ]);
+      const parsed = JSON.parse(extractJsonString(output || "{}"));
+      const shocks = {};
       for (const cropType of cropTypes || []) {
-        const rawPrice = Number(parsed?.cropPrices?.[cropType]);
-        cropPrices[cropType] = Number.isFinite(rawPrice) ? Math.max(1, Math.round(rawPrice)) : fallback.cropPrices[cropType] || 1;
-        const rawDemand = String(parsed?.demand?.[cropType] || "").toLowerCase();
-        demand[cropType] = rawDemand === "high" || rawDemand === "low" ? rawDemand : "normal";
+        const shock = Number(parsed?.shocks?.[cropType]);
+        if (Number.isFinite(shock) && shock !== 0) shocks[cropType] = Math.max(-0.15, Math.min(0.15, shock));
       }
       return {
-        mood: String(parsed?.mood || fallback.mood).slice(0, 32),
-        cropPrices,
-        demand,
+        mood: String(parsed?.mood || "").slice(0, 32),
+        note: String(parsed?.note || "").slice(0, 160),
         missionRewardMultiplier: Math.max(0.8, Math.min(1.25, Number(parsed?.missionRewardMultiplier) || 1)),
-        note: String(parsed?.note || fallback.note).slice(0, 160)
+        shocks
       };
     } catch {
       return fallback;
@@ -625,7 +694,7 @@ Return practical prices and demand only.`
     const fallback = {
       active: []
     };
-    if (!this.client) return fallback;
+    if (!this.llm.available("generateWorldEvents")) return fallback;
     const prompt = [
       `Day: ${worldContext?.dayNumber || 1}, Time: ${worldContext?.timeLabel || "morning"}, Weather: ${worldContext?.weather || "clear"}`,
       `Rumor: ${worldContext?.rumorOfTheDay || "none"}`,
@@ -633,24 +702,21 @@ Return practical prices and demand only.`
       `Areas: ${(areaNames || []).join(", ") || "none"}`
     ].join("\n");
     try {
-      const response = await this.client.responses.create({
-        model: "gpt-4.1-mini",
-        input: [
-          {
-            role: "system",
-            content: `${IMMERSION_RULE}
+      const output = await this.llm.complete("generateWorldEvents", [
+        {
+          role: "system",
+          content: `${IMMERSION_RULE}
 Create up to 2 short world events/emergencies for today based on chatter.
 Events should be practical and affect gameplay tone.`
-          },
-          {
-            role: "developer",
-            content:
-              "Return raw JSON object with key active (array). Each event keys: title, description, severity (1-3), area, effect (one of none,weather_shift,price_spike,guard_alert,crowd_rush)."
-          },
-          { role: "user", content: prompt }
-        ]
-      });
-      const parsed = JSON.parse(extractJsonString(response.output_text || "{}"));
+        },
+        {
+          role: "developer",
+          content:
+            "Return raw JSON object with key active (array). Each event keys: title, description, severity (1-3), area, effect (one of none,weather_shift,price_spike,guard_alert,crowd_rush)."
+        },
+        { role: "user", content: prompt }
+      ]);
+      const parsed = JSON.parse(extractJsonString(output || "{}"));
       const active = Array.isArray(parsed?.active) ? parsed.active : [];
       return {
         active: active.slice(0, 2).map((evt) => ({
@@ -671,7 +737,7 @@ Events should be practical and affect gameplay tone.`
       groups: Array.isArray(factions?.groups) ? factions.groups : [],
       tensions: Array.isArray(factions?.tensions) ? factions.tensions : []
     };
-    if (!this.client) return fallback;
+    if (!this.llm.available("generateFactionPulse")) return fallback;
 
     const prompt = [
       `Day: ${worldContext?.dayNumber || 1}, Weather: ${worldContext?.weather || "clear"}`,
@@ -681,23 +747,20 @@ Events should be practical and affect gameplay tone.`
     ].join("\n");
 
     try {
-      const response = await this.client.responses.create({
-        model: "gpt-4.1-mini",
-        input: [
-          {
-            role: "system",
-            content: `${IMMERSION_RULE}
+      const output = await this.llm.complete("generateFactionPulse", [
+        {
+          role: "system",
+          content: `${IMMERSION_RULE}
 Update faction influence and tensions based on latest town mood.
 Keep outputs small and grounded.`
-          },
-          {
-            role: "developer",
-            content: "Return raw JSON with keys groups and tensions."
-          },
-          { role: "user", content: prompt }
-        ]
-      });
-      const parsed = JSON.parse(extractJsonString(response.output_text || "{}"));
+        },
+        {
+          role: "developer",
+          content: "Return raw JSON with keys groups and tensions."
+        },
+        { role: "user", content: prompt }
+      ]);
+      const parsed = JSON.parse(extractJsonString(output || "{}"));
       return {
         groups: Array.isArray(parsed?.groups) ? parsed.groups : fallback.groups,
         tensions: Array.isArray(parsed?.tensions) ? parsed.tensions : fallback.tensions
@@ -709,7 +772,7 @@ Keep outputs small and grounded.`
 
   async classifyPlayerMemoryEvent({ playerText, npcName, contextHint }) {
     const fallback = heuristicMemoryEvent(playerText);
-    if (!this.client) return fallback;
+    if (!this.llm.available("classifyPlayerMemoryEvent")) return fallback;
 
     const prompt = [
       `NPC: ${npcName || "Unknown"}`,
@@ -717,23 +780,20 @@ Keep outputs small and grounded.`
       `Context: ${String(contextHint || "").slice(0, 160)}`
     ].join("\n");
     try {
-      const response = await this.client.responses.create({
-        model: "gpt-4.1-mini",
-        input: [
-          {
-            role: "system",
-            content: `${IMMERSION_RULE}
+      const output = await this.llm.complete("classifyPlayerMemoryEvent", [
+        {
+          role: "system",
+          content: `${IMMERSION_RULE}
 Classify whether the player's line should become a persistent social memory for this NPC.`
-          },
-          {
-            role: "developer",
-            content:
-              "Return raw JSON keys: category, summary, importance. category must be one of none,promise,gift,insult,apology,lie_confession,request."
-          },
-          { role: "user", content: prompt }
-        ]
-      });
-      const parsed = JSON.parse(extractJsonString(response.output_text || "{}"));
+        },
+        {
+          role: "developer",
+          content:
+            "Return raw JSON keys: category, summary, importance. category must be one of none,promise,gift,insult,apology,lie_confession,request."
+        },
+        { role: "user", content: prompt }
+      ]);
+      const parsed = JSON.parse(extractJsonString(output || "{}"));
       const allowed = new Set(["none", "promise", "gift", "insult", "apology", "lie_confession", "request"]);
       const category = allowed.has(String(parsed?.category || "")) ? String(parsed.category) : fallback.category;
       const summary = String(parsed?.summary || fallback.summary || "").slice(0, 160);
@@ -744,6 +804,46 @@ Classify whether the player's line should become a persistent social memory for
     }
   }
 
+  async generateMemoryReflections({ npc, groups }) {
+    if (!this.llm.available("generateMemoryReflections")) return [];
+    const subjects = Array.isArray(groups) ? groups : [];
+    if (subjects.length === 0) return [];
+
+    const prompt = [
+      `NPC: ${npc?.name || "Unknown"} (${npc?.role || "role"}), traits=${(npc?.traits || []).join(", ")}`,
+      ...subjects.map(
+        (group) => `Subject ${group.key} (${group.label}): ${(group.lines || []).join(" | ").slice(0, 1200)}`
+      )
+    ].join("\n");
+    try {
+      const output = await this.llm.complete("generateMemoryReflections", [
+        {
+          role: "system",
+          content: `${IMMERSION_RULE}
+Condense yesterday's memories into one first-person reflection per subject, as the NPC would remember it.
+Keep promises, gifts, slights, and feelings; drop small talk.`
+        },
+        {
+          role: "developer",
+          content:
+            "Return raw JSON with key reflections: an array of items with keys key, reflection, importance. key must match a given subject key. reflection under 40 words. importance 5-9."
+        },
+        { role: "user", content: prompt }
+      ]);
+      const parsed = JSON.parse(extractJsonString(output || "{}"));
+      const keys = new Set(subjects.map((group) => group.key));
+      return (Array.isArray(parsed?.reflections) ? parsed.reflections : [])
+        .filter((item) => keys.has(String(item?.key || "")))
+        .map((item) => ({
+          key: String(item.key),
+          reflection: String(item.reflection || "").slice(0, 280),
+          importance: Math.max(5, Math.min(9, Number(item.importance) || 6))
+        }));
+    } catch {
+      return [];
+    }
+  }
+
   async generateNextDayFollowup({ npc, playerName, worldContext, recentPlayerMemories, prioritizedThreads, townLog }) {
     const key = [
       String(npc?.id || npc?.name || ""),
@@ -771,7 +871,7 @@ Classify whether the player's line should become a persistent social memory for
       }
       return `light follow-up on yesterday's town mood with ${playerName || "the traveler"}`;
     })();
-    if (!this.client) {
+    if (!this.llm.available("generateNextDayFollowup")) {
       this.followupHintCache.set(key, { value: fallback, expiresAt: now + 60_000 });
       return fallback;
     }
@@ -787,25 +887,22 @@ Classify whether the player's line should become a persistent social memory for
     ].join("\n");
 
     try {
-      const response = await this.client.responses.create({
-        model: "gpt-4.1-mini",
-        input: [
-          {
-            role: "system",
-            content: `${IMMERSION_RULE}
+      const output = await this.llm.complete("generateNextDayFollowup", [
+        {
+          role: "system",
+          content: `${IMMERSION_RULE}
 Write one short next-day conversation follow-up hint for this NPC talking to the player.
 If unresolved promise/apology threads are present, prioritize one of those first.
 Treat these as unresolved unless explicit resolution is stated.
 It should reference yesterday's social context and feel natural, not quest-like.`
-          },
-          {
-            role: "developer",
-            content: "Return raw JSON only with key followupHint (max 140 chars)."
-          },
-          { role: "user", content: prompt }
-        ]
-      });
-      const parsed = JSON.parse(extractJsonString(response.output_text || "{}"));
+        },
+        {
+          role: "developer",
+          content: "Return raw JSON only with key followupHint (max 140 chars)."
+        },
+        { role: "user", content: prompt }
+      ]);
+      const parsed = JSON.parse(extractJsonString(output || "{}"));
       const followupHint = String(parsed?.followupHint || "").trim();
       const out = followupHint ? followupHint.slice(0, 140) : fallback;
       this.followupHintCache.set(key, { value: out, expiresAt: now + 10 * 60_000 });
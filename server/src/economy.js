@@ -0,0 +1,205 @@
+export const ECONOMY_HISTORY_DAYS = 14;
+export const DAILY_MARKET_DEMAND = 10;
+export const MAX_MARKET_SHOCK = 0.15;
+
+const PRICE_ELASTICITY = 0.15;
+const INTRADAY_ELASTICITY = 0.2;
+const MEAN_REVERSION = 0.25;
+const SEED_SUPPLY_WEIGHT = 0.5;
+const PRICE_FLOOR = 0.4;
+const PRICE_CEILING = 2.5;
+const FLOW_KINDS = ["sold", "bought"];
+
+function clamp(n, min, max) {
+  return Math.max(min, Math.min(max, n));
+}
+
+function basePrice(crops, cropType) {
+  return Number(crops[cropType]?.sellPrice) || 1;
+}
+
+function dailyDemand(crops, cropType) {
+  return Number(crops[cropType]?.dailyDemand) || DAILY_MARKET_DEMAND;
+}
+
+function boundedPrice(crops, cropType, price) {
+  const base = basePrice(crops, cropType);
+  return Math.round(clamp(price, base * PRICE_FLOOR, base * PRICE_CEILING) * 100) / 100;
+}
+
+function demandLabel(crops, cropType, price) {
+  const ratio = price / basePrice(crops, cropType);
+  if (ratio >= 1.15) return "high";
+  if (ratio <= 0.87) return "low";
+  return "normal";
+}
+
+function units(value) {
+  const n = Math.floor(Number(value));
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+function emptyFlow(crops) {
+  const flow = {};
+  for (const cropType of Object.keys(crops)) {
+    flow[cropType] = { sold: 0, bought: 0 };
+  }
+  return flow;
+}
+
+function relabelDemand(economy, crops) {
+  economy.demand = {};
+  for (const cropType of Object.keys(crops)) {
+    economy.demand[cropType] = demandLabel(crops, cropType, economy.cropPrices[cropType]);
+  }
+}
+
+export function createEconomyState(crops, { dayNumber = 1 } = {}) {
+  const cropPrices = {};
+  for (const cropType of Object.keys(crops)) {
+    cropPrices[cropType] = basePrice(crops, cropType);
+  }
+  const economy = {
+    dayNumber: Math.max(1, Number(dayNumber) || 1),
+    mood: "steady",
+    note: "Market is stable today.",
+    missionRewardMultiplier: 1,
+    cropPrices,
+    demand: {},
+    flow: emptyFlow(crops),
+    shocks: {},
+    shockDay: 0,
+    history: [],
+    updatedAt: Date.now()
+  };
+  relabelDemand(economy, crops);
+  return economy;
+}
+
+function normalizeHistoryEntry(entry, crops) {
+  const day = { dayNumber: Math.max(1, Number(entry?.dayNumber) || 1), prices: {}, sold: {}, bought: {} };
+  for (const cropType of Object.keys(crops)) {
+    const price = Number(entry?.prices?.[cropType]);
+    day.prices[cropType] = Number.isFinite(price) ? boundedPrice(crops, cropType, price) : basePrice(crops, cropType);
+    day.sold[cropType] = units(entry?.sold?.[cropType]);
+    day.bought[cropType] = units(entry?.bought?.[cropType]);
+  }
+  return day;
+}
+
+export function normalizeEconomyState(raw, crops, { dayNumber = 1 } = {}) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  const economy = createEconomyState(crops, { dayNumber: src.dayNumber || dayNumber });
+  economy.mood = String(src.mood || economy.mood).slice(0, 32);
+  economy.note = String(src.note || economy.note).slice(0, 160);
+  economy.missionRewardMultiplier = clamp(Number(src.missionRewardMultiplier) || 1, 0.75, 1.35);
+  economy.shockDay = Math.max(0, Number(src.shockDay) || 0);
+  for (const cropType of Object.keys(crops)) {
+    const price = Number(src.cropPrices?.[cropType]);
+    if (Number.isFinite(price) && price > 0) economy.cropPrices[cropType] = boundedPrice(crops, cropType, price);
+    for (const kind of FLOW_KINDS) {
+      economy.flow[cropType][kind] = units(src.flow?.[cropType]?.[kind]);
+    }
+    const shock = Number(src.shocks?.[cropType]);
+    if (Number.isFinite(shock) && shock !== 0) economy.shocks[cropType] = clamp(shock, -MAX_MARKET_SHOCK, MAX_MARKET_SHOCK);
+  }
+  economy.history = (Array.isArray(src.history) ? src.history : [])
+    .filter((entry) => entry && typeof entry === "object")
+    .slice(-ECONOMY_HISTORY_DAYS)
+    .map((entry) => normalizeHistoryEntry(entry, crops));
+  relabelDemand(economy, crops);
+  return economy;
+}
+
+export function liveCropPrice(economy, crops, cropType) {
+  const price = Number(economy?.cropPrices?.[cropType]) || basePrice(crops, cropType);
+  const soldToday = units(economy?.flow?.[cropType]?.sold);
+  const slide = Math.exp((-INTRADAY_ELASTICITY * soldToday) / dailyDemand(crops, cropType));
+  return Math.max(1, Math.round(price * slide));
+}
+
+export function recordMarketFlow(economy, cropType, kind, qty) {
+  if (!FLOW_KINDS.includes(kind)) return;
+  if (!economy.flow[cropType]) economy.flow[cropType] = { sold: 0, bought: 0 };
+  economy.flow[cropType][kind] += units(qty);
+  economy.updatedAt = Date.now();
+}
+
+function describeBiggestMove(economy, crops, closed) {
+  let biggest = null;
+  for (const cropType of Object.keys(crops)) {
+    const change = economy.cropPrices[cropType] / closed.prices[cropType] - 1;
+    if (!biggest || Math.abs(change) > Math.abs(biggest.change)) biggest = { cropType, change };
+  }
+  if (!biggest || Math.abs(biggest.change) < 0.03) return { mood: "steady", note: "Market is stable today." };
+  const label = crops[biggest.cropType].label || biggest.cropType;
+  const price = Math.round(economy.cropPrices[biggest.cropType]);
+  if (biggest.change < 0) {
+    return { mood: "glutted", note: `${label} fell to ${price} after ${closed.sold[biggest.cropType]} sold yesterday.` };
+  }
+  return { mood: "hungry", note: `${label} is scarce and up to ${price}.` };
+}
+
+export function closeMarketDay(economy, crops, { dayNumber }) {
+  const closed = { dayNumber: economy.dayNumber, prices: {}, sold: {}, bought: {} };
+  for (const cropType of Object.keys(crops)) {
+    const price = Number(economy.cropPrices[cropType]) || basePrice(crops, cropType);
+    const flow = economy.flow[cropType] || { sold: 0, bought: 0 };
+    closed.prices[cropType] = price;
+    closed.sold[cropType] = flow.sold;
+    closed.bought[cropType] = flow.bought;
+
+    const demandUnits = dailyDemand(crops, cropType);
+    const surplus = clamp((flow.sold + SEED_SUPPLY_WEIGHT * flow.bought - demandUnits) / demandUnits, -1, 3);
+    const reversion = MEAN_REVERSION * Math.log(basePrice(crops, cropType) / price);
+    const next = price * Math.exp(-PRICE_ELASTICITY * surplus + reversion);
+    economy.cropPrices[cropType] = boundedPrice(crops, cropType, next);
+  }
+  economy.history = [...economy.history, closed].slice(-ECONOMY_HISTORY_DAYS);
+  economy.flow = emptyFlow(crops);
+  economy.shocks = {};
+  Object.assign(economy, describeBiggestMove(economy, crops, closed));
+  economy.dayNumber = Math.max(1, Number(dayNumber) || economy.dayNumber + 1);
+  economy.updatedAt = Date.now();
+  relabelDemand(economy, crops);
+  return closed;
+}
+
+export function applyMarketNarrative(economy, crops, plan) {
+  const src = plan && typeof plan === "object" ? plan : {};
+  if (src.mood) economy.mood = String(src.mood).slice(0, 32);
+  if (src.note) economy.note = String(src.note).slice(0, 160);
+  if (src.missionRewardMultiplier !== undefined) {
+    economy.missionRewardMultiplier = clamp(Number(src.missionRewardMultiplier) || 1, 0.75, 1.35);
+  }
+  if (economy.shockDay !== economy.dayNumber) {
+    economy.shocks = {};
+    for (const cropType of Object.keys(crops)) {
+      const shock = clamp(Number(src.shocks?.[cropType]) || 0, -MAX_MARKET_SHOCK, MAX_MARKET_SHOCK);
+      if (shock === 0) continue;
+      economy.shocks[cropType] = shock;
+      economy.cropPrices[cropType] = boundedPrice(crops, cropType, economy.cropPrices[cropType] * (1 + shock));
+    }
+    economy.shockDay = economy.dayNumber;
+  }
+  economy.updatedAt = Date.now();
+  relabelDemand(economy, crops);
+  return economy;
+}
+
+export function marketReport(economy, crops) {
+  const prices = {};
+  for (const cropType of Object.keys(crops)) {
+    prices[cropType] = liveCropPrice(economy, crops, cropType);
+  }
+  return {
+    dayNumber: economy.dayNumber,
+    mood: economy.mood,
+    note: economy.note,
+    prices,
+    demand: { ...economy.demand },
+    today: economy.flow,
+    shocks: { ...economy.shocks },
+    history: economy.history
+  };
+}
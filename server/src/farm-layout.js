@@ -0,0 +1,108 @@
+import { AREAS, FARM_LOTS } from "./constants.js";
+
+export const FARM_SIZES = [
+  { cols: 3, rows: 3 },
+  { cols: 4, rows: 3 },
+  { cols: 4, rows: 4 }
+];
+
+const PLOT_GAP = 36;
+const PLOT_INSET_X = 24;
+const PLOT_INSET_Y = 30;
+const LEGACY_COLS = 3;
+
+export const NO_FREE_LOT_MESSAGE = "Every farm lot is taken right now. You will get one when a neighbour leaves town.";
+
+function clampLevel(level) {
+  const n = Math.floor(Number(level));
+  return Number.isFinite(n) ? Math.max(0, Math.min(FARM_SIZES.length - 1, n)) : 0;
+}
+
+export function farmSize(level) {
+  return FARM_SIZES[clampLevel(level)];
+}
+
+export function lotById(lotId) {
+  return FARM_LOTS.find((lot) => lot.id === lotId) || null;
+}
+
+export function createPlot(col, row) {
+  return {
+    id: 0,
+    col,
+    row,
+    x: 0,
+    y: 0,
+    state: "empty",
+    cropType: null,
+    growth: 0,
+    water: 0,
+    wateredAt: null,
+    soil: 100,
+    health: 100,
+    dryMinutes: 0,
+    object: null
+  };
+}
+
+function plotCell(plot) {
+  if (Number.isInteger(plot.col) && Number.isInteger(plot.row)) return { col: plot.col, row: plot.row };
+  const index = Math.max(0, Number(plot.id) - 1 || 0);
+  return { col: index % LEGACY_COLS, row: Math.floor(index / LEGACY_COLS) };
+}
+
+export function layoutFarm(farm, lot) {
+  farm.level = clampLevel(farm.level);
+  farm.lotId = lot.id;
+  farm.home = { x: lot.x + lot.w - 14, y: lot.y + lot.h / 2 };
+
+  const { cols, rows } = farmSize(farm.level);
+  const byCell = new Map();
+  for (const plot of Array.isArray(farm.plots) ? farm.plots : []) {
+    const { col, row } = plotCell(plot);
+    if (col < cols && row < rows && !byCell.has(`${col},${row}`)) byCell.set(`${col},${row}`, { ...plot, col, row });
+  }
+
+  farm.plots = [];
+  for (let row = 0; row < rows; row += 1) {
+    for (let col = 0; col < cols; col += 1) {
+      const plot = byCell.get(`${col},${row}`) || createPlot(col, row);
+      plot.id = farm.plots.length + 1;
+      plot.x = lot.x + PLOT_INSET_X + col * PLOT_GAP;
+      plot.y = lot.y + PLOT_INSET_Y + row * PLOT_GAP;
+      if (plot.object === undefined) plot.object = null;
+      farm.plots.push(plot);
+    }
+  }
+  return farm;
+}
+
+export function claimFarmLot(farms, ownerId, activeOwners = null) {
+  const farm = farms.get(ownerId);
+  const taken = new Set();
+  for (const [id, other] of farms.entries()) {
+    if (id === ownerId || !other.lotId || (activeOwners && !activeOwners.has(id))) continue;
+    taken.add(other.lotId);
+  }
+  const current = lotById(farm.lotId);
+  const lot = current && !taken.has(current.id) ? current : FARM_LOTS.find((entry) => !taken.has(entry.id));
+  return lot ? layoutFarm(farm, lot) : leaveFarmLot(farm);
+}
+
+function leaveFarmLot(farm) {
+  const square = AREAS.find((area) => area.name === "Town Square") || AREAS[0];
+  farm.lotId = null;
+  farm.home = { x: square.x + square.w / 2, y: square.y + square.h / 2 };
+  return farm;
+}
+
+export function plotsNear(farm, plot, radius) {
+  return farm.plots.filter(
+    (other) => other !== plot && Math.max(Math.abs(other.col - plot.col), Math.abs(other.row - plot.row)) <= radius
+  );
+}
+
+export function lotSnapshot(farm) {
+  const lot = lotById(farm.lotId);
+  return lot ? { id: lot.id, x: lot.x, y: lot.y, w: lot.w, h: lot.h } : null;
+}
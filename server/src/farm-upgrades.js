@@ -0,0 +1,95 @@
+import { FARM_SIZES, plotsNear } from "./farm-layout.js";
+
+export const CAN_CAPACITY = [5, 10, 20];
+export const SPRINKLER_RADIUS = 1;
+export const SCARECROW_RADIUS = 2;
+
+export const FARM_OBJECTS = {
+  sprinkler: { label: "Sprinkler", price: 45 },
+  scarecrow: { label: "Scarecrow", price: 25 }
+};
+
+const TIERED_UPGRADES = {
+  land: {
+    labels: ["Clear land to 4x3", "Clear land to 4x4"],
+    prices: [120, 200],
+    done: "Your farm is as big as it gets."
+  },
+  can: {
+    labels: ["Copper watering can", "Steel watering can"],
+    prices: [60, 140],
+    done: "Your watering can is the best."
+  },
+  hoe: {
+    labels: ["Copper hoe", "Steel hoe"],
+    prices: [50, 130],
+    done: "Your hoe is the best."
+  }
+};
+
+function tier(value, max) {
+  const n = Math.floor(Number(value));
+  return Number.isFinite(n) ? Math.max(0, Math.min(max, n)) : 0;
+}
+
+export function ensureFarmTools(farm) {
+  const saved = farm.tools && typeof farm.tools === "object" ? farm.tools : {};
+  const can = tier(saved.can, CAN_CAPACITY.length - 1);
+  const water = Number(saved.water);
+  farm.tools = {
+    can,
+    hoe: tier(saved.hoe, TIERED_UPGRADES.hoe.prices.length),
+    water: Number.isFinite(water) ? tier(water, CAN_CAPACITY[can]) : CAN_CAPACITY[can]
+  };
+  return farm.tools;
+}
+
+export function canCapacity(farm) {
+  return CAN_CAPACITY[ensureFarmTools(farm).can];
+}
+
+export function hoeTargets(farm, plot) {
+  const level = ensureFarmTools(farm).hoe;
+  if (level === 0) return [plot];
+  if (level === 1) return [plot, ...plotsNear(farm, plot, 1).filter((other) => other.row === plot.row)];
+  return [plot, ...plotsNear(farm, plot, 1)];
+}
+
+function currentTier(farm, key) {
+  if (key === "land") return tier(farm.level, FARM_SIZES.length - 1);
+  return ensureFarmTools(farm)[key];
+}
+
+export function farmUpgradeOffers(farm) {
+  const offers = [];
+  for (const [key, upgrade] of Object.entries(TIERED_UPGRADES)) {
+    const level = currentTier(farm, key);
+    if (level < upgrade.prices.length) offers.push({ item: key, label: upgrade.labels[level], price: upgrade.prices[level] });
+  }
+  for (const [key, object] of Object.entries(FARM_OBJECTS)) {
+    offers.push({ item: key, label: object.label, price: object.price });
+  }
+  return offers;
+}
+
+export function buyFarmUpgrade(farm, item) {
+  const key = String(item || "");
+  const offer = farmUpgradeOffers(farm).find((entry) => entry.item === key);
+  if (!offer) {
+    return { ok: false, message: TIERED_UPGRADES[key]?.done || "That upgrade is not on offer." };
+  }
+  if (farm.coins < offer.price) return { ok: false, message: `You need ${offer.price} coins for that.` };
+
+  farm.coins -= offer.price;
+  if (key === "land") {
+    farm.level = currentTier(farm, "land") + 1;
+  } else if (key === "can") {
+    farm.tools.can += 1;
+    farm.tools.water = CAN_CAPACITY[farm.tools.can];
+  } else if (key === "hoe") {
+    farm.tools.hoe += 1;
+  } else {
+    farm.inventory[key] = (Number(farm.inventory[key]) || 0) + 1;
+  }
+  return { ok: true, message: `Bought ${offer.label} for ${offer.price} coins.`, item: key };
+}
@@ -0,0 +1,110 @@
+import { SEASONS } from "./content-packs.js";
+
+export const SEASON_LENGTH_DAYS = 7;
+export const MAX_SOIL = 100;
+export const FERTILIZER_SOIL_BOOST = 40;
+export const FALLOW_SOIL_PER_DAY = 15;
+
+const WATER_DRAIN_PER_MINUTE = 0.2;
+const DRY_HEALTH_LOSS_PER_MINUTE = 0.25;
+const STORM_DAMAGE_PER_MINUTE = 0.15;
+const OUT_OF_SEASON_GROWTH = 0.25;
+const SEASON_WEATHER = {
+  spring: { rain: 0.35, storm: 0.05 },
+  summer: { rain: 0.15, storm: 0.1 },
+  autumn: { rain: 0.3, storm: 0.08 },
+  winter: { rain: 0.2, storm: 0.02 }
+};
+
+function clamp(n, min, max) {
+  return Math.max(min, Math.min(max, n));
+}
+
+function dayIndex(dayNumber) {
+  return Math.max(1, Math.floor(Number(dayNumber)) || 1) - 1;
+}
+
+export function seasonForDay(dayNumber) {
+  return SEASONS[Math.floor(dayIndex(dayNumber) / SEASON_LENGTH_DAYS) % SEASONS.length];
+}
+
+export function dayOfSeason(dayNumber) {
+  return (dayIndex(dayNumber) % SEASON_LENGTH_DAYS) + 1;
+}
+
+export function isCropInSeason(crop, season) {
+  return !Array.isArray(crop?.seasons) || crop.seasons.includes(season);
+}
+
+export function rollDailyWeather(season, random = Math.random) {
+  const odds = SEASON_WEATHER[season] || SEASON_WEATHER.spring;
+  const roll = random();
+  if (roll < odds.storm) return "storm";
+  if (roll < odds.storm + odds.rain) return "rain";
+  return "clear";
+}
+
+export function ensurePlotSoil(plot) {
+  if (!Number.isFinite(plot.soil)) plot.soil = MAX_SOIL;
+  if (!Number.isFinite(plot.health)) plot.health = 100;
+  if (!Number.isFinite(plot.dryMinutes)) plot.dryMinutes = 0;
+  return plot;
+}
+
+export function growPlot(plot, crop, { deltaMinutes, season, weather }) {
+  ensurePlotSoil(plot);
+  if (!crop || !plot.cropType || plot.state === "empty" || plot.state === "withered") return plot;
+
+  if (weather === "storm") plot.health -= deltaMinutes * STORM_DAMAGE_PER_MINUTE;
+  if (plot.state !== "ready") {
+    if (weather === "rain" || weather === "storm") {
+      plot.water = 100;
+    } else {
+      plot.water = clamp(plot.water - deltaMinutes * WATER_DRAIN_PER_MINUTE, 0, 100);
+    }
+    if (plot.water > 0) {
+      plot.dryMinutes = 0;
+    } else {
+      plot.dryMinutes += deltaMinutes;
+      plot.health -= deltaMinutes * DRY_HEALTH_LOSS_PER_MINUTE;
+    }
+  }
+  plot.health = clamp(plot.health, 0, 100);
+  if (plot.health <= 0 || plot.dryMinutes >= crop.witherMinutes) {
+    plot.state = "withered";
+    plot.growth = 0;
+    plot.water = 0;
+    return plot;
+  }
+  if (plot.state === "ready") return plot;
+
+  const waterFactor = 0.3 + (plot.water / 100) * 0.7;
+  const soilFactor = 0.5 + plot.soil / (MAX_SOIL * 2);
+  const seasonFactor = isCropInSeason(crop, season) ? 1 : OUT_OF_SEASON_GROWTH;
+  plot.growth = clamp(plot.growth + deltaMinutes * waterFactor * soilFactor * seasonFactor, 0, crop.growMinutes);
+  plot.state = plot.growth >= crop.growMinutes ? "ready" : "growing";
+  return plot;
+}
+
+export function harvestYield(plot, crop, random = Math.random) {
+  ensurePlotSoil(plot);
+  const rolled = crop.minYield + Math.floor(random() * (crop.maxYield - crop.minYield + 1));
+  const quality = (0.6 + (0.4 * plot.soil) / MAX_SOIL) * (0.5 + plot.health / 200);
+  plot.soil = clamp(plot.soil - crop.soilUse, 0, MAX_SOIL);
+  return Math.max(1, Math.round(rolled * quality));
+}
+
+export function fertilizePlot(plot) {
+  ensurePlotSoil(plot);
+  if (plot.state === "withered") return { ok: false, message: "Clear the withered crop first." };
+  if (plot.soil >= MAX_SOIL) return { ok: false, message: `Soil in plot ${plot.id} is already rich.` };
+  plot.soil = clamp(plot.soil + FERTILIZER_SOIL_BOOST, 0, MAX_SOIL);
+  return { ok: true, message: `Fertilized plot ${plot.id}. Soil is at ${Math.round(plot.soil)}.` };
+}
+
+export function restFallowPlots(farm) {
+  for (const plot of farm.plots) {
+    ensurePlotSoil(plot);
+    if (!plot.cropType) plot.soil = clamp(plot.soil + FALLOW_SOIL_PER_DAY, 0, MAX_SOIL);
+  }
+}
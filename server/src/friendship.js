@@ -0,0 +1,194 @@
+import { HEART_EVENTS } from "./constants.js";
+import { FRIENDSHIP_TIERS, HEART_EVENT_KINDS } from "./content-packs.js";
+import { goodsLabel } from "./crafting.js";
+
+export const FAVOR_RELATION_BONUS = 5;
+export const HEART_EVENT_IMPORTANCE = 7;
+export const RELATIONSHIP_IDLE_DAYS = 5;
+export const RELATIONSHIP_DECAY_PER_DAY = 1;
+
+const WARMTH_BY_TIER = {
+  estranged: "cold",
+  stranger: "polite",
+  acquaintance: "friendly",
+  friend: "warm",
+  close_friend: "affectionate",
+  confidant: "devoted"
+};
+
+const BASE_TIER = "stranger";
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function tierLevel(tierId) {
+  return FRIENDSHIP_TIERS.findIndex((tier) => tier.id === tierId);
+}
+
+export function friendshipTier(score) {
+  const value = Number(score) || 0;
+  let level = 0;
+  FRIENDSHIP_TIERS.forEach((tier, i) => {
+    if (value >= tier.min) level = i;
+  });
+  const tier = FRIENDSHIP_TIERS[level];
+  const next = FRIENDSHIP_TIERS[level + 1];
+  return {
+    id: tier.id,
+    label: tier.label,
+    level,
+    hearts: Math.max(0, level - tierLevel(BASE_TIER)),
+    nextAt: next ? next.min : null
+  };
+}
+
+export function relationshipScoreOf(player, npcId) {
+  return Number(player?.relationshipScores?.[npcId]) || 0;
+}
+
+export function setRelationshipScores(player, rows) {
+  player.relationshipScores = Object.fromEntries((rows || []).map((row) => [row.npc_id, Number(row.score) || 0]));
+  return player.relationshipScores;
+}
+
+export function rememberRelationshipScore(player, npcId, score) {
+  player.relationshipScores = { ...player.relationshipScores, [npcId]: Number(score) || 0 };
+}
+
+export function relationshipFactor(score) {
+  return 1 + Math.max(-30, Math.min(60, Number(score) || 0)) / 300;
+}
+
+function trustLabel(value) {
+  if (value < -10) return "distrustful";
+  if (value < 5) return "guarded";
+  if (value < 20) return "open";
+  if (value < 40) return "trusting";
+  return "confiding";
+}
+
+export function relationshipTone(player, npc) {
+  const score = relationshipScoreOf(player, npc.id);
+  const tier = friendshipTier(score);
+  const shared = (ensureFriendship(player).events[npc.id] || []).length;
+  return {
+    score,
+    tier: tier.label,
+    warmth: WARMTH_BY_TIER[tier.id] || "polite",
+    trust: trustLabel(score + shared * 5)
+  };
+}
+
+export function ensureFriendship(player) {
+  const saved = isPlainObject(player.friendship) ? player.friendship : {};
+  player.friendship = {
+    tiers: isPlainObject(saved.tiers) ? saved.tiers : {},
+    events: isPlainObject(saved.events) ? saved.events : {},
+    favors: Array.isArray(saved.favors) ? saved.favors : []
+  };
+  return player.friendship;
+}
+
+export function noteFriendshipTier(player, npcId, score) {
+  const friendship = ensureFriendship(player);
+  const tier = friendshipTier(score);
+  const best = tierLevel(friendship.tiers[npcId] || BASE_TIER);
+  if (tier.level <= Math.max(0, best)) return null;
+  friendship.tiers[npcId] = tier.id;
+  return tier;
+}
+
+function openFavor(friendship, npcId) {
+  return friendship.favors.find((favor) => favor.npcId === npcId) || null;
+}
+
+export function heartEventsFor(npc) {
+  return HEART_EVENTS.filter(
+    (event) => (!event.npc || event.npc === npc.id) && (event.roles.length === 0 || event.roles.includes(npc.role))
+  );
+}
+
+export function nextHeartEvent(player, npc, score, kinds = HEART_EVENT_KINDS) {
+  const friendship = ensureFriendship(player);
+  const seen = friendship.events[npc.id] || [];
+  const level = friendshipTier(score).level;
+  const busy = Boolean(openFavor(friendship, npc.id));
+  const ready = heartEventsFor(npc).filter(
+    (event) =>
+      kinds.includes(event.kind) &&
+      tierLevel(event.tier) <= level &&
+      !seen.includes(event.id) &&
+      !(busy && event.kind === "favor")
+  );
+  ready.sort((a, b) => tierLevel(a.tier) - tierLevel(b.tier) || Number(Boolean(b.npc)) - Number(Boolean(a.npc)));
+  return ready[0] || null;
+}
+
+export function heartEventLines(event, playerName) {
+  const name = playerName || "friend";
+  return event.lines.map((line) => line.replaceAll("{player}", name));
+}
+
+export function markHeartEvent(player, npc, event, dayNumber) {
+  const friendship = ensureFriendship(player);
+  friendship.events[npc.id] = [...(friendship.events[npc.id] || []), event.id];
+  if (event.favor) {
+    friendship.favors.push({
+      eventId: event.id,
+      npcId: npc.id,
+      title: event.title,
+      item: event.favor.item,
+      qty: event.favor.qty,
+      rewardCoins: event.favor.rewardCoins,
+      dayNumber
+    });
+  }
+}
+
+export function settleFavor({ player, farm, npc }) {
+  const friendship = ensureFriendship(player);
+  const favor = openFavor(friendship, npc.id);
+  if (!favor || !farm) return null;
+  const label = goodsLabel(favor.item);
+  const owned = Number(farm.inventory[favor.item]) || 0;
+  if (owned < favor.qty) {
+    return { ok: false, message: `${npc.name} is still waiting on ${favor.qty} ${label} (you have ${owned}).` };
+  }
+
+  farm.inventory[favor.item] = owned - favor.qty;
+  farm.coins += favor.rewardCoins;
+  friendship.favors = friendship.favors.filter((entry) => entry !== favor);
+  const reward = favor.rewardCoins > 0 ? ` and got ${favor.rewardCoins} coins` : "";
+  return {
+    ok: true,
+    message: `${favor.title}: gave ${npc.name} ${favor.qty} ${label}${reward}.`,
+    favor,
+    relationDelta: FAVOR_RELATION_BONUS
+  };
+}
+
+export function relationshipList(npcs, player) {
+  const friendship = ensureFriendship(player);
+  return npcs.map((npc) => {
+    const score = relationshipScoreOf(player, npc.id);
+    const tier = friendshipTier(score);
+    const { warmth, trust } = relationshipTone(player, npc);
+    const favor = openFavor(friendship, npc.id);
+    return {
+      npcId: npc.id,
+      name: npc.name,
+      role: npc.role,
+      score,
+      tier: tier.id,
+      label: tier.label,
+      hearts: tier.hearts,
+      nextAt: tier.nextAt,
+      warmth,
+      trust,
+      eventsSeen: (friendship.events[npc.id] || []).length,
+      eventsTotal: heartEventsFor(npc).length,
+      favor: favor ? { title: favor.title, item: favor.item, label: goodsLabel(favor.item), qty: favor.qty } : null
+    };
+  });
+}
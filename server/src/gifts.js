@@ -0,0 +1,73 @@
+import { GIFT_TASTES } from "./constants.js";
+import { GIFT_TASTE_TIERS } from "./content-packs.js";
+import { goodsLabel } from "./crafting.js";
+
+export const GIFTS_PER_NPC_PER_DAY = 1;
+
+export const GIFT_REACTIONS = {
+  loved: { relation: 5, reputation: 3, importance: 7 },
+  liked: { relation: 3, reputation: 2, importance: 5 },
+  neutral: { relation: 1, reputation: 1, importance: 3 },
+  disliked: { relation: -2, reputation: -2, importance: 5 }
+};
+
+const ITEM_KEY_PATTERN = /^[a-z][a-z0-9_]{0,31}$/;
+
+export function giftTaste(npc, item) {
+  let taste = "neutral";
+  const apply = (tastes) => {
+    for (const tier of GIFT_TASTE_TIERS) {
+      if (tastes?.[tier]?.includes(item)) taste = tier;
+    }
+  };
+  for (const trait of npc?.traits || []) apply(GIFT_TASTES.traits[trait]);
+  apply(GIFT_TASTES.roles[npc?.role]);
+  return taste;
+}
+
+function giftsGivenToday(farm, dayNumber) {
+  const saved = farm.giftsGiven;
+  return saved?.dayNumber === dayNumber && Array.isArray(saved.npcIds) ? saved.npcIds : [];
+}
+
+function reactionText(npc, label, taste) {
+  if (taste === "loved") return `${npc.name} loves the ${label}!`;
+  if (taste === "liked") return `${npc.name} likes the ${label}.`;
+  if (taste === "disliked") return `${npc.name} doesn't care for the ${label}.`;
+  return `${npc.name} thanks you for the ${label}.`;
+}
+
+export function giveGift({ farm, npc, item, dayNumber }) {
+  const key = String(item || "");
+  if (!farm || !npc) return { ok: false, message: "Nobody is here to take that." };
+  const label = goodsLabel(key);
+  const owned = ITEM_KEY_PATTERN.test(key) ? Number(farm.inventory[key]) || 0 : 0;
+  if (owned <= 0) return { ok: false, message: `You have no ${label} to give.` };
+  const given = giftsGivenToday(farm, dayNumber);
+  if (given.filter((id) => id === npc.id).length >= GIFTS_PER_NPC_PER_DAY) {
+    return { ok: false, message: `${npc.name} already had a gift from you today.` };
+  }
+
+  farm.inventory[key] = owned - 1;
+  farm.giftsGiven = { dayNumber, npcIds: [...given, npc.id] };
+  const taste = giftTaste(npc, key);
+  const reaction = GIFT_REACTIONS[taste];
+  return {
+    ok: true,
+    message: reactionText(npc, label, taste),
+    item: key,
+    label,
+    taste,
+    relationDelta: reaction.relation,
+    reputationDelta: reaction.reputation,
+    importance: reaction.importance
+  };
+}
+
+export function giftMemoryLine(playerName, label, taste) {
+  const name = playerName || "A traveler";
+  if (taste === "loved") return `${name} gave me ${label}. I loved it; they know what I like.`;
+  if (taste === "liked") return `${name} gave me ${label}. A welcome gift.`;
+  if (taste === "disliked") return `${name} gave me ${label}. I did not care for it.`;
+  return `${name} gave me ${label}. A kind thought.`;
+}
@@ -0,0 +1,201 @@
+import { getNpcRelationScore } from "./world.js";
+
+export const GOSSIP_MIN_FIDELITY = 0.3;
+export const GOSSIP_TTL_DAYS = 7;
+export const GOSSIP_MAX_FACTS = 80;
+export const GOSSIP_SHARE_MIN_RELATION = 0;
+export const GOSSIP_FRIEND_RELATION = 2;
+
+export const GOSSIP_EVENTS = {
+  insult: { weight: -4, claim: "{player} insulted {npc}" },
+  lie_confession: { weight: -3, claim: "{player} admitted lying to {npc}" },
+  apology: { weight: 2, claim: "{player} apologized to {npc}" },
+  promise: { weight: 1, claim: "{player} made {npc} a promise" },
+  favor: { weight: 4, claim: "{player} came through on a favor for {npc}" }
+};
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function roundFidelity(value) {
+  return Math.round(value * 100) / 100;
+}
+
+export function gossipClaim(kind, playerName, npcName) {
+  const event = GOSSIP_EVENTS[kind];
+  if (!event) return null;
+  return {
+    weight: event.weight,
+    claim: event.claim.replace("{player}", playerName || "a traveler").replace("{npc}", npcName)
+  };
+}
+
+export function ensureGossip(state) {
+  if (!Array.isArray(state.gossip)) state.gossip = [];
+  return state.gossip;
+}
+
+function sanitizeKnower(raw) {
+  const fidelity = Number(raw?.fidelity);
+  if (!Number.isFinite(fidelity) || fidelity < GOSSIP_MIN_FIDELITY) return null;
+  const memoryId = raw.memoryId === null || raw.memoryId === undefined ? null : Number(raw.memoryId);
+  return {
+    hop: Math.max(0, Math.floor(Number(raw.hop) || 0)),
+    fidelity: roundFidelity(clamp(fidelity, 0, 1)),
+    from: raw.from ? String(raw.from) : null,
+    dayNumber: Number(raw.dayNumber) || 0,
+    memoryId: Number.isInteger(memoryId) ? memoryId : null
+  };
+}
+
+export function setGossipState(state, raw) {
+  const facts = [];
+  for (const entry of Array.isArray(raw) ? raw : []) {
+    if (!entry?.id || !entry.originNpcId || !entry.claim || !isPlainObject(entry.knownBy)) continue;
+    const knownBy = {};
+    for (const [npcId, knower] of Object.entries(entry.knownBy)) {
+      const safe = sanitizeKnower(knower);
+      if (safe) knownBy[npcId] = safe;
+    }
+    if (!knownBy[entry.originNpcId]) continue;
+    facts.push({
+      id: String(entry.id),
+      kind: String(entry.kind || "observation"),
+      originNpcId: String(entry.originNpcId),
+      originMemoryId: knownBy[entry.originNpcId].memoryId,
+      subject: entry.subject?.id ? { id: String(entry.subject.id), name: String(entry.subject.name || "") } : null,
+      about: String(entry.about || entry.subject?.name || "the town").slice(0, 60),
+      claim: String(entry.claim).slice(0, 140),
+      detail: String(entry.detail || "").slice(0, 140),
+      weight: clamp(Math.round(Number(entry.weight) || 0), -10, 10),
+      importance: clamp(Math.round(Number(entry.importance) || 4), 1, 9),
+      dayNumber: Number(entry.dayNumber) || 0,
+      knownBy
+    });
+  }
+  state.gossip = facts.slice(-GOSSIP_MAX_FACTS);
+  return state.gossip;
+}
+
+export function recordGossip(state, fields) {
+  const { originNpcId, originMemoryId, kind, subject, about, claim, detail, weight, importance, dayNumber } = fields;
+  if (!originNpcId || !Number.isInteger(originMemoryId) || !claim) return null;
+  const facts = ensureGossip(state);
+  const fact = {
+    id: `gossip_${originMemoryId}`,
+    kind,
+    originNpcId,
+    originMemoryId,
+    subject: subject?.id ? { id: subject.id, name: subject.name || "a traveler" } : null,
+    about: about || subject?.name || "the town",
+    claim,
+    detail: detail || "",
+    weight: clamp(Math.round(Number(weight) || 0), -10, 10),
+    importance: clamp(Math.round(Number(importance) || 4), 1, 9),
+    dayNumber,
+    knownBy: { [originNpcId]: { hop: 0, fidelity: 1, from: null, dayNumber, memoryId: originMemoryId } }
+  };
+  facts.push(fact);
+  if (facts.length > GOSSIP_MAX_FACTS) facts.splice(0, facts.length - GOSSIP_MAX_FACTS);
+  return fact;
+}
+
+export function expireGossip(state, dayNumber) {
+  const facts = ensureGossip(state);
+  state.gossip = facts.filter((fact) => dayNumber - fact.dayNumber < GOSSIP_TTL_DAYS);
+  return facts.length - state.gossip.length;
+}
+
+export function hopFidelity(relationScore) {
+  return clamp(0.75 + (Number(relationScore) || 0) * 0.015, 0.6, 0.9);
+}
+
+export function gossipToShare(state, tellerId, listenerId) {
+  const relation = getNpcRelationScore(state, tellerId, listenerId);
+  if (relation < GOSSIP_SHARE_MIN_RELATION) return null;
+  const hop = hopFidelity(relation);
+  const candidates = ensureGossip(state).filter(
+    (fact) =>
+      fact.knownBy[tellerId] &&
+      !fact.knownBy[listenerId] &&
+      fact.knownBy[tellerId].fidelity * hop >= GOSSIP_MIN_FIDELITY
+  );
+  candidates.sort(
+    (a, b) => Math.abs(b.weight) * b.knownBy[tellerId].fidelity - Math.abs(a.weight) * a.knownBy[tellerId].fidelity
+  );
+  return candidates[0] || null;
+}
+
+export function passGossip(state, fact, tellerId, listenerId, dayNumber) {
+  const teller = fact?.knownBy[tellerId];
+  if (!teller || fact.knownBy[listenerId]) return null;
+  const fidelity = roundFidelity(teller.fidelity * hopFidelity(getNpcRelationScore(state, tellerId, listenerId)));
+  if (fidelity < GOSSIP_MIN_FIDELITY) return null;
+  const entry = { hop: teller.hop + 1, fidelity, from: tellerId, dayNumber, memoryId: null };
+  fact.knownBy[listenerId] = entry;
+  return entry;
+}
+
+export function spreadGossipOvernight(state, dayNumber) {
+  const passed = [];
+  for (const fact of ensureGossip(state)) {
+    const knowers = Object.keys(fact.knownBy).filter((npcId) => fact.knownBy[npcId].dayNumber < dayNumber);
+    for (const tellerId of knowers) {
+      for (const npc of state.npcs) {
+        if (npc.id === tellerId || fact.knownBy[npc.id]) continue;
+        if (getNpcRelationScore(state, tellerId, npc.id) < GOSSIP_FRIEND_RELATION) continue;
+        const entry = passGossip(state, fact, tellerId, npc.id, dayNumber);
+        if (entry) passed.push({ fact, tellerId, listenerId: npc.id, entry });
+      }
+    }
+  }
+  return passed;
+}
+
+export function gossipAttitudeDelta(fact, fidelity) {
+  if (!fact.subject || fact.weight === 0) return 0;
+  return Math.round(fact.weight * fidelity * 0.5);
+}
+
+export function gossipText(fact, entry, tellerName) {
+  const detail = fact.detail ? ` (${fact.detail})` : "";
+  if (entry.hop === 0) return `I know for a fact that ${fact.claim}${detail}.`;
+  if (entry.fidelity >= 0.7) return `${tellerName || "A friend"} told me ${fact.claim}${detail}.`;
+  if (entry.fidelity >= 0.45) return `Word going around is that ${fact.claim}.`;
+  const gist = fact.weight > 0 ? " did something kind" : fact.weight < 0 ? " caused some trouble" : "";
+  return `Someone mentioned ${fact.about}${gist}, but I don't know the details.`;
+}
+
+export function gossipTrace(fact, npcId) {
+  const chain = [];
+  let current = npcId;
+  while (current && fact.knownBy[current] && chain.length <= Object.keys(fact.knownBy).length) {
+    chain.push({ npcId: current, ...fact.knownBy[current] });
+    current = fact.knownBy[current].from;
+  }
+  return {
+    factId: fact.id,
+    originNpcId: fact.originNpcId,
+    originMemoryId: fact.originMemoryId,
+    chain: chain.reverse()
+  };
+}
+
+export function gossipReport(state) {
+  return ensureGossip(state).map((fact) => ({
+    id: fact.id,
+    kind: fact.kind,
+    subject: fact.subject,
+    about: fact.about,
+    claim: fact.claim,
+    dayNumber: fact.dayNumber,
+    originNpcId: fact.originNpcId,
+    originMemoryId: fact.originMemoryId,
+    knowers: Object.keys(fact.knownBy).map((npcId) => gossipTrace(fact, npcId).chain)
+  }));
+}
@@ -1,26 +1,16 @@
-import dotenv from "dotenv";
+import "./env.js";
 import express from "express";
 import cors from "cors";
 import http from "node:http";
 import crypto from "node:crypto";
-import { mkdir, readFile, writeFile } from "node:fs/promises";
+import { readFile } from "node:fs/promises";
 import path from "node:path";
-import { fileURLToPath } from "node:url";
+import { pathToFileURL } from "node:url";
 import { Server } from "socket.io";
-import {
-  createPlayerAccount,
-  ensureSchema,
-  getPlayerByUsername,
-  initDb,
-  getRecentMemoriesByTag,
-  getRecentMemories,
-  hasNpcIntroducedToPlayer,
-  touchPlayerLogin,
-  upsertRelationshipDelta,
-  writeMemory
-} from "./db.js";
+import { initDb } from "./db.js";
 import { DialogueService } from "./dialogue.js";
-import { AREAS } from "./constants.js";
+import { createLlmRouterFromEnv } from "./llm.js";
+import { AREAS, CONTENT, CROP_CONFIG, RECIPE_CONFIG } from "./constants.js";
 import {
   buildFollowupMemoryContext,
   compactMemoryLines,
@@ -28,9 +18,111 @@ import {
   getOrCreateDailyFollowupHint
 } from "./followup.js";
 import { createCooldownGate } from "./ai-control.js";
+import {
+  canWhisper,
+  chatBlocksFromRows,
+  chatRecipients,
+  createChatFilter,
+  createChatRateLimiter,
+  isChatHidden,
+  normalizeChatChannel,
+  parseChatCommand
+} from "./chat.js";
+import {
+  activeParticipants,
+  createGroupConversation,
+  findConversationGroups,
+  findParticipant,
+  leaveConversation,
+  npcTurnsTaken,
+  pickAddressee,
+  pickNextSpeaker,
+  recordConversationLine,
+  summarizeConversation,
+  updateConversationMembership
+} from "./conversations.js";
+import { createDialogueScheduler, createNpcLocks } from "./dialogue-scheduler.js";
+import { memoryHasTag, retrieveRankedMemories } from "./memory-ranking.js";
+import {
+  ARCHIVE_IMPORTANCE_MAX,
+  CONSOLIDATION_MEMORY_TYPES,
+  consolidateNpcMemories
+} from "./memory-consolidation.js";
 import { runDailyRefreshPipeline } from "./daily-reset.js";
+import {
+  TRADE_REQUEST_TTL_MS,
+  acceptTrade,
+  cancelTrade,
+  confirmTrade,
+  createTrade,
+  describeTrade,
+  isTradeOpen,
+  otherParty,
+  settleTrade,
+  tradeView,
+  updateTradeOffer
+} from "./trading.js";
+import { giftMemoryLine, giveGift } from "./gifts.js";
+import { NO_FREE_LOT_MESSAGE } from "./farm-layout.js";
+import {
+  HEART_EVENT_IMPORTANCE,
+  RELATIONSHIP_DECAY_PER_DAY,
+  RELATIONSHIP_IDLE_DAYS,
+  ensureFriendship,
+  friendshipTier,
+  heartEventLines,
+  markHeartEvent,
+  nextHeartEvent,
+  noteFriendshipTier,
+  relationshipList,
+  relationshipScoreOf,
+  relationshipTone,
+  rememberRelationshipScore,
+  setRelationshipScores,
+  settleFavor
+} from "./friendship.js";
+import {
+  expireGossip,
+  gossipAttitudeDelta,
+  gossipClaim,
+  gossipReport,
+  gossipText,
+  gossipToShare,
+  passGossip,
+  recordGossip,
+  setGossipState,
+  spreadGossipOvernight
+} from "./gossip.js";
+import {
+  RUMOR_SETTLE_RELATION,
+  confirmRumor,
+  debunkRumor,
+  expireRumors,
+  findRumorSubject,
+  judgeRumorClaim,
+  parseRumorTalk,
+  rumorAddressedBy,
+  rumorSignals,
+  rumorText,
+  rumorToShare,
+  rumorsBelievedBy,
+  setRumorsState,
+  spreadRumor,
+  startRumor
+} from "./rumors.js";
+import { createSessionSigner, splitRefreshToken } from "./session.js";
+import { buyFromShop, restockShops, sellToShop, setShopState, shopQuote, stallRoleForNpc } from "./shop.js";
+import { WORLD_SNAPSHOT_VERSION, WorldSnapshotError, parseWorldSnapshot } from "./world-snapshots.js";
+import {
+  capturePlayerState,
+  farmFromPlayerState,
+  playerStateFromLegacyProfile,
+  playerStateFromRow,
+  playerStateToRecord
+} from "./player-state.js";
 import {
   MISSION_CHAIN,
+  applyEconomyPlan,
   applyPlayerReputationDelta,
   applyTownMissionEvent,
   applyMissionEvent,
@@ -38,36 +130,37 @@ import {
   missionRewardCoins,
   areaNameAt,
   bumpNpcRelation,
+  closeEconomyDay,
+  craftForPlayer,
   createPlayerFarmIfMissing,
   createWorldState,
+  economyReport,
   ensurePlayerMissionProgress,
+  forageForPlayer,
   ensurePlayerReputation,
-  findNearbyNpcPairs,
   getNpcRelationLabel,
   getNpcRelationScore,
   hydrateNpcRelations,
   progressStoryArc,
   pushTownEvent,
-  rumorHotspots,
-  relationHintsForNpc,
   removePlayerFarm,
+  relationHintsForNpc,
   setPlayerDynamicMission,
   setEconomyState,
   setFactionState,
   setWorldEvents,
-  setRumorState,
   setRoutineNudges,
   setStoryArc,
   setTownMission,
   snapshotWorld,
+  startFarmDay,
+  takeMissionDelivery,
   tickClock,
   tickFarmGrowth,
-  tickNpcMovement
+  tickNpcMovement,
+  upgradeFarm
 } from "./world.js";
 
-const ENV_PATH = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../.env");
-dotenv.config({ path: ENV_PATH });
-
 const PORT = Number(process.env.PORT || 3002);
 const DEFAULT_CLIENT_ORIGINS = ["http://localhost:5173", "http://127.0.0.1:5173"];
 const CLIENT_ORIGINS = String(process.env.CLIENT_ORIGIN || "")
@@ -87,8 +180,9 @@ const corsOptions = {
   }
 };
 const AUTOSAVE_INTERVAL_MS = Number(process.env.AUTOSAVE_INTERVAL_MS || 15000);
-const SAVE_DIR = path.resolve(process.cwd(), "data");
-const SAVE_PATH = path.join(SAVE_DIR, "world-save.json");
+const LEGACY_SAVE_PATH = path.resolve(process.cwd(), "data", "world-save.json");
+const WORLD_SNAPSHOT_RETENTION = Math.max(1, Number(process.env.WORLD_SNAPSHOT_RETENTION || 40));
+const ADMIN_TOKEN = String(process.env.ADMIN_TOKEN || "").trim();
 
 const app = express();
 app.use(cors(corsOptions));
@@ -109,10 +203,13 @@ const io = new Server(server, {
 });
 
 const db = initDb();
-const dialogueService = new DialogueService(process.env.OPENAI_API_KEY);
+const sessionSigner = createSessionSigner({ secret: resolveSessionSecret() });
+const dialogueService = new DialogueService({ llm: createLlmRouterFromEnv(process.env) });
 const world = createWorldState();
 const PLAYER_NEAR_DISTANCE = 75;
+const DIALOGUE_WALK_AWAY_DISTANCE = 120;
 const AUTO_DIALOGUE_MIN_INTERVAL_MS = 18000;
+const MAX_CONCURRENT_DIALOGUES = Math.max(1, Number(process.env.MAX_CONCURRENT_DIALOGUES) || 4);
 const NPC_COOLDOWN_MS = 30000;
 const SLEEP_SYNC_INTERVAL_TICKS = 5;
 const FARM_ACTION_DISTANCE = 90;
@@ -121,17 +218,42 @@ const DIALOGUE_CHUNK_THRESHOLD_WORDS = 16;
 const NPC_NPC_MIN_TURNS = 2;
 const NPC_NPC_MAX_TURNS = 3;
 const NPC_NPC_TURN_DELAY_MS = 5000;
+const GROUP_CONVERSATION_RADIUS = 110;
+const GROUP_CONVERSATION_JOIN_RADIUS = 120;
+const GROUP_CONVERSATION_LEAVE_RADIUS = 190;
+const GROUP_CONVERSATION_MAX_PARTICIPANTS = 5;
+const GROUP_CONVERSATION_MAX_TURNS = 8;
 const OVERNIGHT_SKIP_START_MINUTES = 2 * 60;
 const OVERNIGHT_SKIP_END_MINUTES = 6 * 60;
 const RELATIONSHIP_AI_COOLDOWN_MS = 18_000;
+const REFLECTIONS_KEPT_PER_NPC = 24;
+const ARCHIVED_MEMORY_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+const CHAT_LOCAL_RADIUS = 260;
+const CHAT_BLOCKED_WORDS = String(process.env.CHAT_BLOCKED_WORDS || "")
+  .split(",")
+  .map((value) => value.trim())
+  .filter(Boolean);
+const TRADE_DISTANCE = 140;
+const SHOP_DISTANCE = 110;
+const HOME_VISIT_END_MINUTES = 11 * 60;
+const trades = new Map();
+const chatRateLimiter = createChatRateLimiter({ limit: 5, windowMs: 10_000 });
+const chatFilter = createChatFilter(CHAT_BLOCKED_WORDS.length > 0 ? { blockedWords: CHAT_BLOCKED_WORDS } : {});
+const npcLocks = createNpcLocks();
+const dialogueScheduler = createDialogueScheduler({
+  locks: npcLocks,
+  maxConcurrent: MAX_CONCURRENT_DIALOGUES,
+  onError: (err, job) => console.error(`${job.kind} error:`, err.message)
+});
+const groupConversations = new Map();
 let lastAutoDialogueAt = 0;
 let tickCount = 0;
-let npcConversationInProgress = false;
-let npcConversationCancelRequested = false;
-let npcTaskInProgress = false;
 let autosaveInProgress = false;
-const persistedProfiles = new Map();
+let memoryConsolidationInProgress = false;
+const playerStates = new Map();
+const playerNames = new Map();
 const dailyFollowupHintCache = new Map();
+const rumorsToldToPlayers = new Map();
 const relationshipAiGate = createCooldownGate({ maxKeys: 3000 });
 const TOWN_LIFE_TOPIC_HINTS = [
   "daily life in town",
@@ -520,7 +642,7 @@ function applyNpcMovementControl({ npc, player, parsed }) {
 
   if (parsed.type === "go_player_home") {
     const farm = world.farms.get(player.playerId);
-    if (!farm?.home) {
+    if (!farm?.lotId) {
       return { ok: false, message: "Couldn't find your house location yet." };
     }
     npc.moveControl = {
@@ -736,25 +858,61 @@ function safeClone(value, fallback = null) {
   }
 }
 
-function captureConnectedPlayerProfile(player) {
+function rememberPlayerState(player) {
   if (!player?.playerId) return null;
-  const farm = world.farms.get(player.playerId);
-  return {
+  const state = capturePlayerState({
     playerId: player.playerId,
-    name: player.name || "Traveler",
-    gender: player.gender || "unspecified",
-    x: Number.isFinite(player.x) ? player.x : 680,
-    y: Number.isFinite(player.y) ? player.y : 220,
-    missionProgress: safeClone(player.missionProgress, null),
-    reputation: safeClone(player.reputation, null),
-    farm: safeClone(farm, null)
-  };
+    player,
+    farm: world.farms.get(player.playerId),
+    previous: playerStates.get(player.playerId)
+  });
+  playerStates.set(player.playerId, state);
+  return state;
+}
+
+function persistPlayerState(player) {
+  const state = rememberPlayerState(player);
+  if (!state) return Promise.resolve();
+  return db.savePlayerState(playerStateToRecord(state)).catch((err) => {
+    console.error("player state save error:", err.message);
+  });
+}
+
+async function persistAllPlayerStates() {
+  const online = new Set();
+  for (const player of world.players.values()) {
+    online.add(player.playerId);
+    rememberPlayerState(player);
+  }
+  for (const [playerId, farm] of world.farms.entries()) {
+    if (online.has(playerId)) continue;
+    playerStates.set(playerId, capturePlayerState({ playerId, farm, previous: playerStates.get(playerId) }));
+  }
+  for (const state of playerStates.values()) {
+    await db.savePlayerState(playerStateToRecord(state));
+  }
+}
+
+async function currentPlayerState(playerId) {
+  const online = [...world.players.values()].find((player) => player.playerId === playerId);
+  if (online) return rememberPlayerState(online);
+  const previous = playerStates.get(playerId) || playerStateFromRow(await db.getPlayerState(playerId));
+  const farm = world.farms.get(playerId);
+  return previous && farm ? capturePlayerState({ playerId, farm, previous }) : previous;
 }
 
-function refreshPersistedProfile(player) {
-  const snapshot = captureConnectedPlayerProfile(player);
-  if (!snapshot?.playerId) return;
-  persistedProfiles.set(snapshot.playerId, snapshot);
+async function importLegacyPlayerProfiles(profiles) {
+  let imported = 0;
+  for (const profile of Array.isArray(profiles) ? profiles : []) {
+    const state = playerStateFromLegacyProfile(profile);
+    if (!state || playerStates.has(state.playerId)) continue;
+    if (await db.getPlayerState(state.playerId)) continue;
+    await db.savePlayerState(playerStateToRecord(state));
+    imported += 1;
+  }
+  if (imported > 0) {
+    console.log(`Imported ${imported} player profiles from a legacy world snapshot.`);
+  }
 }
 
 function normalizeNpcForLoad(seedNpc, loadedNpc) {
@@ -768,9 +926,6 @@ function normalizeNpcForLoad(seedNpc, loadedNpc) {
   if (Number.isFinite(src.talkCooldownUntil)) next.talkCooldownUntil = src.talkCooldownUntil;
   if (Number.isFinite(src.holdUntil)) next.holdUntil = src.holdUntil;
   if (typeof src.area === "string" && src.area.trim()) next.area = src.area;
-  if (src.characterProfile && typeof src.characterProfile === "object") {
-    next.characterProfile = src.characterProfile;
-  }
   if (src.routineState && typeof src.routineState === "object") {
     next.routineState = src.routineState;
   }
@@ -783,86 +938,99 @@ function normalizeNpcForLoad(seedNpc, loadedNpc) {
   return next;
 }
 
-async function loadAutosave() {
-  try {
-    const raw = await readFile(SAVE_PATH, "utf-8");
-    const data = JSON.parse(raw);
-    if (!data || typeof data !== "object") return false;
+function applyWorldSnapshot(data) {
+  const next = { ...world };
+  if (Number.isFinite(data.dayNumber)) next.dayNumber = data.dayNumber;
+  if (Number.isFinite(data.timeMinutes)) next.timeMinutes = data.timeMinutes;
+  if (typeof data.weather === "string") next.weather = data.weather;
+  if (typeof data.rumorOfTheDay === "string") next.rumorOfTheDay = data.rumorOfTheDay;
+  if (Array.isArray(data.dailyTownLog)) next.dailyTownLog = data.dailyTownLog.slice(-80);
+  if (Array.isArray(data.yesterdayTownLog)) next.yesterdayTownLog = data.yesterdayTownLog.slice(-80);
+  if (data.townMission && typeof data.townMission === "object") {
+    setTownMission(next, data.townMission);
+  }
+  if (data.storyArc && typeof data.storyArc === "object") {
+    setStoryArc(next, data.storyArc);
+  }
+  if (data.worldEvents && typeof data.worldEvents === "object") {
+    setWorldEvents(next, data.worldEvents);
+  }
+  if (data.factions && typeof data.factions === "object") {
+    setFactionState(next, data.factions);
+  }
+  if (data.economy && typeof data.economy === "object") {
+    setEconomyState(next, data.economy);
+  }
+  if (data.shop && typeof data.shop === "object") {
+    setShopState(next, data.shop);
+  }
+  if (Array.isArray(data.routineNudges)) {
+    setRoutineNudges(next, data.routineNudges);
+  }
+  hydrateNpcRelations(next, data.npcRelations);
+  setGossipState(next, data.gossip);
+  setRumorsState(next, data.rumors);
 
-    if (Number.isFinite(data.dayNumber)) world.dayNumber = data.dayNumber;
-    if (Number.isFinite(data.timeMinutes)) world.timeMinutes = data.timeMinutes;
-    if (typeof data.weather === "string") world.weather = data.weather;
-    if (typeof data.rumorOfTheDay === "string") world.rumorOfTheDay = data.rumorOfTheDay;
-    if (Array.isArray(data.dailyTownLog)) world.dailyTownLog = data.dailyTownLog.slice(-80);
-    if (Array.isArray(data.yesterdayTownLog)) world.yesterdayTownLog = data.yesterdayTownLog.slice(-80);
-    if (data.townMission && typeof data.townMission === "object") {
-      setTownMission(world, data.townMission);
-    }
-    if (data.storyArc && typeof data.storyArc === "object") {
-      setStoryArc(world, data.storyArc);
-    }
-    if (data.worldEvents && typeof data.worldEvents === "object") {
-      setWorldEvents(world, data.worldEvents);
-    }
-    if (data.factions && typeof data.factions === "object") {
-      setFactionState(world, data.factions);
-    }
-    if (data.rumorState && typeof data.rumorState === "object") {
-      setRumorState(world, data.rumorState);
-    }
-    if (data.economy && typeof data.economy === "object") {
-      setEconomyState(world, data.economy);
-    }
-    if (data.routineNudges && typeof data.routineNudges === "object") {
-      const loadedNudges = Object.entries(data.routineNudges).map(([role, cfg]) => ({
-        role,
-        ...(cfg && typeof cfg === "object" ? cfg : {})
-      }));
-      setRoutineNudges(world, loadedNudges);
-    }
-    hydrateNpcRelations(world, data.npcRelations);
+  const loadedNpcById = new Map((Array.isArray(data.npcs) ? data.npcs : []).map((n) => [n.id, n]));
+  next.npcs = next.npcs.map((seedNpc) => normalizeNpcForLoad(seedNpc, loadedNpcById.get(seedNpc.id)));
+  Object.assign(world, next);
+}
 
-    const loadedNpcById = new Map((Array.isArray(data.npcs) ? data.npcs : []).map((n) => [n.id, n]));
-    world.npcs = world.npcs.map((seedNpc) => normalizeNpcForLoad(seedNpc, loadedNpcById.get(seedNpc.id)));
+async function loadLegacySaveFile() {
+  let raw;
+  try {
+    raw = await readFile(LEGACY_SAVE_PATH, "utf-8");
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+  return parseWorldSnapshot(raw);
+}
 
-    world.farms.clear();
-    const farmsObj = data.farms && typeof data.farms === "object" ? data.farms : {};
-    for (const [ownerId, farm] of Object.entries(farmsObj)) {
-      if (!ownerId || !farm || typeof farm !== "object") continue;
-      world.farms.set(ownerId, farm);
+async function loadAutosave() {
+  const snapshots = await db.listWorldSnapshots(WORLD_SNAPSHOT_RETENTION);
+  for (const meta of snapshots) {
+    const row = await db.getWorldSnapshot(meta.id);
+    let data;
+    try {
+      data = parseWorldSnapshot(row?.payload);
+      applyWorldSnapshot(data);
+    } catch (err) {
+      console.error(`world snapshot #${meta.id} could not be loaded:`, err.message);
+      continue;
     }
-
-    persistedProfiles.clear();
-    const profilesObj = data.persistedProfiles && typeof data.persistedProfiles === "object" ? data.persistedProfiles : {};
-    for (const [playerId, profile] of Object.entries(profilesObj)) {
-      if (!playerId || !profile || typeof profile !== "object") continue;
-      persistedProfiles.set(playerId, profile);
+    if (meta.id !== snapshots[0].id) {
+      console.error(`world snapshot: newest snapshots were unreadable, loaded snapshot #${meta.id}`);
     }
+    await importLegacyPlayerProfiles(data.legacyPlayerProfiles);
     return true;
-  } catch {
-    return false;
   }
+  if (snapshots.length > 0) {
+    throw new Error("No stored world snapshot could be loaded. Restore one or clear world_snapshots to start fresh.");
+  }
+
+  let legacy = null;
+  try {
+    legacy = await loadLegacySaveFile();
+  } catch (err) {
+    console.error(`legacy save ${LEGACY_SAVE_PATH} could not be imported:`, err.message);
+  }
+  if (!legacy) return false;
+  applyWorldSnapshot(legacy);
+  await importLegacyPlayerProfiles(legacy.legacyPlayerProfiles);
+  await saveAutosave("legacy_import");
+  console.log(`Imported ${LEGACY_SAVE_PATH} into world_snapshots.`);
+  return true;
 }
 
-async function saveAutosave() {
-  if (autosaveInProgress) return;
+async function saveAutosave(reason = "autosave") {
+  if (autosaveInProgress) return null;
   autosaveInProgress = true;
   try {
-    for (const player of world.players.values()) {
-      refreshPersistedProfile(player);
-    }
-
-    const farmsObject = {};
-    for (const [ownerId, farm] of world.farms.entries()) {
-      farmsObject[ownerId] = safeClone(farm, null);
-    }
-    const profilesObject = {};
-    for (const [playerId, profile] of persistedProfiles.entries()) {
-      profilesObject[playerId] = safeClone(profile, null);
-    }
+    await persistAllPlayerStates();
 
     const payload = {
-      version: 1,
+      version: WORLD_SNAPSHOT_VERSION,
       savedAt: new Date().toISOString(),
       dayNumber: world.dayNumber,
       timeMinutes: world.timeMinutes,
@@ -874,19 +1042,29 @@ async function saveAutosave() {
       storyArc: safeClone(world.storyArc, null),
       worldEvents: safeClone(world.worldEvents, null),
       factions: safeClone(world.factions, null),
-      rumorState: safeClone(world.rumorState, null),
       economy: safeClone(world.economy, null),
-      routineNudges: safeClone(world.routineNudges, {}),
+      shop: safeClone(world.shop, null),
+      routineNudges: Object.entries(world.routineNudges || {}).map(([role, cfg]) => ({
+        role,
+        ...safeClone(cfg, {})
+      })),
       npcRelations: safeClone(world.npcRelations, {}),
-      npcs: safeClone(world.npcs, []),
-      farms: farmsObject,
-      persistedProfiles: profilesObject
+      gossip: safeClone(world.gossip, []),
+      rumors: safeClone(world.rumors, []),
+      npcs: safeClone(world.npcs, [])
     };
 
-    await mkdir(SAVE_DIR, { recursive: true });
-    await writeFile(SAVE_PATH, JSON.stringify(payload, null, 2), "utf-8");
+    const id = await db.saveWorldSnapshot({
+      version: WORLD_SNAPSHOT_VERSION,
+      dayNumber: world.dayNumber,
+      reason: String(reason).slice(0, 60),
+      payload: JSON.stringify(payload)
+    });
+    await db.pruneWorldSnapshots(WORLD_SNAPSHOT_RETENTION);
+    return id;
   } catch (err) {
     console.error("autosave error:", err.message);
+    return null;
   } finally {
     autosaveInProgress = false;
   }
@@ -912,47 +1090,7 @@ async function applyAiNpcRelationshipShift({ speaker, target, lineText, contextH
 }
 
 function computeQuestSignals() {
-  const logs = [...(world.yesterdayTownLog || []), ...(world.dailyTownLog || [])].slice(-40);
-  const rumor = rumorHotspots(world);
-  const areaCounts = new Map();
-  const roleCounts = new Map();
-  const urgencyWords = ["tense", "restless", "fight", "storm", "shortage", "missing", "fear", "panic"];
-  let urgencyHits = 0;
-
-  for (const line of logs) {
-    const text = cleanForMatch(line);
-    for (const area of AREAS) {
-      const areaName = cleanForMatch(area.name);
-      if (text.includes(areaName)) {
-        areaCounts.set(area.name, (areaCounts.get(area.name) || 0) + 1);
-      }
-    }
-    for (const role of [...new Set(world.npcs.map((npc) => npc.role))]) {
-      const roleName = cleanForMatch(role);
-      if (text.includes(roleName)) {
-        roleCounts.set(role, (roleCounts.get(role) || 0) + 1);
-      }
-    }
-    for (const word of urgencyWords) {
-      if (text.includes(word)) urgencyHits += 1;
-    }
-  }
-
-  const logHotArea = [...areaCounts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || "";
-  const logHotRole = [...roleCounts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || "";
-  const hotArea = logHotArea || rumor.area || "";
-  const hotRole = logHotRole || rumor.role || "";
-  const urgencyFromLogs = urgencyHits >= 5 ? 3 : urgencyHits >= 2 ? 2 : 1;
-  const urgencyFromRumor = Number(rumor.intensity) >= 55 ? 3 : Number(rumor.intensity) >= 28 ? 2 : 1;
-  const urgency = Math.max(urgencyFromLogs, urgencyFromRumor);
-  return {
-    hotArea,
-    hotRole,
-    urgency,
-    rumorIntensity: Number(rumor.intensity) || 0,
-    rumorTopics: rumor.topics || [],
-    logSampleSize: logs.length
-  };
+  return rumorSignals(world);
 }
 
 function normalizeDynamicMissionSpec(generated, signals = null) {
@@ -971,7 +1109,8 @@ function normalizeDynamicMissionSpec(generated, signals = null) {
   };
 
   if (objectiveType === "talk_npc") {
-    const npc = findNpcByNameLike(generated?.targetNpcName) || pickRandom(world.npcs);
+    const rumorNpc = signals?.rumorSubject?.kind === "npc" ? signals.rumorSubject.name : "";
+    const npc = findNpcByNameLike(generated?.targetNpcName) || findNpcByNameLike(rumorNpc) || pickRandom(world.npcs);
     return {
       ...missionBase,
       objectiveType: "talk_npc",
@@ -1020,6 +1159,29 @@ function normalizeDynamicMissionSpec(generated, signals = null) {
       targetCount: Math.max(2, Math.min(5, Number(generated?.targetCount) || 3))
     };
   }
+  const recipeIds = Object.keys(RECIPE_CONFIG);
+  if ((objectiveType === "craft_item" || objectiveType === "deliver_item") && recipeIds.length > 0) {
+    const requestedItem = cleanForMatch(generated?.targetItem);
+    const targetItem =
+      recipeIds.find((id) => [id, RECIPE_CONFIG[id].label].some((name) => cleanForMatch(name) === requestedItem)) ||
+      pickRandom(recipeIds);
+    if (objectiveType === "craft_item") {
+      return {
+        ...missionBase,
+        objectiveType: "craft_item",
+        targetItem,
+        targetCount: Math.max(1, Math.min(3, Number(generated?.targetCount) || 1))
+      };
+    }
+    const npc = findNpcByNameLike(generated?.targetNpcName) || pickRandom(world.npcs);
+    return {
+      ...missionBase,
+      objectiveType: "deliver_item",
+      targetItem,
+      targetNpcId: npc?.id || "npc_guard",
+      targetCount: Math.max(1, Math.min(2, Number(generated?.targetCount) || 1))
+    };
+  }
   return {
     ...missionBase,
     objectiveType: "talk_unique_npcs",
@@ -1049,6 +1211,7 @@ async function assignDynamicMissionToPlayer(player) {
       npcs,
       areaNames,
       roleNames,
+      recipeNames: Object.values(RECIPE_CONFIG).map((recipe) => recipe.label),
       questSignals
     });
   } catch (err) {
@@ -1057,10 +1220,10 @@ async function assignDynamicMissionToPlayer(player) {
 
   const normalized = normalizeDynamicMissionSpec(generated, questSignals);
   const urgencyMultiplier = normalized.urgency >= 3 ? 1.2 : normalized.urgency === 2 ? 1.1 : 1;
-  const baseReward = missionRewardCoins(world, normalized);
+  const baseReward = missionRewardCoins(world, normalized, player);
   normalized.rewardCoins = Math.max(1, Math.round(baseReward * urgencyMultiplier));
   const assigned = setPlayerDynamicMission(player, normalized);
-  refreshPersistedProfile(player);
+  persistPlayerState(player);
   return assigned;
 }
 
@@ -1075,7 +1238,10 @@ async function applyMissionProgressAndNotify(socket, player, missionEvent) {
       reason: `completed mission: ${result.completedMission.title || "objective"}`
     });
     const farm = world.farms.get(player.playerId);
-    const bonusCoins = Math.max(1, Number(result.completedMission?.rewardCoins) || missionRewardCoins(world, result.completedMission));
+    const bonusCoins = Math.max(
+      1,
+      Number(result.completedMission?.rewardCoins) || missionRewardCoins(world, result.completedMission, player)
+    );
     if (farm && bonusCoins > 0) {
       farm.coins += bonusCoins;
     }
@@ -1100,7 +1266,7 @@ async function applyMissionProgressAndNotify(socket, player, missionEvent) {
       });
     }
   }
-  refreshPersistedProfile(player);
+  persistPlayerState(player);
   emitWorldToPlayer(socket.id, "world_tick");
   return true;
 }
@@ -1143,6 +1309,70 @@ function safeEqualHex(a, b) {
   }
 }
 
+function resolveSessionSecret() {
+  const configured = String(process.env.SESSION_SECRET || "").trim();
+  if (configured) return configured;
+  console.warn("SESSION_SECRET is not set; using a random secret, sessions will not survive a restart.");
+  return crypto.randomBytes(32).toString("hex");
+}
+
+function bearerToken(req) {
+  const header = String(req.headers?.authorization || "");
+  return header.toLowerCase().startsWith("bearer ") ? header.slice(7).trim() : "";
+}
+
+function accountProfile(account) {
+  return {
+    playerId: account.id,
+    name: account.username,
+    gender: account.gender || "unspecified"
+  };
+}
+
+async function issuePlayerSession(account) {
+  const issued = sessionSigner.issue({ playerId: account.id });
+  await db.createPlayerSession({
+    id: issued.sessionId,
+    playerId: account.id,
+    refreshHash: issued.refreshHash,
+    expiresAt: issued.refreshExpiresAt
+  });
+  return {
+    accessToken: issued.accessToken,
+    expiresAt: issued.accessExpiresAt,
+    refreshToken: issued.refreshToken,
+    refreshExpiresAt: issued.refreshExpiresAt
+  };
+}
+
+function isSessionUsable(session) {
+  if (!session || session.revoked_at) return false;
+  return new Date(session.expires_at).getTime() > Date.now();
+}
+
+async function authenticateAccessToken(token) {
+  const verified = sessionSigner.verifyAccessToken(token);
+  if (!verified.ok) return verified;
+  const session = await db.getPlayerSession(verified.claims.sid);
+  if (!isSessionUsable(session) || session.player_id !== verified.claims.sub) {
+    return { ok: false, error: "session_revoked" };
+  }
+  const account = await db.getPlayerById(verified.claims.sub);
+  if (!account) {
+    return { ok: false, error: "unknown_player" };
+  }
+  return { ok: true, account, sessionId: session.id };
+}
+
+function disconnectSockets(predicate, eventName = "session_revoked") {
+  for (const socket of io.sockets.sockets.values()) {
+    if (predicate(socket.data || {})) {
+      socket.emit(eventName);
+      socket.disconnect(true);
+    }
+  }
+}
+
 app.get("/health", (_req, res) => {
   res.json({ ok: true });
 });
@@ -1151,6 +1381,10 @@ app.get("/world", (_req, res) => {
   res.json(snapshotWorld(world));
 });
 
+app.get("/economy", (_req, res) => {
+  res.json({ ok: true, ...economyReport(world) });
+});
+
 app.post("/auth/register", async (req, res) => {
   try {
     const username = normalizeUsername(req.body?.username);
@@ -1166,7 +1400,7 @@ app.post("/auth/register", async (req, res) => {
       return;
     }
 
-    const existing = await getPlayerByUsername(db, username);
+    const existing = await db.getPlayerByUsername(username);
     if (existing) {
       res.status(409).json({ ok: false, error: "Username already exists." });
       return;
@@ -1174,7 +1408,7 @@ app.post("/auth/register", async (req, res) => {
 
     const salt = crypto.randomBytes(16).toString("hex");
     const passwordHash = hashPassword(password, salt);
-    const account = await createPlayerAccount(db, {
+    const account = await db.createPlayerAccount({
       id: `player_${crypto.randomUUID()}`,
       username,
       gender,
@@ -1184,11 +1418,8 @@ app.post("/auth/register", async (req, res) => {
 
     res.json({
       ok: true,
-      profile: {
-        playerId: account.id,
-        name: account.username,
-        gender: account.gender
-      }
+      profile: accountProfile(account),
+      session: await issuePlayerSession(account)
     });
   } catch (err) {
     console.error("register error:", err.message);
@@ -1205,7 +1436,7 @@ app.post("/auth/login", async (req, res) => {
       return;
     }
 
-    const account = await getPlayerByUsername(db, username);
+    const account = await db.getPlayerByUsername(username);
     if (!account) {
       res.status(401).json({ ok: false, error: "Invalid credentials." });
       return;
@@ -1217,14 +1448,11 @@ app.post("/auth/login", async (req, res) => {
       return;
     }
 
-    await touchPlayerLogin(db, account.id);
+    await db.touchPlayerLogin(account.id);
     res.json({
       ok: true,
-      profile: {
-        playerId: account.id,
-        name: account.username,
-        gender: account.gender || "unspecified"
-      }
+      profile: accountProfile(account),
+      session: await issuePlayerSession(account)
     });
   } catch (err) {
     console.error("login error:", err.message);
@@ -1232,25 +1460,254 @@ app.post("/auth/login", async (req, res) => {
   }
 });
 
+app.post("/auth/refresh", async (req, res) => {
+  try {
+    const refreshToken = String(req.body?.refreshToken || "");
+    const parsed = splitRefreshToken(refreshToken);
+    const session = parsed ? await db.getPlayerSession(parsed.sessionId) : null;
+    if (!isSessionUsable(session) || !sessionSigner.matchesRefreshHash(refreshToken, session.refresh_hash)) {
+      res.status(401).json({ ok: false, error: "Session expired. Please log in again." });
+      return;
+    }
+
+    const account = await db.getPlayerById(session.player_id);
+    if (!account) {
+      await db.revokePlayerSession(session.id);
+      res.status(401).json({ ok: false, error: "Session expired. Please log in again." });
+      return;
+    }
+
+    const issued = sessionSigner.issue({ playerId: account.id, sessionId: session.id });
+    const rotated = await db.rotatePlayerSession(session.id, issued.refreshHash, issued.refreshExpiresAt);
+    if (!rotated) {
+      res.status(401).json({ ok: false, error: "Session expired. Please log in again." });
+      return;
+    }
+
+    res.json({
+      ok: true,
+      profile: accountProfile(account),
+      session: {
+        accessToken: issued.accessToken,
+        expiresAt: issued.accessExpiresAt,
+        refreshToken: issued.refreshToken,
+        refreshExpiresAt: issued.refreshExpiresAt
+      }
+    });
+  } catch (err) {
+    console.error("refresh error:", err.message);
+    res.status(500).json({ ok: false, error: "Failed to refresh session." });
+  }
+});
+
+app.post("/auth/logout", async (req, res) => {
+  try {
+    const refreshToken = String(req.body?.refreshToken || "");
+    const parsed = splitRefreshToken(refreshToken);
+    let sessionId = "";
+    if (parsed) {
+      const session = await db.getPlayerSession(parsed.sessionId);
+      if (session && sessionSigner.matchesRefreshHash(refreshToken, session.refresh_hash)) {
+        sessionId = session.id;
+      }
+    } else {
+      const auth = await authenticateAccessToken(bearerToken(req));
+      if (auth.ok) sessionId = auth.sessionId;
+    }
+    if (!sessionId) {
+      res.status(401).json({ ok: false, error: "Unknown session." });
+      return;
+    }
+
+    await db.revokePlayerSession(sessionId);
+    disconnectSockets((data) => data.sessionId === sessionId);
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("logout error:", err.message);
+    res.status(500).json({ ok: false, error: "Failed to log out." });
+  }
+});
+
+app.post("/auth/revoke", async (req, res) => {
+  try {
+    const auth = await authenticateAccessToken(bearerToken(req));
+    if (!auth.ok) {
+      res.status(401).json({ ok: false, error: "Unknown session." });
+      return;
+    }
+
+    await db.revokePlayerSessions(auth.account.id);
+    disconnectSockets((data) => data.playerId === auth.account.id);
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("revoke error:", err.message);
+    res.status(500).json({ ok: false, error: "Failed to revoke sessions." });
+  }
+});
+
+app.get("/players/me/state", async (req, res) => {
+  try {
+    const auth = await authenticateAccessToken(bearerToken(req));
+    if (!auth.ok) {
+      res.status(401).json({ ok: false, error: "Unknown session." });
+      return;
+    }
+
+    const state = await currentPlayerState(auth.account.id);
+    res.json({ ok: true, profile: accountProfile(auth.account), state });
+  } catch (err) {
+    console.error("player state export error:", err.message);
+    res.status(500).json({ ok: false, error: "Failed to export player state." });
+  }
+});
+
+app.get("/players/me/relationships", async (req, res) => {
+  try {
+    const auth = await authenticateAccessToken(bearerToken(req));
+    if (!auth.ok) {
+      res.status(401).json({ ok: false, error: "Unknown session." });
+      return;
+    }
+
+    const rows = await db.getPlayerRelationships(auth.account.id);
+    const state = await currentPlayerState(auth.account.id);
+    const view = { friendship: safeClone(state?.friendship, null) };
+    setRelationshipScores(view, rows);
+    const lastSeen = new Map(rows.map((row) => [row.npc_id, row.last_interaction_at || null]));
+    const relationships = relationshipList(world.npcs, view).map((entry) => ({
+      ...entry,
+      lastInteractionAt: lastSeen.get(entry.npcId) || null
+    }));
+    res.json({ ok: true, relationships });
+  } catch (err) {
+    console.error("relationships export error:", err.message);
+    res.status(500).json({ ok: false, error: "Failed to load relationships." });
+  }
+});
+
+app.delete("/players/me/state", async (req, res) => {
+  try {
+    const auth = await authenticateAccessToken(bearerToken(req));
+    if (!auth.ok) {
+      res.status(401).json({ ok: false, error: "Unknown session." });
+      return;
+    }
+
+    const playerId = auth.account.id;
+    for (const [socketId, player] of world.players.entries()) {
+      if (player.playerId === playerId) world.players.delete(socketId);
+    }
+    removePlayerFarm(world, playerId);
+    playerStates.delete(playerId);
+    const deleted = await db.deletePlayerState(playerId);
+    disconnectSockets((data) => data.playerId === playerId, "player_state_reset");
+    res.json({ ok: true, deleted });
+  } catch (err) {
+    console.error("player state delete error:", err.message);
+    res.status(500).json({ ok: false, error: "Failed to delete player state." });
+  }
+});
+
+function isAdminRequest(req) {
+  if (!ADMIN_TOKEN) return false;
+  const given = crypto.createHash("sha256").update(bearerToken(req)).digest();
+  const expected = crypto.createHash("sha256").update(ADMIN_TOKEN).digest();
+  return crypto.timingSafeEqual(given, expected);
+}
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    res.status(404).json({ ok: false, error: "Admin API is disabled." });
+    return;
+  }
+  if (!isAdminRequest(req)) {
+    res.status(401).json({ ok: false, error: "Invalid admin token." });
+    return;
+  }
+  next();
+}
+
+app.get("/admin/snapshots", requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.max(1, Math.min(200, Number(req.query?.limit) || WORLD_SNAPSHOT_RETENTION));
+    const snapshots = await db.listWorldSnapshots(limit);
+    res.json({ ok: true, snapshots });
+  } catch (err) {
+    console.error("snapshot list error:", err.message);
+    res.status(500).json({ ok: false, error: "Failed to list snapshots." });
+  }
+});
+
+app.get("/admin/gossip", requireAdmin, (req, res) => {
+  res.json({ ok: true, gossip: gossipReport(world) });
+});
+
+app.get("/admin/rumors", requireAdmin, (req, res) => {
+  res.json({ ok: true, rumors: world.rumors || [] });
+});
+
+app.post("/admin/snapshots/:id/restore", requireAdmin, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const row = Number.isInteger(id) ? await db.getWorldSnapshot(id) : null;
+    if (!row) {
+      res.status(404).json({ ok: false, error: "Snapshot not found." });
+      return;
+    }
+
+    let data;
+    try {
+      data = parseWorldSnapshot(row.payload);
+    } catch (err) {
+      if (!(err instanceof WorldSnapshotError)) throw err;
+      res.status(422).json({ ok: false, error: err.message });
+      return;
+    }
+
+    applyWorldSnapshot(data);
+    await importLegacyPlayerProfiles(data.legacyPlayerProfiles);
+    pushTownEvent(world, `The town was restored to day ${world.dayNumber}.`);
+    const savedId = await saveAutosave(`restore:${id}`);
+    emitWorldToAllPlayers("world_snapshot");
+    res.json({ ok: true, restoredId: id, snapshotId: savedId, dayNumber: world.dayNumber });
+  } catch (err) {
+    console.error("snapshot restore error:", err.message);
+    res.status(500).json({ ok: false, error: "Failed to restore snapshot." });
+  }
+});
+
+io.use((socket, next) => {
+  authenticateAccessToken(socket.handshake.auth?.token)
+    .then(async (auth) => {
+      if (!auth.ok) {
+        next(new Error(auth.error));
+        return;
+      }
+      socket.data.playerId = auth.account.id;
+      socket.data.sessionId = auth.sessionId;
+      socket.data.account = auth.account;
+      socket.data.playerState =
+        playerStates.get(auth.account.id) || playerStateFromRow(await db.getPlayerState(auth.account.id));
+      socket.data.chatBlocks = chatBlocksFromRows(await db.listPlayerChatBlocks(auth.account.id));
+      next();
+    })
+    .catch((err) => {
+      console.error("socket auth error:", err.message);
+      next(new Error("auth_unavailable"));
+    });
+});
+
 io.on("connection", (socket) => {
-  const playerIdRaw = socket.handshake.auth?.playerId;
-  const nameRaw = socket.handshake.auth?.playerName;
-  const genderRaw = socket.handshake.auth?.gender;
-  const playerId =
-    typeof playerIdRaw === "string" && playerIdRaw.trim().length > 0
-      ? playerIdRaw.trim().slice(0, 120)
-      : `guest_${socket.id}`;
-  const playerName =
-    typeof nameRaw === "string" && nameRaw.trim().length > 0
-      ? nameRaw.trim().slice(0, 24)
-      : "Traveler";
-  const allowedGenders = new Set(["male", "female", "non-binary"]);
-  const playerGender =
-    typeof genderRaw === "string" && allowedGenders.has(genderRaw) ? genderRaw : "unspecified";
-  const restored = persistedProfiles.get(playerId) || null;
-  if (restored?.farm && typeof restored.farm === "object") {
-    world.farms.set(playerId, safeClone(restored.farm, null) || createPlayerFarmIfMissing(world, playerId));
+  const account = socket.data.account;
+  const playerId = account.id;
+  const playerName = String(account.username || "Traveler").slice(0, 24);
+  const playerGender = normalizeGender(account.gender);
+  const restored = socket.data.playerState || null;
+  const savedFarm = world.farms.has(playerId) ? null : farmFromPlayerState(restored);
+  if (savedFarm) {
+    world.farms.set(playerId, savedFarm);
   }
+  playerNames.set(playerId, playerName);
   const farm = createPlayerFarmIfMissing(world, playerId);
   const spawnX = Number.isFinite(restored?.x) ? restored.x : farm.home.x;
   const spawnY = Number.isFinite(restored?.y) ? restored.y : farm.home.y;
@@ -1267,18 +1724,26 @@ io.on("connection", (socket) => {
     dialogueNpcId: null,
     dialogueTurns: 0,
     dialogueChunks: [],
+    dialogueStream: null,
+    chatBlocks: socket.data.chatBlocks || new Map(),
     dialogueEmotion: "neutral",
     waitingForPlayerReply: false,
     waitingAnchorX: null,
     waitingAnchorY: null,
     connectedAt: Date.now(),
     missionProgress: safeClone(restored?.missionProgress, null),
-    reputation: safeClone(restored?.reputation, null)
+    reputation: safeClone(restored?.reputation, null),
+    friendship: safeClone(restored?.friendship, null)
   });
   ensurePlayerMissionProgress(world.players.get(socket.id));
   ensurePlayerReputation(world.players.get(socket.id));
-  refreshPersistedProfile(world.players.get(socket.id));
+  ensureFriendship(world.players.get(socket.id));
+  persistPlayerState(world.players.get(socket.id));
   socket.emit("world_snapshot", snapshotWorld(world, socket.id));
+  if (!farm.lotId) socket.emit("farm_feedback", { ok: false, message: NO_FREE_LOT_MESSAGE });
+  loadRelationships(world.players.get(socket.id)).catch((err) => {
+    console.error("relationships load error:", err.message);
+  });
   const joinedPlayer = world.players.get(socket.id);
   if (joinedPlayer) {
     const missionProgress = ensurePlayerMissionProgress(joinedPlayer);
@@ -1302,6 +1767,16 @@ io.on("connection", (socket) => {
     const y = Number.isFinite(nextY) ? nextY : player.y;
     const moved = Math.hypot(x - player.x, y - player.y) > 0.5;
 
+    if (player.dialogueStream && moved) {
+      const npc = world.npcs.find((n) => n.id === player.dialogueNpcId);
+      if (!npc || Math.hypot(x - npc.x, y - npc.y) > DIALOGUE_WALK_AWAY_DISTANCE) {
+        player.x = x;
+        player.y = y;
+        endPlayerDialogue(player);
+        socket.emit("dialogue_ended");
+        return;
+      }
+    }
     if (player.inDialogue && !player.waitingForPlayerReply) return;
     if (player.inDialogue && player.waitingForPlayerReply) {
       if (!moved) return;
@@ -1334,7 +1809,7 @@ io.on("connection", (socket) => {
     if (!mainChanged && !townChanged) {
       // No-op: regular world sync happens on tick.
     }
-    refreshPersistedProfile(player);
+    rememberPlayerState(player);
   });
 
   socket.on("player_state", (payload) => {
@@ -1348,8 +1823,51 @@ io.on("connection", (socket) => {
       const player = world.players.get(socket.id);
       if (!player || player.sleeping) return;
 
-      const text = String(payload?.text || "").trim().slice(0, 240);
+      let text = String(payload?.text || "").trim().slice(0, 240);
       if (!text) return;
+      const rate = chatRateLimiter.allow(player.playerId);
+      if (!rate.ok) {
+        emitChatNotice(socket, `You are sending messages too fast. Try again in ${Math.ceil(rate.retryInMs / 1000)}s.`);
+        return;
+      }
+
+      let channel = normalizeChatChannel(payload?.channel);
+      let whisperTo = String(payload?.to || "").trim();
+      const command = parseChatCommand(text);
+      if (command?.command === "whisper") {
+        channel = "whisper";
+        whisperTo = command.to;
+        text = command.text;
+      } else if (command?.command === "global" || command?.command === "local") {
+        channel = command.command;
+        text = command.text;
+      } else if (command?.command === "trade") {
+        requestTrade(socket, player, command.username);
+        return;
+      } else if (command) {
+        await handleChatBlockCommand(socket, player, command);
+        return;
+      }
+
+      const filtered = await chatFilter.check(text, { playerId: player.playerId, channel });
+      if (!filtered.ok) {
+        emitChatNotice(socket, filtered.reason);
+        return;
+      }
+      text = filtered.text;
+      if (channel === "global") {
+        emitChatMessage(player, {
+          channel,
+          text,
+          recipients: chatRecipients({ sender: player, channel, players: world.players.values() })
+        });
+        return;
+      }
+      if (channel === "whisper") {
+        sendWhisper(socket, player, whisperTo, text);
+        return;
+      }
+
       const movementCommandAttempt = handleNpcMovementCommand({
         socket,
         player,
@@ -1364,7 +1882,22 @@ io.on("connection", (socket) => {
         preferredNpcId: player.inDialogue ? player.dialogueNpcId : null
       });
       if (commandAttempt.handled) return;
-      if (!player.inDialogue && npcConversationInProgress) return;
+      const groupConversation = player.inDialogue ? null : groupConversationForPlayer(player.playerId);
+      if (groupConversation) {
+        if (recordConversationLine(groupConversation, { speakerId: player.playerId, text })) {
+          emitLocalPlayerChat(player, {
+            type: "player_chat",
+            conversationId: groupConversation.id,
+            speakerId: socket.id,
+            speakerName: player.name || "You",
+            text,
+            x: player.x,
+            y: player.y,
+            timeLabel: snapshotWorld(world).timeLabel
+          });
+        }
+        return;
+      }
 
       if (player.inDialogue && player.dialogueNpcId && player.waitingForPlayerReply) {
         const npc = world.npcs.find((n) => n.id === player.dialogueNpcId);
@@ -1380,7 +1913,7 @@ io.on("connection", (socket) => {
           return;
         }
 
-        io.emit("dialogue_event", {
+        emitLocalPlayerChat(player, {
           type: "player_chat",
           speakerId: socket.id,
           speakerName: player.name || "You",
@@ -1411,20 +1944,35 @@ io.on("connection", (socket) => {
           playerText: text,
           memoryCache
         });
+        const believed = rumorsBelievedBy(world, npc.id).at(-1);
+        const rumorNote =
+          (await handleRumorTalk({ npc, player, text })) || (believed ? rumorHint(believed, { npc, player }) : "");
         const line = looksLikeObservationQuestion(text)
           ? await resolveObservationReply({ npc, player, text })
-          : await dialogueService.generateNpcLine({
-              speaker: npc,
-              target: { id: player.playerId, name: player.name || "Traveler", role: "Visitor", traits: [] },
-              worldContext: context,
-              memories: await memoryCache.recent(npc.id, 4),
-              topicHint:
-                `reply mostly to player message tone/topic: "${text}" (can occasionally pivot naturally). ` +
-                `social context: ${relationHints || "none"}. personal continuity: ${continuity}.` +
-                (memoryCategory ? ` latest player event: ${memoryCategory}.` : "")
+          : await streamNpcLineToPlayer({
+              socket,
+              player,
+              npc,
+              context,
+              request: {
+                speaker: npc,
+                target: { id: player.playerId, name: player.name || "Traveler", role: "Visitor", traits: [] },
+                worldContext: context,
+                memories: await memoryCache.ranked(npc.id, {
+                  tags: memoryQueryTags({ player, area: npc.area }),
+                  queryText: text
+                }),
+                topicHint:
+                  `reply mostly to player message tone/topic: "${text}" (can occasionally pivot naturally). ` +
+                  `social context: ${relationHints || "none"}. personal continuity: ${continuity}.` +
+                  (memoryCategory ? ` latest player event: ${memoryCategory}.` : "") +
+                  rumorNote,
+                relationship: relationshipPromptFor(player, npc)
+              }
             });
+        if (!line) return;
 
-        await writeMemory(db, {
+        await writeNpcMemory({
           npcId: npc.id,
           type: "player_interaction",
           content: line.memoryWrite,
@@ -1446,7 +1994,7 @@ io.on("connection", (socket) => {
         });
         const playerDelta = Number(playerMoodShift?.delta) || 0;
         if (playerDelta !== 0) {
-          await upsertRelationshipDelta(db, npc.id, player.playerId, playerDelta);
+          await adjustRelationship(player, npc, playerDelta);
           applyPlayerReputationDelta(player, {
             role: npc.role,
             delta: playerDelta,
@@ -1487,7 +2035,7 @@ io.on("connection", (socket) => {
 
       if (player.inDialogue) return;
 
-      io.emit("dialogue_event", {
+      emitLocalPlayerChat(player, {
         type: "player_chat",
         speakerId: socket.id,
         speakerName: player.name || "You",
@@ -1505,10 +2053,6 @@ io.on("connection", (socket) => {
     try {
       const player = world.players.get(socket.id);
       if (!player || player.sleeping) return;
-      if (!player.inDialogue && anyPlayerInDialogue()) return;
-      if (!player.inDialogue && npcConversationInProgress) {
-        npcConversationCancelRequested = true;
-      }
       const npcId = String(payload?.npcId || "").trim();
       const npc = world.npcs.find((n) => n.id === npcId);
       if (!npc) return;
@@ -1518,6 +2062,33 @@ io.on("connection", (socket) => {
 
       const dist = Math.hypot(npc.x - player.x, npc.y - player.y);
       if (dist > PLAYER_NEAR_DISTANCE) return;
+      if (stallRoleForNpc(npc)) emitShopState(socket, player, npc);
+      if (!isContinuing) {
+        leaveGroupConversationForPlayerDialogue(npc);
+        if (!npcLocks.acquire([npc.id], playerDialogueOwner(player))) {
+          socket.emit("farm_feedback", { ok: false, message: `${npc.name} is busy talking with someone else.` });
+          return;
+        }
+        player.inDialogue = true;
+        player.dialogueNpcId = npc.id;
+      }
+      const favor = isContinuing ? null : settleFavor({ player, farm: world.farms.get(player.playerId), npc });
+      if (favor) {
+        socket.emit("farm_feedback", favor);
+        if (favor.ok) await completeFavor(socket, player, npc, favor);
+      }
+      const delivery = takeMissionDelivery(world, player, npc.id);
+      if (delivery) {
+        socket.emit("farm_feedback", delivery);
+        if (delivery.ok) {
+          await applyMissionProgressAndNotify(socket, player, {
+            type: "deliver_item",
+            npcId: npc.id,
+            item: delivery.item,
+            qty: delivery.qty
+          });
+        }
+      }
       await applyMissionProgressAndNotify(socket, player, { type: "talk_npc", npcId: npc.id });
       await applyMissionProgressAndNotify(socket, player, {
         type: "talk_npc_role",
@@ -1552,6 +2123,7 @@ io.on("connection", (socket) => {
         return;
       }
 
+      if (player.dialogueStream) return;
       if (!player.dialogueChunks.length && !player.waitingForPlayerReply) {
         endPlayerDialogue(player);
         socket.emit("dialogue_ended");
@@ -1584,17 +2156,27 @@ io.on("connection", (socket) => {
       }
     } catch (err) {
       console.error("player_interact_npc error:", err.message);
-    }
+      const player = world.players.get(socket.id);
+      if (player?.inDialogue && !player.waitingForPlayerReply && player.dialogueChunks.length === 0) {
+        endPlayerDialogue(player);
+        socket.emit("dialogue_ended");
+      }
+    }
   });
 
   socket.on("farm_action", async (payload) => {
     const player = world.players.get(socket.id);
     const farmState = world.farms.get(player?.playerId);
     if (!player || !farmState || player.inDialogue) return;
+    if (!farmState.lotId) {
+      socket.emit("farm_feedback", { ok: false, message: NO_FREE_LOT_MESSAGE });
+      return;
+    }
 
     const plotId = Number(payload?.plotId);
     const action = String(payload?.action || "");
     const cropType = String(payload?.cropType || "");
+    const objectType = String(payload?.objectType || "");
     const plot = farmState.plots.find((p) => p.id === plotId);
     if (!plot) {
       socket.emit("farm_feedback", { ok: false, message: "Invalid plot." });
@@ -1607,23 +2189,18 @@ io.on("connection", (socket) => {
       return;
     }
 
-    const result = applyFarmAction({ state: world, ownerId: player.playerId, action, plotId, cropType });
+    const result = applyFarmAction({ state: world, ownerId: player.playerId, action, plotId, cropType, objectType });
     socket.emit("farm_feedback", result);
-    if (result?.ok && action === "harvest") {
-      applyPlayerReputationDelta(player, {
-        role: "Shop Owner",
-        delta: 1,
-        reason: "supplied fresh harvest"
-      });
+    if (result?.harvest) {
       applyPlayerReputationDelta(player, {
         role: "Fisherman",
         delta: 1,
         reason: "helped food supply"
       });
     }
-    refreshPersistedProfile(player);
+    persistPlayerState(player);
     const missionChanged =
-      result?.ok && action === "harvest"
+      result?.harvest
         ? [
             await applyMissionProgressAndNotify(socket, player, { type: "harvest_success" }),
             applyTownMissionProgressAndNotify(socket, player, { type: "harvest_success" })
@@ -1634,25 +2211,402 @@ io.on("connection", (socket) => {
     }
   });
 
+  socket.on("farm_upgrade", (payload) => {
+    const player = world.players.get(socket.id);
+    const farmState = world.farms.get(player?.playerId);
+    if (!player || !farmState || player.sleeping || player.inDialogue) return;
+    if (!farmState.lotId) {
+      socket.emit("farm_feedback", { ok: false, message: NO_FREE_LOT_MESSAGE });
+      return;
+    }
+
+    const nearest = Math.min(...farmState.plots.map((p) => Math.hypot(p.x - player.x, p.y - player.y)));
+    if (nearest > FARM_ACTION_DISTANCE) {
+      socket.emit("farm_feedback", { ok: false, message: "Go back to your farm to order upgrades." });
+      return;
+    }
+
+    const result = upgradeFarm(world, player.playerId, payload?.item);
+    socket.emit("farm_feedback", result);
+    if (result.ok) persistPlayerState(player);
+    socket.emit("world_tick", snapshotWorld(world, socket.id));
+  });
+
+  socket.on("forage", () => {
+    const player = world.players.get(socket.id);
+    if (!player || !world.farms.has(player.playerId) || player.sleeping || player.inDialogue) return;
+    const result = forageForPlayer(world, player.playerId, areaNameAt(player.x, player.y));
+    socket.emit("farm_feedback", result);
+    if (result.ok) persistPlayerState(player);
+    socket.emit("world_tick", snapshotWorld(world, socket.id));
+  });
+
+  socket.on("craft_item", async (payload) => {
+    const player = world.players.get(socket.id);
+    const farmState = world.farms.get(player?.playerId);
+    if (!player || !farmState || player.sleeping || player.inDialogue) return;
+
+    const atHome =
+      Boolean(farmState.lotId) &&
+      Math.hypot(farmState.home.x - player.x, farmState.home.y - player.y) <= FARM_ACTION_DISTANCE;
+    const station = atHome ? "home" : areaNameAt(player.x, player.y);
+    const result = craftForPlayer(world, player.playerId, payload?.recipeId, station, payload?.qty ?? 1);
+    socket.emit("farm_feedback", result);
+    if (!result.ok) return;
+    persistPlayerState(player);
+    const missionChanged = await applyMissionProgressAndNotify(socket, player, {
+      type: "craft_item",
+      item: result.item,
+      qty: result.qty
+    });
+    if (!missionChanged) socket.emit("world_tick", snapshotWorld(world, socket.id));
+  });
+
+  socket.on("give_item", async (payload) => {
+    try {
+      const player = world.players.get(socket.id);
+      const farmState = world.farms.get(player?.playerId);
+      if (!player || !farmState || player.sleeping) return;
+      const npc = world.npcs.find((n) => n.id === String(payload?.npcId || "").trim());
+      if (!npc || (player.inDialogue && player.dialogueNpcId !== npc.id)) return;
+      if (Math.hypot(npc.x - player.x, npc.y - player.y) > PLAYER_NEAR_DISTANCE) {
+        socket.emit("farm_feedback", { ok: false, message: `Get closer to ${npc.name} to give a gift.` });
+        return;
+      }
+
+      const result = giveGift({ farm: farmState, npc, item: payload?.item, dayNumber: world.dayNumber });
+      socket.emit("farm_feedback", result);
+      if (!result.ok) return;
+      applyPlayerReputationDelta(player, {
+        role: npc.role,
+        delta: result.reputationDelta,
+        reason: `gave ${npc.name} ${result.label}`
+      });
+      persistPlayerState(player);
+      socket.emit("world_tick", snapshotWorld(world, socket.id));
+      await adjustRelationship(player, npc, result.relationDelta);
+      const memoryId = await writeNpcMemory({
+        npcId: npc.id,
+        type: "player_commitment",
+        content: giftMemoryLine(player.name, result.label, result.taste),
+        importance: result.importance,
+        tags: `${npc.role},player:${player.playerId},category:gift,item:${result.item}`,
+        createdAt: new Date().toISOString()
+      });
+      const taste = { loved: "loved it", liked: "liked it", disliked: "did not care for it" }[result.taste];
+      learnGossip({
+        npc,
+        memoryId,
+        kind: "gift",
+        player,
+        claim: `${player.name || "a traveler"} gave ${npc.name} ${result.label}`,
+        detail: taste ? `${npc.name} ${taste}` : "",
+        weight: result.relationDelta,
+        importance: result.importance
+      });
+    } catch (err) {
+      console.error("give_item error:", err.message);
+    }
+  });
+
+  socket.on("shop_open", (payload) => {
+    const player = world.players.get(socket.id);
+    if (!player || player.sleeping) return;
+    const npc = shopkeeperNear(player, payload?.npcId);
+    if (npc) emitShopState(socket, player, npc);
+  });
+
+  socket.on("shop_buy", (payload) => handleShopDeal(socket, payload, "buy"));
+  socket.on("shop_sell", (payload) => handleShopDeal(socket, payload, "sell"));
+
+  socket.on("trade_request", (payload) => {
+    const player = world.players.get(socket.id);
+    if (!player || player.sleeping) return;
+    requestTrade(socket, player, payload?.username);
+  });
+
+  socket.on("trade_offer_update", (payload) => {
+    const player = world.players.get(socket.id);
+    const trade = trades.get(String(payload?.tradeId || ""));
+    if (!player || !trade || !trade.parties.includes(player.playerId)) return;
+    const result = updateTradeOffer(trade, player.playerId, payload, world.farms.get(player.playerId));
+    if (!result.ok) {
+      emitTradeFeedback(socket, result.message);
+      return;
+    }
+    emitTradeUpdate(trade);
+  });
+
+  socket.on("trade_confirm", (payload) => {
+    const player = world.players.get(socket.id);
+    const trade = trades.get(String(payload?.tradeId || ""));
+    if (!player || !trade || !trade.parties.includes(player.playerId)) return;
+    const result = confirmTrade(trade, player.playerId, payload?.version);
+    if (!result.ok) {
+      emitTradeFeedback(socket, result.message);
+      return;
+    }
+    if (!result.ready) {
+      emitTradeUpdate(trade, `${player.name} confirmed.`);
+      return;
+    }
+    const [a, b] = trade.parties.map(onlinePlayerById);
+    if (!a || !b || !playersWithinTradeDistance(a, b)) {
+      for (const id of trade.parties) trade.confirmed[id] = false;
+      emitTradeUpdate(trade, "Stand next to each other to finish the trade.");
+      return;
+    }
+    const settled = settleTrade(trade, world.farms);
+    if (!settled.ok) {
+      emitTradeUpdate(trade, `${playerNames.get(settled.playerId) || "Someone"} can't cover the offer any more.`);
+      return;
+    }
+    trades.delete(trade.id);
+    pushTownEvent(world, describeTrade(trade, (id) => playerNames.get(id) || "Someone"));
+    emitTradeUpdate(trade, "Trade complete.");
+    for (const party of [a, b]) {
+      persistPlayerState(party);
+      emitWorldToPlayer(party.id);
+    }
+  });
+
+  socket.on("trade_cancel", (payload) => {
+    const player = world.players.get(socket.id);
+    const trade = trades.get(String(payload?.tradeId || ""));
+    if (!player || !trade || !trade.parties.includes(player.playerId)) return;
+    closeTrade(trade, `${player.name} cancelled the trade.`);
+  });
+
   socket.on("disconnect", () => {
     const player = world.players.get(socket.id);
     if (player) {
-      refreshPersistedProfile(player);
+      const trade = activeTradeFor(player.playerId);
+      if (trade) closeTrade(trade, `${player.name} left town.`);
+      endPlayerDialogue(player);
+      persistPlayerState(player);
     }
     world.players.delete(socket.id);
-    if (String(playerId).startsWith("guest_")) {
-      persistedProfiles.delete(playerId);
-      removePlayerFarm(world, playerId);
-    }
+    settleWaitingFarms();
   });
 });
 
-function getAwakePlayers() {
-  return [...world.players.values()].filter((p) => !p.sleeping);
+function settleWaitingFarms() {
+  for (const player of world.players.values()) {
+    if (world.farms.get(player.playerId)?.lotId) continue;
+    if (!createPlayerFarmIfMissing(world, player.playerId).lotId) continue;
+    persistPlayerState(player);
+    notifyPlayerByPlayerId(player.playerId, "A farm lot opened up in Housing. Your field is waiting for you there.");
+  }
 }
 
-function anyPlayerInDialogue() {
-  return [...world.players.values()].some((p) => p.inDialogue);
+function requestTrade(socket, player, username) {
+  const name = normalizeUsername(username);
+  const target = [...world.players.values()].find(
+    (p) => p.name.toLowerCase() === name && p.playerId !== player.playerId
+  );
+  if (!target) {
+    const self = name && name === String(player.name || "").toLowerCase();
+    emitTradeFeedback(
+      socket,
+      self
+        ? "You cannot trade with yourself."
+        : name
+          ? `${name} is not in town right now.`
+          : "Trade with whom? Use /trade username."
+    );
+    return;
+  }
+
+  const current = activeTradeFor(player.playerId);
+  if (current && otherParty(current, player.playerId) === target.playerId) {
+    const accepted = acceptTrade(current, player.playerId);
+    if (!accepted.ok) {
+      emitTradeFeedback(socket, `You already asked ${target.name} to trade.`);
+      return;
+    }
+    if (!playersWithinTradeDistance(player, target)) {
+      closeTrade(current, "You were too far apart to trade.");
+      return;
+    }
+    emitTradeUpdate(current, `${player.name} accepted the trade.`);
+    return;
+  }
+  if (current) {
+    emitTradeFeedback(socket, `Finish your trade with ${playerNames.get(otherParty(current, player.playerId))} first.`);
+    return;
+  }
+  if (activeTradeFor(target.playerId)) {
+    emitTradeFeedback(socket, `${target.name} is busy with another trade.`);
+    return;
+  }
+  if (!playersWithinTradeDistance(player, target)) {
+    emitTradeFeedback(socket, `Walk closer to ${target.name} to trade.`);
+    return;
+  }
+  const trade = createTrade({ id: `trade_${crypto.randomUUID()}`, fromId: player.playerId, toId: target.playerId });
+  trades.set(trade.id, trade);
+  emitTradeUpdate(trade, `${player.name} wants to trade with ${target.name}.`);
+}
+
+function onlinePlayerById(playerId) {
+  return [...world.players.values()].find((player) => player.playerId === playerId) || null;
+}
+
+function playersWithinTradeDistance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y) <= TRADE_DISTANCE;
+}
+
+function activeTradeFor(playerId) {
+  for (const trade of trades.values()) {
+    if (!trade.parties.includes(playerId)) continue;
+    if (trade.status === "pending" && Date.now() - trade.createdAt > TRADE_REQUEST_TTL_MS) {
+      closeTrade(trade, "The trade request expired.");
+      continue;
+    }
+    if (isTradeOpen(trade)) return trade;
+  }
+  return null;
+}
+
+function shopkeeperNear(player, npcId) {
+  const npc = world.npcs.find((n) => n.id === String(npcId || ""));
+  if (!npc || !stallRoleForNpc(npc)) return null;
+  return Math.hypot(npc.x - player.x, npc.y - player.y) <= SHOP_DISTANCE ? npc : null;
+}
+
+function emitShopState(socket, player, npc) {
+  socket.emit("shop_state", { npcId: npc.id, npcName: npc.name, ...shopQuote(world, stallRoleForNpc(npc), player) });
+}
+
+function handleShopDeal(socket, payload, kind) {
+  const player = world.players.get(socket.id);
+  if (!player || player.sleeping) return;
+  const npc = shopkeeperNear(player, payload?.npcId);
+  if (!npc) {
+    socket.emit("shop_feedback", { ok: false, message: "Walk up to the stall first." });
+    return;
+  }
+  const role = stallRoleForNpc(npc);
+  const deal = kind === "sell" ? sellToShop : buyFromShop;
+  const result = deal({
+    state: world,
+    role,
+    player,
+    farm: world.farms.get(player.playerId),
+    item: String(payload?.item || ""),
+    qty: payload?.qty
+  });
+  socket.emit("shop_feedback", { ok: result.ok, message: result.message });
+  if (!result.ok) return;
+  if (kind === "sell") {
+    applyPlayerReputationDelta(player, { role, delta: 1, reason: `sold fresh ${result.item} to ${npc.name}` });
+  }
+  persistPlayerState(player);
+  emitWorldToPlayer(socket.id);
+  emitShopState(socket, player, npc);
+}
+
+function emitTradeFeedback(socket, message) {
+  socket.emit("trade_feedback", { ok: false, message });
+}
+
+function emitTradeUpdate(trade, message = "") {
+  const nameOf = (id) => playerNames.get(id) || "Someone";
+  for (const id of trade.parties) {
+    const player = onlinePlayerById(id);
+    if (player) io.to(player.id).emit("trade_update", { ...tradeView(trade, id, nameOf), message });
+  }
+}
+
+function closeTrade(trade, reason) {
+  trades.delete(trade.id);
+  if (cancelTrade(trade, reason)) emitTradeUpdate(trade, reason);
+}
+
+function emitChatNotice(socket, text) {
+  socket.emit("chat_message", {
+    channel: "system",
+    fromId: null,
+    fromName: "",
+    toName: "",
+    text,
+    at: new Date().toISOString()
+  });
+}
+
+function emitChatMessage(sender, { channel, text, recipients, toName = "" }) {
+  const message = { channel, fromId: sender.id, fromName: sender.name, toName, text, at: new Date().toISOString() };
+  for (const recipient of recipients) {
+    io.to(recipient.id).emit("chat_message", message);
+  }
+}
+
+function emitLocalPlayerChat(player, event) {
+  const recipients = chatRecipients({
+    sender: player,
+    channel: "local",
+    players: world.players.values(),
+    radius: CHAT_LOCAL_RADIUS
+  });
+  for (const recipient of recipients) {
+    io.to(recipient.id).emit("dialogue_event", event);
+  }
+  emitChatMessage(player, { channel: "local", text: event.text, recipients, toName: event.targetName || "" });
+}
+
+function sendWhisper(socket, sender, username, text) {
+  const name = normalizeUsername(username);
+  if (!name) {
+    emitChatNotice(socket, "Whisper to whom? Use /w username message.");
+    return;
+  }
+  const target = [...world.players.values()].find((p) => p.name.toLowerCase() === name && p.id !== sender.id);
+  if (!target) {
+    emitChatNotice(socket, `${name} is not in town right now.`);
+    return;
+  }
+  if (!canWhisper(sender, target)) {
+    emitChatNotice(socket, `You can't whisper to ${target.name}.`);
+    return;
+  }
+  emitChatMessage(sender, {
+    channel: "whisper",
+    text,
+    recipients: isChatHidden(target, sender) ? [sender] : [sender, target],
+    toName: target.name
+  });
+}
+
+async function handleChatBlockCommand(socket, player, command) {
+  if (command.command === "list_blocks") {
+    const entries = [...player.chatBlocks.values()].map((entry) => `${entry.username || "unknown"} (${entry.kind})`);
+    emitChatNotice(socket, entries.length > 0 ? `Muted/blocked: ${entries.join(", ")}.` : "You haven't muted anyone.");
+    return;
+  }
+  const username = normalizeUsername(command.username);
+  if (!username) {
+    emitChatNotice(socket, `Use /${command.command} username.`);
+    return;
+  }
+  const account = await db.getPlayerByUsername(username);
+  if (!account || account.id === player.playerId) {
+    emitChatNotice(socket, `No player named ${username}.`);
+    return;
+  }
+  const owners = [...world.players.values()].filter((p) => p.playerId === player.playerId);
+  if (command.command === "mute" || command.command === "block") {
+    await db.savePlayerChatBlock(player.playerId, account.id, command.command);
+    for (const owner of owners) owner.chatBlocks.set(account.id, { kind: command.command, username: account.username });
+    emitChatNotice(socket, `${account.username} is now ${command.command === "mute" ? "muted" : "blocked"}.`);
+    return;
+  }
+  await db.deletePlayerChatBlock(player.playerId, account.id);
+  for (const owner of owners) owner.chatBlocks.delete(account.id);
+  emitChatNotice(socket, `${account.username} is no longer muted or blocked.`);
+}
+
+function getAwakePlayers() {
+  return [...world.players.values()].filter((p) => !p.sleeping);
 }
 
 function anyPlayerNearNpc(npc, distance) {
@@ -1667,24 +2621,53 @@ function introLineForNpc(npc) {
   return `Welcome. I'm ${npc.name}, the town's ${npc.role.toLowerCase()}.`;
 }
 
+async function writeNpcMemory(memory) {
+  const embedding = await dialogueService.embedText(memory.content);
+  return db.writeMemory({ ...memory, embedding });
+}
+
+function memoryQueryTags({ target, player, area }) {
+  return [
+    player?.playerId ? `player:${player.playerId}` : "",
+    target?.role && target.role !== "Visitor" ? target.role : "",
+    area || ""
+  ].filter(Boolean);
+}
+
 function createMemoryFetchCache() {
   const cache = new Map();
-  return {
+  const fetchCache = {
     async recent(npcId, limit = 6) {
       const key = `recent:${npcId}:${limit}`;
       if (cache.has(key)) return cache.get(key);
-      const rows = await getRecentMemories(db, npcId, limit);
+      const rows = await db.getRecentMemories(npcId, limit);
       cache.set(key, rows);
       return rows;
     },
     async byTag(npcId, tag, limit = 6) {
       const key = `tag:${npcId}:${tag}:${limit}`;
       if (cache.has(key)) return cache.get(key);
-      const rows = await getRecentMemoriesByTag(db, npcId, tag, limit);
+      const rows = await db.getRecentMemoriesByTag(npcId, tag, limit);
+      cache.set(key, rows);
+      return rows;
+    },
+    async ranked(npcId, { tags = [], queryText = "", limit = 6, requireTag = false } = {}) {
+      const key = `ranked:${npcId}:${tags.join(",")}:${queryText}:${limit}:${requireTag}`;
+      if (cache.has(key)) return cache.get(key);
+      const rows = await retrieveRankedMemories({
+        npcId,
+        tags,
+        limit,
+        requireTag,
+        queryEmbedding: queryText ? await dialogueService.embedText(queryText) : null,
+        fetchRecent: (id, count) => fetchCache.recent(id, count),
+        fetchByTag: (id, tag, count) => fetchCache.byTag(id, tag, count)
+      });
       cache.set(key, rows);
       return rows;
     }
   };
+  return fetchCache;
 }
 
 function buildRelationshipAiGateKey({ speaker, target, contextHint }) {
@@ -1719,7 +2702,7 @@ async function unresolvedThreadSummary(npc, player, memoryCache = null) {
   if (!npc?.id || !player?.playerId) return { unresolvedCategories: [], prioritizedThreads: [] };
   const rows = memoryCache
     ? await memoryCache.byTag(npc.id, `player:${player.playerId}`, 14)
-    : await getRecentMemoriesByTag(db, npc.id, `player:${player.playerId}`, 14);
+    : await db.getRecentMemoriesByTag(npc.id, `player:${player.playerId}`, 14);
   return buildFollowupMemoryContext(rows, 6);
 }
 
@@ -1727,7 +2710,7 @@ async function maybePersistResolutionFromPlayerText({ npc, player, playerText, m
   if (!npc?.id || !player?.playerId || !playerTextResolvesPromise(playerText)) return false;
   const summary = await unresolvedThreadSummary(npc, player, memoryCache);
   if (!summary.unresolvedCategories.includes("promise")) return false;
-  await writeMemory(db, {
+  await writeNpcMemory({
     npcId: npc.id,
     type: "player_commitment",
     content: `Promise resolved: ${String(playerText || "").slice(0, 140)}`,
@@ -1742,7 +2725,7 @@ async function maybePersistResolutionFromNpcLine({ npc, player, npcLine, memoryC
   if (!npc?.id || !player?.playerId || !npcLineResolvesApology(npcLine)) return false;
   const summary = await unresolvedThreadSummary(npc, player, memoryCache);
   if (!summary.unresolvedCategories.includes("apology")) return false;
-  await writeMemory(db, {
+  await writeNpcMemory({
     npcId: npc.id,
     type: "player_commitment",
     content: `Apology resolved: ${String(npcLine || "").slice(0, 140)}`,
@@ -1760,7 +2743,7 @@ async function getDailyFollowupHint(npc, player, memoryCache = null) {
     npc,
     player,
     getMemoriesByTag: (npcId, tag, limit) =>
-      memoryCache ? memoryCache.byTag(npcId, tag, limit) : getRecentMemoriesByTag(db, npcId, tag, limit),
+      memoryCache ? memoryCache.byTag(npcId, tag, limit) : db.getRecentMemoriesByTag(npcId, tag, limit),
     generateFollowup: (payload) => dialogueService.generateNextDayFollowup(payload),
     worldContext: snapshotWorld(world),
     townLog: world.yesterdayTownLog || []
@@ -1769,9 +2752,12 @@ async function getDailyFollowupHint(npc, player, memoryCache = null) {
 
 async function buildPersonalContinuityHint(npc, player, memoryCache = null) {
   if (!npc || !player?.playerId) return "none";
-  const memories = memoryCache
-    ? await memoryCache.byTag(npc.id, `player:${player.playerId}`, 6)
-    : await getRecentMemoriesByTag(db, npc.id, `player:${player.playerId}`, 6);
+  const cache = memoryCache || createMemoryFetchCache();
+  const memories = await cache.ranked(npc.id, {
+    tags: [`player:${player.playerId}`],
+    limit: 6,
+    requireTag: true
+  });
   const compact = compactMemoryLines(memories, 5).slice(0, 4);
   const followup = await getDailyFollowupHint(npc, player, memoryCache);
   return composeContinuityHint({ followup, memoryLines: compact, maxLen: 360 });
@@ -1789,14 +2775,20 @@ async function maybePersistPlayerMemoryEvent({ npc, player, playerText, contextH
   const summary = String(classified?.summary || "").trim();
   if (!summary) return null;
 
-  await writeMemory(db, {
+  const importance = Math.max(1, Math.min(9, Number(classified?.importance) || 4));
+  const memoryId = await writeNpcMemory({
     npcId: npc.id,
     type: "player_commitment",
     content: summary,
-    importance: Math.max(1, Math.min(9, Number(classified?.importance) || 4)),
+    importance,
     tags: `${npc.role},player:${player.playerId},category:${category}`,
     createdAt: new Date().toISOString()
   });
+  const gossip = gossipClaim(category, player.name, npc.name);
+  if (gossip) {
+    const quote = String(playerText || "").trim().slice(0, 80);
+    learnGossip({ npc, memoryId, kind: category, player, ...gossip, detail: quote ? `"${quote}"` : "", importance });
+  }
   return category;
 }
 
@@ -1891,12 +2883,12 @@ async function refreshEconomy() {
     const plan = await dialogueService.generateEconomyPlan({
       worldContext: context,
       townLog: [...(world.yesterdayTownLog || []), ...(world.dailyTownLog || [])].slice(-30),
-      cropTypes: ["turnip", "carrot", "pumpkin"]
+      cropTypes: Object.keys(CROP_CONFIG),
+      market: economyReport(world)
     });
-    setEconomyState(world, plan);
+    applyEconomyPlan(world, plan);
   } catch (err) {
     console.error("economy generation error:", err.message);
-    setEconomyState(world, null);
   }
 }
 
@@ -1924,6 +2916,7 @@ async function refreshWorldEvents() {
         world.rumorOfTheDay = `${world.rumorOfTheDay} Guard alert near ${evt.area || "town center"}.`.slice(0, 180);
       }
       pushTownEvent(world, `Event: ${evt.title} (${evt.area || "town"}) - ${evt.description}`);
+      startEventRumor(evt);
     }
     if (economyBoost > 1) {
       setEconomyState(world, {
@@ -1972,8 +2965,62 @@ async function refreshReactiveMissionsForOnlinePlayers() {
   await Promise.allSettled(tasks);
 }
 
+function memorySubjectLabel(key) {
+  if (key.startsWith("player:")) {
+    return playerNames.get(key.slice("player:".length)) || "a traveler";
+  }
+  if (key.startsWith("role:")) {
+    const role = key.slice("role:".length);
+    return world.npcs.find((npc) => npc.role.toLowerCase() === role)?.name || role;
+  }
+  return "";
+}
+
+async function consolidateNpcMemoriesOvernight() {
+  if (memoryConsolidationInProgress) return;
+  memoryConsolidationInProgress = true;
+  const startedAt = Date.now();
+  try {
+    await db.decayConsolidatedMemories({
+      decayBefore: startedAt,
+      archiveMaxImportance: ARCHIVE_IMPORTANCE_MAX,
+      purgeBefore: startedAt - ARCHIVED_MEMORY_RETENTION_MS
+    });
+    for (const npc of world.npcs) {
+      const rows = await db.getUnconsolidatedMemories(npc.id, CONSOLIDATION_MEMORY_TYPES, startedAt);
+      if (rows.length === 0) continue;
+      const result = await consolidateNpcMemories({
+        npc,
+        rows,
+        dayNumber: Math.max(1, world.dayNumber - 1),
+        labelForSubject: memorySubjectLabel,
+        reflect: (payload) => dialogueService.generateMemoryReflections(payload)
+      });
+      for (const reflection of result.reflections) {
+        await writeNpcMemory({
+          npcId: npc.id,
+          type: "reflection",
+          content: reflection.content,
+          importance: reflection.importance,
+          tags: reflection.tags,
+          createdAt: new Date().toISOString()
+        });
+      }
+      await db.markMemoriesConsolidated(result.consolidatedIds, ARCHIVE_IMPORTANCE_MAX);
+      await db.archiveExcessMemories(npc.id, "reflection", REFLECTIONS_KEPT_PER_NPC);
+    }
+  } catch (err) {
+    console.error("memory consolidation error:", err.message);
+  } finally {
+    memoryConsolidationInProgress = false;
+  }
+}
+
 function runMorningReset(reason = "new_day") {
   const summary = buildMorningSummary(world);
+  closeEconomyDay(world);
+  startFarmDay(world);
+  restockShops(world);
   runDailyRefreshPipeline({
     clearCaches: () => {
       dailyFollowupHintCache.clear();
@@ -1987,6 +3034,7 @@ function runMorningReset(reason = "new_day") {
     refreshWorldEvents,
     refreshFactionPulse,
     refreshReactiveMissions: refreshReactiveMissionsForOnlinePlayers,
+    consolidateMemories: consolidateNpcMemoriesOvernight,
     onStepDone: () => {
       emitWorldToAllPlayers("world_tick");
     }
@@ -2013,6 +3061,18 @@ function runMorningReset(reason = "new_day") {
       text: `${reasonLine}\n\n${summary}`
     });
   }
+  expireGossip(world, world.dayNumber);
+  expireRumors(world, world.dayNumber);
+  for (const [key, rumorId] of rumorsToldToPlayers) {
+    if (!world.rumors.some((rumor) => rumor.id === rumorId)) rumorsToldToPlayers.delete(key);
+  }
+  const overnightGossip = spreadGossipOvernight(world, world.dayNumber);
+  decayNeglectedRelationships()
+    .then(() => scheduleHomeVisits())
+    .then(() => applyHeardGossip(overnightGossip))
+    .catch((err) => {
+      console.error("relationship morning error:", err.message);
+    });
 }
 
 function maybeSkipOvernightWindow() {
@@ -2028,7 +3088,16 @@ function maybeSkipOvernightWindow() {
   return dayChanged;
 }
 
+function playerDialogueOwner(player) {
+  return `player:${player.playerId}`;
+}
+
 function endPlayerDialogue(player) {
+  player.dialogueStream?.controller.abort();
+  player.dialogueStream = null;
+  if (player.dialogueNpcId) {
+    npcLocks.release([player.dialogueNpcId], playerDialogueOwner(player));
+  }
   player.inDialogue = false;
   player.dialogueNpcId = null;
   player.dialogueTurns = 0;
@@ -2083,6 +3152,7 @@ function emitNpcLine({
     targetName: "You",
     text: linePayload.line,
     emotion: linePayload.emotion,
+    streamId: linePayload.streamId || null,
     x: npc.x,
     y: npc.y,
     timeLabel: context.timeLabel,
@@ -2093,6 +3163,31 @@ function emitNpcLine({
   });
 }
 
+async function streamNpcLineToPlayer({ socket, player, npc, context, request }) {
+  const stream = { id: `stream_${crypto.randomUUID()}`, controller: new AbortController() };
+  player.dialogueStream = stream;
+  const base = {
+    streamId: stream.id,
+    type: "npc_to_player",
+    speakerId: npc.id,
+    speakerName: npc.name,
+    targetId: socket.id,
+    targetName: "You"
+  };
+  let line = null;
+  try {
+    line = await dialogueService.streamNpcLine(request, {
+      signal: stream.controller.signal,
+      onText: (text) =>
+        io.emit("dialogue_stream", { ...base, text, x: npc.x, y: npc.y, timeLabel: context.timeLabel, done: false })
+    });
+  } finally {
+    if (player.dialogueStream === stream) player.dialogueStream = null;
+    if (!line) io.emit("dialogue_stream", { ...base, cancelled: true, done: true });
+  }
+  return line ? { ...line, streamId: stream.id } : null;
+}
+
 function cleanupNpcTasks(npc) {
   if (!Array.isArray(npc.tasks)) {
     npc.tasks = [];
@@ -2116,11 +3211,11 @@ function isObserveTaskReady(task) {
 }
 
 async function resolveObservationReply({ npc, player, text }) {
-  const memories = await getRecentMemories(db, npc.id, 30);
+  const memories = await db.getRecentMemories(npc.id, 30);
   const askedArea = areaMentionFromText(text);
   const reports = memories
     .filter((m) => m.memory_type === "observation_report")
-    .filter((m) => String(m.tags || "").includes(`player:${player.playerId}`))
+    .filter((m) => memoryHasTag(m, `player:${player.playerId}`))
     .map((m) => ({ memory: m, report: parseObservationMemory(m) }))
     .filter((item) => item.report && item.report.areaName);
   const areaFiltered = askedArea ? reports.filter((item) => item.report.areaName === askedArea) : reports;
@@ -2143,11 +3238,10 @@ async function resolveObservationReply({ npc, player, text }) {
 }
 
 async function maybeProcessNpcTasks() {
-  if (npcTaskInProgress || npcConversationInProgress || anyPlayerInDialogue()) return false;
   const now = Date.now();
-  const memoryCache = createMemoryFetchCache();
 
   for (const npc of world.npcs) {
+    if (!npcLocks.isFree(npc.id)) continue;
     cleanupNpcTasks(npc);
     const task = nextActiveTask(npc);
     if (!task) continue;
@@ -2214,7 +3308,7 @@ async function maybeProcessNpcTasks() {
         buildingLook
       };
 
-      await writeMemory(db, {
+      const memoryId = await writeNpcMemory({
         npcId: npc.id,
         type: "observation_report",
         content: JSON.stringify(report),
@@ -2222,6 +3316,18 @@ async function maybeProcessNpcTasks() {
         tags: `observation,${area.name},player:${task.assignedByPlayerId}`,
         createdAt: new Date().toISOString()
       });
+      learnGossip({
+        npc,
+        memoryId,
+        kind: "observation",
+        about: area.name,
+        claim:
+          peopleSeen.length > 0
+            ? `${area.name} had a ${report.crowdLevel} crowd around ${report.endTimeLabel}`
+            : `${area.name} was empty around ${report.endTimeLabel}`,
+        detail: peopleSeen.length > 0 ? `saw ${peopleSeen.slice(0, 3).join(", ")}` : "",
+        importance: 4
+      });
       task.status = "completed";
       cleanupNpcTasks(npc);
       const atText = Number.isFinite(task.atMinutes) ? ` at ${formatMinutesClock(task.atMinutes)}` : "";
@@ -2260,74 +3366,92 @@ async function maybeProcessNpcTasks() {
         continue;
       }
 
-      npcTaskInProgress = true;
-      try {
-        const context = snapshotWorld(world);
-        const line = await dialogueService.generateNpcLine({
-          speaker: npc,
-          target,
-          worldContext: context,
-          memories: await memoryCache.recent(npc.id, 4),
-          topicHint: `player-requested topic from ${task.assignedByPlayerName || "player"}: ${task.topic}`
-        });
-
-        io.emit("dialogue_event", {
-          type: "npc_to_npc",
-          speakerId: npc.id,
-          speakerName: npc.name,
-          targetId: target.id,
-          targetName: target.name,
-          text: line.line,
-          emotion: line.emotion,
-          x: npc.x,
-          y: npc.y,
-          timeLabel: context.timeLabel
-        });
-        await writeMemory(db, {
-          npcId: npc.id,
-          type: "conversation",
-          content: line.memoryWrite || `${npc.name} discussed ${task.topic} with ${target.name}.`,
-          importance: 4,
-          tags: `${npc.role},${target.role},player_request`,
-          createdAt: new Date().toISOString()
-        });
-        task.status = "completed";
-        cleanupNpcTasks(npc);
-        npc.talkCooldownUntil = now + NPC_COOLDOWN_MS;
-        target.talkCooldownUntil = now + NPC_COOLDOWN_MS;
-        pushTownEvent(world, `${npc.name} talked to ${target.name} about ${task.topic}.`);
-        notifyPlayerByPlayerId(
-          task.assignedByPlayerId,
-          `${npc.name} spoke to ${target.name} about "${task.topic}".`,
-          true
-        );
-        return true;
-      } catch (err) {
-        task.status = "failed";
-        cleanupNpcTasks(npc);
-        notifyPlayerByPlayerId(
-          task.assignedByPlayerId,
-          `${npc.name} could not complete the request right now.`,
-          false
-        );
-        console.error("npc task error:", err.message);
-        return true;
-      } finally {
-        npcTaskInProgress = false;
-      }
+      const job = dialogueScheduler.run(
+        task.id,
+        { kind: "npc_task", npcIds: [npc.id, target.id] },
+        () => runNpcTalkTask(npc, target, task)
+      );
+      if (!job) continue;
+      task.status = "in_progress";
+      return true;
     }
   }
   return false;
 }
 
-async function startPlayerDialogue({ socket, player, npc, context, topicHint, memoryCache = null }) {
+async function runNpcTalkTask(npc, target, task) {
+  const memoryCache = createMemoryFetchCache();
+  try {
+    const context = snapshotWorld(world);
+    const gossip = gossipToShare(world, npc.id, target.id);
+    const rumor = gossip ? null : rumorToShare(world, npc.id, target.id);
+    const line = await dialogueService.generateNpcLine({
+      speaker: npc,
+      target,
+      worldContext: context,
+      memories: await memoryCache.ranked(npc.id, {
+        tags: memoryQueryTags({ target, area: npc.area }),
+        queryText: task.topic
+      }),
+      topicHint:
+        `player-requested topic from ${task.assignedByPlayerName || "player"}: ${task.topic}` +
+        (gossip ? gossipHint(npc, gossip) : "") +
+        (rumor ? rumorHint(rumor) : "")
+    });
+    if (gossip) await shareGossip(npc, target, gossip);
+    if (rumor) spreadRumor(world, rumor, target.id, world.dayNumber);
+
+    io.emit("dialogue_event", {
+      type: "npc_to_npc",
+      speakerId: npc.id,
+      speakerName: npc.name,
+      targetId: target.id,
+      targetName: target.name,
+      text: line.line,
+      emotion: line.emotion,
+      x: npc.x,
+      y: npc.y,
+      timeLabel: context.timeLabel
+    });
+    await writeNpcMemory({
+      npcId: npc.id,
+      type: "conversation",
+      content: line.memoryWrite || `${npc.name} discussed ${task.topic} with ${target.name}.`,
+      importance: 4,
+      tags: `${npc.role},${target.role},player_request`,
+      createdAt: new Date().toISOString()
+    });
+    task.status = "completed";
+    cleanupNpcTasks(npc);
+    npc.talkCooldownUntil = Date.now() + NPC_COOLDOWN_MS;
+    target.talkCooldownUntil = Date.now() + NPC_COOLDOWN_MS;
+    pushTownEvent(world, `${npc.name} talked to ${target.name} about ${task.topic}.`);
+    notifyPlayerByPlayerId(
+      task.assignedByPlayerId,
+      `${npc.name} spoke to ${target.name} about "${task.topic}".`,
+      true
+    );
+  } catch (err) {
+    task.status = "failed";
+    cleanupNpcTasks(npc);
+    notifyPlayerByPlayerId(
+      task.assignedByPlayerId,
+      `${npc.name} could not complete the request right now.`,
+      false
+    );
+    console.error("npc task error:", err.message);
+  }
+}
+
+async function startPlayerDialogue({ socket, player, npc, context, topicHint, memoryCache = createMemoryFetchCache() }) {
   player.inDialogue = true;
   player.dialogueNpcId = npc.id;
   player.dialogueTurns = 0;
   player.dialogueChunks = [];
   player.dialogueEmotion = "neutral";
 
-  const introduced = await hasNpcIntroducedToPlayer(db, npc.id, player.playerId);
+  const introduced = await db.hasNpcIntroducedToPlayer(npc.id, player.playerId);
+  const heartEvent = introduced ? await heartEventForDialogue(player, npc) : null;
 
   let linePayload;
   if (!introduced) {
@@ -2336,7 +3460,7 @@ async function startPlayerDialogue({ socket, player, npc, context, topicHint, me
       emotion: "friendly",
       memoryWrite: `${npc.name} introduced themselves to the player for the first time.`
     };
-    await writeMemory(db, {
+    await writeNpcMemory({
       npcId: npc.id,
       type: "player_intro",
       content: linePayload.memoryWrite,
@@ -2344,20 +3468,34 @@ async function startPlayerDialogue({ socket, player, npc, context, topicHint, me
       tags: `${npc.role},player,${player.playerId}`,
       createdAt: new Date().toISOString()
     });
+  } else if (heartEvent) {
+    linePayload = await playHeartEvent({ socket, player, npc, context, event: heartEvent, memoryCache });
+    if (!linePayload) return;
   } else {
     const relationHints = relationHintsForNpc(world, npc.id, 2)
       .map((r) => `${r.otherId}:${r.label}`)
       .join(", ");
     const continuity = await buildPersonalContinuityHint(npc, player, memoryCache);
-    linePayload = await dialogueService.generateNpcLine({
-      speaker: npc,
-      target: { id: player.playerId, name: player.name || "Traveler", role: "Visitor", traits: [] },
-      worldContext: context,
-      memories: memoryCache ? await memoryCache.recent(npc.id, 4) : await getRecentMemories(db, npc.id, 4),
-      topicHint:
-        topicHint ||
-        `casual personal talk about ${pickRandom(TOWN_LIFE_TOPIC_HINTS)}. social context: ${relationHints || "none"}. personal continuity: ${continuity}.`
+    linePayload = await streamNpcLineToPlayer({
+      socket,
+      player,
+      npc,
+      context,
+      request: {
+        speaker: npc,
+        target: { id: player.playerId, name: player.name || "Traveler", role: "Visitor", traits: [] },
+        worldContext: context,
+        memories: await memoryCache.ranked(npc.id, {
+          tags: memoryQueryTags({ player, area: npc.area }),
+          queryText: topicHint || ""
+        }),
+        topicHint:
+          topicHint ||
+          `casual personal talk about ${pickRandom(TOWN_LIFE_TOPIC_HINTS)}. social context: ${relationHints || "none"}. personal continuity: ${continuity}.`,
+        relationship: relationshipPromptFor(player, npc)
+      }
     });
+    if (!linePayload) return;
   }
 
   const chunks = splitDialogueToChunks(linePayload.line);
@@ -2380,11 +3518,11 @@ async function startPlayerDialogue({ socket, player, npc, context, topicHint, me
     waitingForReply
   });
 
-  await writeMemory(db, {
+  await writeNpcMemory({
     npcId: npc.id,
     type: "player_interaction",
     content: linePayload.memoryWrite,
-    importance: 5,
+    importance: linePayload.importance || 5,
     tags: `${npc.role},player,${player.playerId}`,
     createdAt: new Date().toISOString()
   });
@@ -2395,7 +3533,7 @@ async function startPlayerDialogue({ socket, player, npc, context, topicHint, me
     contextHint: `first-contact interaction near ${npc.area}`
   });
   const introDelta = Number(introShift?.delta);
-  await upsertRelationshipDelta(db, npc.id, player.playerId, Number.isFinite(introDelta) ? introDelta : 1);
+  await adjustRelationship(player, npc, Number.isFinite(introDelta) ? introDelta : 1);
   applyPlayerReputationDelta(player, {
     role: npc.role,
     delta: Number.isFinite(introDelta) ? introDelta : 1,
@@ -2415,126 +3553,540 @@ async function startPlayerDialogue({ socket, player, npc, context, topicHint, me
   }
 }
 
-async function maybeTriggerNpcConversation() {
-  if (npcConversationInProgress || npcConversationCancelRequested) return;
+async function loadRelationships(player) {
+  setRelationshipScores(player, await db.getPlayerRelationships(player.playerId));
+  const socketId = getSocketIdByPlayerId(player.playerId);
+  if (socketId) io.to(socketId).emit("world_tick", snapshotWorld(world, socketId));
+}
+
+async function adjustRelationship(player, npc, delta, { stampDay = true } = {}) {
+  const score = await db.upsertRelationshipDelta(npc.id, player.playerId, delta, stampDay ? world.dayNumber : null);
+  rememberRelationshipScore(player, npc.id, score);
+  const tier = noteFriendshipTier(player, npc.id, score);
+  if (tier) {
+    notifyPlayerByPlayerId(player.playerId, `Your friendship with ${npc.name} grew: ${tier.label}.`);
+    persistPlayerState(player);
+  }
+  return score;
+}
+
+async function decayNeglectedRelationships() {
+  const rows = await db.decayRelationships({
+    dayNumber: world.dayNumber,
+    idleDays: RELATIONSHIP_IDLE_DAYS,
+    amount: RELATIONSHIP_DECAY_PER_DAY
+  });
+  for (const row of rows) {
+    const sockets = [...world.players.values()].filter((player) => player.playerId === row.player_id);
+    if (sockets.length === 0) continue;
+    const npc = world.npcs.find((n) => n.id === row.npc_id);
+    const before = friendshipTier(relationshipScoreOf(sockets[0], row.npc_id));
+    for (const player of sockets) rememberRelationshipScore(player, row.npc_id, row.score);
+    const after = friendshipTier(row.score);
+    if (npc && after.level < before.level) {
+      notifyPlayerByPlayerId(row.player_id, `You and ${npc.name} have drifted apart: ${after.label}.`);
+    }
+  }
+}
+
+function relationshipPromptFor(player, npc) {
+  const { tier, score, warmth, trust } = relationshipTone(player, npc);
+  return `${tier} (score ${score}), warmth: ${warmth}, trust: ${trust}`;
+}
+
+function isVisitingPlayerHome(npc, player) {
+  const home = world.farms.get(player.playerId)?.home;
+  if (!home || npc.moveControl?.visitPlayerId !== player.playerId) return false;
+  return Math.hypot(npc.x - home.x, npc.y - home.y) <= FARM_ACTION_DISTANCE;
+}
+
+async function heartEventForDialogue(player, npc) {
+  const kinds = isVisitingPlayerHome(npc, player) ? ["visit"] : ["scene", "favor"];
+  return nextHeartEvent(player, npc, relationshipScoreOf(player, npc.id), kinds);
+}
+
+async function playHeartEvent({ socket, player, npc, context, event, memoryCache }) {
+  const scriptedLine = heartEventLines(event, player.name).join(" ");
+  let linePayload = { line: scriptedLine, emotion: "warm" };
+  if (event.seed) {
+    linePayload = await streamNpcLineToPlayer({
+      socket,
+      player,
+      npc,
+      context,
+      request: {
+        speaker: npc,
+        target: { id: player.playerId, name: player.name || "Traveler", role: "Visitor", traits: [] },
+        worldContext: context,
+        memories: await memoryCache.ranked(npc.id, {
+          tags: memoryQueryTags({ player, area: npc.area }),
+          queryText: event.seed
+        }),
+        topicHint: `a heartfelt personal moment with a close friend ("${event.title}"): ${event.seed}`,
+        relationship: relationshipPromptFor(player, npc),
+        scriptedLine
+      }
+    });
+    if (!linePayload) return null;
+  }
+
+  markHeartEvent(player, npc, event, world.dayNumber);
+  if (event.kind === "visit") npc.moveControl = null;
+  persistPlayerState(player);
+  socket.emit("heart_event", { npcId: npc.id, npcName: npc.name, title: event.title, kind: event.kind });
+  await writeNpcMemory({
+    npcId: npc.id,
+    type: "player_commitment",
+    content: `${player.name || "A traveler"} and I shared a moment I won't forget: ${event.title}.`,
+    importance: HEART_EVENT_IMPORTANCE,
+    tags: `${npc.role},player:${player.playerId},category:heart_event,event:${event.id}`,
+    createdAt: new Date().toISOString()
+  });
+  return {
+    ...linePayload,
+    memoryWrite: `${npc.name} shared "${event.title}" with ${player.name || "a traveler"}.`,
+    importance: HEART_EVENT_IMPORTANCE
+  };
+}
+
+async function completeFavor(socket, player, npc, result) {
+  persistPlayerState(player);
+  socket.emit("world_tick", snapshotWorld(world, socket.id));
+  const memoryId = await writeNpcMemory({
+    npcId: npc.id,
+    type: "player_commitment",
+    content: `${player.name || "A traveler"} came through on ${result.favor.title}. I owe them one.`,
+    importance: HEART_EVENT_IMPORTANCE,
+    tags: `${npc.role},player:${player.playerId},category:favor,event:${result.favor.eventId}`,
+    createdAt: new Date().toISOString()
+  });
+  learnGossip({
+    npc,
+    memoryId,
+    kind: "favor",
+    player,
+    ...gossipClaim("favor", player.name, npc.name),
+    detail: result.favor.title,
+    importance: HEART_EVENT_IMPORTANCE
+  });
+  await adjustRelationship(player, npc, result.relationDelta);
+}
+
+function learnGossip({ npc, memoryId, kind, player = null, about = "", claim, detail, weight = 0, importance }) {
+  return recordGossip(world, {
+    originNpcId: npc.id,
+    originMemoryId: memoryId,
+    kind,
+    subject: player ? { id: player.playerId, name: player.name || "a traveler" } : null,
+    about,
+    claim,
+    detail,
+    weight,
+    importance,
+    dayNumber: world.dayNumber
+  });
+}
+
+async function applyHeardGossip(heard) {
+  for (const { fact, tellerId, listenerId, entry } of heard) {
+    const listener = world.npcs.find((n) => n.id === listenerId);
+    const teller = world.npcs.find((n) => n.id === tellerId);
+    if (!listener) continue;
+    entry.memoryId = await writeNpcMemory({
+      npcId: listener.id,
+      type: "gossip",
+      content: gossipText(fact, entry, teller?.name),
+      importance: Math.max(2, Math.round(fact.importance * entry.fidelity)),
+      tags: [
+        listener.role,
+        fact.subject ? `player:${fact.subject.id}` : "",
+        "category:gossip",
+        `gossip:${fact.id}`,
+        `origin:${fact.originMemoryId}`
+      ]
+        .filter(Boolean)
+        .join(","),
+      createdAt: new Date().toISOString()
+    });
+    const delta = gossipAttitudeDelta(fact, entry.fidelity);
+    if (delta === 0) continue;
+    const player = onlinePlayerById(fact.subject.id);
+    if (!player) {
+      await db.upsertRelationshipDelta(listener.id, fact.subject.id, delta, null);
+      continue;
+    }
+    await adjustRelationship(player, listener, delta, { stampDay: false });
+    const tone = delta > 0 ? "warmed to you" : "cooled on you";
+    notifyPlayerByPlayerId(player.playerId, `${listener.name} heard that ${fact.claim} and ${tone}.`);
+  }
+}
+
+function gossipHint(npc, fact) {
+  const entry = fact.knownBy[npc.id];
+  const teller = world.npcs.find((n) => n.id === entry.from);
+  return `. share this gossip in your own words: ${gossipText(fact, entry, teller?.name)}`;
+}
+
+async function shareGossip(speaker, target, fact) {
+  const entry = passGossip(world, fact, speaker.id, target.id, world.dayNumber);
+  if (entry) await applyHeardGossip([{ fact, tellerId: speaker.id, listenerId: target.id, entry }]);
+}
+
+function startEventRumor(evt) {
+  const area = findAreaByNameLike(evt.area);
+  if (!area) return null;
+  return startRumor(world, {
+    source: { kind: "event", id: evt.id || evt.title, name: evt.title },
+    subject: { kind: "area", id: area.name, name: area.name },
+    claim: String(evt.description || evt.title).replace(/[.!?\s]+$/, ""),
+    isTrue: true,
+    believers: world.npcs.filter((npc) => npc.area === area.name).map((npc) => npc.id),
+    dayNumber: world.dayNumber
+  });
+}
+
+async function handleRumorTalk({ npc, player, text }) {
+  const talk = parseRumorTalk(text);
+  if (!talk) return "";
+  const players = [...world.players.values()].filter((p) => p.playerId && p.name);
+  const subject = findRumorSubject(text, { npcs: world.npcs, areas: AREAS, players });
+  if (talk.action === "start") {
+    if (!subject) return "";
+    const crops = Object.keys(CROP_CONFIG);
+    const isTrue = judgeRumorClaim(world, subject, talk.claim, { areas: AREAS, players, crops });
+    if (isTrue === null) {
+      notifyPlayerByPlayerId(player.playerId, `${npc.name} has no way to check that, so it goes no further.`, false);
+      return "";
+    }
+    const rumor = startRumor(world, {
+      source: { kind: "player", id: player.playerId, name: player.name || "a traveler" },
+      subject,
+      claim: talk.claim,
+      isTrue,
+      believers: [npc.id],
+      dayNumber: world.dayNumber
+    });
+    if (!rumor) return "";
+    pushTownEvent(world, `${player.name || "A traveler"} told ${npc.name} a rumor about ${subject.name}.`);
+    notifyPlayerByPlayerId(player.playerId, `${npc.name} will pass it on: ${rumor.claim}.`);
+    return ` the player just told you a rumor: ${rumor.claim}.`;
+  }
+
+  const rumor = subject ? rumorAddressedBy(world, npc.id, subject) : rumorToldToPlayer(npc, player);
+  const fields = { by: player.playerId, npcId: npc.id, dayNumber: world.dayNumber };
+  const result = talk.action === "confirm" ? confirmRumor(world, rumor, fields) : debunkRumor(world, rumor, fields);
+  if (!result.ok) return "";
+  await adjustRelationship(player, npc, result.correct ? RUMOR_SETTLE_RELATION : -RUMOR_SETTLE_RELATION);
+  notifyPlayerByPlayerId(player.playerId, result.message, result.correct);
+  if (rumor.status !== "circulating") {
+    pushTownEvent(world, `${player.name || "A traveler"} ${rumor.status} the rumor that ${rumor.claim}.`);
+  }
+  return ` the player ${talk.action === "confirm" ? "vouched for" : "denied"} the rumor that ${rumor.claim}.`;
+}
+
+function rumorHint(rumor, { npc = null, player = null } = {}) {
+  if (npc && player) rumorsToldToPlayers.set(`${npc.id}:${player.playerId}`, rumor.id);
+  return `. pass on this rumor in your own words: ${rumorText(rumor)}`;
+}
+
+function rumorToldToPlayer(npc, player) {
+  const rumorId = rumorsToldToPlayers.get(`${npc.id}:${player.playerId}`);
+  return (world.rumors || []).find((rumor) => rumor.id === rumorId && rumor.status === "circulating") || null;
+}
+
+async function scheduleHomeVisits() {
+  for (const player of world.players.values()) {
+    const farm = world.farms.get(player.playerId);
+    if (!farm?.lotId) continue;
+    const home = farm.home;
+    const score = (npc) => relationshipScoreOf(player, npc.id);
+    for (const npc of [...world.npcs].sort((a, b) => score(b) - score(a))) {
+      if (npc.moveControl || npc.tasks?.some((task) => task.status === "in_progress")) continue;
+      if (!nextHeartEvent(player, npc, score(npc), ["visit"])) continue;
+      npc.moveControl = {
+        mode: "point",
+        x: home.x,
+        y: home.y,
+        label: "your house",
+        visitPlayerId: player.playerId,
+        untilMinutes: HOME_VISIT_END_MINUTES,
+        untilDay: world.dayNumber
+      };
+      npc.target = { x: home.x, y: home.y };
+      npc.holdUntil = 0;
+      notifyPlayerByPlayerId(player.playerId, `${npc.name} is coming to visit you at home this morning.`);
+      break;
+    }
+  }
+}
+
+function groupConversationPlayers() {
+  return getAwakePlayers()
+    .filter((player) => player.playerId && !player.inDialogue)
+    .map((player) => ({ id: player.playerId, name: player.name || "Traveler", x: player.x, y: player.y }));
+}
+
+function groupConversationForPlayer(playerId) {
+  for (const convo of groupConversations.values()) {
+    if (findParticipant(convo, playerId)) return convo;
+  }
+  return null;
+}
+
+function emitGroupConversation(convo, participants, status) {
+  const roster = activeParticipants(convo).map((p) => ({ id: p.id, name: p.name, kind: p.kind }));
+  for (const participant of participants) {
+    if (participant?.kind !== "player") continue;
+    const socketId = getSocketIdByPlayerId(participant.id);
+    if (!socketId) continue;
+    io.to(socketId).emit("group_conversation", {
+      conversationId: convo.id,
+      status,
+      area: convo.area,
+      participants: status === "active" ? roster : []
+    });
+  }
+}
+
+function groupRelationWeight(members) {
+  let total = 0;
+  let pairs = 0;
+  for (let i = 0; i < members.length; i += 1) {
+    for (let j = i + 1; j < members.length; j += 1) {
+      total += getNpcRelationScore(world, members[i].id, members[j].id);
+      pairs += 1;
+    }
+  }
+  const rel = pairs > 0 ? total / pairs : 0;
+  return rel <= -7 ? 0.2 : rel <= -4 ? 0.6 : rel >= 6 ? 1.4 : rel >= 3 ? 1.2 : 1;
+}
+
+async function writeGroupConversationMemories(convo) {
+  const npcIds = [...new Set(convo.participants.filter((p) => p.kind === "npc").map((p) => p.id))];
+  for (const npcId of npcIds) {
+    const stints = convo.participants.filter((p) => p.id === npcId);
+    const heardAny = stints.some((p) => (p.leftTurn ?? convo.lines.length) > p.joinedTurn);
+    if (!heardAny) continue;
+    const others = convo.participants.filter((p) => p.id !== npcId);
+    const tags = [
+      stints[0].role,
+      ...others.filter((p) => p.kind === "npc").map((p) => p.role),
+      ...others.filter((p) => p.kind === "player").flatMap((p) => ["player", p.id]),
+      "group_conversation"
+    ];
+    await writeNpcMemory({
+      npcId,
+      type: "conversation",
+      content: summarizeConversation(convo, npcId),
+      importance: 4,
+      tags: [...new Set(tags)].join(","),
+      createdAt: new Date().toISOString()
+    });
+  }
+}
+
+function maybeTriggerNpcConversation() {
+  if (!dialogueScheduler.hasCapacity()) return false;
   const now = Date.now();
-  const pairs = findNearbyNpcPairs(world.npcs, 110).filter(
-    (pair) =>
-      anyPlayerNearNpc(pair.a, PLAYER_NEAR_DISTANCE) && anyPlayerNearNpc(pair.b, PLAYER_NEAR_DISTANCE)
+  const groups = findConversationGroups(world.npcs, {
+    radius: GROUP_CONVERSATION_RADIUS,
+    maxSize: GROUP_CONVERSATION_MAX_PARTICIPANTS,
+    isAvailable: (npc) =>
+      npc.talkCooldownUntil <= now && npcLocks.isFree(npc.id) && anyPlayerNearNpc(npc, PLAYER_NEAR_DISTANCE)
+  });
+  if (groups.length === 0) return false;
+
+  const weightedGroups = groups.map((group) => ({
+    group,
+    score: (groupRelationWeight(group.members) * group.members.length * 100) / Math.max(1, group.spread)
+  }));
+  weightedGroups.sort((x, y) => y.score - x.score);
+  const top = weightedGroups.slice(0, Math.min(3, weightedGroups.length));
+  const group = (top[Math.floor(Math.random() * top.length)] || weightedGroups[0]).group;
+  const job = dialogueScheduler.run(
+    `convo_${crypto.randomUUID()}`,
+    { kind: "group_conversation", npcIds: group.members.map((npc) => npc.id) },
+    (job) => runGroupConversation(job, group)
   );
-  if (pairs.length === 0) return;
+  if (!job) return false;
+  lastAutoDialogueAt = now;
+  return true;
+}
 
-  const weightedPairs = pairs.map((pair) => {
-    const rel = getNpcRelationScore(world, pair.a.id, pair.b.id);
-    const relationWeight = rel <= -7 ? 0.2 : rel <= -4 ? 0.6 : rel >= 6 ? 1.4 : rel >= 3 ? 1.2 : 1;
-    const distanceWeight = 1 / Math.max(1, pair.dist);
-    return {
-      pair,
-      score: relationWeight * distanceWeight * 100
-    };
-  });
-  weightedPairs.sort((x, y) => y.score - x.score);
-  const top = weightedPairs.slice(0, Math.min(5, weightedPairs.length));
-  const pair = (top[Math.floor(Math.random() * top.length)] || weightedPairs[0]).pair;
-  const { a, b } = pair;
-  if (a.talkCooldownUntil > now || b.talkCooldownUntil > now) return;
-  npcConversationInProgress = true;
-  npcConversationCancelRequested = false;
-
-  let speaker = Math.random() > 0.5 ? a : b;
-  let target = speaker.id === a.id ? b : a;
-  let previousLine = "";
+async function runGroupConversation(job, group) {
+  const now = Date.now();
   const context = snapshotWorld(world);
   const memoryCache = createMemoryFetchCache();
-  const turns =
+  const relationScore = (aId, bId) => getNpcRelationScore(world, aId, bId);
+  const baseTurns =
     NPC_NPC_MIN_TURNS + Math.floor(Math.random() * (NPC_NPC_MAX_TURNS - NPC_NPC_MIN_TURNS + 1));
+  const convo = createGroupConversation({
+    id: job.id,
+    npcs: group.members,
+    players: groupConversationPlayers().filter(
+      (player) =>
+        !groupConversationForPlayer(player.id) &&
+        Math.hypot(player.x - group.center.x, player.y - group.center.y) <= GROUP_CONVERSATION_JOIN_RADIUS
+    ),
+    area: group.members[0].area,
+    topic: pickRandom(TOWN_LIFE_TOPIC_HINTS),
+    maxTurns: Math.min(GROUP_CONVERSATION_MAX_TURNS, baseTurns + group.members.length - 2),
+    now
+  });
+  groupConversations.set(convo.id, convo);
+  emitGroupConversation(convo, activeParticipants(convo, "player"), "active");
+  pushTownEvent(
+    world,
+    `${group.members.map((npc) => npc.name).join(", ")} gathered to talk near ${convo.area}.`
+  );
 
   try {
-    for (let i = 0; i < turns; i += 1) {
-      if (npcConversationCancelRequested || anyPlayerInDialogue()) break;
+    while (npcTurnsTaken(convo) < convo.maxTurns) {
+      if (job.cancelled) break;
+      const npcsById = new Map(world.npcs.map((npc) => [npc.id, npc]));
+      const speakerEntry = pickNextSpeaker(convo, { npcsById, relationScore });
+      const speaker = speakerEntry && npcsById.get(speakerEntry.id);
+      if (!speaker) break;
+      const addressee = pickAddressee(convo, speaker.id, { relationScore });
+      const target =
+        addressee.kind === "npc"
+          ? npcsById.get(addressee.id)
+          : { id: addressee.id, name: addressee.name, role: "Visitor", traits: [] };
+      const addressedPlayer = addressee.kind === "player" ? onlinePlayerById(addressee.id) : null;
+      const gossip = addressee.kind === "npc" ? gossipToShare(world, speaker.id, target.id) : null;
+      const rumor = addressee.kind === "npc" && !gossip ? rumorToShare(world, speaker.id, target.id) : null;
+      const shared = (gossip ? gossipHint(speaker, gossip) : "") + (rumor ? rumorHint(rumor) : "");
+      const previous = convo.lines.at(-1) || null;
+      const others = activeParticipants(convo)
+        .filter((p) => p.id !== speaker.id)
+        .map((p) => p.name)
+        .join(", ");
       const line = await dialogueService.generateNpcLine({
         speaker,
         target,
         worldContext: context,
-        memories: await memoryCache.recent(speaker.id, 4),
-        topicHint:
-          i === 0
-            ? `casual NPC-to-NPC talk about ${pickRandom(TOWN_LIFE_TOPIC_HINTS)}. current relation=${getNpcRelationLabel(
-                getNpcRelationScore(world, speaker.id, target.id)
-              )}`
-            : `reply to ${target.name} naturally: "${previousLine}"`
+        memories: await memoryCache.ranked(speaker.id, {
+          tags: memoryQueryTags({
+            target,
+            player: addressee.kind === "player" ? { playerId: addressee.id } : null,
+            area: speaker.area
+          }),
+          queryText: previous?.text || convo.topic
+        }),
+        topicHint: previous
+          ? `group talk with ${others}. reply to ${previous.speakerName} naturally: "${previous.text}"` + shared
+          : `casual group talk with ${others} about ${convo.topic}. current relation with ${target.name}=${getNpcRelationLabel(
+              relationScore(speaker.id, target.id)
+            )}` + shared,
+        relationship: addressedPlayer ? relationshipPromptFor(addressedPlayer, speaker) : ""
       });
+      if (job.cancelled) break;
 
+      const recorded = recordConversationLine(convo, {
+        speakerId: speaker.id,
+        targetId: target.id,
+        text: line.line,
+        emotion: line.emotion
+      });
+      if (!recorded) continue;
       io.emit("dialogue_event", {
-        type: "npc_to_npc",
+        type: "npc_group",
+        conversationId: convo.id,
         speakerId: speaker.id,
         speakerName: speaker.name,
-        targetId: target.id,
-        targetName: target.name,
+        targetId: recorded.targetId,
+        targetName: recorded.targetName,
         text: line.line,
         emotion: line.emotion,
         x: speaker.x,
         y: speaker.y,
         timeLabel: context.timeLabel
       });
-      await writeMemory(db, {
-        npcId: speaker.id,
-        type: "conversation",
-        content: line.memoryWrite,
-        importance: 4,
-        tags: `${speaker.role},${target.role}`,
-        createdAt: new Date().toISOString()
-      });
-      await applyAiNpcRelationshipShift({
-        speaker,
-        target,
-        lineText: line.line,
-        contextHint: `npc conversation near ${speaker.area}`
-      });
-      pushTownEvent(world, `${speaker.name} and ${target.name} exchanged updates near ${speaker.area}.`);
-
-      if (i < turns - 1) {
-        await sleep(NPC_NPC_TURN_DELAY_MS);
+      if (gossip) await shareGossip(speaker, target, gossip);
+      if (rumor) spreadRumor(world, rumor, target.id, world.dayNumber);
+      if (addressee.kind === "npc") {
+        await applyAiNpcRelationshipShift({
+          speaker,
+          target,
+          lineText: line.line,
+          contextHint: `group conversation near ${speaker.area}`
+        });
       }
-      if (npcConversationCancelRequested || anyPlayerInDialogue()) break;
 
-      previousLine = line.line;
-      const nextSpeaker = target;
-      target = speaker;
-      speaker = nextSpeaker;
+      if (npcTurnsTaken(convo) >= convo.maxTurns) break;
+      await sleep(NPC_NPC_TURN_DELAY_MS);
+      if (job.cancelled) break;
+
+      const { joined, left } = updateConversationMembership(convo, {
+        npcs: world.npcs,
+        players: groupConversationPlayers(),
+        joinRadius: GROUP_CONVERSATION_JOIN_RADIUS,
+        leaveRadius: GROUP_CONVERSATION_LEAVE_RADIUS,
+        maxParticipants: GROUP_CONVERSATION_MAX_PARTICIPANTS,
+        canJoinNpc: (npc) => npc.talkCooldownUntil <= Date.now() && npcLocks.isFree(npc.id),
+        canJoinPlayer: (player) => {
+          const current = groupConversationForPlayer(player.id);
+          return !current || current === convo;
+        }
+      });
+      const joinedNpcs = joined.filter((p) => p.kind === "npc");
+      for (const participant of joinedNpcs) job.lock(participant.id);
+      convo.maxTurns = Math.min(GROUP_CONVERSATION_MAX_TURNS, convo.maxTurns + joinedNpcs.length);
+      for (const participant of left) {
+        if (participant.kind !== "npc") continue;
+        job.unlock(participant.id);
+        const npc = npcsById.get(participant.id);
+        if (npc) npc.talkCooldownUntil = Date.now() + NPC_COOLDOWN_MS;
+      }
+      emitGroupConversation(convo, left, "left");
+      if (joined.length > 0 || left.length > 0) {
+        emitGroupConversation(convo, activeParticipants(convo, "player"), "active");
+      }
+      for (const participant of joinedNpcs) {
+        pushTownEvent(world, `${participant.name} joined the talk near ${convo.area}.`);
+      }
+      for (const participant of left.filter((p) => p.kind === "npc")) {
+        pushTownEvent(world, `${participant.name} left the talk near ${convo.area}.`);
+      }
+      if (activeParticipants(convo, "npc").length < 2) break;
     }
 
-    if (!npcConversationCancelRequested) {
-      a.talkCooldownUntil = now + NPC_COOLDOWN_MS;
-      b.talkCooldownUntil = now + NPC_COOLDOWN_MS;
-      lastAutoDialogueAt = now;
-    } else {
-      lastAutoDialogueAt = Date.now();
+    if (!job.cancelled) {
+      for (const participant of activeParticipants(convo, "npc")) {
+        const npc = world.npcs.find((n) => n.id === participant.id);
+        if (npc) npc.talkCooldownUntil = Date.now() + NPC_COOLDOWN_MS;
+      }
     }
+    convo.endedAt = Date.now();
+    await writeGroupConversationMemories(convo);
   } finally {
-    npcConversationInProgress = false;
-    npcConversationCancelRequested = false;
+    emitGroupConversation(convo, activeParticipants(convo, "player"), "ended");
+    groupConversations.delete(convo.id);
   }
 }
 
+function leaveGroupConversationForPlayerDialogue(npc) {
+  const owner = npcLocks.ownerOf(npc.id);
+  const convo = owner ? groupConversations.get(owner) : null;
+  if (!convo) return false;
+  leaveConversation(convo, npc.id, "called_away");
+  dialogueScheduler.get(owner)?.unlock(npc.id);
+  pushTownEvent(world, `${npc.name} left the talk near ${convo.area}.`);
+  return true;
+}
+
 setInterval(async () => {
   tickCount += 1;
-  const dialogueActive = anyPlayerInDialogue();
-  const simulationPaused = dialogueActive || npcConversationInProgress || npcTaskInProgress;
-  let dayChanged = false;
-  let skippedNight = false;
-  if (!simulationPaused) {
-    const clockResult = tickClock(world, 5);
-    dayChanged = Boolean(clockResult?.dayChanged);
-    if (dayChanged) {
-      runMorningReset("new_day");
-    }
-    tickNpcMovement(world, 1);
-    tickFarmGrowth(world, 5);
-    skippedNight = maybeSkipOvernightWindow();
-    if (dayChanged || skippedNight) {
-      emitWorldToAllPlayers("world_tick");
-    }
+  const clockResult = tickClock(world, 5);
+  const dayChanged = Boolean(clockResult?.dayChanged);
+  if (dayChanged) {
+    runMorningReset("new_day");
+  }
+  tickNpcMovement(world, 1, { heldNpcIds: npcLocks.heldIds() });
+  tickFarmGrowth(world, 5);
+  const skippedNight = maybeSkipOvernightWindow();
+  if (dayChanged || skippedNight) {
+    emitWorldToAllPlayers("world_tick");
   }
   const awakePlayers = getAwakePlayers();
   const shouldSync = awakePlayers.length > 0 || tickCount % SLEEP_SYNC_INTERVAL_TICKS === 0;
@@ -2543,24 +4095,34 @@ setInterval(async () => {
   }
 
   try {
-    const taskHandled = !simulationPaused ? await maybeProcessNpcTasks() : false;
+    const taskHandled = await maybeProcessNpcTasks();
     if (
-      !simulationPaused &&
       !taskHandled &&
       !dayChanged &&
       !skippedNight &&
       awakePlayers.length > 0 &&
       Date.now() - lastAutoDialogueAt >= AUTO_DIALOGUE_MIN_INTERVAL_MS
     ) {
-      await maybeTriggerNpcConversation();
+      maybeTriggerNpcConversation();
     }
   } catch (err) {
     console.error("Simulation error:", err.message);
   }
 }, 1000);
 
+async function loadChatFilterHook() {
+  const modulePath = String(process.env.CHAT_FILTER_MODULE || "").trim();
+  if (!modulePath) return;
+  const hookModule = await import(pathToFileURL(path.resolve(process.cwd(), modulePath)).href);
+  if (typeof hookModule.default !== "function") {
+    throw new Error(`CHAT_FILTER_MODULE ${modulePath} must export a default filter function.`);
+  }
+  chatFilter.use(hookModule.default);
+}
+
 async function boot() {
-  await ensureSchema(db);
+  await db.ensureSchema();
+  await loadChatFilterHook();
   await loadAutosave();
   await refreshTownMission();
   await refreshEconomy();
@@ -2577,6 +4139,7 @@ async function boot() {
   const flushAndExit = async (code = 0) => {
     try {
       await saveAutosave();
+      await db.close();
     } finally {
       process.exit(code);
     }
@@ -2589,7 +4152,8 @@ async function boot() {
   });
 
   server.listen(PORT, () => {
-    console.log(`Town sim server running on http://localhost:${PORT}`);
+    console.log(`Town sim server running on http://localhost:${PORT} (storage: ${db.driver})`);
+    console.log(`Content packs: ${CONTENT.packs.map((pack) => pack.id).join(", ")}`);
   });
 }
 
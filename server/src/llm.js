@@ -0,0 +1,290 @@
+import { readFileSync } from "node:fs";
+import OpenAI from "openai";
+
+export const DEFAULT_LLM_MODEL = "gpt-4.1-mini";
+const DEFAULT_HTTP_TIMEOUT_MS = 45_000;
+
+function toChatMessages(input) {
+  return (Array.isArray(input) ? input : []).map((entry) => ({
+    role: entry?.role === "developer" ? "system" : String(entry?.role || "user"),
+    content: String(entry?.content || "")
+  }));
+}
+
+function parseMethodMap(raw) {
+  const out = {};
+  for (const pair of String(raw || "").split(",")) {
+    const eq = pair.indexOf("=");
+    if (eq <= 0) continue;
+    const method = pair.slice(0, eq).trim();
+    const value = pair.slice(eq + 1).trim();
+    if (method && value) out[method] = value;
+  }
+  return out;
+}
+
+export function createOpenAIProvider({ apiKey, client = null, defaultModel = DEFAULT_LLM_MODEL } = {}) {
+  const openai = client || (apiKey ? new OpenAI({ apiKey }) : null);
+  return {
+    name: "openai",
+    available: Boolean(openai),
+    defaultModel,
+    async complete({ model, input }) {
+      const response = await openai.responses.create({ model, input });
+      return String(response.output_text || "");
+    },
+    async *stream({ model, input, signal }) {
+      const events = await openai.responses.create({ model, input, stream: true }, { signal });
+      for await (const event of events) {
+        if (event?.type === "response.output_text.delta" && event.delta) yield String(event.delta);
+      }
+    },
+    async embed({ model, input }) {
+      const response = await openai.embeddings.create({ model, input });
+      return response.data?.[0]?.embedding || null;
+    }
+  };
+}
+
+async function* readServerSentEvents(body) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for await (const chunk of body) {
+    buffer += typeof chunk === "string" ? chunk : decoder.decode(chunk, { stream: true });
+    let newline = buffer.indexOf("\n");
+    while (newline !== -1) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (line.startsWith("data:")) yield line.slice(5).trim();
+      newline = buffer.indexOf("\n");
+    }
+  }
+  const rest = buffer.trim();
+  if (rest.startsWith("data:")) yield rest.slice(5).trim();
+}
+
+export function createOpenAICompatibleProvider({
+  baseUrl,
+  apiKey = "",
+  defaultModel = "",
+  timeoutMs = DEFAULT_HTTP_TIMEOUT_MS,
+  fetchImpl = globalThis.fetch
+} = {}) {
+  const root = String(baseUrl || "").trim().replace(/\/+$/, "");
+  return {
+    name: "openai-compatible",
+    available: Boolean(root && fetchImpl),
+    defaultModel,
+    async complete({ model, input }) {
+      const response = await fetchImpl(`${root}/chat/completions`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+        },
+        body: JSON.stringify({ model, messages: toChatMessages(input), stream: false }),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      if (!response.ok) {
+        throw new Error(`LLM endpoint ${root} responded ${response.status}`);
+      }
+      const data = await response.json();
+      return String(data?.choices?.[0]?.message?.content || "");
+    },
+    async *stream({ model, input, signal }) {
+      const timeout = AbortSignal.timeout(timeoutMs);
+      const response = await fetchImpl(`${root}/chat/completions`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+        },
+        body: JSON.stringify({ model, messages: toChatMessages(input), stream: true }),
+        signal: signal ? AbortSignal.any([signal, timeout]) : timeout
+      });
+      if (!response.ok) {
+        throw new Error(`LLM endpoint ${root} responded ${response.status}`);
+      }
+      for await (const data of readServerSentEvents(response.body)) {
+        if (data === "[DONE]") return;
+        let parsed = null;
+        try {
+          parsed = JSON.parse(data);
+        } catch {
+          continue;
+        }
+        const delta = parsed?.choices?.[0]?.delta?.content;
+        if (delta) yield String(delta);
+      }
+    },
+    async embed({ model, input }) {
+      const response = await fetchImpl(`${root}/embeddings`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+        },
+        body: JSON.stringify({ model, input }),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      if (!response.ok) {
+        throw new Error(`LLM endpoint ${root} responded ${response.status}`);
+      }
+      const data = await response.json();
+      return data?.data?.[0]?.embedding || null;
+    }
+  };
+}
+
+function hashedEmbedding(text, dimensions = 32) {
+  const vector = new Array(dimensions).fill(0);
+  for (const word of String(text || "").toLowerCase().match(/[a-z0-9']+/g) || []) {
+    let hash = 0;
+    for (let i = 0; i < word.length; i += 1) {
+      hash = (hash * 31 + word.charCodeAt(i)) | 0;
+    }
+    vector[Math.abs(hash) % dimensions] += 1;
+  }
+  return vector;
+}
+
+export function createScriptedProvider({ responses = {}, defaultModel = "scripted" } = {}) {
+  const calls = [];
+  const cursors = new Map();
+
+  function nextScripted(method, request) {
+    const entry = Object.hasOwn(responses, method) ? responses[method] : responses["*"];
+    if (typeof entry === "function") return entry(request);
+    if (Array.isArray(entry)) {
+      const index = cursors.get(method) || 0;
+      cursors.set(method, index + 1);
+      return entry[Math.min(index, entry.length - 1)];
+    }
+    return entry;
+  }
+
+  return {
+    name: "scripted",
+    available: true,
+    defaultModel,
+    calls,
+    async complete(request) {
+      calls.push({ method: request.method, model: request.model, input: request.input });
+      const value = nextScripted(request.method, request);
+      if (value instanceof Error) throw value;
+      if (value === undefined || value === null) return "";
+      return typeof value === "string" ? value : JSON.stringify(value);
+    },
+    async *stream(request) {
+      const text = await this.complete(request);
+      for (const piece of text.match(/\s*\S+/g) || []) {
+        request.signal?.throwIfAborted();
+        yield piece;
+      }
+    },
+    async embed({ input }) {
+      return hashedEmbedding(input);
+    }
+  };
+}
+
+export function createLlmRouter({
+  providers = {},
+  defaultProvider = "openai",
+  defaultModel = DEFAULT_LLM_MODEL,
+  methodProviders = {},
+  methodModels = {},
+  embeddingModel = ""
+} = {}) {
+  function route(method) {
+    const providerName = methodProviders[method] || defaultProvider;
+    const provider = providers[providerName] || null;
+    const model = methodModels[method] || provider?.defaultModel || defaultModel;
+    return { providerName, provider, model };
+  }
+
+  return {
+    route,
+    available(method) {
+      return Boolean(route(method).provider?.available);
+    },
+    async complete(method, input) {
+      const { providerName, provider, model } = route(method);
+      if (!provider?.available) {
+        throw new Error(`LLM provider "${providerName}" is not available for ${method}`);
+      }
+      return provider.complete({ method, model, input });
+    },
+    async *stream(method, input, { signal } = {}) {
+      const { providerName, provider, model } = route(method);
+      if (!provider?.available) {
+        throw new Error(`LLM provider "${providerName}" is not available for ${method}`);
+      }
+      if (typeof provider.stream !== "function") {
+        const text = await provider.complete({ method, model, input });
+        signal?.throwIfAborted();
+        yield text;
+        return;
+      }
+      yield* provider.stream({ method, model, input, signal });
+    },
+    embeddingsAvailable() {
+      const { provider } = route("embedText");
+      return Boolean(embeddingModel && provider?.available && typeof provider.embed === "function");
+    },
+    async embed(text) {
+      const { provider } = route("embedText");
+      return provider.embed({ method: "embedText", model: embeddingModel, input: String(text || "") });
+    }
+  };
+}
+
+export function createLlmRouterFromEnv(env = process.env) {
+  const providers = {
+    openai: createOpenAIProvider({ apiKey: env.OPENAI_API_KEY, defaultModel: env.LLM_MODEL || DEFAULT_LLM_MODEL }),
+    local: createOpenAICompatibleProvider({
+      baseUrl: env.LLM_LOCAL_BASE_URL,
+      apiKey: env.LLM_LOCAL_API_KEY,
+      defaultModel: env.LLM_LOCAL_MODEL || ""
+    })
+  };
+  if (env.LLM_SCRIPT_PATH) {
+    providers.scripted = createScriptedProvider({
+      responses: JSON.parse(readFileSync(env.LLM_SCRIPT_PATH, "utf8"))
+    });
+  }
+
+  const configured = String(env.LLM_PROVIDER || "").trim();
+  let defaultProvider = configured;
+  if (!defaultProvider) {
+    if (providers.openai.available) defaultProvider = "openai";
+    else if (providers.local.available) defaultProvider = "local";
+    else defaultProvider = "none";
+  }
+  const missingScript = (name) => name === "scripted" && !providers.scripted;
+  if (missingScript(defaultProvider)) {
+    throw new Error('LLM_PROVIDER "scripted" requires LLM_SCRIPT_PATH to point at a JSON response file.');
+  }
+  if (defaultProvider !== "none" && !providers[defaultProvider]) {
+    throw new Error(`Unknown LLM_PROVIDER "${defaultProvider}". Use openai, local, scripted, or none.`);
+  }
+
+  const methodProviders = parseMethodMap(env.LLM_METHOD_PROVIDERS);
+  for (const [method, name] of Object.entries(methodProviders)) {
+    if (missingScript(name)) {
+      throw new Error(`LLM_METHOD_PROVIDERS maps ${method} to "scripted", which requires LLM_SCRIPT_PATH.`);
+    }
+    if (!providers[name]) {
+      throw new Error(`LLM_METHOD_PROVIDERS maps ${method} to unknown provider "${name}".`);
+    }
+  }
+
+  return createLlmRouter({
+    providers,
+    defaultProvider,
+    defaultModel: env.LLM_MODEL || DEFAULT_LLM_MODEL,
+    methodProviders,
+    methodModels: parseMethodMap(env.LLM_METHOD_MODELS),
+    embeddingModel: String(env.LLM_EMBEDDING_MODEL || "").trim()
+  });
+}
@@ -0,0 +1,101 @@
+import { parseMemoryTags } from "./memory-ranking.js";
+
+export const CONSOLIDATION_MEMORY_TYPES = ["conversation", "player_interaction"];
+export const ARCHIVE_IMPORTANCE_MAX = 4;
+export const MAX_REFLECTIONS_PER_NPC = 3;
+const MAX_LINES_PER_SUBJECT = 12;
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function subjectKeyForRow(npc, row) {
+  const tags = parseMemoryTags(row?.tags);
+  const playerTag = tags.find((tag) => tag.startsWith("player_"));
+  if (playerTag) return `player:${playerTag}`;
+  const ownRole = String(npc?.role || "").toLowerCase();
+  const otherRole = tags.find((tag) => tag !== ownRole && tag !== "player");
+  return otherRole ? `role:${otherRole}` : "town";
+}
+
+export function groupMemoriesBySubject(npc, rows) {
+  const groups = new Map();
+  for (const row of Array.isArray(rows) ? rows : []) {
+    if (!row?.content) continue;
+    const key = subjectKeyForRow(npc, row);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  }
+  return [...groups.entries()]
+    .map(([key, groupRows]) => ({
+      key,
+      rows: groupRows,
+      weight: groupRows.reduce((sum, row) => sum + (Number(row.importance) || 3), 0)
+    }))
+    .sort((a, b) => b.weight - a.weight);
+}
+
+export function heuristicReflection({ npc, label, rows }) {
+  const picked = [...rows]
+    .sort((a, b) => (Number(b.importance) || 0) - (Number(a.importance) || 0) || Number(b.id || 0) - Number(a.id || 0))
+    .slice(0, 2)
+    .map((row) => String(row.content).trim().replace(/[.!?]+$/, "").slice(0, 90));
+  const times = rows.length === 1 ? "once" : `${rows.length} times`;
+  return {
+    reflection: `${npc?.name || "I"} spoke with ${label} ${times} yesterday. Notable: ${picked.join("; ")}.`,
+    importance: clamp(5 + Math.floor(Math.log2(rows.length)), 5, 8)
+  };
+}
+
+function tagsForReflection(npc, key, dayNumber) {
+  const subjectTag = key.startsWith("player:") ? key : key.startsWith("role:") ? key.slice(5) : "town";
+  return [npc?.role, "reflection", subjectTag, `day:${dayNumber}`].filter(Boolean).join(",");
+}
+
+export async function consolidateNpcMemories({ npc, rows, dayNumber = 1, labelForSubject, reflect }) {
+  const groups = groupMemoriesBySubject(npc, rows);
+  const chosen = groups.slice(0, MAX_REFLECTIONS_PER_NPC).map((group) => ({
+    ...group,
+    label:
+      (typeof labelForSubject === "function" ? labelForSubject(group.key) : "") ||
+      (group.key === "town" ? "the townsfolk" : group.key.replace(/^(player|role):/, ""))
+  }));
+  if (chosen.length === 0) {
+    return { reflections: [], consolidatedIds: [] };
+  }
+
+  let modelOutput = [];
+  if (typeof reflect === "function") {
+    try {
+      const out = await reflect({
+        npc,
+        groups: chosen.map((group) => ({
+          key: group.key,
+          label: group.label,
+          lines: group.rows.slice(0, MAX_LINES_PER_SUBJECT).map((row) => String(row.content).slice(0, 200))
+        }))
+      });
+      modelOutput = Array.isArray(out) ? out : [];
+    } catch {
+      modelOutput = [];
+    }
+  }
+
+  const reflections = chosen.map((group) => {
+    const fromModel = modelOutput.find((item) => item?.key === group.key);
+    const text = String(fromModel?.reflection || "").trim();
+    const fallback = heuristicReflection({ npc, label: group.label, rows: group.rows });
+    return {
+      content: text ? text.slice(0, 280) : fallback.reflection,
+      importance: text ? clamp(Math.round(Number(fromModel.importance) || fallback.importance), 5, 9) : fallback.importance,
+      tags: tagsForReflection(npc, group.key, dayNumber)
+    };
+  });
+
+  return {
+    reflections,
+    consolidatedIds: chosen
+      .flatMap((group) => group.rows.map((row) => row.id))
+      .filter((id) => id !== undefined && id !== null)
+  };
+}
@@ -0,0 +1,112 @@
+export const DEFAULT_RANK_WEIGHTS = {
+  importance: 1,
+  recency: 1,
+  tags: 1.5,
+  semantic: 1
+};
+export const RECENCY_HALF_LIFE_HOURS = 12;
+
+export function canonicalMemoryTag(tag) {
+  const normalized = String(tag || "").trim().toLowerCase();
+  return normalized.startsWith("player:") ? normalized.slice("player:".length) : normalized;
+}
+
+export function parseMemoryTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || "").split(",");
+  return [...new Set(list.map(canonicalMemoryTag).filter(Boolean))];
+}
+
+export function memoryHasTag(memory, tag) {
+  const wanted = canonicalMemoryTag(tag);
+  if (!wanted) return false;
+  return parseMemoryTags(memory?.tags).includes(wanted);
+}
+
+export function memoryTagLikePatterns(tag) {
+  const escaped = canonicalMemoryTag(tag).replace(/[\\%_]/g, (ch) => `\\${ch}`);
+  return [`%,${escaped},%`, `%,player:${escaped},%`];
+}
+
+export function parseEmbedding(raw) {
+  if (Array.isArray(raw)) return raw.every(Number.isFinite) && raw.length > 0 ? raw : null;
+  if (typeof raw !== "string" || !raw) return null;
+  try {
+    return parseEmbedding(JSON.parse(raw));
+  } catch {
+    return null;
+  }
+}
+
+export function cosineSimilarity(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length === 0 || a.length !== b.length) return 0;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  if (normA === 0 || normB === 0) return 0;
+  return dot / Math.sqrt(normA * normB);
+}
+
+export function scoreMemory(memory, { tags = [], queryEmbedding = null, now = Date.now(), weights = DEFAULT_RANK_WEIGHTS } = {}) {
+  const importance = Math.max(1, Math.min(10, Number(memory?.importance) || 3)) / 10;
+  const createdAt = new Date(memory?.created_at || memory?.createdAt || now).getTime();
+  const ageHours = Math.max(0, (now - (Number.isFinite(createdAt) ? createdAt : now)) / 3_600_000);
+  const recency = 0.5 ** (ageHours / RECENCY_HALF_LIFE_HOURS);
+
+  const queryTags = parseMemoryTags(tags);
+  const memoryTags = new Set(parseMemoryTags(memory?.tags));
+  const overlap = queryTags.filter((tag) => memoryTags.has(tag)).length;
+  const tagScore = queryTags.length > 0 ? overlap / queryTags.length : 0;
+
+  const memoryEmbedding = parseEmbedding(memory?.embedding);
+  const semantic =
+    queryEmbedding && memoryEmbedding ? Math.max(0, cosineSimilarity(queryEmbedding, memoryEmbedding)) : 0;
+
+  return {
+    score:
+      weights.importance * importance +
+      weights.recency * recency +
+      weights.tags * tagScore +
+      weights.semantic * semantic,
+    tagOverlap: overlap
+  };
+}
+
+export function rankMemories(rows, { tags = [], queryEmbedding = null, limit = 6, requireTag = false, now = Date.now(), weights } = {}) {
+  const seen = new Set();
+  const scored = [];
+  for (const row of Array.isArray(rows) ? rows : []) {
+    if (!row) continue;
+    const key = row.id ?? `${row.created_at}|${row.content}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    const { score, tagOverlap } = scoreMemory(row, { tags, queryEmbedding, now, weights });
+    if (requireTag && tagOverlap === 0) continue;
+    scored.push({ ...row, score });
+  }
+  scored.sort((a, b) => b.score - a.score || Number(b.id || 0) - Number(a.id || 0));
+  return scored.slice(0, Math.max(0, limit));
+}
+
+export async function retrieveRankedMemories({
+  npcId,
+  tags = [],
+  queryEmbedding = null,
+  limit = 6,
+  candidateLimit = 60,
+  requireTag = false,
+  fetchRecent,
+  fetchByTag,
+  now = Date.now()
+}) {
+  const queryTags = parseMemoryTags(tags);
+  const batches = await Promise.all([
+    requireTag ? [] : fetchRecent(npcId, candidateLimit),
+    ...queryTags.map((tag) => fetchByTag(npcId, tag, Math.ceil(candidateLimit / 2)))
+  ]);
+  return rankMemories(batches.flat(), { tags: queryTags, queryEmbedding, limit, requireTag, now });
+}
@@ -0,0 +1,239 @@
+const NEIGHBOR_STEPS = [
+  [1, 0, 1],
+  [-1, 0, 1],
+  [0, 1, 1],
+  [0, -1, 1],
+  [1, 1, Math.SQRT2],
+  [1, -1, Math.SQRT2],
+  [-1, 1, Math.SQRT2],
+  [-1, -1, Math.SQRT2]
+];
+
+function markRect(grid, rect, value) {
+  const ts = grid.tileSize;
+  const startCol = Math.max(0, Math.floor(rect.x / ts));
+  const startRow = Math.max(0, Math.floor(rect.y / ts));
+  const endCol = Math.min(grid.cols - 1, Math.floor((rect.x + rect.w - 1) / ts));
+  const endRow = Math.min(grid.rows - 1, Math.floor((rect.y + rect.h - 1) / ts));
+  for (let row = startRow; row <= endRow; row += 1) {
+    for (let col = startCol; col <= endCol; col += 1) {
+      grid.blocked[row * grid.cols + col] = value;
+    }
+  }
+}
+
+export function createNavGrid({ width, height, tileSize, blocked = [], walkable = [] }) {
+  const cols = Math.ceil(width / tileSize);
+  const rows = Math.ceil(height / tileSize);
+  const grid = { width, height, tileSize, cols, rows, blocked: new Uint8Array(cols * rows) };
+  for (const rect of blocked) markRect(grid, rect, 1);
+  for (const rect of walkable) markRect(grid, rect, 0);
+  return grid;
+}
+
+export function cellAt(grid, x, y) {
+  return {
+    col: Math.max(0, Math.min(grid.cols - 1, Math.floor(x / grid.tileSize))),
+    row: Math.max(0, Math.min(grid.rows - 1, Math.floor(y / grid.tileSize)))
+  };
+}
+
+function cellCenter(grid, col, row) {
+  return { x: col * grid.tileSize + grid.tileSize / 2, y: row * grid.tileSize + grid.tileSize / 2 };
+}
+
+function isCellWalkable(grid, col, row) {
+  return col >= 0 && row >= 0 && col < grid.cols && row < grid.rows && grid.blocked[row * grid.cols + col] === 0;
+}
+
+export function isWalkable(grid, x, y) {
+  if (!grid) return true;
+  if (x < 0 || y < 0 || x > grid.width || y > grid.height) return false;
+  const { col, row } = cellAt(grid, x, y);
+  return isCellWalkable(grid, col, row);
+}
+
+export function nearestWalkablePoint(grid, point) {
+  if (!grid || !point) return point;
+  if (isWalkable(grid, point.x, point.y)) return { x: point.x, y: point.y };
+  const start = cellAt(grid, point.x, point.y);
+  const seen = new Uint8Array(grid.cols * grid.rows);
+  seen[start.row * grid.cols + start.col] = 1;
+  let ring = [[start.col, start.row]];
+  while (ring.length > 0) {
+    let best = null;
+    let bestDist = Infinity;
+    for (const [col, row] of ring) {
+      if (!isCellWalkable(grid, col, row)) continue;
+      const center = cellCenter(grid, col, row);
+      const dist = Math.hypot(center.x - point.x, center.y - point.y);
+      if (dist < bestDist) {
+        best = center;
+        bestDist = dist;
+      }
+    }
+    if (best) return best;
+
+    const next = [];
+    for (const [col, row] of ring) {
+      for (const [dc, dr] of NEIGHBOR_STEPS) {
+        const nc = col + dc;
+        const nr = row + dr;
+        if (nc < 0 || nr < 0 || nc >= grid.cols || nr >= grid.rows) continue;
+        const idx = nr * grid.cols + nc;
+        if (seen[idx]) continue;
+        seen[idx] = 1;
+        next.push([nc, nr]);
+      }
+    }
+    ring = next;
+  }
+  return null;
+}
+
+export function hasLineOfSight(grid, a, b) {
+  const dist = Math.hypot(b.x - a.x, b.y - a.y);
+  const steps = Math.max(1, Math.ceil(dist / (grid.tileSize / 4)));
+  for (let i = 0; i <= steps; i += 1) {
+    const t = i / steps;
+    if (!isWalkable(grid, a.x + (b.x - a.x) * t, a.y + (b.y - a.y) * t)) return false;
+  }
+  return true;
+}
+
+function heapPush(heap, node) {
+  heap.push(node);
+  let i = heap.length - 1;
+  while (i > 0) {
+    const parent = (i - 1) >> 1;
+    if (heap[parent].f <= heap[i].f) break;
+    [heap[parent], heap[i]] = [heap[i], heap[parent]];
+    i = parent;
+  }
+}
+
+function heapPop(heap) {
+  const top = heap[0];
+  const last = heap.pop();
+  if (heap.length > 0) {
+    heap[0] = last;
+    let i = 0;
+    for (;;) {
+      const left = i * 2 + 1;
+      const right = left + 1;
+      let smallest = i;
+      if (left < heap.length && heap[left].f < heap[smallest].f) smallest = left;
+      if (right < heap.length && heap[right].f < heap[smallest].f) smallest = right;
+      if (smallest === i) break;
+      [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+      i = smallest;
+    }
+  }
+  return top;
+}
+
+function octile(dc, dr) {
+  const ac = Math.abs(dc);
+  const ar = Math.abs(dr);
+  return Math.max(ac, ar) + (Math.SQRT2 - 1) * Math.min(ac, ar);
+}
+
+function smoothPath(grid, from, points) {
+  const out = [];
+  let anchor = from;
+  let i = 0;
+  while (i < points.length) {
+    let furthest = i;
+    for (let j = points.length - 1; j > i; j -= 1) {
+      if (hasLineOfSight(grid, anchor, points[j])) {
+        furthest = j;
+        break;
+      }
+    }
+    out.push(points[furthest]);
+    anchor = points[furthest];
+    i = furthest + 1;
+  }
+  return out;
+}
+
+export function findPath(grid, from, to) {
+  if (!grid) return [{ x: to.x, y: to.y }];
+  const start = nearestWalkablePoint(grid, from);
+  const goal = nearestWalkablePoint(grid, to);
+  if (!start || !goal) return null;
+
+  const startCell = cellAt(grid, start.x, start.y);
+  const goalCell = cellAt(grid, goal.x, goal.y);
+  const startIdx = startCell.row * grid.cols + startCell.col;
+  const goalIdx = goalCell.row * grid.cols + goalCell.col;
+  const cameFrom = new Int32Array(grid.cols * grid.rows).fill(-1);
+  const cost = new Float64Array(grid.cols * grid.rows).fill(Infinity);
+  const closed = new Uint8Array(grid.cols * grid.rows);
+  const open = [];
+  cost[startIdx] = 0;
+  heapPush(open, { idx: startIdx, f: octile(goalCell.col - startCell.col, goalCell.row - startCell.row) });
+
+  let found = startIdx === goalIdx;
+  while (open.length > 0 && !found) {
+    const { idx } = heapPop(open);
+    if (closed[idx]) continue;
+    if (idx === goalIdx) {
+      found = true;
+      break;
+    }
+    closed[idx] = 1;
+    const col = idx % grid.cols;
+    const row = (idx - col) / grid.cols;
+    for (const [dc, dr, stepCost] of NEIGHBOR_STEPS) {
+      const nc = col + dc;
+      const nr = row + dr;
+      if (!isCellWalkable(grid, nc, nr)) continue;
+      if (dc !== 0 && dr !== 0 && (!isCellWalkable(grid, col + dc, row) || !isCellWalkable(grid, col, row + dr))) {
+        continue;
+      }
+      const nIdx = nr * grid.cols + nc;
+      const nextCost = cost[idx] + stepCost;
+      if (closed[nIdx] || nextCost >= cost[nIdx]) continue;
+      cost[nIdx] = nextCost;
+      cameFrom[nIdx] = idx;
+      heapPush(open, { idx: nIdx, f: nextCost + octile(goalCell.col - nc, goalCell.row - nr) });
+    }
+  }
+  if (!found) return null;
+
+  const cells = [];
+  for (let idx = goalIdx; idx !== startIdx && idx !== -1; idx = cameFrom[idx]) {
+    cells.push(idx);
+  }
+  const points = cells
+    .reverse()
+    .slice(0, -1)
+    .map((idx) => cellCenter(grid, idx % grid.cols, Math.floor(idx / grid.cols)));
+  points.push(goal);
+  const origin = isWalkable(grid, from.x, from.y) ? from : start;
+  const smoothed = smoothPath(grid, origin, points);
+  return origin === from ? smoothed : [start, ...smoothed];
+}
+
+export function separationForce(self, others, radius) {
+  let fx = 0;
+  let fy = 0;
+  for (const other of others) {
+    if (!other || other === self) continue;
+    const dx = self.x - other.x;
+    const dy = self.y - other.y;
+    const dist = Math.hypot(dx, dy);
+    if (dist >= radius) continue;
+    const weight = 1 - dist / radius;
+    if (dist < 0.001) {
+      const angle = String(self.id || "") < String(other.id || "") ? 0 : Math.PI;
+      fx += Math.cos(angle) * weight;
+      fy += Math.sin(angle) * weight;
+      continue;
+    }
+    fx += (dx / dist) * weight;
+    fy += (dy / dist) * weight;
+  }
+  return { x: fx, y: fy };
+}
@@ -0,0 +1,103 @@
+function parseJsonColumn(raw, fallback) {
+  if (raw && typeof raw === "object") return raw;
+  if (typeof raw !== "string" || !raw) return fallback;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+}
+
+function cloneJson(value, fallback) {
+  if (value === undefined || value === null) return fallback;
+  try {
+    return JSON.parse(JSON.stringify(value));
+  } catch {
+    return fallback;
+  }
+}
+
+function farmLayoutState(farm) {
+  return {
+    home: cloneJson(farm.home, null),
+    lotId: farm.lotId || null,
+    level: Number(farm.level) || 0,
+    tools: cloneJson(farm.tools, null),
+    foraged: cloneJson(farm.foraged, null),
+    giftsGiven: cloneJson(farm.giftsGiven, null),
+    plots: cloneJson(farm.plots, [])
+  };
+}
+
+export function capturePlayerState({ playerId, player = null, farm = null, previous = null }) {
+  if (!playerId) return null;
+  const x = Number.isFinite(player?.x) ? player.x : previous?.x;
+  const y = Number.isFinite(player?.y) ? player.y : previous?.y;
+  return {
+    playerId,
+    farm: farm ? farmLayoutState(farm) : cloneJson(previous?.farm, null),
+    inventory: cloneJson(farm ? farm.inventory : previous?.inventory, {}),
+    coins: Number.isFinite(farm?.coins) ? farm.coins : Number(previous?.coins) || 0,
+    missionProgress: cloneJson(player ? player.missionProgress : previous?.missionProgress, null),
+    reputation: cloneJson(player ? player.reputation : previous?.reputation, null),
+    friendship: cloneJson(player ? player.friendship : previous?.friendship, null),
+    x: Number.isFinite(x) ? x : null,
+    y: Number.isFinite(y) ? y : null
+  };
+}
+
+export function farmFromPlayerState(state) {
+  if (!state?.farm || !Array.isArray(state.farm.plots) || !state.farm.home) return null;
+  return {
+    ...farmLayoutState(state.farm),
+    inventory: cloneJson(state.inventory, {}),
+    coins: Number(state.coins) || 0
+  };
+}
+
+export function playerStateFromLegacyProfile(profile) {
+  if (!profile?.playerId || typeof profile !== "object") return null;
+  const farm = profile.farm && typeof profile.farm === "object" ? profile.farm : null;
+  return capturePlayerState({
+    playerId: profile.playerId,
+    farm,
+    previous: {
+      x: profile.x,
+      y: profile.y,
+      missionProgress: profile.missionProgress,
+      reputation: profile.reputation
+    }
+  });
+}
+
+export function playerStateFromRow(row) {
+  if (!row?.player_id) return null;
+  const x = row.position_x === null || row.position_x === undefined ? null : Number(row.position_x);
+  const y = row.position_y === null || row.position_y === undefined ? null : Number(row.position_y);
+  return {
+    playerId: row.player_id,
+    farm: parseJsonColumn(row.farm, null),
+    inventory: parseJsonColumn(row.inventory, {}),
+    coins: Number(row.coins) || 0,
+    missionProgress: parseJsonColumn(row.mission_progress, null),
+    reputation: parseJsonColumn(row.reputation, null),
+    friendship: parseJsonColumn(row.friendship, null),
+    x: Number.isFinite(x) ? x : null,
+    y: Number.isFinite(y) ? y : null,
+    updatedAt: row.updated_at ? new Date(row.updated_at).toISOString() : null
+  };
+}
+
+export function playerStateToRecord(state) {
+  return {
+    playerId: state.playerId,
+    farm: state.farm ? JSON.stringify(state.farm) : null,
+    inventory: JSON.stringify(state.inventory || {}),
+    coins: Math.round(Number(state.coins) || 0),
+    missionProgress: state.missionProgress ? JSON.stringify(state.missionProgress) : null,
+    reputation: state.reputation ? JSON.stringify(state.reputation) : null,
+    friendship: state.friendship ? JSON.stringify(state.friendship) : null,
+    x: Number.isFinite(state.x) ? state.x : null,
+    y: Number.isFinite(state.y) ? state.y : null
+  };
+}
@@ -0,0 +1,265 @@
+export const RUMOR_TTL_DAYS = 3;
+export const RUMOR_SETTLED_DAYS = 1;
+export const RUMOR_MAX = 40;
+export const RUMOR_SETTLE_RELATION = 2;
+export const RUMOR_SUBJECT_KINDS = ["npc", "area", "player"];
+export const RUMOR_SOURCE_KINDS = ["npc", "player", "event"];
+export const RUMOR_STATUSES = ["circulating", "confirmed", "debunked"];
+
+const START_PATTERN = /\b(i heard|i hear|rumou?r (is|has it)|word is|people say|folks say|did you hear)\b/;
+const CONFIRM_PATTERN = /\b(its true|thats true|it is true|i can confirm|i saw it myself)\b/;
+const DEBUNK_PATTERN = /\b(not true|isnt true|is false|thats false|thats a lie|debunk\w*|never happened)\b/;
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function normalize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function mentions(normalized, name) {
+  const needle = normalize(name);
+  return Boolean(needle) && new RegExp(`\\b${needle}\\b`).test(normalized);
+}
+
+export function ensureRumors(state) {
+  if (!Array.isArray(state.rumors)) state.rumors = [];
+  return state.rumors;
+}
+
+function sanitizeRef(raw, kinds) {
+  if (!raw?.id || !kinds.includes(raw.kind)) return null;
+  return { kind: raw.kind, id: String(raw.id), name: String(raw.name || raw.id).slice(0, 60) };
+}
+
+export function setRumorsState(state, raw) {
+  const rumors = [];
+  for (const entry of Array.isArray(raw) ? raw : []) {
+    const subject = sanitizeRef(entry?.subject, RUMOR_SUBJECT_KINDS);
+    const source = sanitizeRef(entry?.source, RUMOR_SOURCE_KINDS);
+    if (!entry?.id || !entry.claim || !subject || !source) continue;
+    rumors.push({
+      id: String(entry.id),
+      source,
+      subject,
+      claim: String(entry.claim).slice(0, 140),
+      isTrue: Boolean(entry.isTrue),
+      status: RUMOR_STATUSES.includes(entry.status) ? entry.status : "circulating",
+      settledBy: entry.settledBy ? String(entry.settledBy) : null,
+      spreadCount: Math.max(0, Math.floor(Number(entry.spreadCount) || 0)),
+      believers: [...new Set((Array.isArray(entry.believers) ? entry.believers : []).map(String))],
+      dayNumber: Number(entry.dayNumber) || 0,
+      expiresDay: Number(entry.expiresDay) || 0
+    });
+  }
+  state.rumors = rumors.slice(-RUMOR_MAX);
+  return state.rumors;
+}
+
+export function startRumor(state, { source, subject, claim, isTrue, believers = [], dayNumber }) {
+  const text = String(claim || "").trim().slice(0, 140);
+  if (!text || !sanitizeRef(source, RUMOR_SOURCE_KINDS) || !sanitizeRef(subject, RUMOR_SUBJECT_KINDS)) return null;
+  const rumors = ensureRumors(state);
+  const existing = rumors.find(
+    (rumor) =>
+      rumor.status === "circulating" && rumor.subject.id === subject.id && normalize(rumor.claim) === normalize(text)
+  );
+  if (existing) {
+    for (const npcId of believers) spreadRumor(state, existing, npcId, dayNumber);
+    return existing;
+  }
+  const rumor = {
+    id: `rumor_${dayNumber}_${Date.now().toString(36)}_${rumors.length}`,
+    source: sanitizeRef(source, RUMOR_SOURCE_KINDS),
+    subject: sanitizeRef(subject, RUMOR_SUBJECT_KINDS),
+    claim: text,
+    isTrue: Boolean(isTrue),
+    status: "circulating",
+    settledBy: null,
+    spreadCount: 0,
+    believers: [...new Set(believers)],
+    dayNumber,
+    expiresDay: dayNumber + RUMOR_TTL_DAYS
+  };
+  rumors.push(rumor);
+  if (rumors.length > RUMOR_MAX) rumors.splice(0, rumors.length - RUMOR_MAX);
+  return rumor;
+}
+
+export function spreadRumor(state, rumor, npcId, dayNumber) {
+  if (!rumor || rumor.status === "debunked" || rumor.believers.includes(npcId)) return false;
+  rumor.believers.push(npcId);
+  rumor.spreadCount += 1;
+  rumor.expiresDay = Math.max(rumor.expiresDay, dayNumber + RUMOR_TTL_DAYS - 1);
+  return true;
+}
+
+export function rumorToShare(state, tellerId, listenerId) {
+  const candidates = rumorsBelievedBy(state, tellerId).filter((rumor) => !rumor.believers.includes(listenerId));
+  candidates.sort((a, b) => b.spreadCount - a.spreadCount || b.dayNumber - a.dayNumber);
+  return candidates[0] || null;
+}
+
+export function rumorsBelievedBy(state, npcId) {
+  return ensureRumors(state).filter((rumor) => rumor.status !== "debunked" && rumor.believers.includes(npcId));
+}
+
+function settle(rumor, status, by, dayNumber) {
+  rumor.status = status;
+  rumor.settledBy = by || null;
+  rumor.expiresDay = dayNumber + RUMOR_SETTLED_DAYS;
+}
+
+export function confirmRumor(state, rumor, { by, npcId, dayNumber }) {
+  if (!rumor || rumor.status !== "circulating") return { ok: false, message: "There is no open rumor to confirm." };
+  if (!rumor.isTrue) {
+    spreadRumor(state, rumor, npcId, dayNumber);
+    return { ok: true, correct: false, message: `You vouched for a false rumor: ${rumor.claim}.` };
+  }
+  settle(rumor, "confirmed", by, dayNumber);
+  if (npcId && !rumor.believers.includes(npcId)) rumor.believers.push(npcId);
+  return { ok: true, correct: true, message: `You confirmed the rumor: ${rumor.claim}.` };
+}
+
+export function debunkRumor(state, rumor, { by, dayNumber }) {
+  if (!rumor || rumor.status !== "circulating") return { ok: false, message: "There is no open rumor to debunk." };
+  if (rumor.isTrue) {
+    return { ok: true, correct: false, message: `You tried to debunk a rumor that turned out true: ${rumor.claim}.` };
+  }
+  settle(rumor, "debunked", by, dayNumber);
+  rumor.believers = [];
+  return { ok: true, correct: true, message: `You debunked the rumor: ${rumor.claim}.` };
+}
+
+export function expireRumors(state, dayNumber) {
+  const rumors = ensureRumors(state);
+  state.rumors = rumors.filter((rumor) => rumor.expiresDay > dayNumber);
+  return rumors.length - state.rumors.length;
+}
+
+export function parseRumorTalk(text) {
+  const normalized = normalize(text);
+  if (!normalized) return null;
+  if (DEBUNK_PATTERN.test(normalized)) return { action: "debunk" };
+  if (CONFIRM_PATTERN.test(normalized)) return { action: "confirm" };
+  const start = normalized.match(START_PATTERN);
+  if (!start) return null;
+  const raw = String(text || "").trim();
+  const lead = new RegExp(`^.*?${start[0].split(" ").join("\\W+")}\\W*(that\\s+)?`, "i");
+  const claim = raw.replace(lead, "").replace(/[.!?\s]+$/, "").slice(0, 140);
+  return claim.length >= 6 ? { action: "start", claim } : null;
+}
+
+export function findRumorSubject(text, { npcs = [], areas = [], players = [] }) {
+  const normalized = normalize(text);
+  const npc = npcs.find((entry) => mentions(normalized, entry.name));
+  if (npc) return { kind: "npc", id: npc.id, name: npc.name };
+  const player = players.find((entry) => mentions(normalized, entry.name));
+  if (player) return { kind: "player", id: player.playerId, name: player.name };
+  const area = areas.find((entry) => mentions(normalized, entry.name));
+  if (area) return { kind: "area", id: area.name, name: area.name };
+  return null;
+}
+
+const WEATHER_WORDS = {
+  rain: /\b(rain|rains|raining|rainy|wet)\b/,
+  storm: /\b(storm|storms|storming|stormy|thunder)\b/,
+  clear: /\b(clear|sunny|dry)\b/
+};
+
+function areaContaining(areas, x, y) {
+  return areas.find((area) => x >= area.x && x <= area.x + area.w && y >= area.y && y <= area.y + area.h) || null;
+}
+
+export function judgeRumorClaim(state, subject, claim, { areas = [], players = [], crops = [] } = {}) {
+  const normalized = normalize(claim);
+  const area = areas.find((entry) => entry.name !== subject?.id && mentions(normalized, entry.name));
+  if (subject?.kind === "npc") {
+    const npc = state.npcs.find((entry) => entry.id === subject.id);
+    return npc && area ? npc.area === area.name : null;
+  }
+  if (subject?.kind === "player") {
+    const player = players.find((entry) => entry.playerId === subject.id);
+    if (!player) return null;
+    if (area) return areaContaining(areas, player.x, player.y)?.name === area.name;
+    const crop = crops.find((id) => new RegExp(`\\b${normalize(id)}s?\\b`).test(normalized));
+    const plots = state.farms?.get(subject.id)?.plots || [];
+    return crop ? plots.some((plot) => plot.cropType === crop) : null;
+  }
+  if (subject?.kind === "area") {
+    const event = (state.worldEvents?.active || []).find((entry) => mentions(normalized, entry.title));
+    if (event) return event.area === subject.id;
+    const weather = Object.keys(WEATHER_WORDS).find((key) => WEATHER_WORDS[key].test(normalized));
+    return weather ? state.weather === weather : null;
+  }
+  return null;
+}
+
+export function rumorAddressedBy(state, npcId, subject) {
+  if (!subject) return null;
+  const about = ensureRumors(state).filter(
+    (rumor) => rumor.status === "circulating" && rumor.subject.id === subject.id
+  );
+  return about.filter((rumor) => rumor.believers.includes(npcId)).at(-1) || about.at(-1) || null;
+}
+
+export function rumorText(rumor) {
+  if (rumor.status === "confirmed") return `It's been confirmed: ${rumor.claim}.`;
+  if (rumor.spreadCount >= 3) return `Half the town is saying ${rumor.claim}.`;
+  return `I've heard that ${rumor.claim}.`;
+}
+
+function subjectPlace(state, subject) {
+  if (subject.kind === "area") return { area: subject.id, role: "" };
+  if (subject.kind === "npc") {
+    const npc = state.npcs.find((entry) => entry.id === subject.id);
+    return { area: npc?.area || "", role: npc?.role || "" };
+  }
+  return { area: "", role: "" };
+}
+
+export function rumorSignals(state) {
+  const active = ensureRumors(state).filter((rumor) => rumor.status !== "debunked");
+  const areaHeat = new Map();
+  const roleHeat = new Map();
+  let total = 0;
+  const ranked = active
+    .map((rumor) => ({ rumor, heat: rumor.believers.length + rumor.spreadCount }))
+    .sort((a, b) => b.heat - a.heat);
+  for (const { rumor, heat } of ranked) {
+    const { area, role } = subjectPlace(state, rumor.subject);
+    if (area) areaHeat.set(area, (areaHeat.get(area) || 0) + heat);
+    if (role) roleHeat.set(role, (roleHeat.get(role) || 0) + heat);
+    total += heat;
+  }
+  const top = (heat) => [...heat.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || "";
+  return {
+    hotArea: top(areaHeat),
+    hotRole: top(roleHeat),
+    urgency: total >= 12 ? 3 : total >= 5 ? 2 : 1,
+    rumorSubject: ranked[0]?.rumor.subject || null,
+    rumors: ranked.slice(0, 5).map(({ rumor, heat }) => ({
+      claim: rumor.claim,
+      subject: rumor.subject.name,
+      status: rumor.status,
+      heat: clamp(heat, 0, 99)
+    }))
+  };
+}
+
+export function rumorList(state) {
+  return ensureRumors(state).map((rumor) => ({
+    id: rumor.id,
+    subject: rumor.subject,
+    claim: rumor.claim,
+    status: rumor.status,
+    spreadCount: rumor.spreadCount,
+    believers: rumor.believers.length,
+    expiresDay: rumor.expiresDay
+  }));
+}
@@ -0,0 +1,104 @@
+import crypto from "node:crypto";
+
+export const ACCESS_TOKEN_TTL_MS = 60 * 60 * 1000;
+export const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+function encodeSegment(value) {
+  return Buffer.from(JSON.stringify(value), "utf8").toString("base64url");
+}
+
+function decodeSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function safeEqualText(a, b) {
+  const ba = Buffer.from(String(a || ""), "utf8");
+  const bb = Buffer.from(String(b || ""), "utf8");
+  if (ba.length !== bb.length) return false;
+  return crypto.timingSafeEqual(ba, bb);
+}
+
+export function hashRefreshSecret(secret) {
+  return crypto.createHash("sha256").update(String(secret || "")).digest("hex");
+}
+
+export function splitRefreshToken(token) {
+  const raw = String(token || "").trim();
+  const dot = raw.indexOf(".");
+  if (dot <= 0 || dot === raw.length - 1) return null;
+  return { sessionId: raw.slice(0, dot), secret: raw.slice(dot + 1) };
+}
+
+export function createSessionSigner({
+  secret,
+  accessTtlMs = ACCESS_TOKEN_TTL_MS,
+  refreshTtlMs = REFRESH_TOKEN_TTL_MS,
+  now = () => Date.now()
+} = {}) {
+  const key = String(secret || "");
+  if (key.length < 16) {
+    throw new Error("Session secret must be at least 16 characters.");
+  }
+
+  const sign = (body) => crypto.createHmac("sha256", key).update(body).digest("base64url");
+
+  function signAccessToken({ playerId, sessionId }) {
+    const issuedAt = now();
+    const claims = {
+      sub: String(playerId || ""),
+      sid: String(sessionId || ""),
+      iat: issuedAt,
+      exp: issuedAt + accessTtlMs
+    };
+    const body = encodeSegment(claims);
+    return { token: `${body}.${sign(body)}`, expiresAt: claims.exp };
+  }
+
+  function verifyAccessToken(token) {
+    const raw = String(token || "").trim();
+    const parts = raw.split(".");
+    if (parts.length !== 2 || !parts[0] || !parts[1]) {
+      return { ok: false, error: "malformed_token" };
+    }
+    if (!safeEqualText(sign(parts[0]), parts[1])) {
+      return { ok: false, error: "invalid_signature" };
+    }
+    const claims = decodeSegment(parts[0]);
+    if (!claims || typeof claims.sub !== "string" || !claims.sub || typeof claims.sid !== "string") {
+      return { ok: false, error: "malformed_token" };
+    }
+    if (!Number.isFinite(claims.exp) || claims.exp <= now()) {
+      return { ok: false, error: "token_expired" };
+    }
+    return { ok: true, claims };
+  }
+
+  function issue({ playerId, sessionId = crypto.randomUUID() }) {
+    const refreshSecret = crypto.randomBytes(32).toString("base64url");
+    const access = signAccessToken({ playerId, sessionId });
+    return {
+      sessionId,
+      accessToken: access.token,
+      accessExpiresAt: access.expiresAt,
+      refreshToken: `${sessionId}.${refreshSecret}`,
+      refreshHash: hashRefreshSecret(refreshSecret),
+      refreshExpiresAt: now() + refreshTtlMs
+    };
+  }
+
+  function matchesRefreshHash(refreshToken, refreshHash) {
+    const parsed = splitRefreshToken(refreshToken);
+    if (!parsed) return false;
+    return safeEqualText(hashRefreshSecret(parsed.secret), refreshHash);
+  }
+
+  return {
+    issue,
+    verifyAccessToken,
+    matchesRefreshHash
+  };
+}
@@ -0,0 +1,201 @@
+import { CROP_CONFIG, FORAGE_CONFIG, RECIPE_CONFIG } from "./constants.js";
+import { goodsLabel, goodsSellPrice, isGoods } from "./crafting.js";
+import { relationshipFactor, relationshipScoreOf } from "./friendship.js";
+import { ensurePlayerReputation, recordMarketTrade, sellPriceForCrop } from "./world.js";
+
+export const SHOP_STALLS = {
+  "Shop Owner": { seedStock: 10, cropWanted: 12, goodsWanted: 8, payRate: 0.85, markup: 1 },
+  Businessman: { seedStock: 3, cropWanted: 30, goodsWanted: 4, payRate: 1, markup: 1.25 }
+};
+
+export const FARM_SUPPLIES = {
+  fertilizer: { label: "Fertilizer", price: 15, stock: { "Shop Owner": 6 } }
+};
+
+export const MAX_SHOP_QUANTITY = 99;
+
+function seedKey(cropType) {
+  return `${cropType}_seed`;
+}
+
+function cropForItem(item) {
+  const key = String(item || "");
+  const cropType = key.endsWith("_seed") ? key.slice(0, -5) : key;
+  return CROP_CONFIG[cropType] ? { cropType, isSeed: key !== cropType } : null;
+}
+
+function itemLabel(item) {
+  if (FARM_SUPPLIES[item]) return FARM_SUPPLIES[item].label;
+  const match = cropForItem(item);
+  if (!match) return goodsLabel(item);
+  const label = CROP_CONFIG[match.cropType].label;
+  return match.isSeed ? `${label} seed` : label;
+}
+
+function goodsItems() {
+  return [...Object.keys(FORAGE_CONFIG), ...Object.keys(RECIPE_CONFIG)];
+}
+
+function stallSupplies(role) {
+  return Object.keys(FARM_SUPPLIES).filter((item) => FARM_SUPPLIES[item].stock[role] > 0);
+}
+
+function freshStall(role, stall) {
+  const stock = {};
+  const wanted = {};
+  for (const cropType of Object.keys(CROP_CONFIG)) {
+    stock[seedKey(cropType)] = stall.seedStock;
+    wanted[cropType] = stall.cropWanted;
+  }
+  for (const item of goodsItems()) {
+    wanted[item] = stall.goodsWanted;
+  }
+  for (const item of stallSupplies(role)) {
+    stock[item] = FARM_SUPPLIES[item].stock[role];
+  }
+  return { stock, wanted };
+}
+
+export function restockShops(state) {
+  const stalls = {};
+  for (const [role, stall] of Object.entries(SHOP_STALLS)) {
+    stalls[role] = freshStall(role, stall);
+  }
+  state.shop = { dayNumber: Math.max(1, Number(state.dayNumber) || 1), stalls };
+  return state.shop;
+}
+
+export function setShopState(state, shop) {
+  const restocked = restockShops(state);
+  for (const [role, stall] of Object.entries(restocked.stalls)) {
+    const saved = shop?.stalls?.[role];
+    if (!saved) continue;
+    for (const kind of ["stock", "wanted"]) {
+      for (const item of Object.keys(stall[kind])) {
+        const n = Number(saved[kind]?.[item]);
+        if (Number.isFinite(n)) stall[kind][item] = Math.max(0, Math.floor(n));
+      }
+    }
+  }
+  return restocked;
+}
+
+export function activeShop(state) {
+  if (!state.shop?.stalls) restockShops(state);
+  return state.shop;
+}
+
+export function stallRoleForNpc(npc) {
+  const role = String(npc?.role || "");
+  return Object.hasOwn(SHOP_STALLS, role) ? role : null;
+}
+
+function reputationFactor(state, player, role) {
+  const score = Number(ensurePlayerReputation(player).byRole[role]) || 0;
+  const keeper = state.npcs?.find((npc) => npc.role === role);
+  const friendship = keeper ? relationshipFactor(relationshipScoreOf(player, keeper.id)) : 1;
+  return (1 + Math.max(-60, Math.min(60, score)) / 300) * friendship;
+}
+
+export function shopSellPrice(state, role, player, cropType) {
+  const stall = SHOP_STALLS[role];
+  const market = sellPriceForCrop(state, cropType);
+  return Math.max(1, Math.round(market * stall.payRate * reputationFactor(state, player, role)));
+}
+
+export function shopSeedPrice(state, role, player, cropType) {
+  const stall = SHOP_STALLS[role];
+  const crop = CROP_CONFIG[cropType];
+  const marketRatio = sellPriceForCrop(state, cropType) / (Number(crop.sellPrice) || 1);
+  const cost = crop.seedCost * marketRatio * stall.markup;
+  return Math.max(1, Math.round(cost / reputationFactor(state, player, role)));
+}
+
+function shopBuyPrice(state, role, player, item) {
+  if (isGoods(item)) {
+    const price = goodsSellPrice(item) * SHOP_STALLS[role].payRate;
+    return Math.max(1, Math.round(price * reputationFactor(state, player, role)));
+  }
+  return shopSellPrice(state, role, player, item);
+}
+
+function shopItemPrice(state, role, player, item) {
+  if (FARM_SUPPLIES[item]) {
+    return Math.max(1, Math.round(FARM_SUPPLIES[item].price / reputationFactor(state, player, role)));
+  }
+  return shopSeedPrice(state, role, player, cropForItem(item).cropType);
+}
+
+export function shopQuote(state, role, player) {
+  const stall = activeShop(state).stalls[role];
+  if (!stall) return null;
+  const cropTypes = Object.keys(CROP_CONFIG);
+  return {
+    role,
+    sells: [...cropTypes.map(seedKey), ...stallSupplies(role)].map((item) => ({
+      item,
+      label: itemLabel(item),
+      price: shopItemPrice(state, role, player, item),
+      stock: stall.stock[item] || 0
+    })),
+    buys: [...cropTypes, ...goodsItems()].map((item) => ({
+      item,
+      label: itemLabel(item),
+      price: shopBuyPrice(state, role, player, item),
+      wanted: stall.wanted[item] || 0
+    }))
+  };
+}
+
+function shopQuantity(raw) {
+  const qty = Math.floor(Number(raw));
+  return Number.isFinite(qty) && qty > 0 ? Math.min(MAX_SHOP_QUANTITY, qty) : 0;
+}
+
+export function buyFromShop({ state, role, player, farm, item, qty }) {
+  const stall = activeShop(state).stalls[role];
+  const match = cropForItem(item);
+  const count = shopQuantity(qty);
+  if (!stall || !farm) return { ok: false, message: "This stall is closed." };
+  const isSupply = stallSupplies(role).includes(item);
+  if (!match?.isSeed && !isSupply) return { ok: false, message: "That is not for sale here." };
+  if (count === 0) return { ok: false, message: "Pick how many to buy." };
+  const stock = stall.stock[item] || 0;
+  if (stock < count) {
+    const message = stock > 0 ? `Only ${stock} ${itemLabel(item)} left today.` : "Sold out until tomorrow.";
+    return { ok: false, message };
+  }
+  const price = shopItemPrice(state, role, player, item);
+  const total = price * count;
+  if (farm.coins < total) return { ok: false, message: `You need ${total} coins for that.` };
+
+  farm.coins -= total;
+  farm.inventory[item] = (Number(farm.inventory[item]) || 0) + count;
+  stall.stock[item] = stock - count;
+  if (match) recordMarketTrade(state, match.cropType, "bought", count);
+  return { ok: true, message: `Bought ${count} ${itemLabel(item)} for ${total} coins.`, item, qty: count, total };
+}
+
+export function sellToShop({ state, role, player, farm, item, qty }) {
+  const stall = activeShop(state).stalls[role];
+  const match = cropForItem(item);
+  const count = shopQuantity(qty);
+  if (!stall || !farm) return { ok: false, message: "This stall is closed." };
+  if ((!match || match.isSeed) && !isGoods(item)) return { ok: false, message: "They are not buying that." };
+  if (count === 0) return { ok: false, message: "Pick how many to sell." };
+  const owned = Number(farm.inventory[item]) || 0;
+  if (owned < count) return { ok: false, message: `You only have ${owned} ${itemLabel(item)}.` };
+  const wanted = stall.wanted[item] || 0;
+  if (wanted < count) {
+    const message = wanted > 0 ? `They only want ${wanted} more today.` : "They have enough for today.";
+    return { ok: false, message };
+  }
+  const price = shopBuyPrice(state, role, player, item);
+  const total = price * count;
+
+  farm.inventory[item] = owned - count;
+  farm.coins += total;
+  stall.wanted[item] = wanted - count;
+  if (match) recordMarketTrade(state, match.cropType, "sold", count);
+  return { ok: true, message: `Sold ${count} ${itemLabel(item)} for ${total} coins.`, item, qty: count, total };
+}
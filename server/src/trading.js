@@ -0,0 +1,158 @@
+export const MAX_TRADE_ITEM_KINDS = 8;
+export const TRADE_REQUEST_TTL_MS = 60_000;
+
+const ITEM_KEY_PATTERN = /^[a-z][a-z0-9_]{0,31}$/;
+
+function wholeNumber(value) {
+  const n = Math.floor(Number(value));
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+function emptyOffer() {
+  return { items: {}, coins: 0 };
+}
+
+export function sanitizeOffer(raw) {
+  const offer = emptyOffer();
+  const items = raw?.items && typeof raw.items === "object" ? raw.items : {};
+  for (const [key, qty] of Object.entries(items)) {
+    const count = wholeNumber(qty);
+    if (!ITEM_KEY_PATTERN.test(key) || count === 0) continue;
+    if (Object.keys(offer.items).length >= MAX_TRADE_ITEM_KINDS) break;
+    offer.items[key] = count;
+  }
+  offer.coins = wholeNumber(raw?.coins);
+  return offer;
+}
+
+export function offerShortfall(farm, offer) {
+  if (!farm) return "Your farm could not be found.";
+  if (offer.coins > (Number(farm.coins) || 0)) return `You only have ${farm.coins || 0} coins.`;
+  for (const [key, qty] of Object.entries(offer.items)) {
+    const owned = Number(farm.inventory?.[key]) || 0;
+    if (qty > owned) return `You only have ${owned} ${key.replace(/_/g, " ")}.`;
+  }
+  return null;
+}
+
+export function isOfferEmpty(offer) {
+  return offer.coins === 0 && Object.keys(offer.items).length === 0;
+}
+
+export function createTrade({ id, fromId, toId, now = Date.now() }) {
+  return {
+    id,
+    status: "pending",
+    parties: [fromId, toId],
+    offers: { [fromId]: emptyOffer(), [toId]: emptyOffer() },
+    confirmed: { [fromId]: false, [toId]: false },
+    version: 0,
+    createdAt: now,
+    updatedAt: now,
+    closedReason: ""
+  };
+}
+
+export function otherParty(trade, playerId) {
+  return trade.parties.find((id) => id !== playerId) || null;
+}
+
+export function isTradeOpen(trade) {
+  return trade.status === "pending" || trade.status === "open";
+}
+
+export function acceptTrade(trade, playerId, now = Date.now()) {
+  if (trade.status !== "pending" || trade.parties[1] !== playerId) {
+    return { ok: false, message: "There is no trade request to accept." };
+  }
+  trade.status = "open";
+  trade.updatedAt = now;
+  return { ok: true };
+}
+
+export function updateTradeOffer(trade, playerId, rawOffer, farm, now = Date.now()) {
+  if (trade.status !== "open") return { ok: false, message: "The trade is not open." };
+  if (!trade.parties.includes(playerId)) return { ok: false, message: "You are not part of this trade." };
+  const offer = sanitizeOffer(rawOffer);
+  const shortfall = offerShortfall(farm, offer);
+  if (shortfall) return { ok: false, message: shortfall };
+  trade.offers[playerId] = offer;
+  for (const id of trade.parties) trade.confirmed[id] = false;
+  trade.version += 1;
+  trade.updatedAt = now;
+  return { ok: true };
+}
+
+export function confirmTrade(trade, playerId, version, now = Date.now()) {
+  if (trade.status !== "open") return { ok: false, message: "The trade is not open." };
+  if (!trade.parties.includes(playerId)) return { ok: false, message: "You are not part of this trade." };
+  if (Number(version) !== trade.version) return { ok: false, message: "The offer changed. Check it again." };
+  if (trade.parties.every((id) => isOfferEmpty(trade.offers[id]))) {
+    return { ok: false, message: "Put something on the table first." };
+  }
+  trade.confirmed[playerId] = true;
+  trade.updatedAt = now;
+  return { ok: true, ready: trade.parties.every((id) => trade.confirmed[id]) };
+}
+
+export function settleTrade(trade, farms, now = Date.now()) {
+  if (trade.status !== "open" || !trade.parties.every((id) => trade.confirmed[id])) {
+    return { ok: false, message: "Both players must confirm first." };
+  }
+  for (const id of trade.parties) {
+    const shortfall = offerShortfall(farms.get(id), trade.offers[id]);
+    if (shortfall) {
+      for (const partyId of trade.parties) trade.confirmed[partyId] = false;
+      return { ok: false, message: shortfall, playerId: id };
+    }
+  }
+
+  const [a, b] = trade.parties;
+  const moves = [
+    [farms.get(a), farms.get(b), trade.offers[a]],
+    [farms.get(b), farms.get(a), trade.offers[b]]
+  ];
+  for (const [giver, receiver, offer] of moves) {
+    giver.coins -= offer.coins;
+    receiver.coins += offer.coins;
+    for (const [key, qty] of Object.entries(offer.items)) {
+      giver.inventory[key] -= qty;
+      receiver.inventory[key] = (Number(receiver.inventory[key]) || 0) + qty;
+    }
+  }
+  trade.status = "completed";
+  trade.updatedAt = now;
+  return { ok: true };
+}
+
+export function cancelTrade(trade, reason = "cancelled", now = Date.now()) {
+  if (!isTradeOpen(trade)) return false;
+  trade.status = "cancelled";
+  trade.closedReason = reason;
+  trade.updatedAt = now;
+  return true;
+}
+
+export function describeOffer(offer) {
+  const parts = Object.entries(offer.items).map(([key, qty]) => `${qty} ${key.replace(/_/g, " ")}`);
+  if (offer.coins > 0) parts.push(`${offer.coins} coins`);
+  return parts.length > 0 ? parts.join(", ") : "nothing";
+}
+
+export function describeTrade(trade, nameOf = (id) => id) {
+  const [a, b] = trade.parties;
+  return `${nameOf(a)} traded ${describeOffer(trade.offers[a])} to ${nameOf(b)} for ${describeOffer(trade.offers[b])}.`;
+}
+
+export function tradeView(trade, playerId, nameOf = (id) => id) {
+  const otherId = otherParty(trade, playerId);
+  return {
+    id: trade.id,
+    status: trade.status,
+    version: trade.version,
+    incoming: trade.status === "pending" && trade.parties[1] === playerId,
+    reason: trade.closedReason,
+    you: { offer: trade.offers[playerId], confirmed: Boolean(trade.confirmed[playerId]) },
+    them: { name: nameOf(otherId), offer: trade.offers[otherId], confirmed: Boolean(trade.confirmed[otherId]) }
+  };
+}
@@ -0,0 +1,71 @@
+export const WORLD_SNAPSHOT_VERSION = 3;
+
+export class WorldSnapshotError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "WorldSnapshotError";
+  }
+}
+
+const MIGRATIONS = {
+  0: (data) => ({ ...data, version: 1 }),
+  1: (data) => {
+    const nudges = data.routineNudges && typeof data.routineNudges === "object" ? data.routineNudges : {};
+    return {
+      ...data,
+      version: 2,
+      routineNudges: Array.isArray(nudges)
+        ? nudges
+        : Object.entries(nudges).map(([role, cfg]) => ({
+            role,
+            ...(cfg && typeof cfg === "object" ? cfg : {})
+          }))
+    };
+  },
+  2: (data) => {
+    const { farms, persistedProfiles, ...rest } = data;
+    const farmsObj = farms && typeof farms === "object" ? farms : {};
+    const profilesObj = persistedProfiles && typeof persistedProfiles === "object" ? persistedProfiles : {};
+    const playerIds = new Set([...Object.keys(farmsObj), ...Object.keys(profilesObj)]);
+    const legacyPlayerProfiles = [...playerIds].map((playerId) => {
+      const profile = profilesObj[playerId] && typeof profilesObj[playerId] === "object" ? profilesObj[playerId] : {};
+      return { ...profile, playerId, farm: profile.farm || farmsObj[playerId] || null };
+    });
+    return { ...rest, version: 3, legacyPlayerProfiles };
+  }
+};
+
+export function migrateWorldSnapshot(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new WorldSnapshotError("World snapshot payload is not an object.");
+  }
+  const rawVersion = data.version === undefined ? 0 : Number(data.version);
+  if (!Number.isInteger(rawVersion) || rawVersion < 0) {
+    throw new WorldSnapshotError(`World snapshot has an invalid version: ${data.version}`);
+  }
+  if (rawVersion > WORLD_SNAPSHOT_VERSION) {
+    throw new WorldSnapshotError(
+      `World snapshot version ${rawVersion} is newer than this server supports (${WORLD_SNAPSHOT_VERSION}).`
+    );
+  }
+
+  let current = { ...data, version: rawVersion };
+  while (current.version < WORLD_SNAPSHOT_VERSION) {
+    const migrate = MIGRATIONS[current.version];
+    if (typeof migrate !== "function") {
+      throw new WorldSnapshotError(`No migration from world snapshot version ${current.version}.`);
+    }
+    current = migrate(current);
+  }
+  return current;
+}
+
+export function parseWorldSnapshot(raw) {
+  let data;
+  try {
+    data = typeof raw === "string" ? JSON.parse(raw) : raw;
+  } catch (err) {
+    throw new WorldSnapshotError(`World snapshot is not valid JSON: ${err.message}`);
+  }
+  return migrateWorldSnapshot(data);
+}
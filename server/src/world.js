@@ -1,4 +1,54 @@
-import { AREAS, NPC_SEEDS, WORLD_HEIGHT, WORLD_WIDTH } from "./constants.js";
+import {
+  AREAS,
+  CROP_CONFIG,
+  DEFAULT_ROUTINE_TEMPLATE,
+  FACTION_DEFINITIONS,
+  FOREST_SHRINE,
+  NAV_BLOCKED_ZONES,
+  NAV_WALKWAYS,
+  NPC_HOME_AREA,
+  NPC_SEEDS,
+  RECIPE_CONFIG,
+  ROLE_ROUTINE_TEMPLATES,
+  TILE_SIZE,
+  WORLD_HEIGHT,
+  WORLD_WIDTH
+} from "./constants.js";
+import {
+  applyMarketNarrative,
+  closeMarketDay,
+  createEconomyState,
+  liveCropPrice,
+  marketReport,
+  normalizeEconomyState,
+  recordMarketFlow
+} from "./economy.js";
+import { craftRecipe, forageItem, forageList, goodsLabel, recipeList } from "./crafting.js";
+import { NO_FREE_LOT_MESSAGE, claimFarmLot, lotSnapshot, plotsNear } from "./farm-layout.js";
+import { relationshipFactor, relationshipList, relationshipScoreOf } from "./friendship.js";
+import { rumorList } from "./rumors.js";
+import {
+  FARM_OBJECTS,
+  SCARECROW_RADIUS,
+  SPRINKLER_RADIUS,
+  buyFarmUpgrade,
+  canCapacity,
+  ensureFarmTools,
+  farmUpgradeOffers,
+  hoeTargets
+} from "./farm-upgrades.js";
+import {
+  dayOfSeason,
+  ensurePlotSoil,
+  fertilizePlot,
+  growPlot,
+  harvestYield,
+  isCropInSeason,
+  restFallowPlots,
+  rollDailyWeather,
+  seasonForDay
+} from "./farming.js";
+import { createNavGrid, findPath, isWalkable, separationForce } from "./navigation.js";
 
 function clamp(val, min, max) {
   return Math.max(min, Math.min(max, val));
@@ -56,16 +106,7 @@ function weekdayForDay(dayNumber) {
 }
 
 function routineTemplateForRole(role) {
-  return ROLE_ROUTINE_TEMPLATES[role] || {
-    workArea: "Town Square",
-    workStart: 9 * 60,
-    workEnd: 17 * 60,
-    workStyle: "roam",
-    afterWorkVenues: [
-      { type: "square", areaName: "Town Square", weight: 2 },
-      { type: "home", areaName: "Housing", weight: 1 }
-    ]
-  };
+  return ROLE_ROUTINE_TEMPLATES[role] || DEFAULT_ROUTINE_TEMPLATE;
 }
 
 function buildNpcCharacterProfile(seed) {
@@ -75,7 +116,7 @@ function buildNpcCharacterProfile(seed) {
     profileVersion: 1,
     role: seed.role,
     traits: Array.isArray(seed.traits) ? seed.traits.slice(0, 6) : [],
-    homeArea: "Housing",
+    homeArea: NPC_HOME_AREA,
     work: {
       areaName: template.workArea,
       startMinutes: template.workStart,
@@ -143,137 +184,19 @@ function resolveNpcRoutine(state, npc) {
   };
 }
 
-const HOME_ANCHOR = { x: 680, y: 220 };
-const FARM_ORIGIN = { x: 600, y: 250 };
-const FARM_COLS = 3;
-const FARM_ROWS = 3;
-const FARM_GAP = 42;
+const CROW_CHANCE = 0.15;
 const NPC_PLAYER_HOLD_DISTANCE = 70;
 const NPC_PLAYER_HOLD_MS = 5000;
+const NPC_WAYPOINT_REACHED = 6;
+const NPC_SEPARATION_RADIUS = 22;
+const NPC_SEPARATION_STRENGTH = 0.8;
 const DAY_BOUNDARY_MINUTES = 6 * 60;
-const FOREST_SHRINE = { x: 250, y: 930, radius: 90 };
 const WEEK_DAYS = ["Moonday", "Tide", "Windsday", "Thorn", "Firesday", "Starday", "Restday"];
 
-const ROLE_ROUTINE_TEMPLATES = {
-  Businessman: {
-    workArea: "Market Street",
-    workStart: 9 * 60,
-    workEnd: 17 * 60,
-    workStyle: "trade",
-    afterWorkVenues: [
-      { type: "market", areaName: "Market Street", weight: 3 },
-      { type: "bar", areaName: "Market Street", weight: 2 },
-      { type: "square", areaName: "Town Square", weight: 1 }
-    ]
-  },
-  Politician: {
-    workArea: "Town Square",
-    workStart: 10 * 60,
-    workEnd: 16 * 60,
-    workStyle: "patrol",
-    afterWorkVenues: [
-      { type: "square", areaName: "Town Square", weight: 3 },
-      { type: "club", areaName: "Market Street", weight: 1 },
-      { type: "sanctum", areaName: "Sanctum", weight: 1 }
-    ]
-  },
-  Fisherman: {
-    workArea: "Dock",
-    workStart: 5 * 60,
-    workEnd: 14 * 60,
-    workStyle: "patrol",
-    afterWorkVenues: [
-      { type: "bar", areaName: "Dock", weight: 2 },
-      { type: "market", areaName: "Market Street", weight: 1 },
-      { type: "home", areaName: "Housing", weight: 1 }
-    ]
-  },
-  "Shop Owner": {
-    workArea: "Market Street",
-    workStart: 8 * 60,
-    workEnd: 18 * 60,
-    workStyle: "trade",
-    afterWorkVenues: [
-      { type: "market", areaName: "Market Street", weight: 3 },
-      { type: "square", areaName: "Town Square", weight: 1 },
-      { type: "home", areaName: "Housing", weight: 1 }
-    ]
-  },
-  Artist: {
-    workArea: "Housing",
-    workStart: 10 * 60,
-    workEnd: 15 * 60,
-    workStyle: "roam",
-    afterWorkVenues: [
-      { type: "square", areaName: "Town Square", weight: 2 },
-      { type: "club", areaName: "Market Street", weight: 1 },
-      { type: "forest", areaName: "Forest", weight: 2 }
-    ]
-  },
-  "Religious Devotee": {
-    workArea: "Sanctum",
-    workStart: 6 * 60,
-    workEnd: 14 * 60,
-    workStyle: "patrol",
-    afterWorkVenues: [
-      { type: "sanctum", areaName: "Sanctum", weight: 2 },
-      { type: "square", areaName: "Town Square", weight: 1 },
-      { type: "home", areaName: "Housing", weight: 1 }
-    ]
-  },
-  Cultist: {
-    workArea: "Forest",
-    workStart: 17 * 60,
-    workEnd: 23 * 60,
-    workStyle: "patrol",
-    afterWorkVenues: [
-      { type: "forest", areaName: "Forest", weight: 3 },
-      { type: "club", areaName: "Market Street", weight: 1 },
-      { type: "sanctum", areaName: "Sanctum", weight: 1 }
-    ]
-  },
-  "Town Guard": {
-    workArea: "Town Square",
-    workStart: 7 * 60,
-    workEnd: 19 * 60,
-    workStyle: "patrol",
-    afterWorkVenues: [
-      { type: "bar", areaName: "Market Street", weight: 1 },
-      { type: "dock", areaName: "Dock", weight: 1 },
-      { type: "home", areaName: "Housing", weight: 2 }
-    ]
-  },
-  Herbalist: {
-    workArea: "Forest",
-    workStart: 6 * 60,
-    workEnd: 13 * 60,
-    workStyle: "roam",
-    afterWorkVenues: [
-      { type: "forest", areaName: "Forest", weight: 2 },
-      { type: "market", areaName: "Market Street", weight: 1 },
-      { type: "home", areaName: "Housing", weight: 1 }
-    ]
-  },
-  Blacksmith: {
-    workArea: "Housing",
-    workStart: 8 * 60,
-    workEnd: 17 * 60,
-    workStyle: "trade",
-    afterWorkVenues: [
-      { type: "bar", areaName: "Market Street", weight: 1 },
-      { type: "square", areaName: "Town Square", weight: 1 },
-      { type: "home", areaName: "Housing", weight: 2 }
-    ]
-  }
-};
 const NPC_ROLES = [...new Set(NPC_SEEDS.map((npc) => String(npc.role || "").trim()).filter(Boolean))];
 
-export const CROP_CONFIG = {
-  turnip: { label: "Turnip", growMinutes: 180, seedCost: 6, minYield: 1, maxYield: 2, sellPrice: 8 },
-  carrot: { label: "Carrot", growMinutes: 240, seedCost: 8, minYield: 1, maxYield: 3, sellPrice: 10 },
-  pumpkin: { label: "Pumpkin", growMinutes: 360, seedCost: 12, minYield: 1, maxYield: 2, sellPrice: 18 }
-};
-const CROP_TYPES = Object.keys(CROP_CONFIG);
+const STARTER_SEEDS = { turnip: 6, carrot: 5, pumpkin: 3 };
+const STARTER_FERTILIZER = 2;
 
 export const MISSION_CHAIN = [
   {
@@ -396,6 +319,21 @@ export const MISSION_CHAIN = [
     description: "Talk to 4 different roles.",
     objectiveType: "talk_unique_roles",
     targetCount: 4
+  },
+  {
+    id: "home_cooking",
+    title: "Home Cooking",
+    description: "Cook 2 dishes from your harvest and foraging.",
+    objectiveType: "craft_item",
+    targetCount: 2
+  },
+  {
+    id: "guard_rations",
+    title: "Warm Rations",
+    description: "Bring a home-cooked dish to Rook.",
+    objectiveType: "deliver_item",
+    targetNpcId: "npc_guard",
+    targetCount: 1
   }
 ];
 
@@ -444,6 +382,8 @@ export function createMissionProgress() {
   return {
     index: 0,
     harvestCount: 0,
+    craftCount: 0,
+    deliveredCount: 0,
     spokenNpcIds: [],
     visitedAreas: [],
     spokenRoles: [],
@@ -547,6 +487,12 @@ export function ensurePlayerMissionProgress(player) {
   if (!Number.isFinite(player.missionProgress.harvestCount)) {
     player.missionProgress.harvestCount = 0;
   }
+  if (!Number.isFinite(player.missionProgress.craftCount)) {
+    player.missionProgress.craftCount = 0;
+  }
+  if (!Number.isFinite(player.missionProgress.deliveredCount)) {
+    player.missionProgress.deliveredCount = 0;
+  }
   if (!Number.isFinite(player.missionProgress.dynamicCompleted)) {
     player.missionProgress.dynamicCompleted = 0;
   }
@@ -605,45 +551,6 @@ function fallbackStoryArc(state) {
   };
 }
 
-function fallbackEconomyState(state) {
-  const day = Math.max(1, Number(state?.dayNumber) || 1);
-  const wave = (day % 5) - 2;
-  const cropPrices = {};
-  const demand = {};
-  for (const cropType of CROP_TYPES) {
-    const base = Number(CROP_CONFIG[cropType]?.sellPrice) || 1;
-    const offset = cropType === "turnip" ? wave : cropType === "carrot" ? -wave : Math.round(wave * 0.5);
-    cropPrices[cropType] = Math.max(1, base + offset);
-    demand[cropType] = offset >= 2 ? "high" : offset <= -2 ? "low" : "normal";
-  }
-  return {
-    mood: "steady",
-    cropPrices,
-    demand,
-    missionRewardMultiplier: 1,
-    note: "Market is stable today.",
-    updatedAt: Date.now()
-  };
-}
-
-function createRumorState() {
-  const byArea = {};
-  for (const area of AREAS) {
-    byArea[area.name] = 0;
-  }
-  const byRole = {};
-  for (const role of NPC_ROLES) {
-    byRole[role] = 0;
-  }
-  return {
-    byArea,
-    byRole,
-    intensity: 0,
-    latestTopics: [],
-    updatedAt: Date.now()
-  };
-}
-
 function fallbackWorldEvents() {
   return {
     active: [],
@@ -653,32 +560,14 @@ function fallbackWorldEvents() {
 
 function fallbackFactionState(npcs = []) {
   const all = Array.isArray(npcs) ? npcs : [];
-  const byRole = new Map(all.map((n) => [n.id, n.role]));
-  const pickMembers = (roles) => all.filter((n) => roles.includes(byRole.get(n.id))).map((n) => n.id);
   return {
-    groups: [
-      {
-        id: "guild_watch",
-        name: "Town Watch",
-        goal: "Keep order and contain unrest.",
-        members: pickMembers(["Town Guard", "Politician"]),
-        influence: 50
-      },
-      {
-        id: "guild_market",
-        name: "Market Guild",
-        goal: "Protect trade flow and stall profits.",
-        members: pickMembers(["Businessman", "Shop Owner", "Blacksmith"]),
-        influence: 50
-      },
-      {
-        id: "guild_wilds",
-        name: "Wild Circle",
-        goal: "Guard forest rites and old paths.",
-        members: pickMembers(["Herbalist", "Religious Devotee", "Cultist"]),
-        influence: 50
-      }
-    ],
+    groups: FACTION_DEFINITIONS.map((faction) => ({
+      id: faction.id,
+      name: faction.name,
+      goal: faction.goal,
+      members: all.filter((n) => faction.members.includes(n.id) || faction.roles.includes(n.role)).map((n) => n.id),
+      influence: faction.influence
+    })),
     tensions: [],
     updatedAt: Date.now()
   };
@@ -762,137 +651,61 @@ function activeWorldEvents(state) {
   return state.worldEvents;
 }
 
-export function setRumorState(state, rumorState) {
+export function setEconomyState(state, economy) {
   if (!state) return null;
-  const base = createRumorState();
-  const src = rumorState && typeof rumorState === "object" ? rumorState : {};
-  for (const area of AREAS) {
-    const n = Number(src?.byArea?.[area.name]);
-    base.byArea[area.name] = Number.isFinite(n) ? clamp(Math.round(n), 0, 70) : 0;
-  }
-  for (const role of NPC_ROLES) {
-    const n = Number(src?.byRole?.[role]);
-    base.byRole[role] = Number.isFinite(n) ? clamp(Math.round(n), 0, 70) : 0;
-  }
-  const rawTopics = Array.isArray(src?.latestTopics) ? src.latestTopics : [];
-  base.latestTopics = rawTopics.map((t) => String(t || "").slice(0, 100)).filter(Boolean).slice(-8);
-  base.intensity = Math.max(
-    ...Object.values(base.byArea).map((n) => Number(n) || 0),
-    ...Object.values(base.byRole).map((n) => Number(n) || 0),
-    0
-  );
-  base.updatedAt = Date.now();
-  state.rumorState = base;
-  return state.rumorState;
+  state.economy = normalizeEconomyState(economy, CROP_CONFIG, { dayNumber: state.dayNumber });
+  return state.economy;
 }
 
-function activeRumorState(state) {
-  if (!state.rumorState || typeof state.rumorState !== "object") {
-    state.rumorState = createRumorState();
+function activeEconomy(state) {
+  if (!state.economy || typeof state.economy !== "object") {
+    state.economy = createEconomyState(CROP_CONFIG, { dayNumber: state.dayNumber });
   }
-  return state.rumorState;
+  return state.economy;
 }
 
-export function rumorHotspots(state) {
-  const rs = activeRumorState(state);
-  const topArea = Object.entries(rs.byArea).sort((a, b) => (b[1] || 0) - (a[1] || 0))[0] || ["", 0];
-  const topRole = Object.entries(rs.byRole).sort((a, b) => (b[1] || 0) - (a[1] || 0))[0] || ["", 0];
-  return {
-    area: topArea[0] || "",
-    areaHeat: Number(topArea[1]) || 0,
-    role: topRole[0] || "",
-    roleHeat: Number(topRole[1]) || 0,
-    intensity: Number(rs.intensity) || 0,
-    topics: rs.latestTopics || []
-  };
+export function sellPriceForCrop(state, cropType) {
+  return liveCropPrice(activeEconomy(state), CROP_CONFIG, cropType);
 }
 
-function decayRumorState(rumorState, amount = 1) {
-  for (const key of Object.keys(rumorState.byArea || {})) {
-    rumorState.byArea[key] = Math.max(0, (Number(rumorState.byArea[key]) || 0) - amount);
-  }
-  for (const key of Object.keys(rumorState.byRole || {})) {
-    rumorState.byRole[key] = Math.max(0, (Number(rumorState.byRole[key]) || 0) - amount);
-  }
+export function recordMarketTrade(state, cropType, kind, qty) {
+  recordMarketFlow(activeEconomy(state), cropType, kind, qty);
 }
 
-export function applyRumorEvent(state, textRaw) {
-  const rumorState = activeRumorState(state);
-  const text = String(textRaw || "").trim();
-  if (!text) return rumorState;
-  decayRumorState(rumorState, 1);
-  const normalized = text.toLowerCase();
-  for (const area of AREAS) {
-    if (normalized.includes(String(area.name).toLowerCase())) {
-      rumorState.byArea[area.name] = clamp((Number(rumorState.byArea[area.name]) || 0) + 3, 0, 70);
-    }
-  }
-  for (const role of NPC_ROLES) {
-    if (normalized.includes(String(role).toLowerCase())) {
-      rumorState.byRole[role] = clamp((Number(rumorState.byRole[role]) || 0) + 2, 0, 70);
-    }
-  }
-  const trimmedTopic = text.replace(/\s+/g, " ").slice(0, 100);
-  rumorState.latestTopics.push(trimmedTopic);
-  if (rumorState.latestTopics.length > 8) {
-    rumorState.latestTopics = rumorState.latestTopics.slice(-8);
-  }
-  rumorState.intensity = Math.max(
-    ...Object.values(rumorState.byArea).map((n) => Number(n) || 0),
-    ...Object.values(rumorState.byRole).map((n) => Number(n) || 0),
-    0
-  );
-  rumorState.updatedAt = Date.now();
-  return rumorState;
+export function closeEconomyDay(state) {
+  return closeMarketDay(activeEconomy(state), CROP_CONFIG, { dayNumber: state.dayNumber });
 }
 
-export function setEconomyState(state, economy) {
-  if (!state) return null;
-  const src = economy && typeof economy === "object" ? economy : {};
-  const fallback = fallbackEconomyState(state);
-  const cropPrices = {};
-  const demand = {};
-  for (const cropType of CROP_TYPES) {
-    const rawPrice = Number(src?.cropPrices?.[cropType]);
-    cropPrices[cropType] = Number.isFinite(rawPrice) ? Math.max(1, Math.round(rawPrice)) : fallback.cropPrices[cropType];
-    const rawDemand = String(src?.demand?.[cropType] || "").trim().toLowerCase();
-    demand[cropType] = rawDemand === "high" || rawDemand === "low" ? rawDemand : fallback.demand[cropType];
-  }
-  state.economy = {
-    mood: String(src.mood || fallback.mood).slice(0, 32),
-    cropPrices,
-    demand,
-    missionRewardMultiplier: Math.max(0.75, Math.min(1.35, Number(src.missionRewardMultiplier) || fallback.missionRewardMultiplier)),
-    note: String(src.note || fallback.note).slice(0, 160),
-    updatedAt: Date.now()
-  };
-  return state.economy;
+export function applyEconomyPlan(state, plan) {
+  return applyMarketNarrative(activeEconomy(state), CROP_CONFIG, plan);
 }
 
-function activeEconomy(state) {
-  if (!state.economy || typeof state.economy !== "object") {
-    state.economy = fallbackEconomyState(state);
-  }
-  return state.economy;
+export function economyReport(state) {
+  return marketReport(activeEconomy(state), CROP_CONFIG);
 }
 
-function sellPriceForCrop(state, cropType) {
-  const economy = activeEconomy(state);
-  const dynamicPrice = Number(economy?.cropPrices?.[cropType]);
-  if (Number.isFinite(dynamicPrice) && dynamicPrice > 0) return Math.round(dynamicPrice);
-  return Number(CROP_CONFIG[cropType]?.sellPrice) || 1;
+function missionRelationshipFactor(state, mission, player) {
+  if (!player) return 1;
+  if (mission?.targetNpcId) return relationshipFactor(relationshipScoreOf(player, mission.targetNpcId));
+  if (!mission?.targetRole) return 1;
+  const scores = state.npcs
+    .filter((npc) => npc.role === mission.targetRole)
+    .map((npc) => relationshipScoreOf(player, npc.id));
+  return scores.length ? relationshipFactor(Math.max(...scores)) : 1;
 }
 
-export function missionRewardCoins(state, mission) {
+export function missionRewardCoins(state, mission, player = null) {
   const economy = activeEconomy(state);
   const objective = String(mission?.objectiveType || "");
   let base = 4;
-  if (objective === "harvest_count") base = 6;
+  if (objective === "harvest_count" || objective === "craft_item") base = 6;
+  if (objective === "deliver_item") base = 8;
   if (objective === "talk_unique_npcs" || objective === "visit_unique_areas") base = 5;
   if (objective === "talk_npc" || objective === "talk_role") base = 5;
   const targetCount = Math.max(1, Number(mission?.targetCount) || 1);
   const scaled = base + Math.max(0, targetCount - 1);
-  return Math.max(1, Math.round(scaled * (Number(economy.missionRewardMultiplier) || 1)));
+  const multiplier = (Number(economy.missionRewardMultiplier) || 1) * missionRelationshipFactor(state, mission, player);
+  return Math.max(1, Math.round(scaled * multiplier));
 }
 
 export function setTownMission(state, mission) {
@@ -1055,9 +868,12 @@ function normalizeDynamicMission(mission) {
     "visit_area",
     "harvest_count",
     "talk_unique_npcs",
-    "visit_unique_areas"
+    "visit_unique_areas",
+    "craft_item",
+    "deliver_item"
   ]);
   if (!allowed.has(objectiveType)) return null;
+  if (objectiveType === "deliver_item" && !mission.targetNpcId) return null;
 
   const safe = {
     id: String(mission.id || `dynamic_${Date.now()}`),
@@ -1068,6 +884,7 @@ function normalizeDynamicMission(mission) {
   if (mission.targetNpcId) safe.targetNpcId = String(mission.targetNpcId);
   if (mission.targetRole) safe.targetRole = String(mission.targetRole);
   if (mission.targetArea) safe.targetArea = String(mission.targetArea);
+  if (RECIPE_CONFIG[mission.targetItem]) safe.targetItem = String(mission.targetItem);
   if (Number.isFinite(Number(mission.targetCount))) {
     safe.targetCount = Math.max(1, Math.min(6, Number(mission.targetCount)));
   }
@@ -1083,6 +900,8 @@ export function setPlayerDynamicMission(player, mission) {
   const progress = ensurePlayerMissionProgress(player);
   progress.dynamicMission = normalizeDynamicMission(mission);
   progress.harvestCount = 0;
+  progress.craftCount = 0;
+  progress.deliveredCount = 0;
   progress.spokenNpcIds = [];
   progress.spokenRoles = [];
   progress.visitedAreas = [];
@@ -1126,6 +945,16 @@ function missionProgressText(player) {
     const done = Math.min(target, progress.visitedAreas.length);
     return `Areas visited: ${done}/${target}.`;
   }
+  if (mission.objectiveType === "craft_item") {
+    const target = mission.targetCount || 1;
+    const done = Math.min(target, progress.craftCount);
+    return `${mission.targetItem ? goodsLabel(mission.targetItem) : "Dishes"} made: ${done}/${target}.`;
+  }
+  if (mission.objectiveType === "deliver_item") {
+    const target = mission.targetCount || 1;
+    const done = Math.min(target, progress.deliveredCount);
+    return `Delivered: ${done}/${target}.`;
+  }
   return "Keep exploring town.";
 }
 
@@ -1144,6 +973,12 @@ function advanceMission(player) {
   if (mission.objectiveType === "harvest_count") {
     progress.harvestCount = 0;
   }
+  if (mission.objectiveType === "craft_item") {
+    progress.craftCount = 0;
+  }
+  if (mission.objectiveType === "deliver_item") {
+    progress.deliveredCount = 0;
+  }
   if (mission.objectiveType === "talk_unique_npcs") {
     progress.spokenNpcIds = [];
   }
@@ -1213,6 +1048,38 @@ export function applyMissionEvent(player, event) {
     return { changed: false };
   }
 
+  if (mission.objectiveType === "craft_item" && event?.type === "craft_item") {
+    const item = String(event?.item || "");
+    const qty = Math.max(0, Math.floor(Number(event?.qty) || 0));
+    if (!qty || (mission.targetItem && item !== mission.targetItem)) return { changed: false };
+    progress.craftCount += qty;
+    if (progress.craftCount >= (mission.targetCount || 1)) {
+      const result = advanceMission(player);
+      return {
+        changed: true,
+        completedMission: result?.completed || null,
+        nextMission: result?.next || null
+      };
+    }
+    return { changed: true };
+  }
+
+  if (mission.objectiveType === "deliver_item" && event?.type === "deliver_item") {
+    const qty = Math.max(0, Math.floor(Number(event?.qty) || 0));
+    if (!qty || event?.npcId !== mission.targetNpcId) return { changed: false };
+    if (mission.targetItem && event?.item !== mission.targetItem) return { changed: false };
+    progress.deliveredCount += qty;
+    if (progress.deliveredCount >= (mission.targetCount || 1)) {
+      const result = advanceMission(player);
+      return {
+        changed: true,
+        completedMission: result?.completed || null,
+        nextMission: result?.next || null
+      };
+    }
+    return { changed: true };
+  }
+
   if (mission.objectiveType === "harvest_count" && event?.type === "harvest_success") {
     progress.harvestCount += 1;
     const done = progress.harvestCount >= (mission.targetCount || 1);
@@ -1339,39 +1206,24 @@ function townMissionSnapshot(state, player) {
   };
 }
 
-function createPlot(col, row) {
-  const id = row * FARM_COLS + col + 1;
-  return {
-    id,
-    x: FARM_ORIGIN.x + col * FARM_GAP,
-    y: FARM_ORIGIN.y + row * FARM_GAP,
-    state: "empty",
-    cropType: null,
-    growth: 0,
-    water: 0,
-    wateredAt: null
-  };
+function starterInventory() {
+  const inventory = {};
+  for (const cropType of Object.keys(CROP_CONFIG)) {
+    inventory[`${cropType}_seed`] = STARTER_SEEDS[cropType] || 0;
+    inventory[cropType] = 0;
+  }
+  inventory.fertilizer = STARTER_FERTILIZER;
+  return inventory;
 }
 
 function createPlayerFarm() {
-  const plots = [];
-  for (let row = 0; row < FARM_ROWS; row += 1) {
-    for (let col = 0; col < FARM_COLS; col += 1) {
-      plots.push(createPlot(col, row));
-    }
-  }
-
   return {
-    home: { ...HOME_ANCHOR },
-    plots,
-    inventory: {
-      turnip_seed: 6,
-      carrot_seed: 5,
-      pumpkin_seed: 3,
-      turnip: 0,
-      carrot: 0,
-      pumpkin: 0
-    },
+    home: null,
+    lotId: null,
+    level: 0,
+    tools: null,
+    plots: [],
+    inventory: starterInventory(),
     coins: 40
   };
 }
@@ -1382,15 +1234,56 @@ function findPlotById(farm, plotId) {
   return farm.plots.find((p) => p.id === numericId) || null;
 }
 
-function randomInt(min, max) {
-  return Math.floor(Math.random() * (max - min + 1)) + min;
+function settleFarm(state, ownerId) {
+  const online = new Set([...state.players.values()].map((player) => player.playerId));
+  const farm = claimFarmLot(state.farms, ownerId, online);
+  ensureFarmTools(farm);
+  return farm;
 }
 
 export function createPlayerFarmIfMissing(state, ownerId) {
   if (!state.farms.has(ownerId)) {
     state.farms.set(ownerId, createPlayerFarm());
   }
-  return state.farms.get(ownerId);
+  return settleFarm(state, ownerId);
+}
+
+export function upgradeFarm(state, ownerId, item) {
+  const farm = state.farms.get(ownerId);
+  if (!farm) return { ok: false, message: "Farm not found." };
+  if (!farm.lotId) return { ok: false, message: NO_FREE_LOT_MESSAGE };
+  const result = buyFarmUpgrade(farm, item);
+  if (result.ok && result.item === "land") settleFarm(state, ownerId);
+  return result;
+}
+
+export function forageForPlayer(state, ownerId, areaName, random = Math.random) {
+  const farm = state.farms.get(ownerId);
+  if (!farm) return { ok: false, message: "Farm not found." };
+  return forageItem({ farm, areaName, season: seasonForDay(state.dayNumber), dayNumber: state.dayNumber, random });
+}
+
+export function craftForPlayer(state, ownerId, recipeId, station, batches = 1) {
+  const farm = state.farms.get(ownerId);
+  if (!farm) return { ok: false, message: "Farm not found." };
+  return craftRecipe({ farm, recipeId, station, batches });
+}
+
+export function takeMissionDelivery(state, player, npcId) {
+  const mission = player ? currentMission(player) : null;
+  if (mission?.objectiveType !== "deliver_item" || mission.targetNpcId !== npcId) return null;
+  const farm = state.farms.get(player.playerId);
+  if (!farm) return null;
+  const progress = ensurePlayerMissionProgress(player);
+  const item =
+    mission.targetItem || Object.keys(RECIPE_CONFIG).find((id) => (Number(farm.inventory[id]) || 0) > 0);
+  const owned = Number(farm.inventory[item]) || 0;
+  if (!item || owned === 0) {
+    return { ok: false, message: `You have no ${mission.targetItem ? goodsLabel(item) : "cooked dish"} to hand over.` };
+  }
+  const qty = Math.min(owned, Math.max(1, (mission.targetCount || 1) - progress.deliveredCount));
+  farm.inventory[item] = owned - qty;
+  return { ok: true, message: `Handed over ${qty} ${goodsLabel(item)}.`, item, qty };
 }
 
 export function removePlayerFarm(state, ownerId) {
@@ -1398,97 +1291,180 @@ export function removePlayerFarm(state, ownerId) {
 }
 
 export function tickFarmGrowth(state, deltaMinutes = 8) {
+  const conditions = { deltaMinutes, season: seasonForDay(state.dayNumber), weather: state.weather };
   for (const farm of state.farms.values()) {
-    for (const plot of farm.plots) {
-      if (plot.state === "empty" || plot.state === "ready" || !plot.cropType) continue;
-      const crop = CROP_CONFIG[plot.cropType];
-      if (!crop) continue;
-
-      plot.water = clamp(plot.water - deltaMinutes * 0.2, 0, 100);
-      const growthFactor = 0.3 + (plot.water / 100) * 0.7;
-      plot.growth = clamp(plot.growth + deltaMinutes * growthFactor, 0, crop.growMinutes);
-
-      if (plot.growth >= crop.growMinutes) {
-        plot.state = "ready";
-      } else {
-        plot.state = "growing";
+    for (const sprinkler of farm.plots.filter((plot) => plot.object === "sprinkler")) {
+      for (const plot of plotsNear(farm, sprinkler, SPRINKLER_RADIUS)) {
+        if (plot.cropType && plot.state !== "withered") plot.water = 100;
       }
     }
+    for (const plot of farm.plots) {
+      growPlot(plot, CROP_CONFIG[plot.cropType], conditions);
+    }
+  }
+}
+
+function visitCrows(farm, random) {
+  const guarded = new Set();
+  for (const scarecrow of farm.plots.filter((plot) => plot.object === "scarecrow")) {
+    for (const plot of plotsNear(farm, scarecrow, SCARECROW_RADIUS)) guarded.add(plot);
+  }
+  let pecked = 0;
+  for (const plot of farm.plots) {
+    if (guarded.has(plot) || (plot.state !== "seeded" && plot.state !== "growing")) continue;
+    if (random() >= CROW_CHANCE) continue;
+    plot.growth = Math.floor(plot.growth / 2);
+    pecked += 1;
+  }
+  return pecked;
+}
+
+export function startFarmDay(state, random = Math.random) {
+  for (const farm of state.farms.values()) {
+    restFallowPlots(farm);
+    visitCrows(farm, random);
   }
+  state.weather = rollDailyWeather(seasonForDay(state.dayNumber), random);
+  return state.weather;
 }
 
-export function applyFarmAction({ state, ownerId, action, plotId, cropType }) {
+function clearPlot(plot) {
+  plot.state = "empty";
+  plot.cropType = null;
+  plot.growth = 0;
+  plot.water = 0;
+  plot.wateredAt = null;
+  plot.health = 100;
+  plot.dryMinutes = 0;
+}
+
+function objectLabel(objectType) {
+  return FARM_OBJECTS[objectType]?.label || "object";
+}
+
+export function applyFarmAction({ state, ownerId, action, plotId, cropType, objectType }) {
   const farm = state.farms.get(ownerId);
   if (!farm) {
     return { ok: false, message: "Farm not found." };
   }
+  if (!farm.lotId) {
+    return { ok: false, message: NO_FREE_LOT_MESSAGE };
+  }
 
   const plot = findPlotById(farm, plotId);
   if (!plot) {
     return { ok: false, message: "Select a valid plot first." };
   }
 
+  ensurePlotSoil(plot);
+  const tools = ensureFarmTools(farm);
+  if (action === "till") {
+    if (plot.object) return { ok: false, message: `Pick up the ${objectLabel(plot.object)} first.` };
+    if (plot.state !== "empty") return { ok: false, message: "That plot is already in use." };
+    const tilled = hoeTargets(farm, plot).filter((target) => target.state === "empty" && !target.object);
+    for (const target of tilled) target.state = "tilled";
+    return { ok: true, message: tilled.length > 1 ? `Tilled ${tilled.length} plots.` : `Tilled plot ${plot.id}.` };
+  }
+
   if (action === "sow") {
     const crop = CROP_CONFIG[cropType];
     if (!crop) return { ok: false, message: "Unknown crop type." };
-    if (plot.state !== "empty") return { ok: false, message: "That plot is already in use." };
+    if (plot.object) return { ok: false, message: `Pick up the ${objectLabel(plot.object)} first.` };
+    if (plot.state === "empty") return { ok: false, message: "Till the plot first." };
+    if (plot.state !== "tilled") return { ok: false, message: "That plot is already in use." };
+    const season = seasonForDay(state.dayNumber);
+    if (!isCropInSeason(crop, season)) return { ok: false, message: `${crop.label} won't take in ${season}.` };
 
     const seedKey = `${cropType}_seed`;
     if ((farm.inventory[seedKey] || 0) <= 0) {
-      if (farm.coins < crop.seedCost) {
-        return { ok: false, message: `Need ${crop.seedCost} coins or spare ${crop.label} seed.` };
-      }
-      farm.coins -= crop.seedCost;
-    } else {
-      farm.inventory[seedKey] -= 1;
+      return { ok: false, message: `No ${crop.label} seed left. Buy more at the market.` };
     }
+    farm.inventory[seedKey] -= 1;
 
     plot.state = "seeded";
     plot.cropType = cropType;
     plot.growth = 0;
     plot.water = 35;
     plot.wateredAt = Date.now();
+    plot.health = 100;
+    plot.dryMinutes = 0;
     return { ok: true, message: `${crop.label} seeds sown in plot ${plot.id}.` };
   }
 
   if (action === "water") {
-    if (plot.state === "empty") return { ok: false, message: "This plot has no crop yet." };
+    if (!plot.cropType) return { ok: false, message: "This plot has no crop yet." };
     if (plot.state === "ready") return { ok: false, message: "Crop is ready. Harvest it." };
+    if (plot.state === "withered") return { ok: false, message: "This crop has withered. Clear it first." };
+    if (tools.water <= 0) return { ok: false, message: "Your watering can is empty. Refill it." };
 
+    tools.water -= 1;
     plot.water = clamp(plot.water + 55, 0, 100);
     plot.state = "growing";
     plot.wateredAt = Date.now();
+    plot.dryMinutes = 0;
     return { ok: true, message: `Watered plot ${plot.id}.` };
   }
 
   if (action === "harvest") {
+    if (plot.state === "withered") {
+      const label = CROP_CONFIG[plot.cropType]?.label || "crop";
+      clearPlot(plot);
+      return { ok: true, message: `Cleared the withered ${label} from plot ${plot.id}.` };
+    }
     if (plot.state !== "ready" || !plot.cropType) return { ok: false, message: "Nothing ready to harvest." };
 
     const crop = CROP_CONFIG[plot.cropType];
-    const yieldCount = randomInt(crop.minYield, crop.maxYield);
-    const sellPrice = sellPriceForCrop(state, plot.cropType);
-    const totalCoins = yieldCount * sellPrice;
+    const yieldCount = harvestYield(plot, crop);
     farm.inventory[plot.cropType] = (farm.inventory[plot.cropType] || 0) + yieldCount;
-    farm.coins += totalCoins;
 
-    const harvestedCropLabel = crop.label;
-    plot.state = "empty";
-    plot.cropType = null;
-    plot.growth = 0;
-    plot.water = 0;
-    plot.wateredAt = null;
+    const harvestedType = plot.cropType;
+    clearPlot(plot);
 
     return {
       ok: true,
-      message: `Harvested ${yieldCount} ${harvestedCropLabel}${yieldCount > 1 ? "s" : ""} (+${totalCoins} coins @ ${sellPrice}/each).`,
-      economy: {
-        cropType: plot.cropType,
-        sellPrice,
-        totalCoins
-      }
+      message: `Harvested ${yieldCount} ${crop.label}${yieldCount > 1 ? "s" : ""}. Sell them at the market.`,
+      harvest: { cropType: harvestedType, count: yieldCount }
     };
   }
 
+  if (action === "refill") {
+    const capacity = canCapacity(farm);
+    if (tools.water >= capacity) return { ok: false, message: "Your watering can is already full." };
+    tools.water = capacity;
+    return { ok: true, message: `Refilled your watering can (${capacity} uses).` };
+  }
+
+  if (action === "place") {
+    const object = FARM_OBJECTS[objectType];
+    if (!object) return { ok: false, message: "Unknown farm object." };
+    if (plot.cropType || plot.object) return { ok: false, message: "That plot is already in use." };
+    if ((farm.inventory[objectType] || 0) <= 0) {
+      return { ok: false, message: `You have no ${object.label}. Order one from your farm panel.` };
+    }
+    farm.inventory[objectType] -= 1;
+    plot.object = objectType;
+    plot.state = "empty";
+    return { ok: true, message: `Placed a ${object.label} on plot ${plot.id}.` };
+  }
+
+  if (action === "pickup") {
+    if (!plot.object) return { ok: false, message: "There is nothing to pick up here." };
+    const label = objectLabel(plot.object);
+    farm.inventory[plot.object] = (farm.inventory[plot.object] || 0) + 1;
+    plot.object = null;
+    return { ok: true, message: `Picked up the ${label}.` };
+  }
+
+  if (action === "fertilize") {
+    if (plot.object) return { ok: false, message: `Pick up the ${objectLabel(plot.object)} first.` };
+    if ((farm.inventory.fertilizer || 0) <= 0) {
+      return { ok: false, message: "No fertilizer left. Buy more at the market." };
+    }
+    const result = fertilizePlot(plot);
+    if (result.ok) farm.inventory.fertilizer -= 1;
+    return result;
+  }
+
   return { ok: false, message: "Unsupported farm action." };
 }
 
@@ -1529,19 +1505,27 @@ export function createWorldState() {
     timeMinutes: 8 * 60,
     weather: "clear",
     rumorOfTheDay: "A hidden lantern was seen near the forest shrine.",
-    rumorState: createRumorState(),
+    rumors: [],
     worldEvents: fallbackWorldEvents(),
     factions: fallbackFactionState(npcs),
     dailyTownLog: [],
     yesterdayTownLog: [],
     storyArc: fallbackStoryArc({ dayNumber: 1 }),
-    economy: fallbackEconomyState({ dayNumber: 1 }),
+    economy: createEconomyState(CROP_CONFIG, { dayNumber: 1 }),
     townMission: fallbackTownMission({ dayNumber: 1, rumorOfTheDay: "A hidden lantern was seen near the forest shrine." }),
     routineNudges: {},
     npcs,
     npcRelations: {},
+    gossip: [],
     players: new Map(),
-    farms: new Map()
+    farms: new Map(),
+    navGrid: createNavGrid({
+      width: WORLD_WIDTH,
+      height: WORLD_HEIGHT,
+      tileSize: TILE_SIZE,
+      blocked: NAV_BLOCKED_ZONES,
+      walkable: NAV_WALKWAYS
+    })
   };
 }
 
@@ -1680,7 +1664,6 @@ function snapshotDerivedKey(state) {
   const ecoUpdated = Number(state?.economy?.updatedAt) || 0;
   const evtUpdated = Number(state?.worldEvents?.updatedAt) || 0;
   const facUpdated = Number(state?.factions?.updatedAt) || 0;
-  const rumorUpdated = Number(state?.rumorState?.updatedAt) || 0;
   return [
     Number(state?.dayNumber) || 0,
     Number(state?.timeMinutes) || 0,
@@ -1689,8 +1672,7 @@ function snapshotDerivedKey(state) {
     arcUpdated,
     ecoUpdated,
     evtUpdated,
-    facUpdated,
-    rumorUpdated
+    facUpdated
   ].join("|");
 }
 
@@ -1699,7 +1681,6 @@ function snapshotDerivedShared(state) {
     return {
       factions: null,
       worldEvents: null,
-      rumorState: { intensity: 0, area: "", role: "", areaHeat: 0, roleHeat: 0, topics: [] },
       storyArc: {
         id: "",
         title: "",
@@ -1726,20 +1707,11 @@ function snapshotDerivedShared(state) {
     return existing.derived;
   }
 
-  const hs = rumorHotspots(state);
   const arc = activeStoryArc(state);
   const economy = activeEconomy(state);
   const derived = {
     factions: activeFactions(state),
     worldEvents: activeWorldEvents(state),
-    rumorState: {
-      intensity: hs.intensity,
-      area: hs.area,
-      role: hs.role,
-      areaHeat: hs.areaHeat,
-      roleHeat: hs.roleHeat,
-      topics: hs.topics
-    },
     storyArc: {
       id: arc.id,
       title: arc.title,
@@ -1753,7 +1725,7 @@ function snapshotDerivedShared(state) {
     },
     economy: {
       mood: economy.mood,
-      cropPrices: economy.cropPrices,
+      cropPrices: economyReport(state).prices,
       demand: economy.demand,
       missionRewardMultiplier: economy.missionRewardMultiplier,
       note: economy.note
@@ -1763,7 +1735,7 @@ function snapshotDerivedShared(state) {
   return derived;
 }
 
-export function tickNpcMovement(state, dtSeconds = 1) {
+export function tickNpcMovement(state, dtSeconds = 1, { heldNpcIds = null } = {}) {
   const awakePlayers = [...state.players.values()].filter((p) => !p.sleeping);
   const now = Date.now();
   const playerByPlayerId = new Map(awakePlayers.map((p) => [p.playerId, p]));
@@ -1882,7 +1854,7 @@ export function tickNpcMovement(state, dtSeconds = 1) {
       }
     }
 
-    if (!controlMode && now < npc.holdUntil) {
+    if (heldNpcIds?.has(npc.id) || (!controlMode && now < npc.holdUntil)) {
       npc.vx = 0;
       npc.vy = 0;
       continue;
@@ -1904,26 +1876,86 @@ export function tickNpcMovement(state, dtSeconds = 1) {
         x: clamp(npc.x + ux * 95 + (Math.random() * 20 - 10), 0, WORLD_WIDTH),
         y: clamp(npc.y + uy * 95 + (Math.random() * 20 - 10), 0, WORLD_HEIGHT)
       };
-    } else if (!npc.target || Math.random() < 0.02) {
+    } else if (!npc.target || (!controlMode && Math.random() < 0.02)) {
       const area = AREAS.find((a) => a.name === npc.area) || findArea(npc.x, npc.y);
       npc.target = pickWanderTarget(area);
     }
 
-    const dx = npc.target.x - npc.x;
-    const dy = npc.target.y - npc.y;
-    const dist = Math.hypot(dx, dy);
-    if (dist < 8) {
+    if (!planNpcPath(state, npc)) {
+      npc.target = null;
+      npc.vx = 0;
+      npc.vy = 0;
+      continue;
+    }
+    if (Math.hypot(npc.target.x - npc.x, npc.target.y - npc.y) < 8) {
+      npc.path = [];
       npc.vx = 0;
       npc.vy = 0;
       continue;
     }
 
-    npc.vx = (dx / dist) * npc.speed;
-    npc.vy = (dy / dist) * npc.speed;
-    npc.x = clamp(npc.x + npc.vx * dtSeconds, 0, WORLD_WIDTH);
-    npc.y = clamp(npc.y + npc.vy * dtSeconds, 0, WORLD_HEIGHT);
-    npc.area = findArea(npc.x, npc.y).name;
+    stepNpcAlongPath(state, npc, dtSeconds);
+  }
+}
+
+function planNpcPath(state, npc) {
+  const goal = npc.navGoal;
+  if (goal && goal.x === npc.target.x && goal.y === npc.target.y && Array.isArray(npc.path)) {
+    return true;
+  }
+  const path = findPath(state.navGrid, npc, npc.target);
+  if (!path) {
+    npc.navGoal = null;
+    npc.path = [];
+    return false;
+  }
+  npc.target = { ...path[path.length - 1] };
+  npc.navGoal = { ...npc.target };
+  npc.path = path;
+  return true;
+}
+
+function stepNpcAlongPath(state, npc, dtSeconds) {
+  while (npc.path.length > 1 && Math.hypot(npc.path[0].x - npc.x, npc.path[0].y - npc.y) < NPC_WAYPOINT_REACHED) {
+    npc.path.shift();
+  }
+  const waypoint = npc.path[0] || npc.target;
+  const dx = waypoint.x - npc.x;
+  const dy = waypoint.y - npc.y;
+  const dist = Math.max(0.001, Math.hypot(dx, dy));
+  const push = separationForce(npc, state.npcs, NPC_SEPARATION_RADIUS);
+  const settle = Math.min(1, Math.hypot(npc.target.x - npc.x, npc.target.y - npc.y) / 40);
+  let vx = dx / dist + push.x * NPC_SEPARATION_STRENGTH * settle;
+  let vy = dy / dist + push.y * NPC_SEPARATION_STRENGTH * settle;
+  const magnitude = Math.max(0.001, Math.hypot(vx, vy));
+  const speed = npc.path.length <= 1 ? Math.min(npc.speed, dist / Math.max(0.001, dtSeconds)) : npc.speed;
+  vx = (vx / magnitude) * speed;
+  vy = (vy / magnitude) * speed;
+
+  const stuckInBlockedCell = !isWalkable(state.navGrid, npc.x, npc.y);
+  const candidates = [
+    [vx, vy],
+    [vx, 0],
+    [0, vy]
+  ];
+  const move = candidates.find(([cx, cy]) => {
+    if (cx === 0 && cy === 0) return false;
+    const nx = clamp(npc.x + cx * dtSeconds, 0, WORLD_WIDTH);
+    const ny = clamp(npc.y + cy * dtSeconds, 0, WORLD_HEIGHT);
+    return stuckInBlockedCell || isWalkable(state.navGrid, nx, ny);
+  });
+  if (!move) {
+    npc.vx = 0;
+    npc.vy = 0;
+    npc.navGoal = null;
+    return;
   }
+
+  npc.vx = move[0];
+  npc.vy = move[1];
+  npc.x = clamp(npc.x + npc.vx * dtSeconds, 0, WORLD_WIDTH);
+  npc.y = clamp(npc.y + npc.vy * dtSeconds, 0, WORLD_HEIGHT);
+  npc.area = findArea(npc.x, npc.y).name;
 }
 
 export function snapshotWorld(state, socketId = null) {
@@ -1937,10 +1969,20 @@ export function snapshotWorld(state, socketId = null) {
     timeMinutes: state.timeMinutes,
     timeLabel: timeLabel(state.timeMinutes),
     weather: state.weather,
+    season: seasonForDay(state.dayNumber),
+    seasonDay: dayOfSeason(state.dayNumber),
+    crops: Object.entries(CROP_CONFIG).map(([id, crop]) => ({
+      id,
+      label: crop.label,
+      growMinutes: crop.growMinutes,
+      seasons: crop.seasons
+    })),
+    recipes: recipeList(),
+    forage: forageList(),
     rumorOfTheDay: state.rumorOfTheDay,
     factions: shared.factions,
     worldEvents: shared.worldEvents,
-    rumorState: shared.rumorState,
+    rumors: rumorList(state),
     storyArc: shared.storyArc,
     economy: shared.economy,
     npcs: state.npcs.map((n) => ({
@@ -1970,7 +2012,8 @@ export function snapshotWorld(state, socketId = null) {
               label: reputationLabel(rep.global),
               byRole: rep.byRole
             };
-          })()
+          })(),
+          relationships: relationshipList(state.npcs, player)
         }
       : null,
     mission: player ? missionSnapshot(player) : null,
@@ -1978,16 +2021,25 @@ export function snapshotWorld(state, socketId = null) {
     farm: farm
       ? {
           home: farm.home,
+          lot: lotSnapshot(farm),
+          level: farm.level,
+          tools: { ...ensureFarmTools(farm), capacity: canCapacity(farm) },
+          upgrades: farmUpgradeOffers(farm),
           coins: farm.coins,
           inventory: farm.inventory,
-          plots: farm.plots.map((p) => ({
+          plots: (farm.lotId ? farm.plots : []).map((p) => ({
             id: p.id,
+            col: p.col,
+            row: p.row,
             x: p.x,
             y: p.y,
             state: p.state,
             cropType: p.cropType,
             growth: p.growth,
-            water: p.water
+            water: p.water,
+            soil: Math.round(ensurePlotSoil(p).soil),
+            health: Math.round(p.health),
+            object: p.object || null
           }))
         }
       : null
@@ -1997,24 +2049,9 @@ export function snapshotWorld(state, socketId = null) {
 export function pushTownEvent(state, entry) {
   const text = String(entry || "").trim();
   if (!text) return;
-  applyRumorEvent(state, text);
   state.dailyTownLog.push(text);
   if (state.dailyTownLog.length > 80) {
     state.dailyTownLog = state.dailyTownLog.slice(-80);
   }
 }
 
-export function findNearbyNpcPairs(npcs, maxDistance = 150) {
-  const pairs = [];
-  for (let i = 0; i < npcs.length; i += 1) {
-    for (let j = i + 1; j < npcs.length; j += 1) {
-      const a = npcs[i];
-      const b = npcs[j];
-      const dist = Math.hypot(a.x - b.x, a.y - b.y);
-      if (dist <= maxDistance) {
-        pairs.push({ a, b, dist });
-      }
-    }
-  }
-  return pairs.sort((x, y) => x.dist - y.dist);
-}
@@ -15,7 +15,10 @@ create table if not exists public.memories (
   content text not null,
   importance integer not null default 3,
   tags text not null default '',
-  created_at timestamptz not null default now()
+  created_at timestamptz not null default now(),
+  embedding text,
+  consolidated_at timestamptz,
+  archived_at timestamptz
 );
 
 create index if not exists idx_memories_npc_id_id on public.memories (npc_id, id desc);
@@ -27,3 +30,36 @@ create table if not exists public.relationships (
   last_interaction_at timestamptz,
   primary key (npc_id, player_id)
 );
+
+create table if not exists public.player_sessions (
+  id text primary key,
+  player_id text not null,
+  refresh_hash text not null,
+  expires_at timestamptz not null,
+  revoked_at timestamptz,
+  created_at timestamptz not null default now(),
+  last_used_at timestamptz
+);
+
+create index if not exists idx_player_sessions_player_id on public.player_sessions (player_id);
+
+create table if not exists public.world_snapshots (
+  id bigserial primary key,
+  version integer not null,
+  day_number integer not null default 1,
+  reason text not null default 'autosave',
+  payload text not null,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.player_state (
+  player_id text primary key,
+  farm text,
+  inventory text not null default '{}',
+  coins integer not null default 0,
+  mission_progress text,
+  reputation text,
+  position_x double precision,
+  position_y double precision,
+  updated_at timestamptz not null default now()
+);
@@ -0,0 +1,88 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  canWhisper,
+  chatBlocksFromRows,
+  chatRecipients,
+  createChatFilter,
+  createChatRateLimiter,
+  normalizeChatChannel,
+  parseChatCommand
+} from "../src/chat.js";
+
+function player(id, x, y, blocks = []) {
+  return {
+    id: `socket_${id}`,
+    playerId: id,
+    name: id,
+    x,
+    y,
+    chatBlocks: chatBlocksFromRows(blocks.map(([targetId, kind]) => ({ target_id: targetId, kind })))
+  };
+}
+
+test("slash commands pick a channel or change the mute list", () => {
+  assert.deepEqual(parseChatCommand("/w ana meet me at the dock"), {
+    command: "whisper",
+    to: "ana",
+    text: "meet me at the dock"
+  });
+  assert.deepEqual(parseChatCommand("/g market opens soon"), { command: "global", text: "market opens soon" });
+  assert.deepEqual(parseChatCommand("/mute  spammer extra"), { command: "mute", username: "spammer" });
+  assert.deepEqual(parseChatCommand("/blocked"), { command: "list_blocks" });
+  assert.deepEqual(parseChatCommand("/trade Bo"), { command: "trade", username: "Bo" });
+  assert.equal(parseChatCommand("/dance"), null);
+  assert.equal(parseChatCommand("hello /g"), null);
+  assert.equal(normalizeChatChannel("GLOBAL"), "global");
+  assert.equal(normalizeChatChannel("party"), "local");
+});
+
+test("rate limiter allows a burst per player and then asks them to wait", () => {
+  const limiter = createChatRateLimiter({ limit: 2, windowMs: 1000 });
+  assert.equal(limiter.allow("p1", 0).ok, true);
+  assert.equal(limiter.allow("p1", 100).ok, true);
+  assert.deepEqual(limiter.allow("p1", 400), { ok: false, retryInMs: 600 });
+  assert.equal(limiter.allow("p2", 400).ok, true);
+  assert.equal(limiter.allow("p1", 1001).ok, true);
+});
+
+test("abuse filter masks blocked words and runs hooks that can rewrite or reject", async () => {
+  const filter = createChatFilter({ blockedWords: ["darn"] });
+  assert.deepEqual(await filter.check("Darned crows, darn it"), { ok: true, text: "****** crows, **** it", reason: "" });
+  assert.equal((await filter.check("Darnley is here")).text, "Darnley is here");
+
+  const seen = [];
+  filter.use(async (text, context) => {
+    seen.push(context.channel);
+    if (/buy gold/i.test(text)) return { block: "Advertising is not allowed." };
+    return { text: text.replace(/!{2,}/g, "!") };
+  });
+  assert.deepEqual(await filter.check("Buy gold now", { channel: "global" }), {
+    ok: false,
+    text: "",
+    reason: "Advertising is not allowed."
+  });
+  assert.equal((await filter.check("Hi!!!", { channel: "local" })).text, "Hi!");
+  assert.deepEqual(seen, ["global", "local"]);
+  assert.equal((await filter.check("   ")).ok, false);
+});
+
+test("local chat reaches nearby players who have not muted the sender", () => {
+  const ana = player("ana", 0, 0);
+  const bo = player("bo", 100, 0);
+  const cy = player("cy", 1000, 0);
+  const dee = player("dee", 50, 0, [["ana", "mute"]]);
+  const everyone = [ana, bo, cy, dee];
+
+  const local = chatRecipients({ sender: ana, channel: "local", players: everyone, radius: 260 });
+  assert.deepEqual(local.map((p) => p.playerId), ["ana", "bo"]);
+  const global = chatRecipients({ sender: ana, channel: "global", players: everyone, radius: 260 });
+  assert.deepEqual(global.map((p) => p.playerId), ["ana", "bo", "cy"]);
+
+  const blocker = player("eve", 0, 0, [["ana", "block"]]);
+  assert.equal(canWhisper(ana, bo), true);
+  assert.equal(canWhisper(ana, dee), true);
+  assert.equal(canWhisper(ana, blocker), false);
+  assert.equal(canWhisper(blocker, ana), false);
+  assert.equal(canWhisper(ana, ana), false);
+});
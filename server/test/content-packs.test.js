@@ -0,0 +1,190 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import {
+  ContentPackError,
+  loadContentPacks,
+  parseClockTime,
+  resolveContentPackDirs
+} from "../src/content-packs.js";
+import { AREAS, NPC_SEEDS } from "../src/constants.js";
+import { createWorldState } from "../src/world.js";
+
+const AREA_NAMES = AREAS.map((area) => area.name);
+
+function withPacks(packs, fn) {
+  const root = mkdtempSync(path.join(os.tmpdir(), "townsim-packs-"));
+  try {
+    const dirs = Object.entries(packs).map(([name, files]) => {
+      const dir = path.join(root, name);
+      mkdirSync(dir);
+      for (const [file, body] of Object.entries(files)) {
+        writeFileSync(path.join(dir, file), typeof body === "string" ? body : JSON.stringify(body));
+      }
+      return dir;
+    });
+    return fn(dirs);
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+}
+
+test("default pack reproduces the built-in roster, routines and factions", () => {
+  const content = loadContentPacks("default", { areaNames: AREA_NAMES });
+  assert.deepEqual(content.packs, [{ id: "default", name: "Default Town" }]);
+  assert.equal(content.npcs.length, 10);
+  assert.equal(content.homeArea, "Housing");
+  assert.deepEqual(content.routines.Cultist, {
+    workArea: "Forest",
+    workStart: 17 * 60,
+    workEnd: 23 * 60,
+    workStyle: "patrol",
+    afterWorkVenues: [
+      { type: "forest", areaName: "Forest", weight: 3 },
+      { type: "club", areaName: "Market Street", weight: 1 },
+      { type: "sanctum", areaName: "Sanctum", weight: 1 }
+    ]
+  });
+
+  const world = createWorldState();
+  const market = world.factions.groups.find((g) => g.id === "guild_market");
+  assert.deepEqual(market.members, ["npc_businessman", "npc_shop_owner", "npc_blacksmith"]);
+  assert.equal(world.npcs.length, NPC_SEEDS.length);
+  assert.equal(world.npcs.find((n) => n.id === "npc_guard").characterProfile.work.startMinutes, 7 * 60);
+});
+
+test("later packs override, add and remove entries by id and role", () => {
+  const overlay = {
+    "pack.json": { id: "harbor", name: "Harbor Festival" },
+    "npcs.json": [
+      { id: "npc_guard", traits: ["sleepy"] },
+      { id: "npc_cultist", remove: true },
+      { id: "npc_sailor", name: "Nell", role: "Sailor", traits: ["loud"], area: "Dock" }
+    ],
+    "routines.json": { roles: { "Town Guard": { workStart: "06:30" } } },
+    "factions.json": [
+      { id: "guild_wilds", roles: ["Herbalist", "Religious Devotee"] },
+      { id: "guild_tide", name: "Tide Crew", goal: "Keep the boats afloat.", members: ["npc_sailor", "npc_fisherman"] }
+    ],
+    "dialogue.json": { fallbackLines: { Sailor: "The tide waits for no one." } },
+    "crops.json": [
+      { id: "pumpkin", remove: true },
+      { id: "turnip", sellPrice: 9 },
+      {
+        id: "kelp",
+        label: "Kelp",
+        growMinutes: 120,
+        seedCost: 4,
+        minYield: 2,
+        maxYield: 4,
+        sellPrice: 6,
+        seasons: ["summer"],
+        dailyDemand: 20
+      }
+    ],
+    "forage.json": [{ id: "clam", areas: ["Dock", "Town Square"] }],
+    "recipes.json": [
+      { id: "pumpkin_pie", remove: true },
+      { id: "kelp_salad", label: "Kelp Salad", station: "Dock", inputs: { kelp: 2, clam: 1 }, sellPrice: 22 }
+    ]
+  };
+  withPacks({ overlay }, ([dir]) => {
+    const content = loadContentPacks(`default, ${dir}`, { areaNames: AREA_NAMES });
+    assert.deepEqual(content.packs.map((p) => p.id), ["default", "harbor"]);
+
+    const guard = content.npcs.find((n) => n.id === "npc_guard");
+    assert.deepEqual(guard, { id: "npc_guard", name: "Rook", role: "Town Guard", traits: ["sleepy"], area: "Town Square" });
+    assert.equal(content.npcs.some((n) => n.id === "npc_cultist"), false);
+    assert.equal(content.npcs.at(-1).id, "npc_sailor");
+
+    assert.equal(content.routines["Town Guard"].workStart, 6 * 60 + 30);
+    assert.equal(content.routines["Town Guard"].workEnd, 19 * 60);
+    assert.deepEqual(content.factions.find((f) => f.id === "guild_wilds").roles, ["Herbalist", "Religious Devotee"]);
+    assert.deepEqual(content.factions.find((f) => f.id === "guild_tide").members, ["npc_sailor", "npc_fisherman"]);
+    assert.equal(content.fallbackLines.Sailor, "The tide waits for no one.");
+    assert.equal(content.fallbackLines.Blacksmith, "Hammering calms me more than talking ever has.");
+    assert.deepEqual(content.crops.map((c) => c.id), ["turnip", "carrot", "kelp"]);
+    assert.equal(content.crops[0].sellPrice, 9);
+    assert.equal(content.crops[0].growMinutes, 180);
+    assert.deepEqual(content.crops[2], {
+      id: "kelp",
+      label: "Kelp",
+      growMinutes: 120,
+      seedCost: 4,
+      minYield: 2,
+      maxYield: 4,
+      sellPrice: 6,
+      seasons: ["summer"],
+      soilUse: 12,
+      witherMinutes: 240,
+      dailyDemand: 20
+    });
+    assert.deepEqual(content.forage.find((f) => f.id === "clam").areas, ["Dock", "Town Square"]);
+    assert.equal(content.recipes.some((r) => r.id === "pumpkin_pie"), false);
+    assert.deepEqual(content.recipes.at(-1), {
+      id: "kelp_salad",
+      label: "Kelp Salad",
+      station: "Dock",
+      inputs: { kelp: 2, clam: 1 },
+      makes: 1,
+      sellPrice: 22
+    });
+  });
+});
+
+test("invalid packs fail with the file and entry at fault", () => {
+  const cases = [
+    [{ "pack.json": { id: "bad" }, "npcs.json": "[{" }, /bad\/npcs\.json: invalid JSON/],
+    [{ "pack.json": { id: "bad" }, "npcs.json": [{ id: "npc_x", name: "X", role: "Y", area: "Moon" }] }, /bad\/npcs\.json \[0\]: "area" names unknown area "Moon"/],
+    [{ "pack.json": { id: "bad" }, "npcs.json": [{ id: "npc_x", role: "Y", area: "Dock" }] }, /NPC "npc_x" is missing "name"/],
+    [{ "pack.json": { id: "bad" }, "routines.json": { roles: { Artist: { workEnd: "25:00" } } } }, /roles\["Artist"\]: "workEnd" must be a time/],
+    [{ "pack.json": { id: "bad" }, "routines.json": { roles: { Artist: { workStyle: "nap" } } } }, /"workStyle" must be one of/],
+    [{ "pack.json": { id: "bad" }, "factions.json": [{ id: "guild_x", name: "X", goal: "Y", members: ["npc_ghost"] }] }, /unknown NPC "npc_ghost"/],
+    [{ "pack.json": { id: "bad" }, "factions.json": [{ id: "guild_x", name: "X", goal: "Y", roles: ["Pirate"] }] }, /role "Pirate" that no NPC has/],
+    [{ "pack.json": { id: "bad" }, "crops.json": [{ id: "rice_seed" }] }, /crops\.json \[0\]: crop id "rice_seed"/],
+    [{ "pack.json": { id: "bad" }, "crops.json": [{ id: "rice", growMinutes: -5 }] }, /"growMinutes" must be a positive number/],
+    [{ "pack.json": { id: "bad" }, "crops.json": [{ id: "rice", seasons: ["monsoon"] }] }, /unknown season "monsoon"/],
+    [{ "pack.json": { id: "bad" }, "crops.json": [{ id: "rice", label: "Rice" }] }, /crop "rice" is missing "growMinutes"/],
+    [{ "pack.json": { id: "bad" }, "crops.json": [{ id: "carrot", minYield: 5 }] }, /"minYield" above "maxYield"/],
+    [{ "pack.json": { id: "bad" }, "forage.json": [{ id: "acorn", label: "Acorn", areas: ["Moon"], sellPrice: 1 }] }, /unknown area "Moon"/],
+    [{ "pack.json": { id: "bad" }, "recipes.json": [{ id: "carrot", label: "Soup", station: "home", inputs: { turnip: 1 }, sellPrice: 5 }] }, /item id "carrot" is already used/],
+    [{ "pack.json": { id: "bad" }, "recipes.json": [{ id: "stew", label: "Stew", station: "home", inputs: { gold: 1 }, sellPrice: 5 }] }, /recipe "stew" uses unknown item "gold"/],
+    [{ "pack.json": { id: "bad" }, "recipes.json": [{ id: "stew", inputs: { turnip: 0.5 } }] }, /whole amount for "turnip"/],
+    [{ "pack.json": { id: "bad" }, "gifts.json": { roles: { Artist: { loved: ["gold_bar"] } } } }, /roles\["Artist"\]: "loved" names unknown item "gold_bar"/],
+    [{ "pack.json": { id: "bad" }, "heart-events.json": [{ id: "x", tier: "soulmate" }] }, /"tier" must be one of/],
+    [{ "pack.json": { id: "bad" }, "heart-events.json": [{ id: "x", title: "X", tier: "friend", kind: "scene", lines: ["Hi."], npc: "npc_ghost" }] }, /names unknown NPC "npc_ghost"/],
+    [{ "pack.json": { id: "bad" }, "heart-events.json": [{ id: "x", title: "X", tier: "friend", kind: "favor", lines: ["Hi."] }] }, /needs a "favor" exactly when/],
+    [{ "pack.json": { id: "bad" }, "heart-events.json": [{ id: "x", title: "X", tier: "friend", kind: "favor", lines: ["Hi."], favor: { item: "gold" } }] }, /asks for unknown item "gold"/],
+    [{ "pack.json": {} }, /pack\.json: "id" must be a non-empty string/],
+    [{ "npcs.json": [] }, /missing pack\.json/]
+  ];
+  for (const [files, pattern] of cases) {
+    withPacks({ bad: files }, ([dir]) => {
+      assert.throws(() => loadContentPacks(`default,${dir}`, { areaNames: AREA_NAMES }), (err) => {
+        assert.ok(err instanceof ContentPackError);
+        assert.match(err.message, pattern);
+        return true;
+      });
+    });
+  }
+  assert.throws(() => loadContentPacks("default,default", { areaNames: AREA_NAMES }), /listed twice/);
+  assert.throws(() => loadContentPacks("./no-such-pack", { areaNames: AREA_NAMES }), /directory not found/);
+});
+
+test("a pack set without NPCs is rejected", () => {
+  withPacks({ empty: { "pack.json": { id: "empty" } } }, ([dir]) => {
+    assert.throws(() => loadContentPacks(dir, { areaNames: AREA_NAMES }), /define no NPCs/);
+  });
+});
+
+test("pack specs resolve built-in names and relative paths", () => {
+  const [builtin, relative] = resolveContentPackDirs("default, packs/town", "/srv/app");
+  assert.match(builtin, /content[\\/]default$/);
+  assert.equal(relative, path.resolve("/srv/app", "packs/town"));
+  assert.equal(resolveContentPackDirs("").length, 1);
+  assert.equal(parseClockTime("9:05"), 9 * 60 + 5);
+  assert.equal(parseClockTime("24:00"), 24 * 60);
+  assert.equal(parseClockTime("12:60"), null);
+});
@@ -0,0 +1,156 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  activeParticipants,
+  createGroupConversation,
+  findConversationGroups,
+  npcTurnsTaken,
+  patienceTurns,
+  pickAddressee,
+  pickNextSpeaker,
+  recordConversationLine,
+  summarizeConversation,
+  talkativeness,
+  updateConversationMembership
+} from "../src/conversations.js";
+
+function npc(id, x, y, traits = []) {
+  return { id, name: id.replace("npc_", "").replace(/^./, (c) => c.toUpperCase()), role: `${id}_role`, traits, x, y };
+}
+
+function sequence(...values) {
+  let i = 0;
+  return () => values[Math.min(i++, values.length - 1)];
+}
+
+test("nearby NPCs cluster into groups capped at the max size", () => {
+  const npcs = [
+    npc("npc_a", 0, 0),
+    npc("npc_b", 60, 0),
+    npc("npc_c", 120, 0),
+    npc("npc_d", 500, 500),
+    npc("npc_e", 540, 500),
+    npc("npc_f", 1000, 0)
+  ];
+  const groups = findConversationGroups(npcs, { radius: 70, maxSize: 5 });
+  assert.deepEqual(
+    groups.map((g) => g.members.map((n) => n.id)),
+    [
+      ["npc_b", "npc_a", "npc_c"],
+      ["npc_d", "npc_e"]
+    ]
+  );
+  assert.deepEqual(groups[0].center, { x: 60, y: 0 });
+
+  const capped = findConversationGroups(npcs, { radius: 70, maxSize: 2, isAvailable: (n) => n.id !== "npc_e" });
+  assert.deepEqual(capped.map((g) => g.members.map((n) => n.id)), [["npc_b", "npc_a"]]);
+});
+
+test("traits shape talkativeness and patience", () => {
+  assert.ok(talkativeness(["charming", "eloquent"]) > talkativeness([]));
+  assert.ok(talkativeness(["secretive", "cautious"]) < talkativeness([]));
+  assert.ok(patienceTurns(["funny", "dramatic"]) > patienceTurns(["gruff", "stern"]));
+});
+
+test("turn-taking favours the addressed NPC and spreads turns around", () => {
+  const npcs = [npc("npc_a", 0, 0), npc("npc_b", 10, 0), npc("npc_c", 20, 0)];
+  const npcsById = new Map(npcs.map((n) => [n.id, n]));
+  const convo = createGroupConversation({ id: "c1", npcs, area: "Town Square" });
+
+  recordConversationLine(convo, { speakerId: "npc_a", targetId: "npc_c", text: "Morning." });
+  const counts = { npc_b: 0, npc_c: 0 };
+  for (let i = 0; i < 200; i += 1) {
+    const next = pickNextSpeaker(convo, { npcsById, random: () => i / 200 });
+    counts[next.id] += 1;
+  }
+  assert.ok(counts.npc_c > counts.npc_b * 2);
+  assert.equal(counts.npc_a, undefined);
+
+  recordConversationLine(convo, { speakerId: "npc_c", targetId: "npc_a", text: "Hi." });
+  recordConversationLine(convo, { speakerId: "npc_a", targetId: "npc_c", text: "Again." });
+  recordConversationLine(convo, { speakerId: "npc_c", targetId: "npc_a", text: "Yes." });
+  const next = pickNextSpeaker(convo, {
+    npcsById,
+    relationScore: (a, b) => (a === "npc_b" && b === "npc_c" ? 8 : 0),
+    random: () => 0.5
+  });
+  assert.equal(next.id, "npc_b");
+});
+
+test("NPCs answer a player who spoke into the thread", () => {
+  const npcs = [npc("npc_rook", 0, 0), npc("npc_tessa", 10, 0)];
+  const convo = createGroupConversation({
+    id: "c2",
+    npcs,
+    players: [{ id: "player_1", name: "Ana", x: 5, y: 5 }]
+  });
+  recordConversationLine(convo, { speakerId: "npc_rook", targetId: "npc_tessa", text: "Quiet day." });
+  recordConversationLine(convo, { speakerId: "player_1", text: "Tessa, any news?" });
+
+  const speaker = pickNextSpeaker(convo, {
+    npcsById: new Map(npcs.map((n) => [n.id, n])),
+    random: sequence(0.6)
+  });
+  assert.equal(speaker.id, "npc_tessa");
+  assert.equal(pickAddressee(convo, speaker.id, { random: () => 0.99 }).id, "player_1");
+  assert.equal(npcTurnsTaken(convo), 1);
+});
+
+test("membership updates add newcomers and drop NPCs that wander off or lose interest", () => {
+  const a = npc("npc_a", 0, 0, ["gruff", "stern", "secretive"]);
+  const b = npc("npc_b", 40, 0);
+  const c = npc("npc_c", 20, 0, ["charming"]);
+  const convo = createGroupConversation({ id: "c3", npcs: [a, b, c] });
+  for (let i = 0; i < 3; i += 1) {
+    recordConversationLine(convo, { speakerId: i % 2 ? "npc_b" : "npc_c", targetId: "npc_a", text: `line ${i}` });
+  }
+
+  const newcomer = npc("npc_d", 30, 30);
+  const farAway = npc("npc_e", 900, 900);
+  b.x = 600;
+  const { joined, left } = updateConversationMembership(convo, {
+    npcs: [a, b, c, newcomer, farAway],
+    players: [{ id: "player_1", name: "Ana", x: 10, y: 10 }],
+    joinRadius: 100,
+    leaveRadius: 150,
+    maxParticipants: 4
+  });
+  assert.deepEqual(
+    left.map((p) => [p.id, p.leaveReason]),
+    [
+      ["npc_a", "lost_interest"],
+      ["npc_b", "walked_away"]
+    ]
+  );
+  assert.deepEqual(joined.map((p) => p.id).sort(), ["npc_d", "player_1"]);
+  assert.deepEqual(activeParticipants(convo).map((p) => p.id).sort(), ["npc_c", "npc_d", "player_1"]);
+
+  const again = updateConversationMembership(convo, {
+    npcs: [a, c, newcomer],
+    players: [],
+    joinRadius: 100,
+    leaveRadius: 150
+  });
+  assert.equal(again.joined.some((p) => p.id === "npc_a"), false);
+  assert.deepEqual(again.left.map((p) => p.id), ["player_1"]);
+});
+
+test("each participant's record covers only the lines it was present for", () => {
+  const a = npc("npc_a", 0, 0);
+  const b = npc("npc_b", 10, 0);
+  const c = npc("npc_c", 20, 0);
+  const convo = createGroupConversation({ id: "c4", npcs: [a, b], area: "Dock" });
+  recordConversationLine(convo, { speakerId: "npc_a", targetId: "npc_b", text: "Nets are torn." });
+  updateConversationMembership(convo, { npcs: [a, b, c], joinRadius: 50, leaveRadius: 100 });
+  recordConversationLine(convo, { speakerId: "npc_c", targetId: "npc_a", text: "I can mend them." });
+
+  const forA = summarizeConversation(convo, "npc_a");
+  assert.match(forA, /^Group talk near Dock with B and C\. C joined\./);
+  assert.match(forA, /A: "Nets are torn\." C: "I can mend them\."$/);
+
+  const forC = summarizeConversation(convo, "npc_c");
+  assert.doesNotMatch(forC, /Nets are torn/);
+  assert.match(forC, /C: "I can mend them\."/);
+  assert.equal(summarizeConversation(convo, "npc_missing"), "");
+  assert.ok(summarizeConversation(convo, "npc_a", { maxLength: 60 }).endsWith("..."));
+});
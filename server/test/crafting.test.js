@@ -0,0 +1,104 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { FORAGE_PER_DAY } from "../src/crafting.js";
+import { sellToShop, shopQuote } from "../src/shop.js";
+import {
+  MISSION_CHAIN,
+  applyMissionEvent,
+  craftForPlayer,
+  createPlayerFarmIfMissing,
+  createWorldState,
+  ensurePlayerMissionProgress,
+  forageForPlayer,
+  setPlayerDynamicMission,
+  takeMissionDelivery
+} from "../src/world.js";
+
+test("foraging finds in-season items in the right areas up to a daily limit", () => {
+  const world = createWorldState();
+  const farm = createPlayerFarmIfMissing(world, "p1");
+  world.dayNumber = 1;
+
+  assert.equal(forageForPlayer(world, "p1", "Town Square").message, "Nothing to forage here right now.");
+  assert.equal(forageForPlayer(world, "p1", "Dock", () => 0).item, "clam");
+  for (let i = 1; i < FORAGE_PER_DAY; i += 1) {
+    assert.equal(forageForPlayer(world, "p1", "Forest", () => 0.99).item, "wild_herb");
+  }
+  assert.equal(forageForPlayer(world, "p1", "Forest").ok, false);
+  assert.equal(farm.inventory.wild_herb, FORAGE_PER_DAY - 1);
+
+  world.dayNumber = 20;
+  assert.equal(forageForPlayer(world, "p1", "Forest", () => 0.99).item, "mushroom");
+});
+
+test("recipes need their station and every input, and craft several batches at once", () => {
+  const world = createWorldState();
+  const farm = createPlayerFarmIfMissing(world, "p1");
+  Object.assign(farm.inventory, { turnip: 3, carrot: 1, wild_herb: 4, pumpkin: 1, wild_berry: 1 });
+  const craft = (...args) => craftForPlayer(world, "p1", ...args);
+
+  assert.equal(craft("vegetable_soup", "Forest").message, "Vegetable Soup can only be made at home.");
+  assert.equal(craft("vegetable_soup", "home", 2).message, "You need 2 Carrot for that and have 1.");
+  assert.equal(craft("gold_bar", "home").message, "Unknown recipe.");
+
+  const soup = craft("vegetable_soup", "home");
+  assert.deepEqual(soup, { ok: true, message: "Made 1 Vegetable Soup.", item: "vegetable_soup", qty: 1 });
+  assert.deepEqual([farm.inventory.turnip, farm.inventory.carrot, farm.inventory.wild_herb], [2, 0, 3]);
+  assert.equal(craft("herb_tea", "home").qty, 2);
+
+  assert.equal(craft("pumpkin_pie", "home").message, "Pumpkin Pie can only be made in Market Street.");
+  assert.equal(craft("pumpkin_pie", "Market Street").ok, true);
+  assert.equal(farm.inventory.pumpkin_pie, 1);
+});
+
+test("stalls buy cooked goods and foraged items without moving crop prices", () => {
+  const world = createWorldState();
+  const farm = createPlayerFarmIfMissing(world, "p1");
+  const player = { playerId: "p1" };
+  farm.inventory.vegetable_soup = 2;
+  const coins = farm.coins;
+
+  const quote = shopQuote(world, "Businessman", player);
+  assert.deepEqual(quote.buys.find((entry) => entry.item === "vegetable_soup"), {
+    item: "vegetable_soup",
+    label: "Vegetable Soup",
+    price: 32,
+    wanted: 4
+  });
+  assert.ok(quote.buys.some((entry) => entry.item === "clam"));
+
+  const sold = sellToShop({ state: world, role: "Businessman", player, farm, item: "vegetable_soup", qty: 2 });
+  assert.equal(sold.message, "Sold 2 Vegetable Soup for 64 coins.");
+  assert.equal(farm.coins, coins + 64);
+  assert.equal(world.economy.flow.vegetable_soup, undefined);
+});
+
+test("craft and delivery objectives advance missions and hand over the goods", () => {
+  const world = createWorldState();
+  const farm = createPlayerFarmIfMissing(world, "p1");
+  const player = { playerId: "p1", missionProgress: null };
+  ensurePlayerMissionProgress(player);
+  player.missionProgress.index = MISSION_CHAIN.findIndex((mission) => mission.objectiveType === "craft_item");
+
+  assert.equal(applyMissionEvent(player, { type: "craft_item", item: "herb_tea", qty: 1 }).changed, true);
+  const crafted = applyMissionEvent(player, { type: "craft_item", item: "berry_jam", qty: 1 });
+  assert.equal(crafted.completedMission.objectiveType, "craft_item");
+  assert.equal(crafted.nextMission.objectiveType, "deliver_item");
+
+  assert.equal(takeMissionDelivery(world, player, "npc_artist"), null);
+  assert.equal(takeMissionDelivery(world, player, "npc_guard").message, "You have no cooked dish to hand over.");
+  farm.inventory.berry_jam = 2;
+  const delivery = takeMissionDelivery(world, player, "npc_guard");
+  assert.deepEqual(delivery, { ok: true, message: "Handed over 1 Berry Jam.", item: "berry_jam", qty: 1 });
+  assert.equal(farm.inventory.berry_jam, 1);
+  const delivered = applyMissionEvent(player, { type: "deliver_item", npcId: "npc_guard", item: "berry_jam", qty: 1 });
+  assert.equal(delivered.completedMission.id, "guard_rations");
+
+  player.missionProgress.index = MISSION_CHAIN.length;
+  setPlayerDynamicMission(player, { objectiveType: "deliver_item", targetItem: "herb_tea", targetCount: 2 });
+  assert.equal(player.missionProgress.dynamicMission, null);
+  setPlayerDynamicMission(player, { objectiveType: "craft_item", targetItem: "herb_tea", targetCount: 2 });
+  assert.equal(applyMissionEvent(player, { type: "craft_item", item: "berry_jam", qty: 1 }).changed, false);
+  const teaMade = applyMissionEvent(player, { type: "craft_item", item: "herb_tea", qty: 2 });
+  assert.equal(teaMade.completedMission.targetItem, "herb_tea");
+});
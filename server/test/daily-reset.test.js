@@ -46,3 +46,23 @@ test("runDailyRefreshPipeline skips story refresh when not needed", async () =>
   });
   assert.equal(storyCalls, 0);
 });
+
+test("runDailyRefreshPipeline runs memory consolidation and survives its failure", async () => {
+  let ticks = 0;
+  let consolidations = 0;
+  const results = await runDailyRefreshPipeline({
+    clearCaches: () => {},
+    shouldRefreshStoryArc: false,
+    refreshTownMission: async () => {},
+    consolidateMemories: async () => {
+      consolidations += 1;
+      throw new Error("db down");
+    },
+    onStepDone: () => {
+      ticks += 1;
+    }
+  });
+  assert.equal(consolidations, 1);
+  assert.equal(ticks, 2);
+  assert.equal(results.length, 2);
+});
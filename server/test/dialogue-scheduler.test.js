@@ -0,0 +1,89 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createDialogueScheduler, createNpcLocks } from "../src/dialogue-scheduler.js";
+import { createWorldState, tickNpcMovement } from "../src/world.js";
+
+function deferred() {
+  let resolve;
+  const promise = new Promise((r) => {
+    resolve = r;
+  });
+  return { promise, resolve };
+}
+
+test("npc locks are all-or-nothing and owner scoped", () => {
+  const locks = createNpcLocks();
+  assert.equal(locks.acquire(["a", "b"], "convo_1"), true);
+  assert.equal(locks.acquire(["b", "c"], "player:p1"), false);
+  assert.equal(locks.ownerOf("c"), null);
+  assert.equal(locks.acquire(["a"], "convo_1"), true);
+  assert.equal(locks.isFree("a"), false);
+  assert.equal(locks.isFree("a", "convo_1"), true);
+
+  locks.release(["a"], "player:p1");
+  assert.equal(locks.ownerOf("a"), "convo_1");
+  locks.release(["a"], "convo_1");
+  assert.deepEqual([...locks.heldIds()], ["b"]);
+  assert.deepEqual(locks.releaseAll("convo_1"), ["b"]);
+  assert.equal(locks.acquire([], "convo_2"), false);
+});
+
+test("scheduler runs disjoint dialogues at once and releases locks when they finish", async () => {
+  const locks = createNpcLocks();
+  const scheduler = createDialogueScheduler({ locks, maxConcurrent: 2 });
+  const first = deferred();
+  const second = deferred();
+
+  const jobA = scheduler.run("a", { kind: "group_conversation", npcIds: ["npc_1", "npc_2"] }, () => first.promise);
+  const jobB = scheduler.run("b", { kind: "npc_task", npcIds: ["npc_3", "npc_4"] }, () => second.promise);
+  assert.ok(jobA && jobB);
+  assert.equal(scheduler.size, 2);
+  assert.equal(scheduler.run("c", { npcIds: ["npc_5"] }, async () => {}), null);
+  assert.equal(scheduler.hasCapacity(), false);
+
+  first.resolve();
+  await jobA.promise;
+  assert.equal(locks.ownerOf("npc_1"), null);
+  assert.equal(scheduler.run("c", { npcIds: ["npc_3"] }, async () => {}), null);
+  assert.equal(locks.ownerOf("npc_3"), "b");
+
+  assert.equal(jobB.lock("npc_9"), true);
+  second.resolve();
+  await scheduler.drain();
+  assert.equal(scheduler.size, 0);
+  assert.deepEqual([...locks.heldIds()], []);
+});
+
+test("scheduler reports task errors and supports cancellation", async () => {
+  const errors = [];
+  const scheduler = createDialogueScheduler({
+    locks: createNpcLocks(),
+    onError: (err, job) => errors.push(`${job.kind}:${err.message}`)
+  });
+  const gate = deferred();
+  let sawCancel = false;
+  const job = scheduler.run("x", { kind: "npc_task", npcIds: ["npc_1"] }, async (self) => {
+    await gate.promise;
+    sawCancel = self.cancelled;
+    throw new Error("boom");
+  });
+  assert.equal(scheduler.cancel("x"), true);
+  assert.equal(scheduler.cancel("missing"), false);
+  gate.resolve();
+  await job.promise;
+  assert.equal(sawCancel, true);
+  assert.deepEqual(errors, ["npc_task:boom"]);
+});
+
+test("held NPCs stand still while the rest of the town keeps moving", () => {
+  const world = createWorldState();
+  const held = world.npcs[0];
+  const start = { x: held.x, y: held.y };
+  const others = world.npcs.slice(1).map((npc) => ({ x: npc.x, y: npc.y }));
+  for (let i = 0; i < 30; i += 1) {
+    tickNpcMovement(world, 1, { heldNpcIds: new Set([held.id]) });
+  }
+  assert.deepEqual({ x: held.x, y: held.y }, start);
+  assert.equal(held.vx, 0);
+  assert.ok(world.npcs.slice(1).some((npc, i) => npc.x !== others[i].x || npc.y !== others[i].y));
+});
@@ -0,0 +1,97 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  ECONOMY_HISTORY_DAYS,
+  applyMarketNarrative,
+  closeMarketDay,
+  createEconomyState,
+  liveCropPrice,
+  normalizeEconomyState,
+  recordMarketFlow
+} from "../src/economy.js";
+
+const CROPS = {
+  turnip: { label: "Turnip", sellPrice: 10 },
+  pumpkin: { label: "Pumpkin", sellPrice: 20, dailyDemand: 4 }
+};
+
+function closeDayWith(economy, dayNumber, sold = {}) {
+  for (const [cropType, qty] of Object.entries(sold)) recordMarketFlow(economy, cropType, "sold", qty);
+  return closeMarketDay(economy, CROPS, { dayNumber });
+}
+
+test("prices fall after a glut, rise when nobody sells and drift back toward the base price", () => {
+  const economy = createEconomyState(CROPS);
+  closeDayWith(economy, 2, { turnip: 30, pumpkin: 4 });
+  assert.equal(economy.cropPrices.turnip, 7.41);
+  assert.equal(economy.cropPrices.pumpkin, 20);
+  assert.equal(economy.demand.turnip, "low");
+  assert.equal(economy.mood, "glutted");
+  assert.equal(economy.note, "Turnip fell to 7 after 30 sold yesterday.");
+
+  closeDayWith(economy, 3, { turnip: 10, pumpkin: 4 });
+  assert.ok(economy.cropPrices.turnip > 7.41 && economy.cropPrices.turnip < 10);
+
+  const scarce = createEconomyState(CROPS);
+  closeDayWith(scarce, 2, { pumpkin: 4 });
+  assert.equal(scarce.cropPrices.turnip, 11.62);
+  assert.equal(scarce.note, "Turnip is scarce and up to 12.");
+
+  for (let day = 2; day < 20; day += 1) closeDayWith(economy, day, { turnip: 40, pumpkin: 4 });
+  assert.equal(economy.cropPrices.turnip, 4);
+});
+
+test("each sale today slides the live price and seed purchases count toward tomorrow's supply", () => {
+  const economy = createEconomyState(CROPS);
+  assert.equal(liveCropPrice(economy, CROPS, "pumpkin"), 20);
+  recordMarketFlow(economy, "pumpkin", "sold", 4);
+  assert.equal(liveCropPrice(economy, CROPS, "pumpkin"), 16);
+  recordMarketFlow(economy, "turnip", "bought", 20);
+  assert.equal(liveCropPrice(economy, CROPS, "turnip"), 10);
+
+  const closed = closeMarketDay(economy, CROPS, { dayNumber: 2 });
+  assert.deepEqual(closed, {
+    dayNumber: 1,
+    prices: { turnip: 10, pumpkin: 20 },
+    sold: { turnip: 0, pumpkin: 4 },
+    bought: { turnip: 20, pumpkin: 0 }
+  });
+  assert.equal(economy.cropPrices.turnip, 10);
+  assert.deepEqual(economy.flow.pumpkin, { sold: 0, bought: 0 });
+});
+
+test("narrative plans can only nudge prices within bounds once per day", () => {
+  const economy = createEconomyState(CROPS);
+  applyMarketNarrative(economy, CROPS, {
+    mood: "festive",
+    note: "Harvest fair drives pumpkin buying.",
+    shocks: { pumpkin: 0.9, turnip: -0.05, carrot: 0.1 }
+  });
+  assert.equal(economy.cropPrices.pumpkin, 23);
+  assert.equal(economy.cropPrices.turnip, 9.5);
+  assert.deepEqual(economy.shocks, { turnip: -0.05, pumpkin: 0.15 });
+  assert.equal(economy.note, "Harvest fair drives pumpkin buying.");
+
+  applyMarketNarrative(economy, CROPS, { shocks: { pumpkin: 0.15 } });
+  assert.equal(economy.cropPrices.pumpkin, 23);
+  assert.equal(economy.mood, "festive");
+});
+
+test("price history is capped and survives a save round trip", () => {
+  const economy = createEconomyState(CROPS);
+  for (let day = 2; day <= ECONOMY_HISTORY_DAYS + 5; day += 1) closeDayWith(economy, day, { turnip: day });
+  assert.equal(economy.history.length, ECONOMY_HISTORY_DAYS);
+  assert.equal(economy.history.at(-1).dayNumber, ECONOMY_HISTORY_DAYS + 4);
+
+  recordMarketFlow(economy, "turnip", "sold", 3);
+  const restored = normalizeEconomyState(JSON.parse(JSON.stringify(economy)), CROPS);
+  assert.deepEqual(restored.history, economy.history);
+  assert.deepEqual(restored.flow, economy.flow);
+  assert.deepEqual(restored.cropPrices, economy.cropPrices);
+  assert.equal(restored.dayNumber, economy.dayNumber);
+
+  const legacy = normalizeEconomyState({ cropPrices: { turnip: 999 }, demand: { turnip: "low" } }, CROPS, { dayNumber: 7 });
+  assert.equal(legacy.cropPrices.turnip, 25);
+  assert.equal(legacy.demand.turnip, "high");
+  assert.equal(legacy.dayNumber, 7);
+});
@@ -0,0 +1,154 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { AREAS, FARM_LOTS } from "../src/constants.js";
+import { NO_FREE_LOT_MESSAGE } from "../src/farm-layout.js";
+import { farmUpgradeOffers } from "../src/farm-upgrades.js";
+import {
+  applyFarmAction,
+  createPlayerFarmIfMissing,
+  createWorldState,
+  snapshotWorld,
+  startFarmDay,
+  tickFarmGrowth,
+  upgradeFarm
+} from "../src/world.js";
+
+function farmAction(world, ownerId, action, plotId, extra = {}) {
+  return applyFarmAction({ state: world, ownerId, action, plotId, ...extra });
+}
+
+test("each online player farms their own lot in Housing and saved farms are laid out again", () => {
+  const housing = AREAS.find((area) => area.name === "Housing");
+  for (const lot of FARM_LOTS) {
+    assert.ok(lot.x >= housing.x && lot.x + lot.w <= housing.x + housing.w, `${lot.id} is outside Housing`);
+    assert.ok(lot.y >= housing.y && lot.y + lot.h <= housing.y + housing.h, `${lot.id} is outside Housing`);
+  }
+
+  const world = createWorldState();
+  const ana = createPlayerFarmIfMissing(world, "ana");
+  world.players.set("s1", { playerId: "ana" });
+  const bo = createPlayerFarmIfMissing(world, "bo");
+  assert.notEqual(ana.lotId, bo.lotId);
+  assert.notDeepEqual(ana.plots[0], bo.plots[0]);
+  const lot = FARM_LOTS.find((entry) => entry.id === bo.lotId);
+  assert.ok(bo.plots.every((plot) => plot.x > lot.x && plot.x < lot.x + lot.w && plot.y > lot.y && plot.y < lot.y + lot.h));
+
+  world.players.set("s2", { playerId: "bo" });
+  world.farms.set("cy", {
+    home: { x: 680, y: 220 },
+    lotId: ana.lotId,
+    plots: [{ id: 5, x: 642, y: 292, state: "growing", cropType: "carrot", growth: 40, water: 50 }],
+    inventory: {},
+    coins: 0
+  });
+  const cy = createPlayerFarmIfMissing(world, "cy");
+  assert.ok(![ana.lotId, bo.lotId].includes(cy.lotId));
+  assert.equal(cy.plots.length, 9);
+  assert.deepEqual(
+    { col: cy.plots[4].col, row: cy.plots[4].row, state: cy.plots[4].state, growth: cy.plots[4].growth },
+    { col: 1, row: 1, state: "growing", growth: 40 }
+  );
+});
+
+test("a player who finds every lot taken waits without a field until one frees up", () => {
+  const world = createWorldState();
+  FARM_LOTS.forEach((lot, i) => {
+    createPlayerFarmIfMissing(world, `p${i}`);
+    world.players.set(`s${i}`, { playerId: `p${i}` });
+  });
+  const late = createPlayerFarmIfMissing(world, "late");
+  const claimed = new Set([...world.farms.values()].map((farm) => farm.lotId));
+  assert.equal(claimed.size, FARM_LOTS.length + 1);
+  assert.equal(late.lotId, null);
+  assert.equal(farmAction(world, "late", "till", 1).message, NO_FREE_LOT_MESSAGE);
+  assert.equal(upgradeFarm(world, "late", "land").message, NO_FREE_LOT_MESSAGE);
+  world.players.set("s_late", { playerId: "late" });
+  assert.deepEqual(snapshotWorld(world, "s_late").farm.plots, []);
+
+  const leaving = world.farms.get("p2").lotId;
+  world.players.delete("s2");
+  assert.equal(createPlayerFarmIfMissing(world, "late").lotId, leaving);
+  assert.equal(late.plots.length, 9);
+});
+
+test("farm upgrades cost coins, stop at the top tier and grow the field in place", () => {
+  const world = createWorldState();
+  const farm = createPlayerFarmIfMissing(world, "p1");
+  farm.plots[8].state = "tilled";
+  farm.coins = 100;
+  assert.deepEqual(upgradeFarm(world, "p1", "land"), { ok: false, message: "You need 120 coins for that." });
+
+  farm.coins = 1000;
+  assert.equal(upgradeFarm(world, "p1", "land").message, "Bought Clear land to 4x3 for 120 coins.");
+  assert.equal(farm.plots.length, 12);
+  assert.equal(farm.plots.find((plot) => plot.col === 2 && plot.row === 2).state, "tilled");
+  assert.equal(upgradeFarm(world, "p1", "land").ok, true);
+  assert.equal(farm.plots.length, 16);
+  assert.equal(upgradeFarm(world, "p1", "land").message, "Your farm is as big as it gets.");
+  assert.equal(upgradeFarm(world, "p1", "tractor").message, "That upgrade is not on offer.");
+  assert.equal(farm.coins, 680);
+  assert.deepEqual(
+    farmUpgradeOffers(farm).map((offer) => offer.item),
+    ["can", "hoe", "sprinkler", "scarecrow"]
+  );
+});
+
+test("the watering can runs dry until refilled and a better hoe tills more plots", () => {
+  const world = createWorldState();
+  const farm = createPlayerFarmIfMissing(world, "p1");
+  farm.coins = 1000;
+  for (const plot of farm.plots) {
+    Object.assign(plot, { state: "growing", cropType: "turnip" });
+  }
+  for (let i = 1; i <= 5; i += 1) assert.equal(farmAction(world, "p1", "water", i).ok, true);
+  assert.deepEqual(farmAction(world, "p1", "water", 6), { ok: false, message: "Your watering can is empty. Refill it." });
+  assert.equal(farmAction(world, "p1", "refill", 6).message, "Refilled your watering can (5 uses).");
+  upgradeFarm(world, "p1", "can");
+  assert.equal(farm.tools.water, 10);
+  assert.equal(farmAction(world, "p1", "refill", 6).message, "Your watering can is already full.");
+
+  for (const plot of farm.plots) {
+    Object.assign(plot, { state: "empty", cropType: null });
+  }
+  assert.equal(farmAction(world, "p1", "till", 5).message, "Tilled plot 5.");
+  upgradeFarm(world, "p1", "hoe");
+  assert.equal(farmAction(world, "p1", "till", 2).message, "Tilled 3 plots.");
+  upgradeFarm(world, "p1", "hoe");
+  assert.equal(farmAction(world, "p1", "till", 9).message, "Tilled 3 plots.");
+  assert.deepEqual(
+    farm.plots.filter((plot) => plot.state === "tilled").map((plot) => plot.id),
+    [1, 2, 3, 5, 6, 8, 9]
+  );
+});
+
+test("sprinklers water the plots around them and scarecrows keep crows off", () => {
+  const world = createWorldState();
+  const farm = createPlayerFarmIfMissing(world, "p1");
+  farm.coins = 1000;
+  assert.deepEqual(farmAction(world, "p1", "place", 5, { objectType: "sprinkler" }), {
+    ok: false,
+    message: "You have no Sprinkler. Order one from your farm panel."
+  });
+  upgradeFarm(world, "p1", "sprinkler");
+  upgradeFarm(world, "p1", "scarecrow");
+  assert.equal(farmAction(world, "p1", "place", 5, { objectType: "sprinkler" }).message, "Placed a Sprinkler on plot 5.");
+  assert.equal(farmAction(world, "p1", "till", 5).message, "Pick up the Sprinkler first.");
+  assert.equal(farmAction(world, "p1", "place", 9, { objectType: "scarecrow" }).ok, true);
+  assert.equal(farm.inventory.sprinkler, 0);
+
+  for (const id of [1, 3, 7]) {
+    Object.assign(farm.plots[id - 1], { state: "growing", cropType: "turnip", growth: 60, water: 0 });
+  }
+  tickFarmGrowth(world, 1);
+  assert.ok(farm.plots[0].water > 99);
+  assert.ok(farm.plots[6].water > 99);
+  const crops = farm.plots.filter((plot) => plot.cropType);
+  for (const plot of crops) plot.growth = 60;
+
+  startFarmDay(world, () => 0);
+  assert.deepEqual(crops.map((plot) => plot.growth), [60, 60, 60]);
+  assert.equal(farmAction(world, "p1", "pickup", 9).message, "Picked up the Scarecrow.");
+  startFarmDay(world, () => 0);
+  assert.deepEqual(crops.map((plot) => plot.growth), [30, 30, 30]);
+  assert.equal(farm.inventory.scarecrow, 1);
+});
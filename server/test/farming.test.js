@@ -0,0 +1,92 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { dayOfSeason, growPlot, harvestYield, isCropInSeason, rollDailyWeather, seasonForDay } from "../src/farming.js";
+import { CROP_CONFIG } from "../src/constants.js";
+import { applyFarmAction, createPlayerFarmIfMissing, createWorldState, startFarmDay, tickFarmGrowth } from "../src/world.js";
+
+function plantedPlot(cropType, extra = {}) {
+  return { id: 1, state: "seeded", cropType, growth: 0, water: 35, soil: 100, health: 100, dryMinutes: 0, ...extra };
+}
+
+test("seasons follow the day number and gate which crops can be sown", () => {
+  assert.equal(seasonForDay(1), "spring");
+  assert.equal(seasonForDay(8), "summer");
+  assert.equal(seasonForDay(22), "winter");
+  assert.equal(seasonForDay(29), "spring");
+  assert.equal(dayOfSeason(10), 3);
+  assert.equal(isCropInSeason(CROP_CONFIG.pumpkin, "spring"), false);
+  assert.equal(rollDailyWeather("summer", () => 0.01), "storm");
+  assert.equal(rollDailyWeather("summer", () => 0.2), "rain");
+  assert.equal(rollDailyWeather("summer", () => 0.9), "clear");
+
+  const world = createWorldState();
+  const farm = createPlayerFarmIfMissing(world, "p1");
+  const act = (action, cropType) => applyFarmAction({ state: world, ownerId: "p1", action, plotId: 1, cropType });
+  assert.equal(act("till").ok, true);
+  assert.deepEqual(act("sow", "pumpkin"), { ok: false, message: "Pumpkin won't take in spring." });
+  world.dayNumber = 8;
+  assert.equal(act("sow", "pumpkin").ok, true);
+  assert.equal(farm.inventory.pumpkin_seed, 2);
+});
+
+test("growth slows with poor soil and out of season, and rain waters the field", () => {
+  const carrot = CROP_CONFIG.carrot;
+  const rich = growPlot(plantedPlot("carrot"), carrot, { deltaMinutes: 10, season: "spring", weather: "rain" });
+  assert.equal(rich.water, 100);
+  assert.equal(rich.growth, 10);
+  const poor = growPlot(plantedPlot("carrot", { soil: 0 }), carrot, { deltaMinutes: 10, season: "spring", weather: "rain" });
+  assert.equal(poor.growth, 5);
+  const late = growPlot(plantedPlot("carrot"), carrot, { deltaMinutes: 10, season: "winter", weather: "rain" });
+  assert.equal(late.growth, 2.5);
+
+  const ready = plantedPlot("carrot", { state: "ready", growth: carrot.growMinutes });
+  growPlot(ready, carrot, { deltaMinutes: 100, season: "spring", weather: "storm" });
+  assert.equal(ready.state, "ready");
+  assert.equal(ready.health, 85);
+});
+
+test("crops left dry too long wither and have to be cleared", () => {
+  const world = createWorldState();
+  const farm = createPlayerFarmIfMissing(world, "p1");
+  const plot = farm.plots[0];
+  const act = (action, cropType) => applyFarmAction({ state: world, ownerId: "p1", action, plotId: plot.id, cropType });
+  act("till");
+  assert.equal(act("sow", "turnip").ok, true);
+
+  tickFarmGrowth(world, 175);
+  assert.equal(plot.water, 0);
+  assert.equal(plot.state, "growing");
+  tickFarmGrowth(world, CROP_CONFIG.turnip.witherMinutes);
+  assert.equal(plot.state, "withered");
+  assert.deepEqual(act("water"), { ok: false, message: "This crop has withered. Clear it first." });
+  assert.deepEqual(act("harvest"), { ok: true, message: "Cleared the withered Turnip from plot 1." });
+  assert.equal(plot.state, "empty");
+  assert.equal(farm.inventory.turnip, 0);
+});
+
+test("harvests use up soil that fertilizer and fallow days restore", () => {
+  const world = createWorldState();
+  const farm = createPlayerFarmIfMissing(world, "p1");
+  const plot = farm.plots[0];
+  const act = (action) => applyFarmAction({ state: world, ownerId: "p1", action, plotId: plot.id, cropType: "turnip" });
+
+  const worn = plantedPlot("carrot", { soil: 30, health: 40 });
+  assert.equal(harvestYield(worn, CROP_CONFIG.carrot, () => 0.99), 2);
+  assert.equal(worn.soil, 18);
+
+  assert.deepEqual(act("fertilize"), { ok: false, message: "Soil in plot 1 is already rich." });
+  plot.soil = 20;
+  assert.equal(act("fertilize").message, "Fertilized plot 1. Soil is at 60.");
+  assert.equal(act("fertilize").ok, true);
+  assert.equal(farm.inventory.fertilizer, 0);
+  assert.equal(act("fertilize").message, "No fertilizer left. Buy more at the market.");
+
+  plot.soil = 50;
+  farm.plots[1].soil = 50;
+  farm.plots[1].state = "growing";
+  farm.plots[1].cropType = "turnip";
+  assert.equal(startFarmDay(world, () => 0.99), "clear");
+  assert.equal(world.weather, "clear");
+  assert.equal(plot.soil, 65);
+  assert.equal(farm.plots[1].soil, 50);
+});
@@ -0,0 +1,101 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  FAVOR_RELATION_BONUS,
+  friendshipTier,
+  heartEventLines,
+  markHeartEvent,
+  nextHeartEvent,
+  noteFriendshipTier,
+  relationshipList,
+  relationshipTone,
+  setRelationshipScores,
+  settleFavor
+} from "../src/friendship.js";
+import { createPlayerFarmIfMissing, createWorldState, missionRewardCoins } from "../src/world.js";
+
+const mira = { id: "npc_herbalist", name: "Mira", role: "Herbalist" };
+const rook = { id: "npc_guard", name: "Rook", role: "Town Guard" };
+
+test("relationship scores map to friendship tiers and each tier-up is noted once", () => {
+  assert.deepEqual(friendshipTier(0), { id: "stranger", label: "Stranger", level: 1, hearts: 0, nextAt: 5 });
+  assert.equal(friendshipTier(-25).id, "estranged");
+  assert.equal(friendshipTier(16).hearts, 2);
+  assert.equal(friendshipTier(80).nextAt, null);
+
+  const player = {};
+  assert.equal(noteFriendshipTier(player, mira.id, 3), null);
+  assert.equal(noteFriendshipTier(player, mira.id, 6).id, "acquaintance");
+  assert.equal(noteFriendshipTier(player, mira.id, 7), null);
+  assert.equal(noteFriendshipTier(player, mira.id, 2), null);
+  assert.equal(noteFriendshipTier(player, mira.id, 6), null);
+  assert.equal(noteFriendshipTier(player, mira.id, 31).id, "close_friend");
+  assert.deepEqual(player.friendship.tiers, { npc_herbalist: "close_friend" });
+});
+
+test("heart events unlock by tier, prefer the NPC's own events and fire once", () => {
+  const player = {};
+  assert.equal(nextHeartEvent(player, mira, 4), null);
+
+  const first = nextHeartEvent(player, mira, 20);
+  assert.equal(first.id, "warming_up");
+  assert.deepEqual(heartEventLines(first, "Ana")[0], "You keep turning up, Ana. I've started to look forward to it.");
+  markHeartEvent(player, mira, first, 3);
+  assert.equal(nextHeartEvent(player, mira, 20).id, "mira_remedy");
+  assert.equal(nextHeartEvent(player, mira, 20, ["scene"]), null);
+  assert.equal(nextHeartEvent(player, rook, 20).id, "warming_up");
+  assert.equal(nextHeartEvent(player, mira, 35, ["visit"]).id, "door_knock");
+});
+
+test("favors wait for the items, pay out once and show in the relationship list", () => {
+  const world = createWorldState();
+  const farm = createPlayerFarmIfMissing(world, "p1");
+  const player = { playerId: "p1" };
+  assert.equal(settleFavor({ player, farm, npc: mira }), null);
+
+  markHeartEvent(player, mira, nextHeartEvent(player, mira, 20, ["favor"]), 4);
+  assert.equal(nextHeartEvent(player, mira, 20, ["favor"]), null);
+  setRelationshipScores(player, [{ npc_id: mira.id, score: 20 }]);
+  const [entry] = relationshipList([mira, rook], player);
+  assert.deepEqual(entry.favor, { title: "Mira's Remedy", item: "wild_herb", label: "Wild Herb", qty: 3 });
+  assert.equal(entry.label, "Friend");
+  assert.equal(entry.eventsSeen, 1);
+
+  farm.inventory.wild_herb = 2;
+  assert.equal(settleFavor({ player, farm, npc: mira }).message, "Mira is still waiting on 3 Wild Herb (you have 2).");
+  farm.inventory.wild_herb = 4;
+  const coins = farm.coins;
+  const done = settleFavor({ player, farm, npc: mira });
+  assert.equal(done.message, "Mira's Remedy: gave Mira 3 Wild Herb and got 30 coins.");
+  assert.equal(done.relationDelta, FAVOR_RELATION_BONUS);
+  assert.equal(farm.inventory.wild_herb, 1);
+  assert.equal(farm.coins, coins + 30);
+  assert.equal(settleFavor({ player, farm, npc: mira }), null);
+  assert.equal(relationshipList([rook], player)[0].score, 0);
+});
+
+test("relationship scores set the dialogue tone and scale mission rewards for the NPCs involved", () => {
+  const world = createWorldState();
+  const player = {};
+  assert.deepEqual(relationshipTone(player, mira), { score: 0, tier: "Stranger", warmth: "polite", trust: "guarded" });
+
+  setRelationshipScores(player, [
+    { npc_id: mira.id, score: 36 },
+    { npc_id: rook.id, score: -20 }
+  ]);
+  assert.equal(relationshipTone(player, mira).trust, "trusting");
+  markHeartEvent(player, mira, nextHeartEvent(player, mira, 36, ["scene"]), 2);
+  assert.deepEqual(relationshipTone(player, mira), {
+    score: 36,
+    tier: "Close Friend",
+    warmth: "affectionate",
+    trust: "confiding"
+  });
+  assert.equal(relationshipTone(player, rook).trust, "distrustful");
+
+  const deliver = { objectiveType: "deliver_item", targetCount: 3, targetNpcId: mira.id };
+  assert.equal(missionRewardCoins(world, deliver), 10);
+  assert.equal(missionRewardCoins(world, deliver, player), 11);
+  assert.equal(missionRewardCoins(world, { ...deliver, targetNpcId: rook.id }, player), 9);
+  assert.equal(missionRewardCoins(world, { objectiveType: "talk_role", targetRole: "Herbalist" }, player), 6);
+});
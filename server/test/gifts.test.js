@@ -0,0 +1,51 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { NPC_SEEDS } from "../src/constants.js";
+import { GIFT_REACTIONS, giftMemoryLine, giftTaste, giveGift } from "../src/gifts.js";
+
+const npc = (id) => NPC_SEEDS.find((seed) => seed.id === id);
+
+test("gift tastes come from traits and the role, with the role winning", () => {
+  assert.equal(giftTaste(npc("npc_herbalist"), "herb_tea"), "loved");
+  assert.equal(giftTaste(npc("npc_blacksmith"), "herb_tea"), "disliked");
+  assert.equal(giftTaste(npc("npc_shop_owner"), "carrot_seed"), "liked");
+  assert.equal(giftTaste(npc("npc_artist"), "clam"), "disliked");
+  assert.equal(giftTaste(npc("npc_artist"), "mushroom"), "liked");
+  assert.equal(giftTaste(npc("npc_fisherman"), "mushroom"), "disliked");
+  assert.equal(giftTaste(npc("npc_guard"), "fertilizer"), "neutral");
+});
+
+test("giving takes one item, reports the reaction and allows one gift per NPC a day", () => {
+  const farm = { inventory: { herb_tea: 2, turnip: 0 } };
+  const mira = npc("npc_herbalist");
+  const doran = npc("npc_blacksmith");
+
+  assert.equal(giveGift({ farm, npc: mira, item: "turnip", dayNumber: 4 }).message, "You have no Turnip to give.");
+  const loved = giveGift({ farm, npc: mira, item: "herb_tea", dayNumber: 4 });
+  assert.deepEqual(loved, {
+    ok: true,
+    message: "Mira loves the Herb Tea!",
+    item: "herb_tea",
+    label: "Herb Tea",
+    taste: "loved",
+    relationDelta: GIFT_REACTIONS.loved.relation,
+    reputationDelta: GIFT_REACTIONS.loved.reputation,
+    importance: GIFT_REACTIONS.loved.importance
+  });
+  assert.equal(farm.inventory.herb_tea, 1);
+
+  farm.inventory.herb_tea = 3;
+  const again = giveGift({ farm, npc: mira, item: "herb_tea", dayNumber: 4 });
+  assert.equal(again.message, "Mira already had a gift from you today.");
+  const disliked = giveGift({ farm, npc: doran, item: "herb_tea", dayNumber: 4 });
+  assert.equal(disliked.message, "Doran doesn't care for the Herb Tea.");
+  assert.ok(disliked.relationDelta < 0 && disliked.reputationDelta < 0);
+  assert.equal(giveGift({ farm, npc: mira, item: "herb_tea", dayNumber: 5 }).ok, true);
+  assert.equal(farm.inventory.herb_tea, 1);
+  assert.deepEqual(farm.giftsGiven, { dayNumber: 5, npcIds: ["npc_herbalist"] });
+});
+
+test("gift memories name the giver and how the gift landed", () => {
+  assert.equal(giftMemoryLine("Ana", "Herb Tea", "loved"), "Ana gave me Herb Tea. I loved it; they know what I like.");
+  assert.equal(giftMemoryLine("", "Clam", "disliked"), "A traveler gave me Clam. I did not care for it.");
+});
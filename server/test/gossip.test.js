@@ -0,0 +1,120 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  GOSSIP_MIN_FIDELITY,
+  expireGossip,
+  gossipAttitudeDelta,
+  gossipClaim,
+  gossipReport,
+  gossipText,
+  gossipToShare,
+  passGossip,
+  recordGossip,
+  setGossipState,
+  spreadGossipOvernight
+} from "../src/gossip.js";
+import { bumpNpcRelation, createWorldState } from "../src/world.js";
+
+function insultWorld() {
+  const world = createWorldState();
+  const fact = recordGossip(world, {
+    originNpcId: "npc_guard",
+    originMemoryId: 41,
+    kind: "insult",
+    subject: { id: "p1", name: "Ana" },
+    ...gossipClaim("insult", "Ana", "Rook"),
+    detail: '"shut up, guard"',
+    importance: 7,
+    dayNumber: 3
+  });
+  return { world, fact };
+}
+
+test("gossip passes between NPCs who get along and loses fidelity with each hop", () => {
+  const { world, fact } = insultWorld();
+  assert.equal(fact.id, "gossip_41");
+  assert.equal(fact.claim, "Ana insulted Rook");
+  assert.equal(fact.weight, -4);
+
+  bumpNpcRelation(world, "npc_guard", "npc_herbalist", -3, "argument");
+  assert.equal(gossipToShare(world, "npc_guard", "npc_herbalist"), null);
+  assert.equal(gossipToShare(world, "npc_herbalist", "npc_artist"), null);
+  assert.equal(gossipToShare(world, "npc_guard", "npc_artist"), fact);
+
+  const first = passGossip(world, fact, "npc_guard", "npc_artist", 3);
+  assert.deepEqual(first, { hop: 1, fidelity: 0.75, from: "npc_guard", dayNumber: 3, memoryId: null });
+  assert.equal(passGossip(world, fact, "npc_guard", "npc_artist", 3), null);
+  assert.equal(gossipToShare(world, "npc_guard", "npc_artist"), null);
+
+  bumpNpcRelation(world, "npc_artist", "npc_devotee", 10, "old friends");
+  const second = passGossip(world, fact, "npc_artist", "npc_devotee", 3);
+  assert.equal(second.hop, 2);
+  assert.equal(second.fidelity, 0.68);
+  const third = passGossip(world, fact, "npc_devotee", "npc_fisherman", 4);
+  const fourth = passGossip(world, fact, "npc_fisherman", "npc_blacksmith", 4);
+  assert.equal(third.fidelity, 0.51);
+  assert.equal(fourth.fidelity, 0.38);
+  assert.equal(passGossip(world, fact, "npc_blacksmith", "npc_politician", 4), null);
+  assert.ok(fourth.fidelity >= GOSSIP_MIN_FIDELITY);
+
+  const own = gossipText(fact, fact.knownBy.npc_guard);
+  assert.equal(own, 'I know for a fact that Ana insulted Rook ("shut up, guard").');
+  assert.equal(gossipText(fact, first, "Rook"), 'Rook told me Ana insulted Rook ("shut up, guard").');
+  assert.equal(gossipText(fact, third, "Elen"), "Word going around is that Ana insulted Rook.");
+  const vague = gossipText(fact, fourth, "Bram");
+  assert.equal(vague, "Someone mentioned Ana caused some trouble, but I don't know the details.");
+  assert.equal(gossipAttitudeDelta(fact, first.fidelity), -1);
+  assert.equal(gossipAttitudeDelta({ ...fact, weight: 5 }, first.fidelity), 2);
+  assert.equal(gossipAttitudeDelta({ ...fact, subject: null }, 1), 0);
+});
+
+test("overnight gossip spreads one hop along friendships and traces back to the origin memory", () => {
+  const { world, fact } = insultWorld();
+  bumpNpcRelation(world, "npc_guard", "npc_blacksmith", 4, "drinking buddies");
+  bumpNpcRelation(world, "npc_blacksmith", "npc_herbalist", 2, "neighbours");
+  bumpNpcRelation(world, "npc_guard", "npc_artist", 1, "nodding terms");
+
+  const night = spreadGossipOvernight(world, 4);
+  assert.deepEqual(
+    night.map((entry) => [entry.tellerId, entry.listenerId]),
+    [["npc_guard", "npc_blacksmith"]]
+  );
+  const next = spreadGossipOvernight(world, 5);
+  assert.deepEqual(
+    next.map((entry) => [entry.tellerId, entry.listenerId]),
+    [["npc_blacksmith", "npc_herbalist"]]
+  );
+
+  const [report] = gossipReport(world);
+  assert.equal(report.originMemoryId, 41);
+  const chain = report.knowers.find((knower) => knower.at(-1).npcId === "npc_herbalist");
+  assert.deepEqual(
+    chain.map((link) => [link.npcId, link.hop]),
+    [
+      ["npc_guard", 0],
+      ["npc_blacksmith", 1],
+      ["npc_herbalist", 2]
+    ]
+  );
+  assert.equal(chain[0].memoryId, 41);
+  assert.equal(fact.knownBy.npc_herbalist.fidelity, 0.63);
+});
+
+test("saved gossip is sanitized on load and expires after a week", () => {
+  const { world, fact } = insultWorld();
+  passGossip(world, fact, "npc_guard", "npc_artist", 3);
+  const saved = JSON.parse(JSON.stringify(world.gossip));
+  saved.push({ id: "broken", originNpcId: "npc_guard", claim: "", knownBy: {} });
+  saved[0].knownBy.npc_fisherman = { hop: 5, fidelity: 0.1, from: "npc_artist" };
+
+  const restored = createWorldState();
+  setGossipState(restored, saved);
+  assert.equal(restored.gossip.length, 1);
+  assert.deepEqual(Object.keys(restored.gossip[0].knownBy), ["npc_guard", "npc_artist"]);
+  assert.equal(restored.gossip[0].originMemoryId, 41);
+  assert.equal(restored.gossip[0].about, "Ana");
+
+  assert.equal(expireGossip(restored, 9), 0);
+  assert.equal(expireGossip(restored, 10), 1);
+  assert.deepEqual(restored.gossip, []);
+});
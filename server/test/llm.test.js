@@ -0,0 +1,187 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { DialogueService, streamedLineText } from "../src/dialogue.js";
+import {
+  createLlmRouter,
+  createLlmRouterFromEnv,
+  createOpenAICompatibleProvider,
+  createScriptedProvider
+} from "../src/llm.js";
+
+test("router resolves provider and model per method", async () => {
+  const cheap = createScriptedProvider({ responses: { "*": "cheap" } });
+  const smart = createScriptedProvider({ responses: { "*": "smart" } });
+  const router = createLlmRouter({
+    providers: { cheap, smart },
+    defaultProvider: "cheap",
+    defaultModel: "base-model",
+    methodProviders: { generateStoryArc: "smart" },
+    methodModels: { generateStoryArc: "big-model", analyzeRelationshipShift: "tiny-model" }
+  });
+
+  assert.equal(await router.complete("generateStoryArc", []), "smart");
+  assert.equal(await router.complete("analyzeRelationshipShift", []), "cheap");
+  assert.equal(smart.calls[0].model, "big-model");
+  assert.equal(cheap.calls[0].model, "tiny-model");
+  assert.equal(router.route("generateNpcLine").model, "scripted");
+  assert.equal(createLlmRouter().available("generateNpcLine"), false);
+});
+
+test("scripted provider replays queued responses deterministically", async () => {
+  const provider = createScriptedProvider({
+    responses: { generateNpcLine: ["first", { line: "second" }] }
+  });
+  const ask = () => provider.complete({ method: "generateNpcLine", model: "m", input: [] });
+
+  assert.equal(await ask(), "first");
+  assert.equal(await ask(), '{"line":"second"}');
+  assert.equal(await ask(), '{"line":"second"}');
+  assert.equal(await provider.complete({ method: "other", input: [] }), "");
+});
+
+test("openai-compatible provider posts chat messages and reads the first choice", async () => {
+  let request = null;
+  const provider = createOpenAICompatibleProvider({
+    baseUrl: "http://127.0.0.1:11434/v1/",
+    defaultModel: "llama3",
+    fetchImpl: async (url, init) => {
+      request = { url, body: JSON.parse(init.body) };
+      return { ok: true, json: async () => ({ choices: [{ message: { content: "hello" } }] }) };
+    }
+  });
+
+  const text = await provider.complete({
+    model: "llama3",
+    input: [
+      { role: "system", content: "rules" },
+      { role: "developer", content: "format" },
+      { role: "user", content: "hi" }
+    ]
+  });
+
+  assert.equal(text, "hello");
+  assert.equal(request.url, "http://127.0.0.1:11434/v1/chat/completions");
+  assert.deepEqual(
+    request.body.messages.map((m) => m.role),
+    ["system", "system", "user"]
+  );
+});
+
+test("openai-compatible provider streams server-sent deltas", async () => {
+  const encoder = new TextEncoder();
+  const events = [
+    'data: {"choices":[{"delta":{"content":"Good "}}]}\n\ndata: {"choices":[{"del',
+    'ta":{"content":"morning"}}]}\n\n',
+    ": keep-alive\n\ndata: [DONE]\n\n"
+  ];
+  let request = null;
+  const provider = createOpenAICompatibleProvider({
+    baseUrl: "http://127.0.0.1:11434/v1",
+    fetchImpl: async (url, init) => {
+      request = JSON.parse(init.body);
+      return { ok: true, body: events.map((chunk) => encoder.encode(chunk)) };
+    }
+  });
+
+  const deltas = [];
+  for await (const delta of provider.stream({ model: "llama3", input: [] })) deltas.push(delta);
+  assert.deepEqual(deltas, ["Good ", "morning"]);
+  assert.equal(request.stream, true);
+});
+
+test("streamed npc lines show the line field as it arrives and reconcile the rest at the end", async () => {
+  assert.equal(streamedLineText('{"line": "Mind the \\"nets\\", fri'), 'Mind the "nets", fri');
+  assert.equal(streamedLineText('```json\n{"emo'), "");
+  assert.equal(streamedLineText("Plain words"), "Plain words");
+
+  const scripted = createScriptedProvider({
+    responses: {
+      generateNpcLine: { line: "Nets are torn again, sadly.", emotion: "tired", memoryWrite: "Complained about nets." }
+    }
+  });
+  const service = new DialogueService({
+    llm: createLlmRouter({ providers: { scripted }, defaultProvider: "scripted" })
+  });
+  const request = {
+    speaker: { name: "Maris", role: "Fisherman", traits: ["calm"], area: "Dock" },
+    target: { name: "Ana", role: "Visitor" },
+    worldContext: { timeLabel: "06:00", weather: "fog", rumorOfTheDay: "none" },
+    memories: []
+  };
+
+  const shown = [];
+  const line = await service.streamNpcLine(request, { onText: (text) => shown.push(text) });
+  assert.ok(shown.length > 2);
+  assert.equal(shown[0], "Nets");
+  assert.equal(shown.at(-1), "Nets are torn again, sadly.");
+  assert.deepEqual(line, { line: "Nets are torn again, sadly.", emotion: "tired", memoryWrite: "Complained about nets." });
+
+  const controller = new AbortController();
+  const partial = [];
+  const cancelled = await service.streamNpcLine(request, {
+    signal: controller.signal,
+    onText: (text) => {
+      partial.push(text);
+      controller.abort();
+    }
+  });
+  assert.equal(cancelled, null);
+  assert.deepEqual(partial, ["Nets"]);
+});
+
+test("env config picks the local provider when no OpenAI key is set and rejects unknown providers", () => {
+  const router = createLlmRouterFromEnv({
+    LLM_LOCAL_BASE_URL: "http://localhost:8080/v1",
+    LLM_LOCAL_MODEL: "qwen",
+    LLM_METHOD_MODELS: "generateStoryArc=qwen-large"
+  });
+  assert.equal(router.route("generateNpcLine").providerName, "local");
+  assert.equal(router.route("generateNpcLine").model, "qwen");
+  assert.equal(router.route("generateStoryArc").model, "qwen-large");
+  assert.equal(createLlmRouterFromEnv({}).available("generateNpcLine"), false);
+  assert.throws(() => createLlmRouterFromEnv({ LLM_PROVIDER: "mystery" }));
+  assert.throws(() => createLlmRouterFromEnv({ LLM_PROVIDER: "scripted" }), /requires LLM_SCRIPT_PATH/);
+  assert.throws(
+    () => createLlmRouterFromEnv({ LLM_METHOD_PROVIDERS: "generateNpcLine=scripted" }),
+    /requires LLM_SCRIPT_PATH/
+  );
+  assert.throws(() => createLlmRouterFromEnv({ LLM_METHOD_PROVIDERS: "generateNpcLine=mystery" }));
+});
+
+test("dialogue generators use the scripted provider and fall back when it is unavailable", async () => {
+  const scripted = createScriptedProvider({
+    responses: {
+      generateNpcLine: { line: "Fresh bread at dawn, friend.", emotion: "happy", memoryWrite: "Talked bread." },
+      generateEconomyPlan: new Error("offline")
+    }
+  });
+  const service = new DialogueService({
+    llm: createLlmRouter({ providers: { scripted }, defaultProvider: "scripted" })
+  });
+  const speaker = { name: "Tessa", role: "Shop Owner", traits: ["warm"], area: "Market Street" };
+  const target = { name: "Ivo", role: "Artist" };
+  const worldContext = { timeLabel: "08:00", weather: "clear", rumorOfTheDay: "none", dayNumber: 2 };
+
+  const line = await service.generateNpcLine({ speaker, target, worldContext, memories: [] });
+  assert.equal(line.line, "Fresh bread at dawn, friend.");
+  assert.equal(line.emotion, "happy");
+  const relationship = "Friend (score 18), warmth: warm, trust: open";
+  const prompt = service.npcLineMessages({ speaker, target, worldContext, memories: [], relationship }).at(-1);
+  assert.match(prompt.content, /Relationship with target: Friend \(score 18\), warmth: warm, trust: open/);
+
+  const plan = await service.generateEconomyPlan({ worldContext, townLog: [], cropTypes: ["turnip"] });
+  assert.deepEqual(plan, { mood: "", note: "", missionRewardMultiplier: 1, shocks: {} });
+
+  const offline = new DialogueService();
+  const offlineLine = await offline.generateNpcLine({ speaker, target, worldContext, memories: [] });
+  assert.ok(offlineLine.line.length > 0);
+
+  const rumors = [{ claim: "Rook sleeps on night watch", subject: "Rook", status: "circulating", heat: 5 }];
+  const questSignals = { urgency: 2, rumorSubject: { kind: "npc", id: "npc_guard", name: "Rook" }, rumors };
+  const mission = await offline.generateStoryMission({ worldContext, questSignals });
+  assert.equal(mission.objectiveType, "talk_npc");
+  assert.equal(mission.targetNpcName, "Rook");
+  assert.equal(mission.whyNow, "Folks keep saying Rook sleeps on night watch.");
+  const quiet = await offline.generateStoryMission({ worldContext, questSignals: { urgency: 1, rumors: [] } });
+  assert.equal(quiet.objectiveType, "talk_unique_npcs");
+});
@@ -0,0 +1,74 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  MAX_REFLECTIONS_PER_NPC,
+  consolidateNpcMemories,
+  groupMemoriesBySubject,
+  heuristicReflection
+} from "../src/memory-consolidation.js";
+
+const npc = { id: "npc_guard", name: "Rook", role: "Guard", traits: ["stern"] };
+const rows = [
+  { id: 1, importance: 4, tags: "Guard,player,player_1", content: "Rook warned the traveler about the dock." },
+  { id: 2, importance: 6, tags: "Guard,player:player_1,category:promise", content: "Traveler promised to bring fish." },
+  { id: 3, importance: 3, tags: "Guard,Artist", content: "Rook and Ivo talked about paint." },
+  { id: 4, importance: 3, tags: "Guard,Artist", content: "Ivo asked Rook to pose." }
+];
+
+test("memories group by player or conversation partner role", () => {
+  const groups = groupMemoriesBySubject(npc, rows);
+  assert.deepEqual(
+    groups.map((group) => [group.key, group.rows.length]),
+    [
+      ["player:player_1", 2],
+      ["role:artist", 2]
+    ]
+  );
+});
+
+test("heuristic reflection keeps the most important lines", () => {
+  const out = heuristicReflection({ npc, label: "Ana", rows: rows.slice(0, 2) });
+  assert.match(out.reflection, /^Rook spoke with Ana 2 times yesterday/);
+  assert.match(out.reflection, /promised to bring fish/);
+  assert.equal(out.importance, 6);
+});
+
+test("consolidation falls back to heuristics when the model fails or skips a subject", async () => {
+  const offline = await consolidateNpcMemories({
+    npc,
+    rows,
+    dayNumber: 3,
+    labelForSubject: (key) => (key === "player:player_1" ? "Ana" : "Ivo"),
+    reflect: async () => {
+      throw new Error("offline");
+    }
+  });
+  assert.equal(offline.reflections.length, 2);
+  assert.deepEqual(offline.consolidatedIds, [1, 2, 3, 4]);
+  assert.equal(offline.reflections[0].tags, "Guard,reflection,player:player_1,day:3");
+  assert.equal(offline.reflections[1].tags, "Guard,reflection,artist,day:3");
+
+  const partial = await consolidateNpcMemories({
+    npc,
+    rows,
+    reflect: async () => [{ key: "role:artist", reflection: "Ivo keeps pestering me to pose.", importance: 12 }]
+  });
+  assert.equal(partial.reflections[1].content, "Ivo keeps pestering me to pose.");
+  assert.equal(partial.reflections[1].importance, 9);
+  assert.match(partial.reflections[0].content, /spoke with player_1/);
+
+  const empty = await consolidateNpcMemories({ npc, rows: [] });
+  assert.deepEqual(empty, { reflections: [], consolidatedIds: [] });
+});
+
+test("subjects beyond the reflection limit stay unconsolidated for the next night", async () => {
+  const crowded = [
+    ...rows,
+    { id: 5, importance: 2, tags: "Guard,Fisherman", content: "Bram waved from the dock." },
+    { id: 6, importance: 1, tags: "Guard,Herbalist", content: "Mira mentioned the weather." },
+    { id: 7, importance: 5, tags: "Guard,Blacksmith", content: "Doran sharpened Rook's spear." }
+  ];
+  const out = await consolidateNpcMemories({ npc, rows: crowded });
+  assert.equal(out.reflections.length, MAX_REFLECTIONS_PER_NPC);
+  assert.deepEqual(out.consolidatedIds, [1, 2, 3, 4, 7]);
+});
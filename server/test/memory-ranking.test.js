@@ -0,0 +1,83 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  memoryHasTag,
+  parseMemoryTags,
+  rankMemories,
+  retrieveRankedMemories,
+  scoreMemory
+} from "../src/memory-ranking.js";
+
+const NOW = Date.parse("2026-03-01T12:00:00Z");
+const hoursAgo = (h) => new Date(NOW - h * 3_600_000).toISOString();
+
+test("tag matching is exact and treats player:<id> and bare ids alike", () => {
+  const row = { tags: "Shop Owner,player,player_12" };
+  assert.equal(memoryHasTag(row, "player:player_12"), true);
+  assert.equal(memoryHasTag(row, "player_1"), false);
+  assert.equal(memoryHasTag({ tags: "Guard,player:player_123" }, "player:player_12"), false);
+  assert.deepEqual(parseMemoryTags("Guard, player:p1 ,guard"), ["guard", "p1"]);
+});
+
+test("scores reward importance, recency, and tag overlap", () => {
+  const base = { importance: 4, tags: "Guard", created_at: hoursAgo(1) };
+  const opts = { tags: ["player:p1"], now: NOW };
+  const plain = scoreMemory(base, opts).score;
+
+  assert.ok(scoreMemory({ ...base, importance: 8 }, opts).score > plain);
+  assert.ok(scoreMemory({ ...base, created_at: hoursAgo(48) }, opts).score < plain);
+  assert.ok(scoreMemory({ ...base, tags: "Guard,player:p1" }, opts).score > plain);
+});
+
+test("ranking surfaces old tagged memories over fresh unrelated chatter", () => {
+  const rows = [
+    { id: 1, importance: 7, tags: "Guard,player:p1,category:promise", content: "Promised fish", created_at: hoursAgo(30) },
+    ...Array.from({ length: 8 }, (_, i) => ({
+      id: 10 + i,
+      importance: 3,
+      tags: "Guard,Artist",
+      content: `small talk ${i}`,
+      created_at: hoursAgo(0.1)
+    }))
+  ];
+  const top = rankMemories(rows, { tags: ["player:p1"], limit: 4, now: NOW });
+  assert.equal(top.length, 4);
+  assert.equal(top[0].content, "Promised fish");
+
+  const onlyTagged = rankMemories(rows, { tags: ["player:p1"], requireTag: true, now: NOW });
+  assert.deepEqual(onlyTagged.map((row) => row.id), [1]);
+});
+
+test("embedding similarity breaks ties when vectors are present", () => {
+  const rows = [
+    { id: 1, importance: 3, tags: "", content: "storm", embedding: "[1,0]", created_at: hoursAgo(2) },
+    { id: 2, importance: 3, tags: "", content: "bread", embedding: [0, 1], created_at: hoursAgo(2) }
+  ];
+  const top = rankMemories(rows, { queryEmbedding: [0, 1], limit: 1, now: NOW });
+  assert.equal(top[0].content, "bread");
+});
+
+test("retrieval merges recent and per-tag candidates without duplicates", async () => {
+  const calls = [];
+  const shared = { id: 5, importance: 5, tags: "player:p1", content: "shared", created_at: hoursAgo(1) };
+  const rows = await retrieveRankedMemories({
+    npcId: "npc_guard",
+    tags: ["player:p1", "Dock"],
+    limit: 10,
+    now: NOW,
+    fetchRecent: async (npcId, limit) => {
+      calls.push(["recent", npcId, limit]);
+      return [shared];
+    },
+    fetchByTag: async (npcId, tag) => {
+      calls.push(["tag", npcId, tag]);
+      return tag === "p1" ? [shared] : [];
+    }
+  });
+
+  assert.equal(rows.length, 1);
+  assert.deepEqual(
+    calls.map((c) => c[2]),
+    [60, "p1", "dock"]
+  );
+});
@@ -0,0 +1,90 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  createNavGrid,
+  findPath,
+  hasLineOfSight,
+  isWalkable,
+  nearestWalkablePoint,
+  separationForce
+} from "../src/navigation.js";
+import { createWorldState, tickNpcMovement } from "../src/world.js";
+
+function walledGrid() {
+  return createNavGrid({
+    width: 320,
+    height: 320,
+    tileSize: 32,
+    blocked: [{ x: 128, y: 0, w: 32, h: 288 }]
+  });
+}
+
+test("paths route around blocked cells", () => {
+  const grid = walledGrid();
+  assert.equal(isWalkable(grid, 140, 100), false);
+  assert.equal(hasLineOfSight(grid, { x: 40, y: 40 }, { x: 280, y: 40 }), false);
+
+  const path = findPath(grid, { x: 40, y: 40 }, { x: 280, y: 40 });
+  assert.ok(path.length >= 2);
+  assert.deepEqual(path[path.length - 1], { x: 280, y: 40 });
+  let from = { x: 40, y: 40 };
+  for (const point of path) {
+    assert.ok(hasLineOfSight(grid, from, point), `segment to ${point.x},${point.y} crosses the wall`);
+    from = point;
+  }
+  assert.ok(path.some((point) => point.y > 288));
+});
+
+test("targets inside walls snap to the nearest open cell and sealed goals fail", () => {
+  const grid = walledGrid();
+  const snapped = nearestWalkablePoint(grid, { x: 140, y: 40 });
+  assert.equal(isWalkable(grid, snapped.x, snapped.y), true);
+  assert.ok(Math.abs(snapped.x - 140) <= 32);
+
+  const sealed = createNavGrid({
+    width: 320,
+    height: 320,
+    tileSize: 32,
+    blocked: [{ x: 128, y: 0, w: 32, h: 320 }]
+  });
+  assert.equal(findPath(sealed, { x: 40, y: 40 }, { x: 280, y: 40 }), null);
+  assert.deepEqual(findPath(null, { x: 0, y: 0 }, { x: 5, y: 5 }), [{ x: 5, y: 5 }]);
+});
+
+test("walkways carve open cells out of blocked zones", () => {
+  const grid = createNavGrid({
+    width: 320,
+    height: 320,
+    tileSize: 32,
+    blocked: [{ x: 0, y: 160, w: 320, h: 160 }],
+    walkable: [{ x: 64, y: 160, w: 32, h: 96 }]
+  });
+  assert.equal(isWalkable(grid, 70, 200), true);
+  assert.equal(isWalkable(grid, 200, 200), false);
+  const path = findPath(grid, { x: 80, y: 40 }, { x: 80, y: 240 });
+  assert.deepEqual(path[path.length - 1], { x: 80, y: 240 });
+});
+
+test("separation pushes overlapping npcs apart", () => {
+  const self = { id: "a", x: 100, y: 100 };
+  const force = separationForce(self, [self, { id: "b", x: 110, y: 100 }, { id: "c", x: 300, y: 300 }], 22);
+  assert.ok(force.x < 0);
+  assert.equal(force.y, 0);
+  const stacked = separationForce(self, [{ id: "b", x: 100, y: 100 }], 22);
+  assert.ok(Math.hypot(stacked.x, stacked.y) > 0);
+});
+
+test("npcs never step onto blocked tiles while moving", () => {
+  const state = createWorldState();
+  const rook = state.npcs.find((npc) => npc.id === "npc_guard");
+  rook.moveControl = { mode: "point", x: 1040, y: 570 };
+  for (let i = 0; i < 240; i += 1) {
+    tickNpcMovement(state, 1);
+    for (const npc of state.npcs) {
+      if (npc.id === "npc_fisherman" && i < 5) continue;
+      assert.equal(isWalkable(state.navGrid, npc.x, npc.y), true, `${npc.name} entered a blocked tile`);
+    }
+  }
+  assert.ok(Math.hypot(rook.x - rook.target.x, rook.y - rook.target.y) < 10);
+  assert.equal(isWalkable(state.navGrid, rook.target.x, rook.target.y), true);
+});
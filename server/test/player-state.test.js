@@ -0,0 +1,92 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  capturePlayerState,
+  farmFromPlayerState,
+  playerStateFromLegacyProfile,
+  playerStateFromRow,
+  playerStateToRecord
+} from "../src/player-state.js";
+
+const farm = {
+  home: { x: 300, y: 400 },
+  lotId: "lot_2",
+  level: 1,
+  tools: { can: 1, hoe: 0, water: 7 },
+  foraged: { dayNumber: 3, count: 2 },
+  giftsGiven: { dayNumber: 3, npcIds: ["npc_guard"] },
+  plots: [{ id: 1, col: 0, row: 0, state: "growing", cropType: "turnip", object: null }],
+  inventory: { turnip_seed: 4 },
+  coins: 52
+};
+
+test("captures a connected player and splits the farm from inventory and coins", () => {
+  const player = {
+    x: 12,
+    y: 34,
+    missionProgress: { index: 2 },
+    reputation: { town: 5 },
+    friendship: { tiers: { npc_guard: "friend" } }
+  };
+  const state = capturePlayerState({ playerId: "p1", player, farm });
+  assert.deepEqual(state, {
+    playerId: "p1",
+    farm: {
+      home: farm.home,
+      lotId: "lot_2",
+      level: 1,
+      tools: farm.tools,
+      foraged: farm.foraged,
+      giftsGiven: farm.giftsGiven,
+      plots: farm.plots
+    },
+    inventory: { turnip_seed: 4 },
+    coins: 52,
+    missionProgress: { index: 2 },
+    reputation: { town: 5 },
+    friendship: { tiers: { npc_guard: "friend" } },
+    x: 12,
+    y: 34
+  });
+  player.missionProgress.index = 3;
+  assert.equal(state.missionProgress.index, 2);
+  assert.deepEqual(farmFromPlayerState(state), farm);
+});
+
+test("keeps offline fields from the previous state when only the farm changes", () => {
+  const previous = capturePlayerState({ playerId: "p1", player: { x: 5, y: 6, missionProgress: { index: 1 } }, farm });
+  const grown = { ...farm, coins: 60 };
+  const state = capturePlayerState({ playerId: "p1", farm: grown, previous });
+  assert.equal(state.coins, 60);
+  assert.equal(state.x, 5);
+  assert.deepEqual(state.missionProgress, { index: 1 });
+});
+
+test("round-trips through a storage record and row", () => {
+  const state = capturePlayerState({ playerId: "p1", player: { x: 1, y: null, friendship: { favors: [] } }, farm });
+  const record = playerStateToRecord(state);
+  const row = {
+    player_id: record.playerId,
+    farm: record.farm,
+    inventory: record.inventory,
+    coins: record.coins,
+    mission_progress: record.missionProgress,
+    reputation: record.reputation,
+    friendship: record.friendship,
+    position_x: record.x,
+    position_y: record.y,
+    updated_at: "2026-01-02T03:04:05.000Z"
+  };
+  assert.deepEqual(playerStateFromRow(row), { ...state, updatedAt: "2026-01-02T03:04:05.000Z" });
+  assert.equal(playerStateFromRow(null), null);
+  assert.equal(playerStateFromRow({ ...row, farm: "{oops" }).farm, null);
+});
+
+test("converts legacy world-save profiles", () => {
+  const state = playerStateFromLegacyProfile({ playerId: "p2", name: "Bo", x: 7, y: 8, farm, reputation: { guard: 1 } });
+  assert.equal(state.coins, 52);
+  assert.deepEqual(state.reputation, { guard: 1 });
+  assert.equal(state.x, 7);
+  assert.equal(playerStateFromLegacyProfile({ name: "nobody" }), null);
+  assert.equal(farmFromPlayerState({ playerId: "p3", farm: null }), null);
+});
@@ -0,0 +1,203 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { AREAS } from "../src/constants.js";
+import {
+  RUMOR_TTL_DAYS,
+  confirmRumor,
+  debunkRumor,
+  expireRumors,
+  findRumorSubject,
+  judgeRumorClaim,
+  parseRumorTalk,
+  rumorAddressedBy,
+  rumorList,
+  rumorSignals,
+  rumorText,
+  rumorToShare,
+  setRumorsState,
+  spreadRumor,
+  startRumor
+} from "../src/rumors.js";
+import { createWorldState, snapshotWorld } from "../src/world.js";
+
+const ana = { kind: "player", id: "p1", name: "Ana" };
+
+test("players start rumors in dialogue about NPCs, areas and other players", () => {
+  const world = createWorldState();
+  const players = [{ playerId: "p2", name: "Bo" }];
+  assert.deepEqual(parseRumorTalk("I heard that Rook sleeps on night watch!"), {
+    action: "start",
+    claim: "Rook sleeps on night watch"
+  });
+  assert.deepEqual(parseRumorTalk("Word is, Bo cheats at cards."), { action: "start", claim: "Bo cheats at cards" });
+  assert.deepEqual(parseRumorTalk("No, that's not true at all"), { action: "debunk" });
+  assert.deepEqual(parseRumorTalk("It's true, I saw it myself"), { action: "confirm" });
+  assert.equal(parseRumorTalk("Lovely weather today"), null);
+  assert.equal(parseRumorTalk("That's nonsense, the bread was fine"), null);
+  assert.equal(parseRumorTalk("It is confirmed, the bakery opens at six"), null);
+
+  const scope = { npcs: world.npcs, areas: AREAS, players };
+  assert.deepEqual(findRumorSubject("Rook sleeps on night watch", scope), {
+    kind: "npc",
+    id: "npc_guard",
+    name: "Rook"
+  });
+  assert.deepEqual(findRumorSubject("Bo cheats at cards", scope), { kind: "player", id: "p2", name: "Bo" });
+  assert.deepEqual(findRumorSubject("the dock floods tonight", scope), { kind: "area", id: "Dock", name: "Dock" });
+  assert.equal(findRumorSubject("someone lost a boot", scope), null);
+});
+
+test("rumors spread to new believers, stay alive while they spread and expire", () => {
+  const world = createWorldState();
+  const rumor = startRumor(world, {
+    source: ana,
+    subject: { kind: "npc", id: "npc_guard", name: "Rook" },
+    claim: "Rook sleeps on night watch",
+    isTrue: false,
+    believers: ["npc_herbalist"],
+    dayNumber: 2
+  });
+  assert.equal(rumor.expiresDay, 2 + RUMOR_TTL_DAYS);
+  assert.equal(rumorText(rumor), "I've heard that Rook sleeps on night watch.");
+  assert.equal(rumorToShare(world, "npc_herbalist", "npc_artist"), rumor);
+  assert.equal(rumorToShare(world, "npc_artist", "npc_herbalist"), null);
+
+  assert.equal(spreadRumor(world, rumor, "npc_artist", 4), true);
+  assert.equal(spreadRumor(world, rumor, "npc_artist", 4), false);
+  assert.equal(rumor.spreadCount, 1);
+  assert.equal(rumor.expiresDay, 6);
+
+  const again = startRumor(world, { ...rumor, believers: ["npc_fisherman"], dayNumber: 4 });
+  assert.equal(again, rumor);
+  assert.equal(world.rumors.length, 1);
+  assert.deepEqual(rumor.believers, ["npc_herbalist", "npc_artist", "npc_fisherman"]);
+
+  assert.equal(expireRumors(world, 5), 0);
+  assert.equal(expireRumors(world, 6), 1);
+  assert.deepEqual(world.rumors, []);
+});
+
+test("confirming or debunking settles a rumor only when the player is right", () => {
+  const world = createWorldState();
+  const lie = startRumor(world, {
+    source: ana,
+    subject: { kind: "npc", id: "npc_guard", name: "Rook" },
+    claim: "Rook sleeps on night watch",
+    isTrue: false,
+    believers: ["npc_herbalist"],
+    dayNumber: 3
+  });
+  const fact = startRumor(world, {
+    source: { kind: "event", id: "evt_1", name: "Low Tide" },
+    subject: { kind: "area", id: "Dock", name: "Dock" },
+    claim: "the tide left crates on the dock",
+    isTrue: true,
+    believers: ["npc_fisherman"],
+    dayNumber: 3
+  });
+
+  assert.equal(rumorAddressedBy(world, "npc_herbalist", null), null);
+  assert.equal(rumorAddressedBy(world, "npc_herbalist", lie.subject), lie);
+  assert.equal(rumorAddressedBy(world, "npc_blacksmith", { kind: "npc", id: "npc_artist", name: "Ivo" }), null);
+  assert.equal(rumorAddressedBy(world, "npc_blacksmith", fact.subject), fact);
+
+  const vouched = confirmRumor(world, lie, { by: "p2", npcId: "npc_blacksmith", dayNumber: 3 });
+  assert.deepEqual(vouched, {
+    ok: true,
+    correct: false,
+    message: "You vouched for a false rumor: Rook sleeps on night watch."
+  });
+  assert.equal(lie.status, "circulating");
+  assert.ok(lie.believers.includes("npc_blacksmith"));
+
+  assert.equal(debunkRumor(world, fact, { by: "p2", dayNumber: 3 }).correct, false);
+  assert.equal(fact.status, "circulating");
+
+  const debunked = debunkRumor(world, lie, { by: "p2", dayNumber: 3 });
+  assert.equal(debunked.message, "You debunked the rumor: Rook sleeps on night watch.");
+  assert.equal(lie.status, "debunked");
+  assert.deepEqual(lie.believers, []);
+  assert.equal(lie.expiresDay, 4);
+  assert.equal(debunkRumor(world, lie, { by: "p2", dayNumber: 3 }).ok, false);
+
+  assert.equal(confirmRumor(world, fact, { by: "p2", npcId: "npc_guard", dayNumber: 3 }).correct, true);
+  assert.equal(fact.status, "confirmed");
+  assert.equal(rumorText(fact), "It's been confirmed: the tide left crates on the dock.");
+});
+
+test("player rumors are judged against where people are, what grows and what happens in town", () => {
+  const world = createWorldState();
+  const dock = AREAS.find((area) => area.name === "Dock");
+  const bo = { playerId: "p2", name: "Bo", x: dock.x + 5, y: dock.y + 5 };
+  const scope = { areas: AREAS, players: [bo], crops: ["turnip", "pumpkin"] };
+  const rook = { kind: "npc", id: "npc_guard", name: "Rook" };
+  assert.equal(judgeRumorClaim(world, rook, "Rook hides at the Dock", scope), false);
+  assert.equal(judgeRumorClaim(world, rook, "Rook guards the Town Square", scope), true);
+  assert.equal(judgeRumorClaim(world, rook, "Rook sleeps on night watch", scope), null);
+
+  const boRef = { kind: "player", id: "p2", name: "Bo" };
+  assert.equal(judgeRumorClaim(world, boRef, "Bo is fishing at the Dock", scope), true);
+  assert.equal(judgeRumorClaim(world, boRef, "Bo is hiding in the Town Square", scope), false);
+  world.farms.set("p2", { plots: [{ cropType: "turnip" }] });
+  assert.equal(judgeRumorClaim(world, boRef, "Bo grows turnips in secret", scope), true);
+  assert.equal(judgeRumorClaim(world, boRef, "Bo grows giant pumpkins", scope), false);
+  assert.equal(judgeRumorClaim(world, boRef, "Bo cheats at cards", scope), null);
+  assert.equal(judgeRumorClaim(world, { kind: "player", id: "p9", name: "Cy" }, "Cy is at the Dock", scope), null);
+
+  const dockRef = { kind: "area", id: "Dock", name: "Dock" };
+  world.weather = "rain";
+  assert.equal(judgeRumorClaim(world, dockRef, "it is raining on the Dock", scope), true);
+  assert.equal(judgeRumorClaim(world, dockRef, "a storm is hitting the Dock", scope), false);
+  world.worldEvents = { active: [{ id: "evt_1", title: "Low Tide", area: "Dock" }] };
+  assert.equal(judgeRumorClaim(world, dockRef, "the Dock has a low tide", scope), true);
+  const square = { kind: "area", id: "Town Square", name: "Town Square" };
+  assert.equal(judgeRumorClaim(world, square, "low tide at the Town Square", scope), false);
+  assert.equal(judgeRumorClaim(world, dockRef, "the Dock smells odd", scope), null);
+});
+
+test("quest signals and snapshots read real rumors without leaking their truth", () => {
+  const world = createWorldState();
+  assert.deepEqual(rumorSignals(world), { hotArea: "", hotRole: "", urgency: 1, rumorSubject: null, rumors: [] });
+
+  const guard = startRumor(world, {
+    source: ana,
+    subject: { kind: "npc", id: "npc_guard", name: "Rook" },
+    claim: "Rook sleeps on night watch",
+    isTrue: false,
+    believers: ["npc_herbalist", "npc_artist", "npc_fisherman"],
+    dayNumber: 1
+  });
+  spreadRumor(world, guard, "npc_blacksmith", 1);
+  startRumor(world, {
+    source: { kind: "event", id: "evt_1", name: "Low Tide" },
+    subject: { kind: "area", id: "Dock", name: "Dock" },
+    claim: "the tide left crates on the dock",
+    isTrue: true,
+    believers: ["npc_fisherman"],
+    dayNumber: 1
+  });
+
+  const signals = rumorSignals(world);
+  assert.equal(signals.hotArea, "Town Square");
+  assert.equal(signals.hotRole, "Town Guard");
+  assert.equal(signals.urgency, 2);
+  assert.deepEqual(signals.rumorSubject, { kind: "npc", id: "npc_guard", name: "Rook" });
+  assert.deepEqual(signals.rumors[0], {
+    claim: "Rook sleeps on night watch",
+    subject: "Rook",
+    status: "circulating",
+    heat: 5
+  });
+
+  debunkRumor(world, guard, { by: "p1", dayNumber: 1 });
+  assert.equal(rumorSignals(world).hotArea, "Dock");
+
+  const listed = snapshotWorld(world).rumors;
+  assert.deepEqual(listed, rumorList(world));
+  assert.equal(listed.length, 2);
+  assert.ok(listed.every((rumor) => !("isTrue" in rumor)));
+
+  const reloaded = createWorldState();
+  setRumorsState(reloaded, [...structuredClone(world.rumors), { id: "broken", claim: "x" }]);
+  assert.deepEqual(reloaded.rumors, world.rumors);
+});
@@ -0,0 +1,48 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createSessionSigner, splitRefreshToken } from "../src/session.js";
+
+const SECRET = "test-secret-0123456789abcdef";
+
+test("issued access tokens verify and carry player and session ids", () => {
+  const signer = createSessionSigner({ secret: SECRET });
+  const issued = signer.issue({ playerId: "player_1" });
+  const verified = signer.verifyAccessToken(issued.accessToken);
+
+  assert.equal(verified.ok, true);
+  assert.equal(verified.claims.sub, "player_1");
+  assert.equal(verified.claims.sid, issued.sessionId);
+  assert.equal(splitRefreshToken(issued.refreshToken).sessionId, issued.sessionId);
+});
+
+test("tampered, foreign, and expired access tokens are rejected", () => {
+  let now = 1_000_000;
+  const signer = createSessionSigner({ secret: SECRET, accessTtlMs: 1000, now: () => now });
+  const other = createSessionSigner({ secret: `${SECRET}-other` });
+  const issued = signer.issue({ playerId: "player_1" });
+
+  const [body, signature] = issued.accessToken.split(".");
+  const forgedBody = Buffer.from(
+    JSON.stringify({ ...JSON.parse(Buffer.from(body, "base64url").toString("utf8")), sub: "player_2" })
+  ).toString("base64url");
+
+  assert.equal(signer.verifyAccessToken(`${forgedBody}.${signature}`).error, "invalid_signature");
+  assert.equal(other.verifyAccessToken(issued.accessToken).error, "invalid_signature");
+  assert.equal(signer.verifyAccessToken("not-a-token").error, "malformed_token");
+  assert.equal(signer.verifyAccessToken("").ok, false);
+
+  now += 1001;
+  assert.equal(signer.verifyAccessToken(issued.accessToken).error, "token_expired");
+});
+
+test("refresh tokens only match their stored hash", () => {
+  const signer = createSessionSigner({ secret: SECRET });
+  const first = signer.issue({ playerId: "player_1" });
+  const rotated = signer.issue({ playerId: "player_1", sessionId: first.sessionId });
+
+  assert.equal(rotated.sessionId, first.sessionId);
+  assert.equal(signer.matchesRefreshHash(first.refreshToken, first.refreshHash), true);
+  assert.equal(signer.matchesRefreshHash(first.refreshToken, rotated.refreshHash), false);
+  assert.equal(signer.matchesRefreshHash("garbage", first.refreshHash), false);
+  assert.throws(() => createSessionSigner({ secret: "short" }));
+});
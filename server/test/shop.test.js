@@ -0,0 +1,92 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { setRelationshipScores } from "../src/friendship.js";
+import { buyFromShop, restockShops, sellToShop, setShopState, shopQuote, stallRoleForNpc } from "../src/shop.js";
+import { createWorldState, ensurePlayerReputation, setEconomyState } from "../src/world.js";
+
+function marketWorld() {
+  const world = createWorldState();
+  setEconomyState(world, { cropPrices: { turnip: 10, carrot: 10, pumpkin: 20 } });
+  return world;
+}
+
+function priceOf(entries, item) {
+  return entries.find((entry) => entry.item === item).price;
+}
+
+test("stall prices follow the market and the player's standing with the keeper", () => {
+  const world = marketWorld();
+  const player = { playerId: "p1" };
+  assert.equal(stallRoleForNpc({ role: "Shop Owner" }), "Shop Owner");
+  assert.equal(stallRoleForNpc({ role: "Guard" }), null);
+
+  const tessa = shopQuote(world, "Shop Owner", player);
+  assert.equal(priceOf(tessa.buys, "turnip"), 9);
+  assert.equal(priceOf(tessa.buys, "pumpkin"), 17);
+  assert.equal(priceOf(tessa.sells, "carrot_seed"), 8);
+  const alden = shopQuote(world, "Businessman", player);
+  assert.equal(priceOf(alden.buys, "carrot"), 10);
+  assert.equal(priceOf(alden.sells, "carrot_seed"), 10);
+  assert.equal(priceOf(tessa.sells, "fertilizer"), 15);
+  assert.equal(alden.sells.some((entry) => entry.item === "fertilizer"), false);
+
+  ensurePlayerReputation(player).byRole["Shop Owner"] = 30;
+  const friendly = shopQuote(world, "Shop Owner", player);
+  assert.equal(priceOf(friendly.buys, "pumpkin"), 19);
+  assert.equal(priceOf(friendly.sells, "carrot_seed"), 7);
+  assert.equal(priceOf(friendly.sells, "fertilizer"), 14);
+
+  setRelationshipScores(player, [{ npc_id: "npc_shop_owner", score: 30 }]);
+  const close = shopQuote(world, "Shop Owner", player);
+  assert.equal(priceOf(close.buys, "pumpkin"), 21);
+  assert.equal(priceOf(close.sells, "fertilizer"), 12);
+  assert.equal(priceOf(shopQuote(world, "Businessman", player).buys, "carrot"), 10);
+});
+
+test("buying and selling respect coins, inventory and the stall's daily limits", () => {
+  const world = marketWorld();
+  const player = { playerId: "p1" };
+  const farm = { inventory: { carrot: 20 }, coins: 100 };
+  const deal = (fn, item, qty) => fn({ state: world, role: "Shop Owner", player, farm, item, qty });
+
+  assert.equal(deal(buyFromShop, "carrot", 1).message, "That is not for sale here.");
+  assert.deepEqual(deal(buyFromShop, "carrot_seed", 10), {
+    ok: true,
+    message: "Bought 10 Carrot seed for 80 coins.",
+    item: "carrot_seed",
+    qty: 10,
+    total: 80
+  });
+  assert.equal(farm.coins, 20);
+  assert.equal(farm.inventory.carrot_seed, 10);
+  assert.equal(deal(buyFromShop, "carrot_seed", 1).message, "Sold out until tomorrow.");
+  assert.equal(deal(buyFromShop, "pumpkin_seed", 3).message, "You need 39 coins for that.");
+
+  assert.equal(deal(sellToShop, "carrot_seed", 1).message, "They are not buying that.");
+  assert.equal(deal(sellToShop, "pumpkin", 1).message, "You only have 0 Pumpkin.");
+  assert.equal(deal(sellToShop, "carrot", 13).message, "They only want 12 more today.");
+  assert.equal(deal(sellToShop, "carrot", 12).total, 108);
+  assert.equal(farm.coins, 128);
+  assert.equal(farm.inventory.carrot, 8);
+  assert.equal(deal(sellToShop, "carrot", 1).message, "They have enough for today.");
+  assert.deepEqual(world.economy.flow.carrot, { sold: 12, bought: 10 });
+
+  restockShops(world);
+  assert.equal(deal(sellToShop, "carrot", 1).ok, true);
+  assert.equal(shopQuote(world, "Shop Owner", player).sells.find((e) => e.item === "carrot_seed").stock, 10);
+});
+
+test("saved stall stock survives a reload and unknown entries are dropped", () => {
+  const world = marketWorld();
+  const shop = setShopState(world, {
+    stalls: {
+      "Shop Owner": { stock: { turnip_seed: 2, gold_bar: 5 }, wanted: { pumpkin: -4 } },
+      Smuggler: { stock: { turnip_seed: 99 } }
+    }
+  });
+  assert.equal(shop.stalls["Shop Owner"].stock.turnip_seed, 2);
+  assert.equal(shop.stalls["Shop Owner"].stock.gold_bar, undefined);
+  assert.equal(shop.stalls["Shop Owner"].wanted.pumpkin, 0);
+  assert.equal(shop.stalls.Businessman.stock.turnip_seed, 3);
+  assert.equal(shop.stalls.Smuggler, undefined);
+});
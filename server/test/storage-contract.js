@@ -0,0 +1,287 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+
+export function runStorageContract(label, createStorage, { skip = false } = {}) {
+  const suffix = crypto.randomUUID().slice(0, 8);
+  const npcId = `npc_contract_${suffix}`;
+  let storage = null;
+
+  test.before(async () => {
+    if (skip) return;
+    storage = await createStorage();
+    await storage.ensureSchema();
+    await storage.ensureSchema();
+  });
+
+  test.after(async () => {
+    if (storage) await storage.close();
+  });
+
+  test(`${label}: player accounts round-trip`, { skip }, async () => {
+    const id = `player_${suffix}`;
+    const created = await storage.createPlayerAccount({
+      id,
+      username: `user_${suffix}`,
+      gender: "female",
+      passwordSalt: "salt",
+      passwordHash: "hash"
+    });
+    assert.deepEqual({ ...created }, { id, username: `user_${suffix}`, gender: "female" });
+
+    const byName = await storage.getPlayerByUsername(`user_${suffix}`);
+    assert.equal(byName.id, id);
+    assert.equal(byName.password_salt, "salt");
+    assert.equal(byName.password_hash, "hash");
+    assert.equal((await storage.getPlayerById(id)).username, `user_${suffix}`);
+    assert.equal(await storage.getPlayerById(`missing_${suffix}`), null);
+    assert.equal(await storage.getPlayerByUsername(`missing_${suffix}`), null);
+    await storage.touchPlayerLogin(id);
+    await assert.rejects(() =>
+      storage.createPlayerAccount({ id: `${id}_dup`, username: `user_${suffix}`, gender: "male", passwordSalt: "s", passwordHash: "h" })
+    );
+  });
+
+  test(`${label}: sessions rotate and revoke`, { skip }, async () => {
+    const playerId = `player_${suffix}`;
+    const expiresAt = Date.now() + 60_000;
+    await storage.createPlayerSession({ id: `sess_a_${suffix}`, playerId, refreshHash: "h1", expiresAt });
+    await storage.createPlayerSession({ id: `sess_b_${suffix}`, playerId, refreshHash: "h2", expiresAt });
+
+    const session = await storage.getPlayerSession(`sess_a_${suffix}`);
+    assert.equal(session.player_id, playerId);
+    assert.equal(session.refresh_hash, "h1");
+    assert.equal(session.revoked_at, null);
+    assert.ok(Math.abs(new Date(session.expires_at).getTime() - expiresAt) < 1000);
+
+    assert.equal(await storage.rotatePlayerSession(`sess_a_${suffix}`, "h3", expiresAt + 1000), true);
+    assert.equal((await storage.getPlayerSession(`sess_a_${suffix}`)).refresh_hash, "h3");
+
+    await storage.revokePlayerSession(`sess_a_${suffix}`);
+    assert.ok((await storage.getPlayerSession(`sess_a_${suffix}`)).revoked_at);
+    assert.equal(await storage.rotatePlayerSession(`sess_a_${suffix}`, "h4", expiresAt), false);
+
+    await storage.revokePlayerSessions(playerId);
+    assert.ok((await storage.getPlayerSession(`sess_b_${suffix}`)).revoked_at);
+    assert.equal(await storage.getPlayerSession(`sess_missing_${suffix}`), null);
+  });
+
+  test(`${label}: memories match tags exactly`, { skip }, async () => {
+    const base = { npcId, type: "player_interaction", importance: 4, createdAt: new Date().toISOString() };
+    await storage.writeMemory({ ...base, content: "one", tags: "Guard,player,player_1" });
+    await storage.writeMemory({ ...base, content: "ten", tags: "Guard,player:player_10" });
+    await storage.writeMemory({ ...base, content: "wild", tags: "Guard,playerX1" });
+    const introId = await storage.writeMemory({ ...base, type: "player_intro", content: "hi", tags: "Guard,player,player_10", embedding: [1, 0] });
+
+    const recent = await storage.getRecentMemories(npcId, 3);
+    assert.deepEqual(recent.map((row) => row.content), ["hi", "wild", "ten"]);
+    assert.equal(Number(recent[0].id), introId);
+    assert.ok(recent[0].id > recent[1].id);
+    assert.deepEqual(JSON.parse(recent[0].embedding), [1, 0]);
+
+    const one = await storage.getRecentMemoriesByTag(npcId, "player:player_1", 10);
+    assert.deepEqual(one.map((row) => row.content), ["one"]);
+    const ten = await storage.getRecentMemoriesByTag(npcId, "player_10", 10);
+    assert.deepEqual(ten.map((row) => row.content), ["hi", "ten"]);
+    const role = await storage.getRecentMemoriesByTag(npcId, "guard", 2);
+    assert.equal(role.length, 2);
+    assert.deepEqual(await storage.getRecentMemoriesByTag(npcId, "", 5), []);
+
+    assert.equal(await storage.hasNpcIntroducedToPlayer(npcId, "player_10"), true);
+    assert.equal(await storage.hasNpcIntroducedToPlayer(npcId, "player_1"), false);
+  });
+
+  test(`${label}: consolidation marks, archives, decays, and purges`, { skip }, async () => {
+    const consolidationNpc = `${npcId}_c`;
+    const createdAt = new Date(Date.now() - 60_000).toISOString();
+    const write = (content, type, importance) =>
+      storage.writeMemory({ npcId: consolidationNpc, type, content, importance, tags: "Guard", createdAt });
+    await write("low", "conversation", 3);
+    await write("high", "player_interaction", 6);
+    await write("intro", "player_intro", 6);
+
+    const pending = await storage.getUnconsolidatedMemories(
+      consolidationNpc,
+      ["conversation", "player_interaction"],
+      Date.now()
+    );
+    assert.deepEqual(pending.map((row) => row.content), ["low", "high"]);
+    assert.deepEqual(await storage.getUnconsolidatedMemories(consolidationNpc, ["conversation"], Date.now() - 120_000), []);
+
+    await storage.markMemoriesConsolidated(pending.map((row) => row.id), 4);
+    await storage.markMemoriesConsolidated([], 4);
+    assert.deepEqual(await storage.getUnconsolidatedMemories(consolidationNpc, ["conversation", "player_interaction"], Date.now()), []);
+    assert.deepEqual((await storage.getRecentMemories(consolidationNpc, 10)).map((row) => row.content), ["intro", "high"]);
+
+    await storage.decayConsolidatedMemories({ decayBefore: Date.now() + 1000, archiveMaxImportance: 4, purgeBefore: 0 });
+    const decayed = await storage.getRecentMemories(consolidationNpc, 10);
+    assert.equal(decayed.find((row) => row.content === "high").importance, 5);
+    await storage.decayConsolidatedMemories({ decayBefore: Date.now() + 1000, archiveMaxImportance: 4, purgeBefore: 0 });
+    assert.deepEqual((await storage.getRecentMemories(consolidationNpc, 10)).map((row) => row.content), ["intro"]);
+
+    for (const importance of [5, 7, 6]) {
+      await storage.writeMemory({ npcId: consolidationNpc, type: "reflection", content: `r${importance}`, importance, tags: "reflection", createdAt });
+    }
+    await storage.archiveExcessMemories(consolidationNpc, "reflection", 2);
+    const kept = (await storage.getRecentMemories(consolidationNpc, 10)).map((row) => row.content);
+    assert.deepEqual(kept.sort(), ["intro", "r6", "r7"]);
+
+    const purged = await storage.decayConsolidatedMemories({
+      decayBefore: 0,
+      archiveMaxImportance: 4,
+      purgeBefore: Date.now() + 1000
+    });
+    assert.ok(purged >= 3);
+  });
+
+  test(`${label}: world snapshots list newest first and prune to retention`, { skip }, async () => {
+    const ids = [];
+    for (let day = 1; day <= 4; day += 1) {
+      ids.push(
+        await storage.saveWorldSnapshot({
+          version: 2,
+          dayNumber: day,
+          reason: `contract_${suffix}`,
+          payload: JSON.stringify({ day })
+        })
+      );
+    }
+    assert.ok(ids.every((id, i) => i === 0 || id > ids[i - 1]));
+
+    const listed = await storage.listWorldSnapshots(2);
+    assert.deepEqual(listed.map((row) => row.id), [ids[3], ids[2]]);
+    assert.equal(listed[0].day_number, 4);
+    assert.equal(listed[0].reason, `contract_${suffix}`);
+    assert.equal(listed[0].payload, undefined);
+
+    const loaded = await storage.getWorldSnapshot(ids[1]);
+    assert.deepEqual(JSON.parse(loaded.payload), { day: 2 });
+    assert.equal(loaded.version, 2);
+    assert.equal(await storage.getWorldSnapshot(-1), null);
+
+    await storage.pruneWorldSnapshots(2);
+    assert.equal(await storage.getWorldSnapshot(ids[1]), null);
+    assert.ok(await storage.getWorldSnapshot(ids[3]));
+  });
+
+  test(`${label}: player state upserts, reads, and deletes`, { skip }, async () => {
+    const playerId = `player_state_${suffix}`;
+    const record = {
+      playerId,
+      farm: JSON.stringify({ home: { x: 1, y: 2 }, plots: [] }),
+      inventory: JSON.stringify({ turnip: 2 }),
+      coins: 40,
+      missionProgress: null,
+      reputation: JSON.stringify({ town: 3 }),
+      friendship: JSON.stringify({ tiers: { npc_guard: "friend" } }),
+      x: 120.5,
+      y: null
+    };
+    await storage.savePlayerState(record);
+    await storage.savePlayerState({ ...record, coins: 55 });
+
+    const row = await storage.getPlayerState(playerId);
+    assert.equal(row.player_id, playerId);
+    assert.equal(row.coins, 55);
+    assert.deepEqual(JSON.parse(row.inventory), { turnip: 2 });
+    assert.deepEqual(JSON.parse(row.farm), { home: { x: 1, y: 2 }, plots: [] });
+    assert.equal(row.mission_progress, null);
+    assert.deepEqual(JSON.parse(row.friendship), { tiers: { npc_guard: "friend" } });
+    assert.equal(Number(row.position_x), 120.5);
+    assert.equal(row.position_y, null);
+    assert.ok(row.updated_at);
+
+    assert.equal(await storage.deletePlayerState(playerId), true);
+    assert.equal(await storage.deletePlayerState(playerId), false);
+    assert.equal(await storage.getPlayerState(playerId), null);
+  });
+
+  test(`${label}: chat mutes and blocks persist per account`, { skip }, async () => {
+    const playerId = `chat_owner_${suffix}`;
+    await storage.savePlayerChatBlock(playerId, `chat_a_${suffix}`, "mute");
+    await storage.savePlayerChatBlock(playerId, `chat_b_${suffix}`, "mute");
+    await storage.savePlayerChatBlock(playerId, `chat_a_${suffix}`, "block");
+    await storage.savePlayerChatBlock(`chat_other_${suffix}`, playerId, "block");
+
+    const rows = await storage.listPlayerChatBlocks(playerId);
+    assert.deepEqual(
+      rows.map((row) => [row.target_id, row.kind]).sort(),
+      [
+        [`chat_a_${suffix}`, "block"],
+        [`chat_b_${suffix}`, "mute"]
+      ]
+    );
+    assert.equal(rows[0].username, null);
+
+    assert.equal(await storage.deletePlayerChatBlock(playerId, `chat_b_${suffix}`), true);
+    assert.equal(await storage.deletePlayerChatBlock(playerId, `chat_b_${suffix}`), false);
+    assert.equal((await storage.listPlayerChatBlocks(playerId)).length, 1);
+  });
+
+  test(`${label}: relationship deltas accumulate`, { skip }, async () => {
+    assert.equal(await storage.upsertRelationshipDelta(npcId, `player_${suffix}`, 2), 2);
+    assert.equal(await storage.upsertRelationshipDelta(npcId, `player_${suffix}`, -1), 1);
+    await storage.upsertRelationshipDelta(`${npcId}_b`, `player_${suffix}`, 4);
+
+    const rows = await storage.getPlayerRelationships(`player_${suffix}`);
+    assert.deepEqual(
+      rows.map((row) => [row.npc_id, Number(row.score)]),
+      [
+        [npcId, 1],
+        [`${npcId}_b`, 4]
+      ]
+    );
+    assert.ok(rows[0].last_interaction_at);
+    assert.deepEqual(await storage.getPlayerRelationships(`missing_${suffix}`), []);
+  });
+
+  test(`${label}: neglected relationships decay toward zero for every player`, { skip }, async () => {
+    const playerId = `decay_${suffix}`;
+    const offlineId = `decay_offline_${suffix}`;
+    await storage.upsertRelationshipDelta(npcId, playerId, 3, 1);
+    await storage.upsertRelationshipDelta(`${npcId}_b`, playerId, -1, 2);
+    await storage.upsertRelationshipDelta(`${npcId}_c`, playerId, 5, 8);
+    await storage.upsertRelationshipDelta(`${npcId}_c`, playerId, 1);
+    await storage.upsertRelationshipDelta(`${npcId}_d`, playerId, 4);
+    await storage.upsertRelationshipDelta(`${npcId}_e`, playerId, 3, 1);
+    await storage.upsertRelationshipDelta(`${npcId}_e`, playerId, 1, null);
+    await storage.upsertRelationshipDelta(`${npcId}_f`, playerId, 2, 30);
+    await storage.upsertRelationshipDelta(npcId, offlineId, 2, 1);
+    const decay = async (dayNumber) =>
+      (await storage.decayRelationships({ dayNumber, idleDays: 5, amount: 2 }))
+        .filter((row) => [playerId, offlineId].includes(row.player_id))
+        .map((row) => [row.player_id, row.npc_id, Number(row.score)])
+        .sort();
+
+    assert.deepEqual(await decay(10), [
+      [playerId, npcId, 1],
+      [playerId, `${npcId}_b`, 0],
+      [playerId, `${npcId}_e`, 2],
+      [offlineId, npcId, 0]
+    ]);
+    assert.deepEqual(await decay(10), [
+      [playerId, npcId, 0],
+      [playerId, `${npcId}_e`, 0]
+    ]);
+    assert.deepEqual(
+      (await storage.getPlayerRelationships(playerId)).map((row) => [
+        row.npc_id,
+        Number(row.score),
+        Number(row.last_interaction_day)
+      ]),
+      [
+        [npcId, 0, 1],
+        [`${npcId}_b`, 0, 2],
+        [`${npcId}_c`, 6, 8],
+        [`${npcId}_d`, 4, 10],
+        [`${npcId}_e`, 0, 1],
+        [`${npcId}_f`, 2, 10]
+      ]
+    );
+    assert.deepEqual(await decay(16), [
+      [playerId, `${npcId}_c`, 4],
+      [playerId, `${npcId}_d`, 2],
+      [playerId, `${npcId}_f`, 0]
+    ]);
+  });
+}
@@ -0,0 +1,8 @@
+import { createPostgresStorage } from "../src/db-postgres.js";
+import { runStorageContract } from "./storage-contract.js";
+
+const connectionString = process.env.TEST_DATABASE_URL || "";
+
+runStorageContract("postgres", () => createPostgresStorage({ connectionString }), {
+  skip: connectionString ? false : "set TEST_DATABASE_URL to run the postgres contract suite"
+});
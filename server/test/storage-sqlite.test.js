@@ -0,0 +1,4 @@
+import { createSqliteStorage } from "../src/db-sqlite.js";
+import { runStorageContract } from "./storage-contract.js";
+
+runStorageContract("sqlite", () => createSqliteStorage({ filename: ":memory:" }));
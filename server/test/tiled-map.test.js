@@ -0,0 +1,112 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { TiledMapError, parseTiledMap, requireMarker } from "../../shared/tiled-map.js";
+import { AREAS, FOREST_SHRINE, NPC_SEEDS, TOWN_MAP, WORLD_HEIGHT, WORLD_WIDTH } from "../src/constants.js";
+
+function tinyMap(overrides = {}) {
+  return {
+    type: "map",
+    orientation: "orthogonal",
+    infinite: false,
+    width: 4,
+    height: 2,
+    tilewidth: 16,
+    tileheight: 16,
+    tilesets: [
+      {
+        firstgid: 1,
+        tiles: [
+          { id: 0, properties: [{ name: "texture", type: "string", value: "grass" }] },
+          {
+            id: 1,
+            properties: [
+              { name: "texture", type: "string", value: "water" },
+              { name: "blocked", type: "bool", value: true }
+            ]
+          }
+        ]
+      }
+    ],
+    layers: [
+      { type: "tilelayer", name: "ground", data: [1, 2, 2, 1, 1, 1, 1, 0x80000002] },
+      {
+        type: "group",
+        name: "objects",
+        layers: [
+          {
+            type: "objectgroup",
+            name: "areas",
+            objects: [
+              {
+                id: 1,
+                name: "Yard",
+                x: 0,
+                y: 0,
+                width: 64,
+                height: 32,
+                properties: [{ name: "color", type: "color", value: "#ff3f6a47" }]
+              }
+            ]
+          },
+          {
+            type: "objectgroup",
+            name: "markers",
+            objects: [{ id: 2, name: "well", point: true, x: 8, y: 8, properties: [{ name: "radius", type: "int", value: 5 }] }]
+          },
+          { type: "objectgroup", name: "farm_lots", objects: [{ id: 7, name: "lot_1", x: 32, y: 16, width: 32, height: 16 }] },
+          { type: "objectgroup", name: "spawns", objects: [{ id: 3, name: "npc_a", point: true, x: 4, y: 20 }] },
+          { type: "objectgroup", name: "buildings", objects: [{ id: 4, x: 0, y: 16, width: 16, height: 16 }] },
+          { type: "objectgroup", name: "walkways", objects: [{ id: 5, x: 16, y: 0, width: 16, height: 16 }] },
+          { type: "objectgroup", name: "decor", objects: [{ id: 6, class: "tile_lamp", point: true, x: 40, y: 8 }] }
+        ]
+      }
+    ],
+    ...overrides
+  };
+}
+
+test("parses areas, markers, farm lots, spawns, collision, and decor from named layers", () => {
+  const map = parseTiledMap(JSON.stringify(tinyMap()));
+  assert.equal(map.width, 64);
+  assert.equal(map.height, 32);
+  assert.deepEqual(map.areas, [{ name: "Yard", x: 0, y: 0, w: 64, h: 32, color: 0x3f6a47 }]);
+  assert.equal(requireMarker(map, "well").properties.radius, 5);
+  assert.deepEqual(map.spawns, { npc_a: { x: 4, y: 20 } });
+  assert.deepEqual(map.blocked, [
+    { x: 0, y: 16, w: 16, h: 16 },
+    { x: 16, y: 0, w: 32, h: 16 },
+    { x: 48, y: 16, w: 16, h: 16 }
+  ]);
+  assert.deepEqual(map.walkable, [{ x: 16, y: 0, w: 16, h: 16 }]);
+  assert.deepEqual(map.farmLots, [{ id: "lot_1", x: 32, y: 16, w: 32, h: 16 }]);
+  assert.deepEqual(map.decor, [{ type: "tile_lamp", x: 40, y: 8 }]);
+  assert.equal(map.tiles.get(2).texture, "water");
+  assert.throws(() => requireMarker(map, "missing"), /"missing" object in the "markers" layer/);
+});
+
+test("rejects maps the loader cannot read with a clear error", () => {
+  assert.throws(() => parseTiledMap("{"), TiledMapError);
+  assert.throws(() => parseTiledMap(tinyMap({ orientation: "isometric" })), /orthogonal/);
+  assert.throws(() => parseTiledMap(tinyMap({ infinite: true })), /Infinite/);
+  assert.throws(
+    () => parseTiledMap(tinyMap({ layers: [{ type: "tilelayer", name: "ground", encoding: "base64", data: "AAAA" }] })),
+    /CSV encoding/
+  );
+  assert.throws(() => parseTiledMap(tinyMap({ layers: [{ type: "tilelayer", name: "ground", data: [1] }] })), /must have 8 tiles/);
+  assert.throws(() => parseTiledMap(tinyMap({ layers: [] })), /"areas"/);
+  assert.throws(() => parseTiledMap(tinyMap({ tilesets: [{ firstgid: 1, source: "town.tsx" }] })), /External tileset/);
+});
+
+test("server constants come from the shared town map", () => {
+  assert.equal(WORLD_WIDTH, TOWN_MAP.width);
+  assert.equal(WORLD_HEIGHT, TOWN_MAP.height);
+  assert.deepEqual(
+    AREAS.map((area) => area.name).sort(),
+    ["Dock", "Forest", "Housing", "Market Street", "Sanctum", "Town Square"]
+  );
+  const forest = AREAS.find((area) => area.name === "Forest");
+  assert.ok(FOREST_SHRINE.x >= forest.x && FOREST_SHRINE.x <= forest.x + forest.w);
+  for (const npc of NPC_SEEDS) {
+    assert.deepEqual({ x: npc.x, y: npc.y }, TOWN_MAP.spawns[npc.id], `${npc.id} has no spawn point`);
+  }
+});
@@ -0,0 +1,100 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  acceptTrade,
+  cancelTrade,
+  confirmTrade,
+  createTrade,
+  describeTrade,
+  sanitizeOffer,
+  settleTrade,
+  tradeView,
+  updateTradeOffer
+} from "../src/trading.js";
+
+function farm(inventory, coins) {
+  return { inventory: { ...inventory }, coins };
+}
+
+function openTrade(farms) {
+  const trade = createTrade({ id: "t1", fromId: "ana", toId: "bo", now: 0 });
+  assert.equal(acceptTrade(trade, "ana").ok, false);
+  assert.equal(acceptTrade(trade, "bo").ok, true);
+  return trade;
+}
+
+test("offers are cleaned and checked against the owner's inventory", () => {
+  assert.deepEqual(sanitizeOffer({ items: { turnip: "2.7", "Bad Key": 3, carrot: -1 }, coins: 4.9 }), {
+    items: { turnip: 2 },
+    coins: 4
+  });
+
+  const farms = new Map([
+    ["ana", farm({ turnip: 3 }, 10)],
+    ["bo", farm({ pumpkin: 1 }, 0)]
+  ]);
+  const trade = openTrade(farms);
+  assert.deepEqual(updateTradeOffer(trade, "ana", { items: { turnip: 4 } }, farms.get("ana")), {
+    ok: false,
+    message: "You only have 3 turnip."
+  });
+  assert.equal(updateTradeOffer(trade, "ana", { items: { turnip: 2 }, coins: 5 }, farms.get("ana")).ok, true);
+  assert.equal(updateTradeOffer(trade, "carl", { coins: 1 }, farms.get("ana")).ok, false);
+  assert.equal(trade.version, 1);
+});
+
+test("both sides must confirm the current offer before goods change hands", () => {
+  const farms = new Map([
+    ["ana", farm({ turnip: 3 }, 10)],
+    ["bo", farm({ pumpkin: 1 }, 0)]
+  ]);
+  const trade = openTrade(farms);
+  assert.equal(confirmTrade(trade, "ana", 0).message, "Put something on the table first.");
+
+  updateTradeOffer(trade, "ana", { items: { turnip: 2 }, coins: 5 }, farms.get("ana"));
+  assert.deepEqual(confirmTrade(trade, "ana", 1), { ok: true, ready: false });
+  updateTradeOffer(trade, "bo", { items: { pumpkin: 1 } }, farms.get("bo"));
+  assert.equal(trade.confirmed.ana, false);
+  assert.equal(confirmTrade(trade, "bo", 1).ok, false);
+  assert.equal(settleTrade(trade, farms).ok, false);
+
+  assert.deepEqual(confirmTrade(trade, "ana", 2), { ok: true, ready: false });
+  assert.deepEqual(confirmTrade(trade, "bo", 2), { ok: true, ready: true });
+  assert.deepEqual(settleTrade(trade, farms), { ok: true });
+  assert.deepEqual(farms.get("ana"), farm({ turnip: 1, pumpkin: 1 }, 5));
+  assert.deepEqual(farms.get("bo"), farm({ pumpkin: 0, turnip: 2 }, 5));
+  assert.equal(trade.status, "completed");
+  assert.equal(describeTrade(trade), "ana traded 2 turnip, 5 coins to bo for 1 pumpkin.");
+  assert.equal(cancelTrade(trade), false);
+});
+
+test("settlement re-checks both inventories and changes nothing if either falls short", () => {
+  const farms = new Map([
+    ["ana", farm({ carrot_seed: 4 }, 0)],
+    ["bo", farm({}, 30)]
+  ]);
+  const trade = openTrade(farms);
+  updateTradeOffer(trade, "ana", { items: { carrot_seed: 4 } }, farms.get("ana"));
+  updateTradeOffer(trade, "bo", { coins: 20 }, farms.get("bo"));
+  confirmTrade(trade, "ana", 2);
+  confirmTrade(trade, "bo", 2);
+
+  farms.get("ana").inventory.carrot_seed = 1;
+  const result = settleTrade(trade, farms);
+  assert.deepEqual(result, { ok: false, message: "You only have 1 carrot seed.", playerId: "ana" });
+  assert.deepEqual(farms.get("ana"), farm({ carrot_seed: 1 }, 0));
+  assert.deepEqual(farms.get("bo"), farm({}, 30));
+  assert.deepEqual(trade.confirmed, { ana: false, bo: false });
+  assert.equal(trade.status, "open");
+});
+
+test("each side sees its own offer first and the request direction", () => {
+  const trade = createTrade({ id: "t2", fromId: "ana", toId: "bo" });
+  const names = { ana: "Ana", bo: "Bo" };
+  assert.equal(tradeView(trade, "bo", (id) => names[id]).incoming, true);
+  const view = tradeView(trade, "ana", (id) => names[id]);
+  assert.equal(view.incoming, false);
+  assert.equal(view.them.name, "Bo");
+  assert.equal(cancelTrade(trade, "Bo cancelled the trade."), true);
+  assert.equal(tradeView(trade, "ana").reason, "Bo cancelled the trade.");
+});
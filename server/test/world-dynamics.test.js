@@ -2,7 +2,9 @@ import test from "node:test";
 import assert from "node:assert/strict";
 import {
   MISSION_CHAIN,
+  applyFarmAction,
   applyMissionEvent,
+  createPlayerFarmIfMissing,
   createWorldState,
   ensurePlayerMissionProgress,
   setEconomyState,
@@ -55,3 +57,23 @@ test("world event severity and economy reward multipliers are clamped", () => {
   setEconomyState(world, { missionRewardMultiplier: 0.01 });
   assert.equal(world.economy.missionRewardMultiplier, 0.75);
 });
+
+test("harvest goes to the inventory and sowing needs a seed in stock", () => {
+  const world = createWorldState();
+  const farm = createPlayerFarmIfMissing(world, "p3");
+  const plot = farm.plots[0];
+  const act = (action, cropType) => applyFarmAction({ state: world, ownerId: "p3", action, plotId: plot.id, cropType });
+  farm.inventory.carrot_seed = 0;
+  assert.deepEqual(act("sow", "turnip"), { ok: false, message: "Till the plot first." });
+  assert.equal(act("till").ok, true);
+  assert.deepEqual(act("sow", "carrot"), { ok: false, message: "No Carrot seed left. Buy more at the market." });
+
+  assert.equal(act("sow", "turnip").ok, true);
+  plot.state = "ready";
+  const coins = farm.coins;
+  const result = act("harvest");
+  assert.equal(result.ok, true);
+  assert.equal(result.harvest.cropType, "turnip");
+  assert.equal(farm.inventory.turnip, result.harvest.count);
+  assert.equal(farm.coins, coins);
+});
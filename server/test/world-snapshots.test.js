@@ -0,0 +1,54 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  WORLD_SNAPSHOT_VERSION,
+  WorldSnapshotError,
+  migrateWorldSnapshot,
+  parseWorldSnapshot
+} from "../src/world-snapshots.js";
+
+test("migrates unversioned and v1 saves to the current version", () => {
+  const legacy = {
+    dayNumber: 3,
+    routineNudges: { Guard: { shiftMinutes: 30, reason: "patrol" }, Farmer: null }
+  };
+  const migrated = migrateWorldSnapshot(legacy);
+  assert.equal(migrated.version, WORLD_SNAPSHOT_VERSION);
+  assert.equal(migrated.dayNumber, 3);
+  assert.deepEqual(migrated.routineNudges, [
+    { role: "Guard", shiftMinutes: 30, reason: "patrol" },
+    { role: "Farmer" }
+  ]);
+
+  const v1 = parseWorldSnapshot(JSON.stringify({ version: 1, routineNudges: {} }));
+  assert.deepEqual(v1.routineNudges, []);
+});
+
+test("moves farms and profiles out of v2 snapshots for per-player import", () => {
+  const migrated = migrateWorldSnapshot({
+    version: 2,
+    dayNumber: 4,
+    routineNudges: [],
+    farms: { p1: { home: { x: 1, y: 1 }, plots: [] }, p2: { home: { x: 2, y: 2 }, plots: [] } },
+    persistedProfiles: { p1: { playerId: "p1", name: "Ana", x: 10, y: 20 } }
+  });
+  assert.equal(migrated.farms, undefined);
+  assert.equal(migrated.persistedProfiles, undefined);
+  assert.deepEqual(migrated.legacyPlayerProfiles, [
+    { playerId: "p1", name: "Ana", x: 10, y: 20, farm: { home: { x: 1, y: 1 }, plots: [] } },
+    { playerId: "p2", farm: { home: { x: 2, y: 2 }, plots: [] } }
+  ]);
+});
+
+test("leaves current snapshots untouched", () => {
+  const current = { version: WORLD_SNAPSHOT_VERSION, routineNudges: [{ role: "Guard", shiftMinutes: 10 }] };
+  assert.deepEqual(migrateWorldSnapshot(current), current);
+});
+
+test("rejects malformed, invalid, and future snapshots", () => {
+  assert.throws(() => parseWorldSnapshot("{not json"), WorldSnapshotError);
+  assert.throws(() => parseWorldSnapshot("[]"), WorldSnapshotError);
+  assert.throws(() => parseWorldSnapshot(null), WorldSnapshotError);
+  assert.throws(() => migrateWorldSnapshot({ version: -1 }), /invalid version/);
+  assert.throws(() => migrateWorldSnapshot({ version: WORLD_SNAPSHOT_VERSION + 1 }), /newer than this server supports/);
+});
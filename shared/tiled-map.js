@@ -0,0 +1,198 @@
+export const TILED_GID_MASK = 0x1fffffff;
+
+export class TiledMapError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TiledMapError";
+  }
+}
+
+function parseProperties(list) {
+  const out = {};
+  for (const prop of Array.isArray(list) ? list : []) {
+    if (!prop?.name) continue;
+    out[prop.name] = prop.type === "color" ? parseTiledColor(prop.value) : prop.value;
+  }
+  return out;
+}
+
+export function parseTiledColor(value) {
+  const hex = String(value || "").replace(/^#/, "");
+  if (!/^([0-9a-f]{6}|[0-9a-f]{8})$/i.test(hex)) return null;
+  return Number.parseInt(hex.slice(-6), 16);
+}
+
+function flattenLayers(layers, out = []) {
+  for (const layer of Array.isArray(layers) ? layers : []) {
+    if (layer?.type === "group") {
+      flattenLayers(layer.layers, out);
+    } else if (layer) {
+      out.push(layer);
+    }
+  }
+  return out;
+}
+
+function readTiles(tilesets) {
+  const tiles = new Map();
+  for (const tileset of Array.isArray(tilesets) ? tilesets : []) {
+    if (tileset.source) {
+      throw new TiledMapError(`External tileset "${tileset.source}" is not supported; embed it in the map.`);
+    }
+    const firstgid = Number(tileset.firstgid) || 1;
+    for (const tile of Array.isArray(tileset.tiles) ? tileset.tiles : []) {
+      const properties = parseProperties(tile.properties);
+      tiles.set(firstgid + Number(tile.id), {
+        texture: String(properties.texture || ""),
+        blocked: Boolean(properties.blocked),
+        properties
+      });
+    }
+  }
+  return tiles;
+}
+
+function readObject(obj, layerName) {
+  const properties = parseProperties(obj.properties);
+  const x = Number(obj.x) || 0;
+  const y = Number(obj.y) || 0;
+  return {
+    id: obj.id,
+    name: String(obj.name || ""),
+    type: String(obj.class || obj.type || ""),
+    layer: layerName,
+    x,
+    y,
+    w: Number(obj.width) || 0,
+    h: Number(obj.height) || 0,
+    point: Boolean(obj.point),
+    properties
+  };
+}
+
+function rectOf(obj) {
+  return { x: obj.x, y: obj.y, w: obj.w, h: obj.h };
+}
+
+function blockedTileRects(layer, tiles, cols, tileSize) {
+  const rects = [];
+  const data = layer.data;
+  for (let start = 0; start < data.length; start += cols) {
+    const row = start / cols;
+    let runStart = -1;
+    for (let col = 0; col <= cols; col += 1) {
+      const gid = col < cols ? data[start + col] & TILED_GID_MASK : 0;
+      const blocked = Boolean(tiles.get(gid)?.blocked);
+      if (blocked && runStart < 0) runStart = col;
+      if (!blocked && runStart >= 0) {
+        rects.push({ x: runStart * tileSize, y: row * tileSize, w: (col - runStart) * tileSize, h: tileSize });
+        runStart = -1;
+      }
+    }
+  }
+  return rects;
+}
+
+export function parseTiledMap(raw) {
+  let map = raw;
+  if (typeof raw === "string") {
+    try {
+      map = JSON.parse(raw);
+    } catch (err) {
+      throw new TiledMapError(`Map file is not valid JSON: ${err.message}`);
+    }
+  }
+  if (!map || typeof map !== "object" || map.type !== "map") {
+    throw new TiledMapError("Map file is not a Tiled JSON map.");
+  }
+  if (map.orientation !== "orthogonal") {
+    throw new TiledMapError(`Only orthogonal maps are supported (got "${map.orientation}").`);
+  }
+  if (map.infinite) {
+    throw new TiledMapError("Infinite maps are not supported; disable \"Infinite\" in the map properties.");
+  }
+  if (map.tilewidth !== map.tileheight) {
+    throw new TiledMapError("Tiles must be square.");
+  }
+
+  const cols = Number(map.width);
+  const rows = Number(map.height);
+  const tileSize = Number(map.tilewidth);
+  const tiles = readTiles(map.tilesets);
+  const layers = flattenLayers(map.layers);
+  const tileLayers = [];
+  const objectLayers = new Map();
+
+  for (const layer of layers) {
+    if (layer.type === "tilelayer") {
+      if (layer.encoding && layer.encoding !== "csv") {
+        throw new TiledMapError(`Tile layer "${layer.name}" uses ${layer.encoding} encoding; save the map with CSV encoding.`);
+      }
+      if (!Array.isArray(layer.data) || layer.data.length !== cols * rows) {
+        throw new TiledMapError(`Tile layer "${layer.name}" must have ${cols * rows} tiles.`);
+      }
+      tileLayers.push({
+        name: String(layer.name || ""),
+        data: layer.data,
+        visible: layer.visible !== false,
+        opacity: Number.isFinite(layer.opacity) ? layer.opacity : 1,
+        properties: parseProperties(layer.properties)
+      });
+    } else if (layer.type === "objectgroup") {
+      const name = String(layer.name || "");
+      objectLayers.set(name, (layer.objects || []).map((obj) => readObject(obj, name)));
+    }
+  }
+
+  const objectsIn = (name) => objectLayers.get(name) || [];
+  const areas = objectsIn("areas")
+    .filter((obj) => !obj.point && obj.name)
+    .map((obj) => ({ name: obj.name, ...rectOf(obj), color: obj.properties.color ?? null }));
+  if (areas.length === 0) {
+    throw new TiledMapError('Map needs an object layer named "areas" with at least one named rectangle.');
+  }
+
+  const markers = {};
+  for (const obj of objectsIn("markers")) {
+    if (obj.name) markers[obj.name] = obj;
+  }
+  const spawns = {};
+  for (const obj of objectsIn("spawns")) {
+    if (obj.name) spawns[obj.name] = { x: obj.x, y: obj.y };
+  }
+
+  const buildings = objectsIn("buildings").filter((obj) => !obj.point);
+  const blocked = [
+    ...buildings.map(rectOf),
+    ...objectsIn("collision").filter((obj) => !obj.point).map(rectOf),
+    ...tileLayers.flatMap((layer) => blockedTileRects(layer, tiles, cols, tileSize))
+  ];
+
+  return {
+    width: cols * tileSize,
+    height: rows * tileSize,
+    tileSize,
+    cols,
+    rows,
+    tiles,
+    tileLayers,
+    areas,
+    markers,
+    spawns,
+    buildings,
+    blocked,
+    walkable: objectsIn("walkways").filter((obj) => !obj.point).map(rectOf),
+    farmLots: objectsIn("farm_lots")
+      .filter((obj) => !obj.point && obj.name)
+      .map((obj) => ({ id: obj.name, ...rectOf(obj) })),
+    decor: objectsIn("decor").map((obj) => ({ type: obj.type || obj.name, x: obj.x, y: obj.y }))
+  };
+}
+
+export function requireMarker(map, name) {
+  const marker = map.markers[name];
+  if (!marker) {
+    throw new TiledMapError(`Map is missing the "${name}" object in the "markers" layer.`);
+  }
+  return marker;
+}